@@ -0,0 +1,529 @@
+/**
+ * X1 Vault — Alert Rules
+ *
+ * Declarative alerting on top of ErrorLogger entries. A rule says when to
+ * alert, how loudly, how often at most, and who hears about it:
+ *
+ *   {
+ *     name: 'token-audit-network',
+ *     when: 'count(type=network, skill=token-audit) > 5 within 10m',
+ *     severity: 'high',
+ *     cooldown: '30m',
+ *     targets: ['admin']
+ *   }
+ *
+ * Conditions (`when`, as an expression or the equivalent object):
+ *   count(filters) > N within W        → more than N matching errors in the last W
+ *   error_rate(filters) > P% within W  → errors / runs per group (runs = errors + wrapSkill successes)
+ *   new_hash(filters)                  → first occurrence of a hash, ever (a fixed hash coming back is a regression)
+ *   occurrences(filters) > N           → a hash's all-time occurrence count (the old onThresholdHit)
+ *   regression(filters)                → a resolved issue came back (see issue-store.js)
+ *
+ * Filters: skill, type, severity, agent, route, release, environment, hash.
+ * `a|b` matches either value; `*` matches any value and evaluates each value
+ * separately ("error_rate over 20% for any skill"). Errors of ignored or
+ * muted issues never trigger alerts.
+ *
+ * Windows are tracked per process. Cooldowns apply per rule and group
+ * (skill, hash, ...), so one noisy skill doesn't silence the others. With a
+ * shared AlertState (ErrorLogger passes one in logDir), cooldowns and
+ * first-seen hashes hold across every process: an alert fires once, not once
+ * per process.
+ *
+ * Usage:
+ *   const alerts = new AlertEngine({
+ *     targets: { admin: new TelegramTarget({ bot, chatId: ADMIN_CHAT_ID }) },
+ *     rules: [
+ *       { name: 'skill-error-rate', when: 'error_rate(skill=*) > 20% within 1h', cooldown: '1h' },
+ *       { name: 'new-deploy-error', when: 'new_hash(skill=deploy|vault-backup)', severity: 'critical' }
+ *     ]
+ *   });
+ *   new ErrorLogger({ logDir: './errors', alerts });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withLockSync } = require('./file-lock');
+
+// ─── Conditions ──────────────────────────────────────────────────────
+
+const CONDITIONS = {
+  COUNT: 'count',
+  ERROR_RATE: 'error_rate',
+  NEW_HASH: 'new_hash',
+  OCCURRENCES: 'occurrences',
+  REGRESSION: 'regression'
+};
+
+// Filter key → how to read it from an entry. errorOnly fields don't apply
+// to success entries (error_rate still counts those as runs).
+const FILTER_FIELDS = {
+  skill:       { get: e => e.skill },
+  agent:       { get: e => e.agent },
+  route:       { get: e => e.context?.route },
+  release:     { get: e => e.release },
+  environment: { get: e => e.environment },
+  type:        { get: e => e.error_type, errorOnly: true },
+  severity:    { get: e => e.severity, errorOnly: true },
+  hash:        { get: e => e.hash, errorOnly: true }
+};
+
+const SILENCED_STATUSES = ['ignored', 'muted'];
+const DEFAULT_COOLDOWN_MS = 10 * 60 * 1000;
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * '30s' | '10m' | '1h' | '1d' | '250ms' | milliseconds → milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)\s*$/i.exec(String(value));
+  if (!match) throw new Error(`Invalid duration: ${value}`);
+  const unit = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2].toLowerCase()];
+  return Number(match[1]) * unit;
+}
+
+/**
+ * Parse a condition expression into its object form.
+ *
+ *   'count(type=network, skill=token-audit) > 5 within 10m'
+ *   → { condition: 'count', filter: { type: 'network', skill: 'token-audit' }, op: '>', threshold: 5, window: 600000 }
+ */
+function parseCondition(expression) {
+  const match = /^\s*(\w+)\s*(?:\(([^)]*)\))?\s*(?:(>=|>)\s*(\d+(?:\.\d+)?)\s*(%)?)?\s*(?:within\s+(\S+))?\s*$/i.exec(expression);
+  if (!match) throw new Error(`Invalid alert condition: ${expression}`);
+  const [, condition, filterList, op, threshold, percent, window] = match;
+
+  const filter = {};
+  for (const part of (filterList || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const [key, value] = part.split('=').map(s => s && s.trim());
+    if (!key || !value) throw new Error(`Invalid alert filter "${part}" in: ${expression}`);
+    filter[key] = value === '*' ? '*' : value.includes('|') ? value.split('|').map(v => v.trim()) : value;
+  }
+
+  return {
+    condition: condition.toLowerCase(),
+    filter,
+    op: op || '>',
+    threshold: threshold === undefined ? undefined : Number(threshold) / (percent ? 100 : 1),
+    window: window ? parseDuration(window) : undefined
+  };
+}
+
+/**
+ * Validate a rule and fill in defaults.
+ */
+function normalizeRule(rule) {
+  if (!rule || !rule.name) throw new Error('Alert rule needs a name');
+  if (!rule.when) throw new Error(`Alert rule "${rule.name}" needs a \`when\` condition`);
+
+  const when = typeof rule.when === 'string' ? parseCondition(rule.when) : { op: '>', filter: {}, ...rule.when };
+  if (!Object.values(CONDITIONS).includes(when.condition)) {
+    throw new Error(`Alert rule "${rule.name}": unknown condition "${when.condition}"`);
+  }
+  for (const key of Object.keys(when.filter)) {
+    if (!FILTER_FIELDS[key]) throw new Error(`Alert rule "${rule.name}": unknown filter "${key}"`);
+  }
+  if ((when.condition === CONDITIONS.ERROR_RATE || when.condition === CONDITIONS.OCCURRENCES) && when.threshold === undefined) {
+    throw new Error(`Alert rule "${rule.name}": ${when.condition} needs a threshold`);
+  }
+
+  return {
+    name: rule.name,
+    description: rule.description || null,
+    condition: when.condition,
+    filter: when.filter,
+    op: when.op,
+    threshold: when.threshold ?? 0,
+    windowMs: when.window !== undefined ? parseDuration(when.window) : DEFAULT_WINDOW_MS,
+    minRuns: rule.minRuns ?? 5, // error_rate: don't alert on 1 failure out of 1 run
+    severity: rule.severity || 'high',
+    cooldownMs: rule.cooldown !== undefined ? parseDuration(rule.cooldown) : DEFAULT_COOLDOWN_MS,
+    targets: rule.targets || null // null → every registered target
+  };
+}
+
+// ─── Targets ─────────────────────────────────────────────────────────
+
+/**
+ * Sends alerts to a Telegram chat (node-telegram-bot-api or anything with
+ * sendMessage(chatId, text, options)).
+ */
+class TelegramTarget {
+  /**
+   * @param {Object} options
+   * @param {Object} options.bot - Telegram bot instance
+   * @param {string|number} options.chatId - Where alerts go
+   * @param {Function} [options.format] - (alert) => message text (Markdown)
+   */
+  constructor(options = {}) {
+    if (!options.bot || !options.chatId) throw new Error('TelegramTarget needs a bot and a chatId');
+    this.name = options.name || 'telegram';
+    this.bot = options.bot;
+    this.chatId = options.chatId;
+    this.format = options.format || formatAlert;
+  }
+
+  send(alert) {
+    return this.bot.sendMessage(this.chatId, this.format(alert), { parse_mode: 'Markdown' });
+  }
+}
+
+const SEVERITY_ICONS = { low: 'ℹ️', medium: '⚠️', high: '🔴', critical: '🚨' };
+const ALERT_BREADCRUMBS = 5; // Trail lines in a Telegram alert
+
+function formatAlert(alert) {
+  const lines = [`${SEVERITY_ICONS[alert.severity] || '🔔'} *${alert.rule}* (${alert.severity})`, alert.message];
+  if (alert.entry?.skill) lines.push(`Skill: \`${alert.entry.skill}\``);
+  if (alert.entry?.hash) lines.push(`Hash: \`${alert.entry.hash}\``);
+  if (alert.entry?.message) lines.push(`Error: ${alert.entry.message}`);
+  const trail = (alert.entry?.breadcrumbs || []).slice(-ALERT_BREADCRUMBS);
+  if (trail.length > 0) {
+    lines.push('Before:');
+    for (const b of trail) lines.push(`• [${b.category}] ${b.message}`);
+  }
+  return lines.join('\n');
+}
+
+// ─── Shared State ────────────────────────────────────────────────────
+
+/**
+ * Which alerts fired when, and which hashes were ever seen, in
+ * logDir/_alerts.json (written under _alerts.lock). Only read and written
+ * when an alert is about to fire or a hash looks new, never per capture.
+ */
+class AlertState {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - logDir (holds _alerts.json)
+   * @param {Object} [options.lock] - file-lock options
+   */
+  constructor(options = {}) {
+    this.filePath = path.join(options.dir, '_alerts.json');
+    this.lockPath = path.join(options.dir, '_alerts.lock');
+    this.lockOptions = options.lock || {};
+  }
+
+  /**
+   * Record that `key` fires now, unless any process did within its cooldown.
+   * @returns {boolean} True if this caller may fire
+   */
+  claim(key, now, cooldownMs) {
+    return this._update(state => {
+      const until = state.fired[key];
+      if (until !== undefined && now < until) return false;
+      for (const [k, t] of Object.entries(state.fired)) {
+        if (t <= now) delete state.fired[k]; // Cooldown over — nothing to remember
+      }
+      state.fired[key] = now + cooldownMs;
+      return true;
+    });
+  }
+
+  /**
+   * Record a hash as seen.
+   * @returns {boolean} True if no process had seen it before
+   */
+  firstSeen(hash, now) {
+    return this._update(state => {
+      if (state.seen[hash]) return false;
+      state.seen[hash] = new Date(now).toISOString();
+      return true;
+    });
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _update(decide) {
+    return withLockSync(this.lockPath, () => {
+      const state = this._read();
+      const result = decide(state);
+      if (result) {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+      }
+      return result;
+    }, this.lockOptions);
+  }
+
+  _read() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      return { fired: state.fired || {}, seen: state.seen || {} };
+    } catch {
+      return { fired: {}, seen: {} }; // Missing or corrupt — start over
+    }
+  }
+}
+
+// ─── Engine ──────────────────────────────────────────────────────────
+
+class AlertEngine {
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.rules] - Rule definitions (see module header)
+   * @param {Object} [options.targets] - name → target (an object with send(alert), or a function)
+   * @param {Function} [options.shouldNotify] - (alert) => boolean, last gate before sending (ErrorLogger uses it for burst suppression)
+   * @param {Function} [options.onError] - (error, alert, targetName) => void, when a target fails
+   * @param {AlertState} [options.state] - Cooldowns and seen hashes shared between processes
+   * @param {Function} [options.now] - Clock, for tests (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.shouldNotify = options.shouldNotify || null;
+    this.onError = options.onError || null;
+    this.state = options.state || null;
+    this.now = options.now || Date.now;
+
+    this._rules = [];
+    this._targets = new Map();
+    this._windows = new Map();   // rule|group → [{ t, error }]
+    this._lastFired = new Map(); // rule|group → timestamp
+    this._seen = new Set();      // hashes seen here (without a shared state)
+
+    for (const [name, target] of Object.entries(options.targets || {})) this.addTarget(name, target);
+    for (const rule of options.rules || []) this.addRule(rule);
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object|Function} target - { send(alert) } or (alert) => void
+   */
+  addTarget(name, target) {
+    const send = typeof target === 'function' ? target : target?.send?.bind(target);
+    if (!send) throw new Error(`Alert target "${name}" must be a function or have send(alert)`);
+    this._targets.set(name, send);
+    return this;
+  }
+
+  addRule(rule) {
+    const normalized = normalizeRule(rule);
+    this.removeRule(normalized.name);
+    this._rules.push(normalized);
+    return this;
+  }
+
+  removeRule(name) {
+    this._rules = this._rules.filter(r => r.name !== name);
+    for (const map of [this._windows, this._lastFired]) {
+      for (const key of map.keys()) {
+        if (key.startsWith(`${name}|`)) map.delete(key);
+      }
+    }
+    return this;
+  }
+
+  get rules() {
+    return this._rules.map(r => ({ ...r }));
+  }
+
+  /**
+   * Feed one entry (error or success) through every rule.
+   * @returns {Array} Alerts that fired
+   */
+  observe(entry) {
+    if (!entry || (entry.type !== 'error' && entry.type !== 'success')) return [];
+    if (entry.type === 'error' && SILENCED_STATUSES.includes(entry.issue_status)) return [];
+
+    const now = this.now();
+    const fired = [];
+    let isNew;
+    const firstSeen = () => (isNew ??= this._firstSeen(entry.hash, now)); // Once per entry, however many new_hash rules
+    for (const rule of this._rules) {
+      const alert = this._evaluate(rule, entry, now, firstSeen);
+      if (alert && this._fire(rule, alert, now)) fired.push(alert);
+    }
+    return fired;
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _evaluate(rule, entry, now, firstSeen) {
+    const isError = entry.type === 'error';
+    const rate = rule.condition === CONDITIONS.ERROR_RATE;
+    if (!rate && !isError) return null;
+    if (!this._matches(rule, entry, !rate)) return null;
+
+    const group = this._group(rule, entry);
+    let value;
+
+    switch (rule.condition) {
+      case CONDITIONS.COUNT: {
+        const events = this._record(rule, group, now, true);
+        value = events.length;
+        break;
+      }
+      case CONDITIONS.ERROR_RATE: {
+        // Every run in scope counts; only errors matching the error-only filters count as failures.
+        // Alerts fire on a failure, never on a success.
+        const failure = isError && this._matches(rule, entry, true);
+        const events = this._record(rule, group, now, failure);
+        if (!failure || events.length < rule.minRuns) return null;
+        value = events.filter(e => e.error).length / events.length;
+        break;
+      }
+      case CONDITIONS.NEW_HASH:
+        // A count of 1 only makes it a candidate: fixes reset counts, and resolved issues coming back are regressions
+        if (entry.occurrence_count !== 1 || entry.regression || !firstSeen()) return null;
+        return this._alert(rule, entry, { ...group, hash: entry.hash }, 1);
+      case CONDITIONS.OCCURRENCES:
+        value = entry.occurrence_count || 0;
+        return this._compare(rule, value) ? this._alert(rule, entry, { ...group, hash: entry.hash }, value) : null;
+      case CONDITIONS.REGRESSION:
+        if (!entry.regression) return null;
+        return this._alert(rule, entry, { ...group, hash: entry.hash }, 1);
+      default:
+        return null;
+    }
+
+    return this._compare(rule, value) ? this._alert(rule, entry, group, value) : null;
+  }
+
+  /**
+   * Filters that hold for this entry. With `errorFields` false, fields that
+   * only describe errors (type, severity, hash) are skipped.
+   */
+  _matches(rule, entry, errorFields) {
+    for (const [key, expected] of Object.entries(rule.filter)) {
+      const field = FILTER_FIELDS[key];
+      if (field.errorOnly && !errorFields) continue;
+      if (expected === '*') continue;
+      const actual = field.get(entry);
+      if (Array.isArray(expected) ? !expected.includes(actual) : actual !== expected) return false;
+    }
+    return true;
+  }
+
+  // `*` filters split a rule into one group per value
+  _group(rule, entry) {
+    const group = {};
+    for (const [key, expected] of Object.entries(rule.filter)) {
+      if (expected === '*') group[key] = FILTER_FIELDS[key].get(entry) ?? null;
+    }
+    return group;
+  }
+
+  _record(rule, group, now, error) {
+    const key = this._key(rule, group);
+    const events = this._windows.get(key) || [];
+    while (events.length > 0 && now - events[0].t >= rule.windowMs) events.shift(); // Oldest first
+    events.push({ t: now, error });
+    this._windows.set(key, events);
+    return events;
+  }
+
+  _compare(rule, value) {
+    return rule.op === '>=' ? value >= rule.threshold : value > rule.threshold;
+  }
+
+  _alert(rule, entry, group, value) {
+    return {
+      rule: rule.name,
+      severity: rule.severity,
+      condition: rule.condition,
+      group,
+      value,
+      threshold: rule.threshold,
+      window_ms: rule.condition === CONDITIONS.COUNT || rule.condition === CONDITIONS.ERROR_RATE ? rule.windowMs : null,
+      message: rule.description || this._describe(rule, group, value),
+      entry,
+      fired_at: new Date(this.now()).toISOString()
+    };
+  }
+
+  _describe(rule, group, value) {
+    const where = Object.entries({ ...rule.filter, ...group })
+      .filter(([, v]) => v !== '*')
+      .map(([k, v]) => `${k}=${[].concat(v).join('|')}`)
+      .join(', ');
+    const scope = where ? ` (${where})` : '';
+    const window = `${Math.round(rule.windowMs / 60000)}m`;
+
+    switch (rule.condition) {
+      case CONDITIONS.COUNT:
+        return `${value} errors${scope} in the last ${window} — threshold ${rule.threshold}`;
+      case CONDITIONS.ERROR_RATE:
+        return `Error rate ${(value * 100).toFixed(1)}%${scope} over the last ${window} — threshold ${(rule.threshold * 100).toFixed(1)}%`;
+      case CONDITIONS.NEW_HASH:
+        return `New error${scope}`;
+      case CONDITIONS.OCCURRENCES:
+        return `Error has occurred ${value}x${scope}`;
+      case CONDITIONS.REGRESSION:
+        return `Resolved error came back${scope}`;
+      default:
+        return rule.name;
+    }
+  }
+
+  _key(rule, group) {
+    return `${rule.name}|${JSON.stringify(group)}`;
+  }
+
+  _firstSeen(hash, now) {
+    if (this.state) {
+      try {
+        return this.state.firstSeen(hash, now);
+      } catch { /* Lock timeout — decide from what this process has seen */ }
+    }
+    if (this._seen.has(hash)) return false;
+    this._seen.add(hash);
+    return true;
+  }
+
+  _fire(rule, alert, now) {
+    const key = this._key(rule, alert.group);
+    const last = this._lastFired.get(key);
+    if (last !== undefined && rule.cooldownMs > 0 && now - last < rule.cooldownMs) return false;
+    if (this.shouldNotify && !this.shouldNotify(alert)) return false;
+    if (!this._claim(key, rule, now)) return false;
+    this._lastFired.set(key, now);
+
+    const names = rule.targets || [...this._targets.keys()];
+    for (const target of names) {
+      const send = typeof target === 'function' ? target : this._targets.get(target);
+      const targetName = typeof target === 'function' ? target.name || 'inline' : target;
+      if (!send) {
+        this._reportError(new Error(`Unknown alert target "${target}"`), alert, targetName);
+        continue;
+      }
+      try {
+        const pending = send(alert);
+        if (pending && typeof pending.catch === 'function') {
+          pending.catch(err => this._reportError(err, alert, targetName));
+        }
+      } catch (err) {
+        this._reportError(err, alert, targetName);
+      }
+    }
+    return true;
+  }
+
+  // Another process may have fired the same rule and group within the cooldown
+  _claim(key, rule, now) {
+    if (!this.state || rule.cooldownMs <= 0) return true;
+    try {
+      return this.state.claim(key, now, rule.cooldownMs);
+    } catch {
+      return true; // Lock timeout — better a repeat than a missed alert
+    }
+  }
+
+  _reportError(error, alert, targetName) {
+    if (!this.onError) return;
+    try {
+      this.onError(error, alert, targetName);
+    } catch { /* a broken error handler must not break capture() */ }
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  AlertEngine,
+  AlertState,
+  TelegramTarget,
+  CONDITIONS,
+  parseCondition,
+  parseDuration,
+  formatAlert
+};
@@ -29,6 +29,9 @@
  *   // User approves → apply it
  *   await autofix.applyFix(fix.id);
  *   
+ *   // After the patched build ships as a new release, check it helped
+ *   autofix.evaluateFix(fix.id, { release: '1.4.1' });
+ *
  *   // Or run the full pipeline
  *   await autofix.runPipeline();
  */
@@ -38,6 +41,7 @@ const path = require('path');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
 const { execSync } = require('child_process');
+const { SourceMapResolver } = require('./source-maps');
 
 // ─── Fix Status ──────────────────────────────────────────────────────
 
@@ -63,6 +67,9 @@ class AutoFixEngine extends EventEmitter {
     this.loop = options.loop || null;
     this.llmProvider = options.llmProvider || null; // Function that calls LLM API
 
+    // Maps compiled stack frames back to TS/ESM sources (shares the logger's resolver when it has one)
+    this.sourceMaps = options.sourceMaps || this.logger?.sourceMaps || new SourceMapResolver();
+
     this.skillsDir = options.skillsDir || '/home/node/.openclaw/workspace/skills';
     this.dataDir = options.dataDir || path.join(process.cwd(), 'autofix-data');
     this.backupDir = path.join(this.dataDir, 'backups');
@@ -131,6 +138,12 @@ class AutoFixEngine extends EventEmitter {
       fix.explanation = llmResponse.explanation;
       fix.diff = this._generateDiff(fix.originalCode, fix.fixedCode);
 
+      // Nothing to apply (transient errors, corrections without an LLM) — a READY
+      // no-op would resolve the issue on apply and turn the next occurrence into a regression
+      if (fix.fixedCode === fix.originalCode) {
+        throw new Error(`No code change: ${fix.explanation || 'the generated code is identical to the source'}`);
+      }
+
       fix.status = FIX_STATUS.READY;
       this._saveFixes();
       this.emit('fix-ready', fix);
@@ -212,6 +225,7 @@ class AutoFixEngine extends EventEmitter {
       // Step 4: Success — mark as deployed
       fix.status = FIX_STATUS.DEPLOYED;
       fix.deployedAt = new Date().toISOString();
+      fix.baselineRelease = this.logger?.release || null; // The release the fix is measured against
       this._saveFixes();
 
       // Step 5: Record the fix in the error logger
@@ -245,6 +259,50 @@ class AutoFixEngine extends EventEmitter {
     }
   }
 
+  // ── Evaluate Fix ───────────────────────────────────────────────
+
+  /**
+   * Judge a deployed fix by comparing the release it was applied on with a
+   * later one (see ErrorLogger.compareReleases). The fix helped when its
+   * error hash is gone and the skill's error rate did not rise.
+   *
+   * @param {string} fixId
+   * @param {Object} [options]
+   * @param {string} [options.release] - Release that ships the fix (default: the logger's current release)
+   * @param {number} [options.days] - Look-back (default: 30)
+   * @param {number} [options.tolerance] - Error-rate change treated as noise (default: 0.02)
+   * @returns {Object} { fixId, baseline, candidate, helped, hashRecurred, skill, comparison } —
+   *   helped is null when either release has no data yet
+   */
+  evaluateFix(fixId, options = {}) {
+    const fix = this._fixes.find(f => f.id === fixId);
+    if (!fix) throw new Error(`Fix ${fixId} not found`);
+    if (!this.logger) throw new Error('evaluateFix needs a logger');
+
+    const baseline = fix.baselineRelease;
+    const candidate = options.release || this.logger.release;
+    if (!baseline || !candidate || baseline === candidate) {
+      return { fixId, baseline, candidate, helped: null, hashRecurred: null, skill: null, comparison: null };
+    }
+
+    const tolerance = options.tolerance ?? 0.02;
+    const comparison = this.logger.compareReleases(baseline, candidate, { days: options.days, tolerance });
+    const hash = fix.proposal.data?.hash || null;
+    const skill = comparison.by_skill[fix.skill] || null;
+    const hashRecurred = hash
+      ? this.logger.query({ hash, release: candidate, days: options.days || 30 }).some(e => e.type === 'error' || e.type === 'suppressed')
+      : null;
+
+    let helped = null;
+    if (skill && skill.candidate.runs > 0 && comparison.verdict !== 'insufficient_data') {
+      helped = !hashRecurred && skill.error_rate_delta <= tolerance;
+    }
+
+    fix.evaluation = { candidate, helped, hashRecurred, evaluatedAt: new Date().toISOString() };
+    this._saveFixes();
+    return { fixId, baseline, candidate, helped, hashRecurred, skill, comparison };
+  }
+
   // ── Approve / Reject ───────────────────────────────────────────
 
   /**
@@ -370,11 +428,10 @@ class AutoFixEngine extends EventEmitter {
   async _findSourceFile(proposal) {
     // Strategy 1: Extract file path from error stack trace
     if (proposal.data?.hash && this.logger) {
-      const errors = this.logger.query({ days: 30 });
-      const matchingError = errors.find(e => e.hash === proposal.data.hash);
+      const matchingError = this.logger.query({ hash: proposal.data.hash, days: 30 }).find(e => e.type === 'error');
 
       if (matchingError?.stack) {
-        const filePath = this._extractFileFromStack(matchingError.stack);
+        const filePath = this._extractFileFromStack(this._originalStack(matchingError));
         if (filePath && fs.existsSync(filePath)) {
           return {
             filePath,
@@ -398,7 +455,9 @@ class AutoFixEngine extends EventEmitter {
           // Find the main JS file
           const files = this._findJsFiles(searchPath);
           if (files.length > 0) {
-            const mainFile = files.find(f => f.includes('index.js') || f.includes('main.js')) || files[0];
+            const entryFile = files.find(f => f.includes('index.js') || f.includes('main.js')) || files[0];
+            // A compiled entry point (dist/index.js) → patch the source it was built from
+            const [mainFile = entryFile] = this.sourceMaps.sourcesFor(entryFile).filter(f => fs.existsSync(f));
             return {
               filePath: mainFile,
               code: fs.readFileSync(mainFile, 'utf-8'),
@@ -412,12 +471,25 @@ class AutoFixEngine extends EventEmitter {
     throw new Error(`Could not find source file for skill: ${skillName}`);
   }
 
+  /**
+   * Stack with original source locations. Entries captured with `sourceMaps`
+   * already have them; older ones are mapped now if the maps are still on disk.
+   */
+  _originalStack(entry) {
+    if (entry.generated_stack || !entry.stack) return entry.stack;
+    try {
+      return this.sourceMaps.resolveStack(entry.stack).stack;
+    } catch {
+      return entry.stack;
+    }
+  }
+
   _extractFileFromStack(stack) {
     const lines = stack.split('\n');
     for (const line of lines) {
       // Match patterns like: at functionName (/path/to/file.js:123:45)
-      // or: at /path/to/file.js:123:45
-      const match = line.match(/\(?(\/[^:)]+\.(?:js|ts|mjs)):(\d+)/);
+      // or: at /path/to/file.js:123:45, or ESM: at file:///path/to/file.mjs:123:45
+      const match = line.match(/\(?(?:file:\/\/)?(\/[^:)]+\.(?:js|cjs|mjs|jsx|ts|cts|mts|tsx)):(\d+)/);
       if (match) {
         const filePath = match[1];
         // Skip node_modules and internal files
@@ -459,7 +531,8 @@ class AutoFixEngine extends EventEmitter {
         'Make the minimum change needed to fix the issue.',
         'Preserve all existing functionality.',
         'If adding error handling, use try/catch with descriptive error messages.',
-        'If adding input validation, validate early and return clear errors.'
+        'If adding input validation, validate early and return clear errors.',
+        'Do NOT add retry or timeout wrappers — wrapSkill execution policies handle transient failures.'
       ],
       issue: {
         description: proposal.description,
@@ -473,15 +546,16 @@ class AutoFixEngine extends EventEmitter {
 
     // Add error details if available
     if (proposal.data?.hash && this.logger) {
-      const errors = this.logger.query({ days: 30 });
-      const matchingErrors = errors.filter(e => e.hash === proposal.data?.hash);
+      // Retried attempts share the hash — count and describe the errors themselves
+      const matchingErrors = this.logger.query({ hash: proposal.data.hash, days: 30 }).filter(e => e.type === 'error');
       if (matchingErrors.length > 0) {
         context.errorDetails = {
           message: matchingErrors[0].message,
           type: matchingErrors[0].error_type,
-          stack: matchingErrors[0].stack,
+          stack: this._originalStack(matchingErrors[0]),
           occurrences: matchingErrors.length,
-          input: matchingErrors[0].input_summary
+          input: matchingErrors[0].input_summary,
+          breadcrumbs: matchingErrors[0].breadcrumbs || []
         };
       }
     }
@@ -531,6 +605,14 @@ class AutoFixEngine extends EventEmitter {
         prompt += `Input that caused error: ${context.errorDetails.input}\n`;
       }
       prompt += `\n`;
+
+      if (context.errorDetails.breadcrumbs?.length) {
+        prompt += `## Leading Up To The Error (oldest first)\n`;
+        for (const b of context.errorDetails.breadcrumbs) {
+          prompt += `- ${b.timestamp} [${b.category}/${b.level}] ${b.message}\n`;
+        }
+        prompt += `\n`;
+      }
     }
 
     if (context.corrections) {
@@ -600,13 +682,11 @@ class AutoFixEngine extends EventEmitter {
           break;
 
         case 'api':
-          explanation = `Added retry logic with exponential backoff for API errors ("${errorMsg}").`;
-          fixedCode = this._addRetryLogic(code, errorMsg);
-          break;
-
         case 'network':
-          explanation = `Added network error handling with retry and timeout for "${errorMsg}".`;
-          fixedCode = this._addNetworkHandling(code, errorMsg);
+        case 'timeout':
+          // Transient — the runtime retries these; patching a retry loop into the skill isn't a fix
+          explanation = `"${errorMsg}" is a transient ${errorType} error. No code change: run the skill with a wrapSkill ` +
+            `execution policy instead, e.g. { timeoutMs: 10000, retry: { attempts: 3, on: ['${errorType}'] } } (see execution-policy.js).`;
           break;
 
         case 'logic':
@@ -620,11 +700,6 @@ class AutoFixEngine extends EventEmitter {
           }
           break;
 
-        case 'timeout':
-          explanation = `Increased timeout and added timeout handling for "${errorMsg}".`;
-          fixedCode = this._addTimeoutHandling(code, errorMsg);
-          break;
-
         default:
           explanation = `Added generic error handling for: "${errorMsg}".`;
           fixedCode = this._addTryCatch(code, errorMsg);
@@ -650,35 +725,6 @@ class AutoFixEngine extends EventEmitter {
     return code;
   }
 
-  _addRetryLogic(code, errorMsg) {
-    const retryHelper = `
-// [AUTO-FIX] Retry helper added for API error: ${errorMsg}
-async function withRetry(fn, maxRetries = 3, baseDelay = 1000) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (err) {
-      if (attempt === maxRetries) throw err;
-      const delay = baseDelay * Math.pow(2, attempt - 1);
-      console.warn(\`Retry \${attempt}/\${maxRetries} after \${delay}ms: \${err.message}\`);
-      await new Promise(r => setTimeout(r, delay));
-    }
-  }
-}\n\n`;
-    // Add at the top of the file (after requires)
-    const lastRequire = code.lastIndexOf("require(");
-    if (lastRequire > -1) {
-      const insertPoint = code.indexOf('\n', lastRequire) + 1;
-      return code.slice(0, insertPoint) + retryHelper + code.slice(insertPoint);
-    }
-    return retryHelper + code;
-  }
-
-  _addNetworkHandling(code, errorMsg) {
-    // Same as retry but with specific network error checks
-    return this._addRetryLogic(code, errorMsg);
-  }
-
   _addNullCheck(code, property, stack) {
     // Try to find the line from the stack trace and add a null check
     if (stack) {
@@ -709,23 +755,6 @@ async function withRetry(fn, maxRetries = 3, baseDelay = 1000) {
     return code;
   }
 
-  _addTimeoutHandling(code, errorMsg) {
-    const timeoutHelper = `
-// [AUTO-FIX] Timeout wrapper added for: ${errorMsg}
-async function withTimeout(fn, ms = 30000) {
-  return Promise.race([
-    fn(),
-    new Promise((_, reject) => setTimeout(() => reject(new Error('Operation timed out after ' + ms + 'ms')), ms))
-  ]);
-}\n\n`;
-    const lastRequire = code.lastIndexOf("require(");
-    if (lastRequire > -1) {
-      const insertPoint = code.indexOf('\n', lastRequire) + 1;
-      return code.slice(0, insertPoint) + timeoutHelper + code.slice(insertPoint);
-    }
-    return timeoutHelper + code;
-  }
-
   // ── Private: Diff Generation ───────────────────────────────────
 
   _generateDiff(original, fixed) {
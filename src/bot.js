@@ -11,6 +11,7 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { WorkflowRouter, PRIORITY, RISK_LEVEL } = require('./workflow-router');
 const { ErrorLogger } = require('./error-logger');
+const { TelegramTarget } = require('./alert-rules');
 const { getDefaultRoutes } = require('./routes');
 
 // ─── Configuration ───────────────────────────────────────────────────
@@ -31,27 +32,57 @@ const logger = new ErrorLogger({
   logDir: './errors',
   maxRetries: 2,
 
-  // Alert on critical errors
-  onCritical: (entry) => {
-    if (ADMIN_CHAT_ID) {
-      bot.sendMessage(ADMIN_CHAT_ID, 
-        `🚨 *CRITICAL ERROR*\nSkill: \`${entry.skill}\`\nError: ${entry.message}\nHash: \`${entry.hash}\``,
-        { parse_mode: 'Markdown' }
-      );
-    }
-  },
-
-  // Alert when error repeats past threshold
-  onThresholdHit: (entry) => {
-    if (ADMIN_CHAT_ID) {
-      bot.sendMessage(ADMIN_CHAT_ID,
-        `🔁 *Recurring Error* (${entry.occurrence_count}x)\nSkill: \`${entry.skill}\`\nHash: \`${entry.hash}\`\nMessage: ${entry.message}`,
-        { parse_mode: 'Markdown' }
-      );
-    }
+  // Stamped on every entry, so /deploy can compare error rates between releases
+  release: process.env.BOT_RELEASE || require('../package.json').version,
+  environment: process.env.NODE_ENV || 'development',
+
+  // An RPC outage fails every route at once — keep 10 of each error per minute,
+  // count the rest, and alert once per window instead of once per error
+  suppression: { windowMs: 60 * 1000, maxPerWindow: 10 },
+
+  // Stop calling an API that keeps failing; try again after 30s (see circuit-breaker.js)
+  circuitBreaker: { threshold: 5, windowMs: 60 * 1000, cooldownMs: 30 * 1000 },
+
+  // Routes, gate decisions and RPC calls before each error (shown in alerts and fix prompts).
+  // The bot's own Telegram traffic (long polling, alert sends) is left out — the
+  // library starts those requests asynchronously, so untracked() can't cover them.
+  breadcrumbs: { max: 100, attach: 10, http: { ignoreHosts: ['api.telegram.org'] } },
+
+  // Encrypt logs and crash reports at rest once a key is provisioned (see encryption.js)
+  encryption: Boolean(process.env.X1_ENCRYPTION_KEY || process.env.X1_ENCRYPTION_KEY_FILE),
+
+  // Alert rules → Telegram (each rule has its own cooldown; see alert-rules.js)
+  alerts: {
+    targets: ADMIN_CHAT_ID ? { admin: new TelegramTarget({ bot, chatId: ADMIN_CHAT_ID }) } : {},
+    rules: [
+      { name: 'critical-error', when: 'count(severity=critical, hash=*) > 0 within 1m', severity: 'critical', cooldown: '15m' },
+      { name: 'recurring-error', when: 'occurrences > 2', severity: 'medium', cooldown: '1h' },
+      { name: 'audit-network-errors', when: 'count(type=network, skill=token-audit) > 5 within 10m', cooldown: '30m' },
+      { name: 'skill-error-rate', when: 'error_rate(skill=*) > 20% within 1h', cooldown: '1h' },
+      { name: 'new-critical-skill-error', when: 'new_hash(skill=deploy|vault-backup)', severity: 'critical', cooldown: 0 },
+      { name: 'regression', when: 'regression', severity: 'high', cooldown: 0 }
+    ]
   }
 });
 
+// Timers, the polling loop and UI callbacks can throw outside any wrapSkill —
+// log those as critical (plus a crash report) before the process goes down
+logger.installGlobalHandlers({ crashReports: true });
+
+// Announce outages and recoveries (the /health route shows the current states)
+if (ADMIN_CHAT_ID) {
+  // Telegram may be the thing that's down — log a failed notice instead of leaving the rejection unhandled
+  const notifyAdmin = (text) => bot.sendMessage(ADMIN_CHAT_ID, text)
+    .catch(error => logger.capture(error, { skill: 'admin-notify', severity: 'low' }));
+
+  logger.circuits.on('open', (circuit) => {
+    notifyAdmin(`🔌 ${circuit.kind} ${circuit.name} is temporarily unavailable (${circuit.last_error}). Retrying after ${circuit.retry_at}.`);
+  });
+  logger.circuits.on('closed', (circuit) => {
+    notifyAdmin(`✅ ${circuit.kind} ${circuit.name} is back.`);
+  });
+}
+
 const router = new WorkflowRouter({ logger });
 
 // ─── Register Routes ─────────────────────────────────────────────────
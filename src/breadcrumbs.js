@@ -0,0 +1,219 @@
+/**
+ * X1 Vault — Breadcrumbs
+ *
+ * A bounded trail of what happened before an error: routed messages, API
+ * calls, gate decisions, earlier errors and anything logged by hand. The
+ * last few breadcrumbs are attached to every captured entry, so the entry
+ * (and the AutoFixEngine prompt and Telegram alert built from it) shows the
+ * sequence that led to the failure, not just the final exception.
+ *
+ * A breadcrumb:
+ *   { timestamp, category, level: 'info' | 'warning' | 'error', message, data, correlation_id }
+ *
+ * Categories used by the built-in sources:
+ *   manual   → logger.breadcrumb()
+ *   route    → WorkflowRouter match / success / error / no-match
+ *   gate     → VerificationGates decisions
+ *   http     → fetch / http(s).request (opt-in, see instrumentHttp)
+ *   log      → errors this process logged earlier
+ *
+ * Inside a request scope, an entry only gets breadcrumbs from its own
+ * request (plus ones recorded outside any scope), so concurrent Telegram
+ * messages don't borrow each other's trail.
+ *
+ * Usage:
+ *   new ErrorLogger({ logDir: './errors', breadcrumbs: { max: 100, attach: 10, http: true } });
+ *   new ErrorLogger({ logDir: './errors', breadcrumbs: { http: { ignoreHosts: ['api.telegram.org'] } } });
+ *   logger.breadcrumb('Loaded holder list', { category: 'token-audit', data: { holders: 412 } });
+ *   entry.breadcrumbs; // → last 10 breadcrumbs before the error
+ */
+
+const http = require('http');
+const https = require('https');
+
+// ─── Buffer ──────────────────────────────────────────────────────────
+
+class BreadcrumbBuffer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.max] - Breadcrumbs kept (default: 50)
+   */
+  constructor(options = {}) {
+    this.max = options.max || 50;
+    this._items = [];
+  }
+
+  add(breadcrumb) {
+    this._items.push(breadcrumb);
+    if (this._items.length > this.max) this._items.shift();
+    return breadcrumb;
+  }
+
+  /**
+   * Last `limit` breadcrumbs, oldest first. With a correlation ID, only
+   * that request's breadcrumbs and unscoped ones.
+   */
+  recent(limit = this.max, correlationId = null) {
+    const items = correlationId
+      ? this._items.filter(b => !b.correlation_id || b.correlation_id === correlationId)
+      : this._items;
+    return items.slice(-limit);
+  }
+
+  clear() {
+    this._items = [];
+  }
+
+  get size() {
+    return this._items.length;
+  }
+}
+
+// ─── HTTP Instrumentation ────────────────────────────────────────────
+
+// Patched once per process; every subscribed logger gets each request
+const httpListeners = new Set();
+let originals = null;
+let untrackedDepth = 0;
+
+/**
+ * Report outgoing fetch / http.request / https.request calls to `listener`
+ * as { method, url, status_code, duration_ms, error }. Query strings are
+ * dropped from URLs (they often carry API keys).
+ *
+ * @param {Function} listener
+ * @param {Object} [options]
+ * @param {string[]} [options.ignoreHosts] - Hostnames never reported (e.g. a bot's own API)
+ * @returns {Function} Unsubscribe (restores the originals when nobody listens)
+ */
+function instrumentHttp(listener, options = {}) {
+  const ignored = new Set((options.ignoreHosts || []).map(host => String(host).toLowerCase()));
+  const subscriber = ignored.size === 0 ? listener : (request) => {
+    if (!ignored.has(hostOf(request.url))) listener(request);
+  };
+  httpListeners.add(subscriber);
+  if (!originals) patchHttp();
+  return () => {
+    httpListeners.delete(subscriber);
+    if (httpListeners.size === 0) unpatchHttp();
+  };
+}
+
+/**
+ * Run fn without recording its requests (the logger's own sinks and exporters).
+ * Only requests started synchronously inside fn are covered: one a client
+ * library starts after an await or a callback is still recorded. For those,
+ * exclude the API's host with `ignoreHosts` instead.
+ */
+function untracked(fn) {
+  untrackedDepth++;
+  try {
+    return fn();
+  } finally {
+    untrackedDepth--;
+  }
+}
+
+function emitRequest(request) {
+  for (const listener of httpListeners) {
+    try {
+      listener(request);
+    } catch { /* a broken listener must not break the caller's request */ }
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function stripQuery(url) {
+  return String(url).split(/[?#]/)[0];
+}
+
+function describeRequest(args, defaultProtocol) {
+  let url = null;
+  let options = {};
+  if (typeof args[0] === 'string' || args[0] instanceof URL) {
+    url = stripQuery(args[0]);
+    if (args[1] && typeof args[1] === 'object') options = args[1];
+  } else if (args[0] && typeof args[0] === 'object') {
+    options = args[0];
+    const host = options.hostname || options.host || 'localhost';
+    const port = options.port ? `:${options.port}` : '';
+    url = `${options.protocol || defaultProtocol}//${host}${port}${stripQuery(options.path || '/')}`;
+  }
+  return { method: (options.method || 'GET').toUpperCase(), url };
+}
+
+function wrapRequest(original, defaultProtocol) {
+  return function instrumentedRequest(...args) {
+    const req = original.apply(this, args);
+    if (untrackedDepth > 0 || httpListeners.size === 0) return req;
+
+    const { method, url } = describeRequest(args, defaultProtocol);
+    const started = Date.now();
+    req.once('response', (res) => {
+      emitRequest({ method, url, status_code: res.statusCode, duration_ms: Date.now() - started, error: null });
+    });
+    req.once('error', (err) => {
+      emitRequest({ method, url, status_code: null, duration_ms: Date.now() - started, error: err.message });
+    });
+    return req;
+  };
+}
+
+function patchHttp() {
+  originals = {
+    fetch: globalThis.fetch,
+    httpRequest: http.request,
+    httpGet: http.get,
+    httpsRequest: https.request,
+    httpsGet: https.get
+  };
+
+  http.request = wrapRequest(originals.httpRequest, 'http:');
+  https.request = wrapRequest(originals.httpsRequest, 'https:');
+  // get() calls the module-internal request, not the export — wrap it too
+  http.get = wrapRequest(originals.httpGet, 'http:');
+  https.get = wrapRequest(originals.httpsGet, 'https:');
+
+  if (typeof originals.fetch === 'function') {
+    const originalFetch = originals.fetch;
+    globalThis.fetch = async function instrumentedFetch(input, init) {
+      if (untrackedDepth > 0) return originalFetch.call(this, input, init);
+      const method = String(init?.method || input?.method || 'GET').toUpperCase();
+      const url = stripQuery(input?.url || input);
+      const started = Date.now();
+      try {
+        const res = await originalFetch.call(this, input, init);
+        emitRequest({ method, url, status_code: res.status, duration_ms: Date.now() - started, error: null });
+        return res;
+      } catch (err) {
+        emitRequest({ method, url, status_code: null, duration_ms: Date.now() - started, error: err.message });
+        throw err;
+      }
+    };
+  }
+}
+
+function unpatchHttp() {
+  if (!originals) return;
+  http.request = originals.httpRequest;
+  http.get = originals.httpGet;
+  https.request = originals.httpsRequest;
+  https.get = originals.httpsGet;
+  if (typeof originals.fetch === 'function') globalThis.fetch = originals.fetch;
+  originals = null;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  BreadcrumbBuffer,
+  instrumentHttp,
+  untracked
+};
@@ -0,0 +1,162 @@
+/**
+ * X1 Vault — Burst Suppression
+ *
+ * Per-hash rate limiting for ErrorLogger.capture. When an RPC endpoint goes
+ * down every route fails at once; without limits the log fills with
+ * thousands of identical entries and onThresholdHit fires for each one.
+ *
+ * Each hash gets a fixed window starting at its first occurrence:
+ *   - the first `maxPerWindow` occurrences are stored in full
+ *   - after that only a counter is kept (optionally every `sampleEvery`-th
+ *     occurrence past the limit is still stored, marked `sampled: true`)
+ *   - when the window closes, one summary entry is emitted:
+ *     { type: 'suppressed', hash, suppressed_count, window_start, window_end, ... }
+ *   - alerts (see alert-rules.js; onCritical / onThresholdHit included) fire
+ *     at most once per rule per window
+ *
+ * Windows are tracked per process; occurrence counts stay exact across
+ * processes (see occurrence-journal.js).
+ *
+ * Usage:
+ *   new ErrorLogger({ logDir: './errors', suppression: true }); // 10 per hash per minute
+ *   new ErrorLogger({
+ *     logDir: './errors',
+ *     suppression: { windowMs: 5 * 60 * 1000, maxPerWindow: 3, sampleEvery: 100 }
+ *   });
+ */
+
+// ─── Suppressor ──────────────────────────────────────────────────────
+
+class BurstSuppressor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowMs] - Window length per hash (default: 60000)
+   * @param {number} [options.maxPerWindow] - Occurrences stored in full per window (default: 10)
+   * @param {number} [options.sampleEvery] - Also store every Nth occurrence past the limit (default: 0 = never)
+   * @param {Function} [options.onWindowClose] - (summary) => void, called for windows that suppressed anything
+   * @param {Function} [options.now] - Clock, for tests (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 60 * 1000;
+    this.maxPerWindow = options.maxPerWindow ?? 10;
+    this.sampleEvery = options.sampleEvery || 0;
+    this.onWindowClose = options.onWindowClose || null;
+    this.now = options.now || Date.now;
+
+    this._windows = new Map(); // hash → window state
+    this._timer = null;
+  }
+
+  /**
+   * Decide what to do with one occurrence.
+   *
+   * @param {string} hash
+   * @param {Object} entry - The built entry (used for the window summary)
+   * @returns {Object} { store, sampled, suppressed } — suppressed is true when only counted
+   */
+  admit(hash, entry) {
+    const now = this.now();
+    let window = this._windows.get(hash);
+
+    if (window && now - window.start >= this.windowMs) {
+      this._close(hash, window, now);
+      window = null;
+    }
+    if (!window) {
+      window = { start: now, stored: 0, suppressed: 0, sampled: 0, notified: new Set(), last: null };
+      this._windows.set(hash, window);
+      this._startTimer();
+    }
+
+    if (window.stored < this.maxPerWindow) {
+      window.stored++;
+      return { store: true, sampled: false, suppressed: false };
+    }
+
+    window.last = entry;
+    const overLimit = window.suppressed + window.sampled + 1;
+    if (this.sampleEvery > 0 && overLimit % this.sampleEvery === 0) {
+      window.sampled++;
+      return { store: true, sampled: true, suppressed: false };
+    }
+    window.suppressed++;
+    return { store: false, sampled: false, suppressed: true };
+  }
+
+  /**
+   * True the first time a callback kind is asked about for a hash's current window.
+   */
+  shouldNotify(hash, kind) {
+    const window = this._windows.get(hash);
+    if (!window) return true;
+    if (window.notified.has(kind)) return false;
+    window.notified.add(kind);
+    return true;
+  }
+
+  /**
+   * Close windows that have run out (all windows with `force`), emitting summaries.
+   * @returns {Array} Summaries emitted
+   */
+  sweep(force = false) {
+    const now = this.now();
+    const summaries = [];
+    for (const [hash, window] of this._windows) {
+      if (force || now - window.start >= this.windowMs) {
+        const summary = this._close(hash, window, now);
+        if (summary) summaries.push(summary);
+      }
+    }
+    if (this._windows.size === 0) this._stopTimer();
+    return summaries;
+  }
+
+  /**
+   * Open windows, for inspection: [{ hash, start, stored, suppressed }]
+   */
+  get windows() {
+    return [...this._windows].map(([hash, w]) => ({ hash, start: w.start, stored: w.stored, suppressed: w.suppressed }));
+  }
+
+  stop() {
+    this._stopTimer();
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _close(hash, window, now) {
+    this._windows.delete(hash);
+    if (window.suppressed === 0) return null;
+
+    const summary = {
+      hash,
+      suppressed_count: window.suppressed,
+      sampled_count: window.sampled,
+      stored_count: window.stored,
+      window_start: new Date(window.start).toISOString(),
+      window_end: new Date(Math.min(now, window.start + this.windowMs)).toISOString(),
+      last: window.last
+    };
+    if (this.onWindowClose) this.onWindowClose(summary);
+    return summary;
+  }
+
+  _startTimer() {
+    if (this._timer) return;
+    // One sweep timer for all hashes; never keeps the process alive
+    this._timer = setInterval(() => this.sweep(), Math.min(this.windowMs, 60 * 1000));
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  _stopTimer() {
+    if (!this._timer) return;
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  BurstSuppressor
+};
@@ -0,0 +1,262 @@
+/**
+ * X1 Vault — Circuit Breakers
+ *
+ * One breaker per skill and per named dependency (an external API, an RPC
+ * node). While the thing behind it is down, callers get an immediate
+ * "temporarily unavailable" answer instead of waiting on a timeout and
+ * logging the same network error once per message.
+ *
+ *   closed     → calls go through; `threshold` transient errors (network,
+ *                timeout, api by default) within `windowMs` open it
+ *   open       → calls are refused until `cooldownMs` has passed
+ *   half_open  → `halfOpenMax` trial calls go through; a success closes the
+ *                breaker, a transient failure opens it again. A trial with no
+ *                outcome after `trialTimeoutMs` gives its slot back
+ *
+ * A skill that declares a dependency and also calls it through
+ * callDependency() holds one slot and reports one outcome per call — the
+ * breakers a skill holds are kept in its request scope.
+ *
+ * State is per process (like alert windows). Every transition is emitted on
+ * the registry — 'change' plus the new state's name — so the bot can
+ * announce outages and recoveries.
+ *
+ * Usage:
+ *   const logger = new ErrorLogger({ logDir: './errors', circuitBreaker: { threshold: 5, windowMs: 60000, cooldownMs: 30000 } });
+ *
+ *   // Breakers for the skill and the APIs it declares
+ *   await logger.wrapSkill('token-audit', () => audit(mint), { mint }, { dependencies: ['birdeye'] });
+ *
+ *   // Or around a single call inside a skill
+ *   const holders = await logger.callDependency('helius', () => helius.holders(mint));
+ *
+ *   logger.circuits.on('open', (circuit) => notify(`${circuit.name} is down`));
+ *   logger.getCircuits(); // → [{ kind, name, state, failures, retry_at, ... }]
+ */
+
+const { EventEmitter } = require('events');
+const { RETRYABLE_TYPES } = require('./execution-policy');
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const CIRCUIT_OPEN_CODE = 'ECIRCUITOPEN';
+
+// ─── Breaker ─────────────────────────────────────────────────────────
+
+class CircuitBreaker {
+  /**
+   * @param {string} kind - 'skill' | 'dependency'
+   * @param {string} name
+   * @param {Object} options - threshold, windowMs, cooldownMs, halfOpenMax, trialTimeoutMs, now, onChange
+   */
+  constructor(kind, name, options) {
+    this.kind = kind;
+    this.name = name;
+    this.threshold = options.threshold;
+    this.windowMs = options.windowMs;
+    this.cooldownMs = options.cooldownMs;
+    this.halfOpenMax = options.halfOpenMax;
+    this.trialTimeoutMs = options.trialTimeoutMs;
+    this.now = options.now;
+    this.onChange = options.onChange;
+
+    this.state = CIRCUIT_STATE.CLOSED;
+    this._failures = []; // Timestamps of transient failures in the window
+    this._trials = 0;    // Calls in flight while half-open
+    this._trialStartedAt = null;
+    this._openedAt = null;
+    this._lastError = null;
+  }
+
+  /**
+   * May a call go through? Moves open → half_open once the cooldown has
+   * passed. A granted half-open trial must be followed by success(),
+   * failure() or release().
+   */
+  allow() {
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      if (this.now() - this._openedAt < this.cooldownMs) return false;
+      this._transition(CIRCUIT_STATE.HALF_OPEN);
+    }
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      if (this._trials >= this.halfOpenMax) {
+        if (this.now() - this._trialStartedAt < this.trialTimeoutMs) return false;
+        this._trials = 0; // Trials that never reported back (hung, lost) — start new ones
+      }
+      if (this._trials === 0) this._trialStartedAt = this.now();
+      this._trials++;
+    }
+    return true;
+  }
+
+  success() {
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      this._failures = [];
+      this._transition(CIRCUIT_STATE.CLOSED);
+    }
+  }
+
+  /**
+   * A transient failure (callers decide which errors count).
+   */
+  failure(message = null) {
+    const now = this.now();
+    this._lastError = message;
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      this._open(now);
+      return;
+    }
+
+    this._failures.push(now);
+    while (this._failures.length > 0 && this._failures[0] <= now - this.windowMs) this._failures.shift();
+    if (this.state === CIRCUIT_STATE.CLOSED && this._failures.length >= this.threshold) this._open(now);
+  }
+
+  /**
+   * Give back a half-open trial that ended without an outcome (aborted call).
+   */
+  release() {
+    if (this.state === CIRCUIT_STATE.HALF_OPEN && this._trials > 0) this._trials--;
+  }
+
+  reset() {
+    this._failures = [];
+    if (this.state !== CIRCUIT_STATE.CLOSED) this._transition(CIRCUIT_STATE.CLOSED);
+  }
+
+  snapshot() {
+    return {
+      kind: this.kind,
+      name: this.name,
+      state: this.state,
+      failures: this._failures.length,
+      threshold: this.threshold,
+      opened_at: this._openedAt ? new Date(this._openedAt).toISOString() : null,
+      retry_at: this._retryAt(),
+      last_error: this._lastError
+    };
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  // When the next call will be let through (null while calls are)
+  _retryAt() {
+    if (this.state === CIRCUIT_STATE.OPEN) return new Date(this._openedAt + this.cooldownMs).toISOString();
+    if (this.state === CIRCUIT_STATE.HALF_OPEN && this._trials >= this.halfOpenMax) {
+      return new Date(this._trialStartedAt + this.trialTimeoutMs).toISOString();
+    }
+    return null;
+  }
+
+  _open(now) {
+    this._openedAt = now;
+    this._transition(CIRCUIT_STATE.OPEN);
+  }
+
+  _transition(state) {
+    const from = this.state;
+    this.state = state;
+    this._trials = 0;
+    this._trialStartedAt = null;
+    if (state === CIRCUIT_STATE.CLOSED) this._openedAt = null;
+    this.onChange(this, from);
+  }
+}
+
+// ─── Registry ────────────────────────────────────────────────────────
+
+class CircuitBreakers extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Transient failures that open a breaker (default: 5)
+   * @param {number} [options.windowMs] - Window they are counted in (default: 60000)
+   * @param {number} [options.cooldownMs] - Open time before a trial call (default: 30000)
+   * @param {number} [options.halfOpenMax] - Concurrent trial calls while half-open (default: 1)
+   * @param {number} [options.trialTimeoutMs] - A trial call without an outcome frees its slot after this long (default: cooldownMs)
+   * @param {string[]|Function} [options.on] - Error types that count, or (error, type) => boolean (default: network, timeout, api)
+   * @param {Function} [options.now] - Clock, for tests (default: Date.now)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      threshold: options.threshold || 5,
+      windowMs: options.windowMs || 60 * 1000,
+      cooldownMs: options.cooldownMs || 30 * 1000,
+      halfOpenMax: options.halfOpenMax || 1,
+      trialTimeoutMs: options.trialTimeoutMs || options.cooldownMs || 30 * 1000,
+      now: options.now || Date.now,
+      onChange: (breaker, from) => this._emitChange(breaker, from)
+    };
+    this.tripOn = options.on || RETRYABLE_TYPES;
+    this._breakers = new Map(); // kind:name → CircuitBreaker
+  }
+
+  /**
+   * The breaker for a skill or dependency (created closed on first use).
+   */
+  get(kind, name) {
+    const key = `${kind}:${name}`;
+    if (!this._breakers.has(key)) this._breakers.set(key, new CircuitBreaker(kind, name, this.options));
+    return this._breakers.get(key);
+  }
+
+  /**
+   * Does this error count against a breaker?
+   */
+  trips(error, type) {
+    return typeof this.tripOn === 'function' ? Boolean(this.tripOn(error, type)) : this.tripOn.includes(type);
+  }
+
+  /**
+   * Snapshot of every breaker, open ones first.
+   */
+  states() {
+    const order = { [CIRCUIT_STATE.OPEN]: 0, [CIRCUIT_STATE.HALF_OPEN]: 1, [CIRCUIT_STATE.CLOSED]: 2 };
+    return [...this._breakers.values()]
+      .map(breaker => breaker.snapshot())
+      .sort((a, b) => order[a.state] - order[b.state]);
+  }
+
+  reset(kind, name) {
+    this._breakers.get(`${kind}:${name}`)?.reset();
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _emitChange(breaker, from) {
+    const circuit = { ...breaker.snapshot(), from };
+    this.emit('change', circuit);
+    this.emit(circuit.state, circuit);
+  }
+}
+
+/**
+ * The error a refused call gets. Not captured: the outage was already
+ * logged by the failures that opened the breaker.
+ */
+function circuitOpenError(breaker, label = breaker.name) {
+  const circuit = breaker.snapshot();
+  const retry = circuit.retry_at
+    ? `retrying in ${Math.max(1, Math.ceil((Date.parse(circuit.retry_at) - breaker.now()) / 1000))}s`
+    : 'retrying now';
+  const reason = breaker.kind === 'dependency' && label !== breaker.name ? `${breaker.name} is down` : 'too many recent failures';
+  const error = new Error(`${label} is temporarily unavailable (${reason}, ${retry})`);
+  error.name = 'CircuitOpenError';
+  error.code = CIRCUIT_OPEN_CODE;
+  error.circuit = circuit;
+  return error;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  CircuitBreaker,
+  CircuitBreakers,
+  circuitOpenError,
+  CIRCUIT_STATE,
+  CIRCUIT_OPEN_CODE
+};
@@ -0,0 +1,403 @@
+/**
+ * X1 Vault — Error Classifier Registry
+ *
+ * Ordered, pluggable rules that turn an error into an error type and a
+ * severity. Replaces the fixed chain of substring checks, so domain types
+ * (Solana/X1 transaction failures, custom RPC codes) can be added without
+ * touching the logger, and every classification can be traced back to
+ * the rule that produced it.
+ *
+ * Type rules are tried in order; the first match wins. A rule matches when
+ * every matcher it declares matches:
+ *
+ *   {
+ *     name: 'blockhash-expired',        ← shown in entry.classification.rule
+ *     type: 'blockhash_expired',        ← built-in ERROR_TYPES value or a custom one
+ *     confidence: 0.9,                  ← optional, default 1
+ *     errorName: 'TransactionExpiredBlockheightExceededError',  (string | RegExp | array)
+ *     message: /blockhash not found/i,  (RegExp, or case-insensitive substring | array)
+ *     code: [-32002, 'ECONNREFUSED'],   (exact value | RegExp | array)
+ *     status: s => s >= 500,            (number | array | function)
+ *     cause: { code: 'ECONNREFUSED' },  (matcher applied to every error in the cause chain)
+ *     test: (info) => boolean           (anything else; info = { error, name, message, code, status })
+ *   }
+ *
+ * When nothing matches the error itself, the same rules are tried against
+ * its root cause and then the rest of the cause chain — a wrapped RPC
+ * failure is classified by what's underneath.
+ *
+ * Severity rules work the same way over { type, skill, agent, error }.
+ *
+ * Usage:
+ *   const classifier = new ClassifierRegistry({ presets: ['solana'] });
+ *   classifier.addRule({ name: 'vault-locked', type: 'vault_locked', message: 'vault is locked' });
+ *   classifier.addSeverityRule({ name: 'locked-is-low', severity: 'low', types: ['vault_locked'] });
+ *
+ *   classifier.classify(err);  // → { type: 'vault_locked', confidence: 1, rule: 'vault-locked', via: 'error' }
+ *   classifier.explain(err);   // → same, plus every rule that matched
+ *
+ *   new ErrorLogger({ classifier });   // or: new ErrorLogger({ classifier: { presets: ['solana'] } })
+ */
+
+const { walkCauses, getRootCause } = require('./error-causes');
+
+// ─── Types & Severities ──────────────────────────────────────────────
+
+const ERROR_TYPES = {
+  SYNTAX:       'syntax',
+  LOGIC:        'logic',
+  API:          'api',
+  DEPENDENCY:   'dependency',
+  TIMEOUT:      'timeout',
+  PERMISSION:   'permission',
+  VALIDATION:   'validation',
+  NETWORK:      'network',
+  UNKNOWN:      'unknown'
+};
+
+const SEVERITY_LEVELS = {
+  LOW:      'low',       // Logged, no action needed
+  MEDIUM:   'medium',    // Logged, flag for review
+  HIGH:     'high',      // Logged, alert user
+  CRITICAL: 'critical'   // Logged, halt execution, alert immediately
+};
+
+// ─── Built-in Rules ──────────────────────────────────────────────────
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+
+const DEFAULT_RULES = [
+  { name: 'syntax-error', type: ERROR_TYPES.SYNTAX, errorName: 'SyntaxError' },
+  { name: 'unexpected-token', type: ERROR_TYPES.SYNTAX, message: 'unexpected token', confidence: 0.9 },
+
+  { name: 'network-code', type: ERROR_TYPES.NETWORK, code: NETWORK_CODES },
+  { name: 'network-message', type: ERROR_TYPES.NETWORK, message: /econnrefused|enotfound|fetch failed|network|socket hang up/i, confidence: 0.9 },
+
+  { name: 'timeout-code', type: ERROR_TYPES.TIMEOUT, code: TIMEOUT_CODES },
+  { name: 'timeout-message', type: ERROR_TYPES.TIMEOUT, message: /timeout|timed out|etimedout|deadline/i, confidence: 0.9 },
+
+  { name: 'permission-status', type: ERROR_TYPES.PERMISSION, status: [401, 403] },
+  { name: 'permission-message', type: ERROR_TYPES.PERMISSION, message: /\b40[13]\b|unauthorized|forbidden|permission/i, confidence: 0.8 },
+
+  // Status codes and "api" only as whole words — "500ms" or "rapid" are not API errors
+  { name: 'api-status', type: ERROR_TYPES.API, status: s => s === 404 || s === 429 || s >= 500 },
+  { name: 'api-message', type: ERROR_TYPES.API, message: /\b(?:404|429|50[0-4])\b|\bapi\b|rate limit|too many requests/i, confidence: 0.7 },
+
+  // JS built-ins before message checks, so TypeError("x is not a function") is logic, not dependency
+  { name: 'js-builtin', type: ERROR_TYPES.LOGIC, errorName: ['TypeError', 'ReferenceError', 'RangeError'] },
+  { name: 'missing-module', type: ERROR_TYPES.DEPENDENCY, message: /cannot find module|module not found|is not a function/i, confidence: 0.8 },
+  { name: 'validation-message', type: ERROR_TYPES.VALIDATION, message: /invalid|required|expected|must be/i, confidence: 0.6 }
+];
+
+const DEFAULT_SEVERITY_RULES = [
+  // Anything touching deploys, deletes, or financial ops
+  { name: 'critical-skill', severity: SEVERITY_LEVELS.CRITICAL, skill: ['deploy', 'delete', 'transfer', 'swap', 'send'] },
+  // External dependency failures
+  { name: 'external-failure', severity: SEVERITY_LEVELS.HIGH, types: [ERROR_TYPES.API, ERROR_TYPES.NETWORK, ERROR_TYPES.PERMISSION] },
+  { name: 'code-defect', severity: SEVERITY_LEVELS.MEDIUM, types: [ERROR_TYPES.LOGIC, ERROR_TYPES.VALIDATION] }
+];
+
+// ─── Presets ─────────────────────────────────────────────────────────
+
+const SOLANA_ERROR_TYPES = {
+  RPC_SLOT_SKEW:      'rpc_slot_skew',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  BLOCKHASH_EXPIRED:  'blockhash_expired'
+};
+
+const PRESETS = {
+  // X1 / Solana transactions and JSON-RPC nodes
+  solana: {
+    types: SOLANA_ERROR_TYPES,
+    rules: [
+      {
+        name: 'solana-blockhash-expired',
+        type: SOLANA_ERROR_TYPES.BLOCKHASH_EXPIRED,
+        errorName: 'TransactionExpiredBlockheightExceededError'
+      },
+      {
+        name: 'solana-blockhash-message',
+        type: SOLANA_ERROR_TYPES.BLOCKHASH_EXPIRED,
+        message: /blockhash not found|block height exceeded|blockhash (?:has )?expired/i,
+        confidence: 0.95
+      },
+      {
+        name: 'solana-insufficient-funds',
+        type: SOLANA_ERROR_TYPES.INSUFFICIENT_FUNDS,
+        message: /insufficient (?:funds|lamports)|found no record of a prior credit|custom program error: 0x1\b/i,
+        confidence: 0.95
+      },
+      {
+        // -32016: minimum context slot not reached, -32005: node is behind
+        name: 'solana-slot-skew-code',
+        type: SOLANA_ERROR_TYPES.RPC_SLOT_SKEW,
+        code: [-32016, -32005]
+      },
+      {
+        name: 'solana-slot-skew-message',
+        type: SOLANA_ERROR_TYPES.RPC_SLOT_SKEW,
+        message: /minimum context slot|node is behind|slot skew|behind by \d+ slots/i,
+        confidence: 0.9
+      }
+    ],
+    severityRules: [
+      // Retrying with a fresh blockhash or another node usually fixes these
+      { name: 'solana-retryable', severity: SEVERITY_LEVELS.MEDIUM, types: [SOLANA_ERROR_TYPES.BLOCKHASH_EXPIRED, SOLANA_ERROR_TYPES.RPC_SLOT_SKEW] },
+      { name: 'solana-funds', severity: SEVERITY_LEVELS.HIGH, types: [SOLANA_ERROR_TYPES.INSUFFICIENT_FUNDS] }
+    ]
+  }
+};
+
+// ─── Matchers ────────────────────────────────────────────────────────
+
+const TYPE_MATCHERS = ['errorName', 'message', 'code', 'status', 'cause', 'test'];
+const SEVERITY_MATCHERS = ['skill', 'agent', 'types', 'test'];
+
+function describeError(error) {
+  const err = error && typeof error === 'object' ? error : { message: String(error) };
+  return {
+    error: err,
+    name: err.name || '',
+    message: err.message || '',
+    code: err.code ?? null,
+    status: Number(err.status || err.statusCode || err.response?.status) || null
+  };
+}
+
+function matchText(pattern, value, exact) {
+  if (Array.isArray(pattern)) return pattern.some(p => matchText(p, value, exact));
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0;
+    return pattern.test(value);
+  }
+  const a = String(value).toLowerCase();
+  const b = String(pattern).toLowerCase();
+  return exact ? a === b : a.includes(b);
+}
+
+function matchValue(pattern, value) {
+  if (value === null || value === undefined) return false;
+  if (Array.isArray(pattern)) return pattern.some(p => matchValue(p, value));
+  if (typeof pattern === 'function') return Boolean(pattern(value));
+  if (pattern instanceof RegExp) return pattern.test(String(value));
+  return String(pattern).toUpperCase() === String(value).toUpperCase();
+}
+
+function matchesTypeRule(rule, info) {
+  if (rule.errorName !== undefined && !matchText(rule.errorName, info.name, true)) return false;
+  if (rule.message !== undefined && !matchText(rule.message, info.message, false)) return false;
+  if (rule.code !== undefined && !matchValue(rule.code, info.code)) return false;
+  if (rule.status !== undefined && !matchValue(rule.status, info.status)) return false;
+  if (rule.cause !== undefined) {
+    const causes = walkCauses(info.error).map(c => describeError(c.error));
+    if (!causes.some(cause => matchesTypeRule(rule.cause, cause))) return false;
+  }
+  if (rule.test !== undefined && !rule.test(info)) return false;
+  return true;
+}
+
+function matchesSeverityRule(rule, ctx) {
+  if (rule.skill !== undefined && !(ctx.skill && matchText(rule.skill, ctx.skill, false))) return false;
+  if (rule.agent !== undefined && !(ctx.agent && matchText(rule.agent, ctx.agent, false))) return false;
+  if (rule.types !== undefined && !rule.types.includes(ctx.type)) return false;
+  if (rule.test !== undefined && !rule.test(ctx)) return false;
+  return true;
+}
+
+// ─── Registry ────────────────────────────────────────────────────────
+
+class ClassifierRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.rules] - Extra type rules, tried before presets and built-ins
+   * @param {Object[]} [options.severityRules] - Extra severity rules, tried before presets and built-ins
+   * @param {string[]} [options.presets] - Domain rule sets to load (e.g. ['solana'])
+   * @param {Object} [options.types] - Extra error types ({ KEY: 'value' })
+   * @param {boolean} [options.defaults] - Include built-in rules (default: true)
+   * @param {string} [options.defaultSeverity] - Severity when no rule matches (default: 'low')
+   */
+  constructor(options = {}) {
+    this.types = { ...ERROR_TYPES };
+    this.defaultSeverity = options.defaultSeverity || SEVERITY_LEVELS.LOW;
+    this.rules = [];
+    this.severityRules = [];
+
+    if (options.defaults !== false) {
+      for (const rule of DEFAULT_RULES) this._insert(this.rules, { ...rule, builtin: true }, {}, TYPE_MATCHERS);
+      for (const rule of DEFAULT_SEVERITY_RULES) this._insert(this.severityRules, { ...rule, builtin: true }, {}, SEVERITY_MATCHERS);
+    }
+
+    for (const name of options.presets || []) this.usePreset(name);
+    for (const [key, value] of Object.entries(options.types || {})) this.defineType(key, value);
+    for (const rule of options.rules || []) this.addRule(rule);
+    for (const rule of options.severityRules || []) this.addSeverityRule(rule);
+  }
+
+  // ── Configuration ──────────────────────────────────────────────
+
+  /**
+   * Register a custom error type (e.g. defineType('VAULT_LOCKED', 'vault_locked')).
+   */
+  defineType(key, value) {
+    if (!key || typeof value !== 'string') throw new Error('defineType(key, value) needs a key and a string value');
+    this.types[key] = value;
+    return this;
+  }
+
+  /**
+   * Add a type rule. Without a position it goes after previously added
+   * rules but before the built-ins, so custom rules win over generic ones.
+   *
+   * @param {Object} rule - See the header for the rule shape
+   * @param {Object} [position] - { before: ruleName } or { after: ruleName }
+   */
+  addRule(rule, position = {}) {
+    if (!rule || typeof rule.type !== 'string') throw new Error('Classifier rules need a string type');
+    this._insert(this.rules, rule, position, TYPE_MATCHERS);
+
+    if (!Object.values(this.types).includes(rule.type)) {
+      this.defineType(rule.type.toUpperCase(), rule.type);
+    }
+    return this;
+  }
+
+  /**
+   * Add a severity rule ({ name, severity, skill?, agent?, types?, test? }).
+   * Positioned like addRule().
+   */
+  addSeverityRule(rule, position = {}) {
+    if (!rule || !Object.values(SEVERITY_LEVELS).includes(rule.severity)) {
+      throw new Error(`Severity rules need one of: ${Object.values(SEVERITY_LEVELS).join(', ')}`);
+    }
+    this._insert(this.severityRules, rule, position, SEVERITY_MATCHERS);
+    return this;
+  }
+
+  removeRule(name) {
+    this.rules = this.rules.filter(r => r.name !== name);
+    this.severityRules = this.severityRules.filter(r => r.name !== name);
+    return this;
+  }
+
+  /**
+   * Load a named preset (its rules go ahead of the built-ins).
+   */
+  usePreset(name) {
+    const preset = PRESETS[name];
+    if (!preset) throw new Error(`Unknown classifier preset "${name}" (available: ${Object.keys(PRESETS).join(', ')})`);
+
+    for (const [key, value] of Object.entries(preset.types || {})) this.defineType(key, value);
+    for (const rule of preset.rules || []) this.addRule(rule);
+    for (const rule of preset.severityRules || []) this.addSeverityRule(rule);
+    return this;
+  }
+
+  // ── Classification ─────────────────────────────────────────────
+
+  /**
+   * @param {Error} error
+   * @returns {Object} { type, confidence, rule, via } — via is 'error', 'cause' or null (unknown)
+   */
+  classify(error) {
+    for (const { target, via } of this._targets(error)) {
+      const info = describeError(target);
+      const rule = this.rules.find(r => matchesTypeRule(r, info));
+      if (rule) return this._result(rule, via);
+    }
+    return { type: ERROR_TYPES.UNKNOWN, confidence: 0, rule: null, via: null };
+  }
+
+  /**
+   * Why an error got its type: the winning classification plus every rule
+   * that would have matched, in evaluation order.
+   *
+   * @returns {Object} { type, confidence, rule, via, matches: [{ rule, type, confidence, via }] }
+   */
+  explain(error) {
+    const matches = [];
+    for (const { target, via } of this._targets(error)) {
+      const info = describeError(target);
+      for (const rule of this.rules) {
+        if (matchesTypeRule(rule, info)) matches.push(this._result(rule, via));
+      }
+    }
+    return { ...this.classify(error), matches };
+  }
+
+  /**
+   * @param {Object} ctx - { type, skill, agent, error }
+   * @returns {Object} { severity, rule } — rule is null when the default applied
+   */
+  inferSeverity(ctx) {
+    const rule = this.severityRules.find(r => matchesSeverityRule(r, ctx));
+    return rule
+      ? { severity: rule.severity, rule: rule.name }
+      : { severity: this.defaultSeverity, rule: null };
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  /**
+   * What to classify, in order: the error, then its root cause, then the rest of the chain.
+   */
+  _targets(error) {
+    const targets = [{ target: error, via: 'error' }];
+    if (!error || typeof error !== 'object') return targets;
+
+    const root = getRootCause(error);
+    const chain = [root, ...walkCauses(error).map(c => c.error).filter(e => e !== root)];
+    for (const cause of chain) {
+      if (cause && cause !== error && typeof cause === 'object') targets.push({ target: cause, via: 'cause' });
+    }
+    return targets;
+  }
+
+  _result(rule, via) {
+    return { type: rule.type, confidence: rule.confidence ?? 1, rule: rule.name, via };
+  }
+
+  _insert(list, rule, position, matchers) {
+    if (!rule.name) throw new Error('Classifier rules need a name');
+    if (list.some(r => r.name === rule.name)) throw new Error(`Classifier rule "${rule.name}" already exists`);
+    if (!matchers.some(m => rule[m] !== undefined)) {
+      throw new Error(`Classifier rule "${rule.name}" needs at least one of: ${matchers.join(', ')}`);
+    }
+
+    let index;
+    if (position.before || position.after) {
+      const anchor = list.findIndex(r => r.name === (position.before || position.after));
+      if (anchor === -1) throw new Error(`No classifier rule named "${position.before || position.after}"`);
+      index = position.before ? anchor : anchor + 1;
+    } else if (rule.builtin) {
+      index = list.length;
+    } else {
+      const firstBuiltin = list.findIndex(r => r.builtin);
+      index = firstBuiltin === -1 ? list.length : firstBuiltin;
+    }
+    list.splice(index, 0, rule);
+  }
+}
+
+// ─── Default Classifier ──────────────────────────────────────────────
+
+const defaultRegistry = new ClassifierRegistry();
+
+/**
+ * Auto-classify an error with the built-in rules.
+ * This classification feeds the auto-fix pipeline later.
+ */
+function classifyError(error) {
+  return defaultRegistry.classify(error).type;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  ClassifierRegistry,
+  classifyError,
+  ERROR_TYPES,
+  SEVERITY_LEVELS,
+  SOLANA_ERROR_TYPES,
+  PRESETS
+};
@@ -0,0 +1,274 @@
+/**
+ * X1 Vault — Encryption at Rest
+ *
+ * Optional AES-256-GCM encryption for what ErrorLogger and
+ * VerificationGates write to disk: daily log files (and their archives),
+ * crash reports, SQLite entry JSON and the gate audit trail. Entries carry
+ * wallet addresses, inputs and stack traces; with a key configured none of
+ * that is stored in plain text. Indexes, occurrence counters and
+ * _groups.json only hold hashes, skill names and error types (message
+ * splits are stored hashed) and stay readable.
+ *
+ * Every record (one JSONL line, one crash report) is encrypted on its own,
+ * so appends, batching, multi-process writers and archiving work as before:
+ *
+ *   x1enc:1:<keyId>:<base64 iv | auth tag | ciphertext>
+ *
+ * Readers decrypt transparently and pass plain lines through, so turning
+ * encryption on doesn't strand older files. Lines that fail to decrypt
+ * (unknown key, tampered) are skipped like malformed ones.
+ *
+ * Keys (32 bytes, base64 or hex) come from a keyring. The primary key
+ * encrypts; every key decrypts. To rotate: add a new key as primary, keep
+ * the old one, run the rekey command, then drop the old key.
+ *
+ *   X1_ENCRYPTION_KEY        ← one key, or a keyring "k2:<key>,k1:<key>" (first is primary)
+ *   X1_ENCRYPTION_KEY_FILE   ← file with one key, or { "primary": "k2", "keys": { "k2": "...", "k1": "..." } }
+ *
+ * Usage:
+ *   new ErrorLogger({ logDir: './errors', encryption: true });                  // key from the environment
+ *   new ErrorLogger({ logDir: './errors', encryption: { keyFile: '/etc/x1/log-keys.json' } });
+ *   new VerificationGates({ logger, auditDir: './audit-trail' });               // inherits the logger's keyring
+ *
+ *   // After rotating
+ *   //   npm run rekey -- --dir ./errors --dir ./audit-trail
+ *   // New key:  npm run rekey -- --generate-key
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { withLockSync } = require('./file-lock');
+
+const ENCRYPTED_PREFIX = 'x1enc:1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+
+// ─── Keyring ─────────────────────────────────────────────────────────
+
+class Keyring {
+  /**
+   * @param {Object} options
+   * @param {Object} options.keys - keyId → key (Buffer, base64 or hex)
+   * @param {string} [options.primary] - Key that encrypts (default: the first)
+   */
+  constructor(options = {}) {
+    this.keys = new Map();
+    for (const [id, key] of Object.entries(options.keys || {})) {
+      if (!/^[\w.-]+$/.test(id)) throw new Error(`Invalid encryption key id "${id}" (letters, digits, _ . - only)`);
+      this.keys.set(id, decodeKey(key, id));
+    }
+    if (this.keys.size === 0) throw new Error('Encryption keyring has no keys');
+
+    this.primary = options.primary || this.keys.keys().next().value;
+    if (!this.keys.has(this.primary)) throw new Error(`Primary encryption key "${this.primary}" is not in the keyring`);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} One line: x1enc:1:<keyId>:<payload>
+   */
+  encrypt(text) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.primary), iv);
+    cipher.setAAD(Buffer.from(this.primary));
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    return `${ENCRYPTED_PREFIX}${this.primary}:${payload}`;
+  }
+
+  /**
+   * Decrypt a line written by encrypt(). Plain text is returned unchanged.
+   * Throws on an unknown key or a failed authentication check.
+   */
+  decrypt(line) {
+    if (!isEncrypted(line)) return line;
+    const rest = line.slice(ENCRYPTED_PREFIX.length);
+    const separator = rest.indexOf(':');
+    const keyId = rest.slice(0, separator);
+    const key = this.keys.get(keyId);
+    if (!key) throw new Error(`No encryption key "${keyId}" in the keyring`);
+
+    const payload = Buffer.from(rest.slice(separator + 1), 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, payload.subarray(0, IV_BYTES));
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(payload.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(payload.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf-8');
+  }
+
+  /**
+   * Already encrypted with the primary key (nothing for rekey to do)?
+   */
+  isCurrent(line) {
+    return line.startsWith(`${ENCRYPTED_PREFIX}${this.primary}:`);
+  }
+}
+
+/**
+ * The `encryption` option → a Keyring, or null when encryption is off.
+ *
+ * @param {boolean|Object|Keyring} options
+ *   true                      → key from X1_ENCRYPTION_KEY / X1_ENCRYPTION_KEY_FILE
+ *   { key, keyId }            → one key
+ *   { keys, primary }         → a keyring
+ *   { keyFile }               → key or keyring file
+ * @param {Object} [env] - Environment to read (default: process.env)
+ */
+function loadKeyring(options, env = process.env) {
+  if (!options) return null;
+  if (options instanceof Keyring) return options;
+
+  const config = options === true ? {} : options;
+  if (config.keys) return new Keyring(config);
+  if (config.key) return new Keyring({ keys: { [config.keyId || keyFingerprint(config.key)]: config.key } });
+
+  const keyFile = config.keyFile || env.X1_ENCRYPTION_KEY_FILE;
+  if (keyFile) return parseKeyring(fs.readFileSync(keyFile, 'utf-8').trim());
+  if (env.X1_ENCRYPTION_KEY) return parseKeyring(env.X1_ENCRYPTION_KEY.trim());
+
+  throw new Error('Encryption is enabled but no key was given (set X1_ENCRYPTION_KEY or X1_ENCRYPTION_KEY_FILE)');
+}
+
+/**
+ * Key material as stored in a file or env var: a JSON keyring, a
+ * "id:key,id:key" list (first is primary) or a single key.
+ */
+function parseKeyring(text) {
+  if (text.startsWith('{')) return new Keyring(JSON.parse(text));
+  if (text.includes(':')) {
+    const keys = {};
+    for (const pair of text.split(',')) {
+      const [id, key] = pair.trim().split(':');
+      keys[id] = key;
+    }
+    return new Keyring({ keys });
+  }
+  return new Keyring({ keys: { [keyFingerprint(text)]: text } });
+}
+
+function generateKey() {
+  return crypto.randomBytes(KEY_BYTES).toString('base64');
+}
+
+function isEncrypted(line) {
+  return typeof line === 'string' && line.startsWith(ENCRYPTED_PREFIX);
+}
+
+// ─── Rekeying ────────────────────────────────────────────────────────
+
+/**
+ * Re-encrypt every line of a daily file (plain .json or archived .json.gz)
+ * with the primary key. Plain lines get encrypted; lines no key can open
+ * are left as they are and counted in `failed`. The file is replaced
+ * atomically, and only if something changed.
+ *
+ * @returns {Object} { lines, rewritten, failed }
+ */
+function rekeyFile(filePath, keyring) {
+  const gzipped = filePath.endsWith('.gz');
+  const raw = fs.readFileSync(filePath);
+  const lines = (gzipped ? zlib.gunzipSync(raw) : raw).toString('utf-8').split('\n').filter(Boolean);
+  const result = { lines: lines.length, rewritten: 0, failed: 0 };
+
+  const output = lines.map((line) => {
+    if (keyring.isCurrent(line)) return line;
+    try {
+      const encrypted = keyring.encrypt(keyring.decrypt(line));
+      result.rewritten++;
+      return encrypted;
+    } catch {
+      result.failed++;
+      return line;
+    }
+  });
+  if (result.rewritten === 0) return result;
+
+  const content = Buffer.from(output.join('\n') + '\n');
+  writeAtomic(filePath, gzipped ? zlib.gzipSync(content) : content);
+  return result;
+}
+
+/**
+ * Re-encrypt a whole-file record (a crash report).
+ * @returns {Object} { lines: 1, rewritten: 0|1, failed: 0|1 }
+ */
+function rekeyRecord(filePath, keyring) {
+  const content = fs.readFileSync(filePath, 'utf-8').trim();
+  if (keyring.isCurrent(content)) return { lines: 1, rewritten: 0, failed: 0 };
+  try {
+    writeAtomic(filePath, keyring.encrypt(keyring.decrypt(content)));
+    return { lines: 1, rewritten: 1, failed: 0 };
+  } catch {
+    return { lines: 1, rewritten: 0, failed: 1 };
+  }
+}
+
+/**
+ * Rekey a logger logDir or a gates auditDir: YYYY-MM-DD.json files,
+ * archive/*.json.gz and crash-reports/*.json. Each daily file is rewritten
+ * under logDir's write lock, so running loggers never append mid-rewrite.
+ *
+ * @returns {Object} { files, lines, rewritten, failed }
+ */
+function rekeyDirectory(dir, keyring, options = {}) {
+  const lockPath = path.join(dir, '_write.lock');
+  const totals = { files: 0, lines: 0, rewritten: 0, failed: 0 };
+  const add = (result) => {
+    totals.lines += result.lines;
+    totals.rewritten += result.rewritten;
+    totals.failed += result.failed;
+    if (result.rewritten > 0) totals.files++;
+  };
+  const list = (subdir, pattern) => {
+    const full = path.join(dir, subdir);
+    return fs.existsSync(full) ? fs.readdirSync(full).filter(name => pattern.test(name)).map(name => path.join(full, name)) : [];
+  };
+
+  const dailyFiles = [...list('', /^\d{4}-\d{2}-\d{2}\.json$/), ...list('archive', /^\d{4}-\d{2}-\d{2}\.json\.gz$/)];
+  for (const filePath of dailyFiles) {
+    add(withLockSync(lockPath, () => rekeyFile(filePath, keyring), options.lock));
+  }
+  for (const filePath of list('crash-reports', /\.json$/)) {
+    add(rekeyRecord(filePath, keyring));
+  }
+  return totals;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+
+function decodeKey(key, id) {
+  let bytes;
+  if (Buffer.isBuffer(key)) bytes = key;
+  else if (/^[0-9a-f]{64}$/i.test(key)) bytes = Buffer.from(key, 'hex');
+  else bytes = Buffer.from(String(key), 'base64');
+  if (bytes.length !== KEY_BYTES) throw new Error(`Encryption key "${id}" must be ${KEY_BYTES} bytes (base64 or hex)`);
+  return bytes;
+}
+
+// Stable id for a key given without one, so the same key always gets the same id
+function keyFingerprint(key) {
+  return crypto.createHash('sha256').update(decodeKey(key, 'key')).digest('hex').slice(0, 8);
+}
+
+function writeAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, content);
+  fs.renameSync(tmpPath, filePath);
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  Keyring,
+  loadKeyring,
+  parseKeyring,
+  generateKey,
+  isEncrypted,
+  rekeyFile,
+  rekeyRecord,
+  rekeyDirectory,
+  ENCRYPTED_PREFIX
+};
@@ -0,0 +1,413 @@
+/**
+ * X1 Vault — Log Entry Schema
+ *
+ * One JSON Schema per entry type written to the logs — ErrorLogger's
+ * error / retry / success / fix / span / suppressed entries and
+ * VerificationGates' gate_decision / audit_trail entries — plus the
+ * migrations that bring older entries up to the current shape.
+ *
+ *   schema_version   stamped on every entry when it is written
+ *   0                entries from before versioning (no schema_version field)
+ *   1                current: snake_case throughout (gates' userId → user_id,
+ *                    outputSummary → output_summary), fields added since the
+ *                    first release present (null / [] / {} when unknown)
+ *
+ * Readers (query(), getStats()) pass stored entries through upgradeEntry(),
+ * so analysis code only ever sees the current shape. To change the format:
+ * bump SCHEMA_VERSION, update the schemas, and add a migration from the
+ * previous version.
+ *
+ * In development (NODE_ENV or the logger's environment is 'development' or
+ * 'test', or `validateEntries: true`) entries are validated before they are
+ * written. An invalid entry is reported as an EntrySchemaError process
+ * warning (once per distinct problem) and still written — logging never
+ * fails because of it — so drift shows up in tests instead of in
+ * production logs.
+ *
+ * Usage:
+ *   validateEntry(entry);           // → [] or ['context.user_id must be string|number|null', ...]
+ *   upgradeEntry(legacyGateEntry);  // → { ..., user_id, output_summary, schema_version: 1 }
+ *   ENTRY_SCHEMAS.error;            // the JSON Schema itself (e.g. for a collector)
+ */
+
+const SCHEMA_VERSION = 1;
+
+// ─── Schemas ─────────────────────────────────────────────────────────
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const integer = { type: 'integer', minimum: 0 };
+const timestamp = { type: 'string', format: 'date-time' };
+const freeObject = { type: 'object' };
+const nullableObject = { type: ['object', 'null'] };
+
+const SEVERITY = { type: ['string', 'null'], enum: ['low', 'medium', 'high', 'critical', null] };
+
+// release / environment / host, stamped on every logger entry
+const STAMP = {
+  schema_version: { type: 'integer', const: SCHEMA_VERSION },
+  timestamp,
+  release: nullableString,
+  environment: nullableString,
+  host: nullableString
+};
+
+const REQUEST_CONTEXT = {
+  type: ['object', 'null'],
+  required: ['correlation_id'],
+  properties: {
+    correlation_id: string,
+    route: nullableString,
+    chat_id: { type: ['string', 'number', 'null'] },
+    user_id: { type: ['string', 'number', 'null'] },
+    parent_skill: nullableString,
+    skill_path: { type: 'array', items: string },
+    span_id: nullableString,
+    parent_span_id: nullableString,
+    failed_span_id: nullableString,
+    extra: nullableObject
+  },
+  additionalProperties: false
+};
+
+const EXECUTION = {
+  type: 'object',
+  required: ['id', 'attempt', 'max_attempts', 'outcome'],
+  properties: {
+    id: nullableString,
+    attempt: integer,
+    max_attempts: integer,
+    outcome: { type: 'string', enum: ['retried', 'succeeded', 'recovered', 'failed', 'fallback'] },
+    retry_in_ms: integer
+  },
+  additionalProperties: false
+};
+
+const BREADCRUMB = {
+  type: 'object',
+  required: ['timestamp', 'category', 'level', 'message'],
+  properties: {
+    timestamp,
+    category: string,
+    level: string,
+    message: string,
+    data: nullableObject,
+    correlation_id: nullableString
+  }
+};
+
+const CAUSE = {
+  type: 'object',
+  required: ['via', 'depth', 'message'],
+  properties: {
+    via: string,
+    depth: integer,
+    name: nullableString,
+    message: {},
+    stack: nullableString,
+    properties: freeObject
+  }
+};
+
+// Shared by error and retry entries (retries are failed attempts that were retried)
+const ERROR_PROPERTIES = {
+  ...STAMP,
+  hash: string,
+  original_hash: nullableString,
+  fingerprint: string,
+  error_type: string,
+  severity: SEVERITY,
+  classification: {
+    type: ['object', 'null'],
+    properties: {
+      rule: nullableString,
+      confidence: { type: ['number', 'null'] },
+      via: nullableString,
+      severity_rule: nullableString
+    }
+  },
+  skill: nullableString,
+  agent: nullableString,
+  message: string,
+  name: string,
+  stack: nullableString,
+  generated_stack: nullableString,
+  causes: { type: 'array', items: CAUSE },
+  properties: freeObject,
+  input_summary: nullableString,
+  metadata: freeObject,
+  context: REQUEST_CONTEXT,
+  breadcrumbs: { type: 'array', items: BREADCRUMB },
+  execution: EXECUTION
+};
+const ERROR_REQUIRED = ['type', 'schema_version', 'timestamp', 'hash', 'error_type', 'severity', 'message', 'name'];
+
+const GATE_PROPERTIES = {
+  schema_version: STAMP.schema_version,
+  timestamp,
+  gate: { type: 'string', enum: ['gate1', 'gate2'] },
+  skill: string,
+  status: string,
+  risk: nullableString,
+  user_id: { type: ['string', 'number', 'null'] }
+};
+
+function entrySchema(type, properties, required) {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `x1-vault/log-entry/${type}/v${SCHEMA_VERSION}`,
+    title: `${type} entry`,
+    type: 'object',
+    required,
+    properties: { type: { const: type }, ...properties },
+    additionalProperties: false
+  };
+}
+
+const ENTRY_SCHEMAS = {
+  error: entrySchema('error', {
+    ...ERROR_PROPERTIES,
+    occurrence_count: integer,
+    issue_status: { type: 'string', enum: ['open', 'resolved', 'regressed', 'ignored', 'muted'] },
+    regression: { type: 'boolean' },
+    sampled: { type: 'boolean' },
+    suppressed: { type: 'boolean' }
+  }, [...ERROR_REQUIRED, 'occurrence_count']),
+
+  retry: entrySchema('retry', ERROR_PROPERTIES, [...ERROR_REQUIRED, 'execution']),
+
+  success: entrySchema('success', {
+    ...STAMP,
+    skill: string,
+    agent: nullableString,
+    input_summary: nullableString,
+    duration_ms: integer,
+    context: REQUEST_CONTEXT,
+    execution: EXECUTION
+  }, ['type', 'schema_version', 'timestamp', 'skill', 'duration_ms']),
+
+  fix: entrySchema('fix', {
+    ...STAMP,
+    error_hash: string,
+    description: nullableString,
+    diff: nullableString,
+    fixed_by: string
+  }, ['type', 'schema_version', 'timestamp', 'error_hash', 'fixed_by']),
+
+  span: entrySchema('span', {
+    ...STAMP,
+    name: string,
+    skill: nullableString,
+    agent: nullableString,
+    trace_id: nullableString,
+    span_id: string,
+    parent_span_id: nullableString,
+    status: { type: 'string', enum: ['ok', 'error'] },
+    started_at: timestamp,
+    duration_ms: integer,
+    error: nullableString,
+    attributes: freeObject
+  }, ['type', 'schema_version', 'timestamp', 'name', 'span_id', 'status', 'duration_ms']),
+
+  suppressed: entrySchema('suppressed', {
+    ...STAMP,
+    hash: string,
+    error_type: nullableString,
+    severity: SEVERITY,
+    skill: nullableString,
+    agent: nullableString,
+    message: nullableString,
+    name: nullableString,
+    suppressed_count: integer,
+    sampled_count: integer,
+    stored_count: integer,
+    window_start: timestamp,
+    window_end: timestamp,
+    occurrence_count: integer
+  }, ['type', 'schema_version', 'timestamp', 'hash', 'suppressed_count', 'window_start', 'window_end']),
+
+  gate_decision: entrySchema('gate_decision', GATE_PROPERTIES,
+    ['type', 'schema_version', 'timestamp', 'gate', 'skill', 'status']),
+
+  audit_trail: entrySchema('audit_trail', {
+    ...GATE_PROPERTIES,
+    plan: nullableObject,
+    output_summary: nullableString,
+    checks: { type: ['array', 'null'], items: freeObject }
+  }, ['type', 'schema_version', 'timestamp', 'gate', 'skill', 'status'])
+};
+
+// ─── Validation ──────────────────────────────────────────────────────
+
+/**
+ * Check an entry against the schema for its type. Covers the JSON Schema
+ * keywords used above (type, const, enum, required, properties, items,
+ * additionalProperties, minimum, format: date-time).
+ *
+ * @returns {string[]} Problems, e.g. ['user_id is not allowed'] — empty when valid
+ */
+function validateEntry(entry) {
+  const schema = entry && ENTRY_SCHEMAS[entry.type];
+  if (!schema) return [`unknown entry type ${JSON.stringify(entry?.type)}`];
+  const errors = [];
+  check(entry, schema, '', errors);
+  return errors;
+}
+
+function check(value, schema, where, errors) {
+  const at = where || 'entry';
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${at} must be ${[].concat(schema.type).join('|')}`);
+    return;
+  }
+  if ('const' in schema && value !== schema.const) errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.filter(v => v !== null).join(', ')}`);
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+  if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) errors.push(`${at} must be an ISO date-time`);
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(item, schema.items, `${at}[${i}]`, errors));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${where ? `${where}.` : ''}${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const path = where ? `${where}.${key}` : key;
+      if (schema.properties?.[key]) {
+        if (child !== undefined) check(child, schema.properties[key], path, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path} is not allowed`);
+      }
+    }
+  }
+}
+
+function matchesType(value, types) {
+  return [].concat(types).some((type) => {
+    if (type === 'null') return value === null;
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'integer') return Number.isInteger(value);
+    return typeof value === type;
+  });
+}
+
+/**
+ * The warning emitted for an invalid entry in development.
+ */
+function entrySchemaError(entry, errors) {
+  const error = new Error(`Invalid ${entry?.type || 'log'} entry: ${errors.join('; ')}`);
+  error.name = 'EntrySchemaError';
+  error.code = 'EENTRYSCHEMA';
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Validate an entry about to be written and emit a process warning when it
+ * doesn't match its schema. `seen` (a Set) keeps one warning per distinct
+ * set of problems, so a recurring mismatch doesn't flood stderr.
+ *
+ * @returns {string[]} The problems found
+ */
+function warnIfInvalid(entry, seen) {
+  const problems = validateEntry(entry);
+  if (problems.length === 0) return problems;
+
+  const key = `${entry?.type}:${problems.join('|')}`;
+  if (!seen.has(key)) {
+    seen.add(key);
+    process.emitWarning(entrySchemaError(entry, problems));
+  }
+  return problems;
+}
+
+/**
+ * Validate before write? `explicit` wins; otherwise on in development and test.
+ */
+function shouldValidate(explicit, environment = null) {
+  if (explicit !== undefined && explicit !== null) return Boolean(explicit);
+  return ['development', 'test'].includes(environment || process.env.NODE_ENV);
+}
+
+// ─── Migrations ──────────────────────────────────────────────────────
+
+// MIGRATIONS[n] upgrades a version-n entry to version n + 1 (returns a new object)
+const MIGRATIONS = [
+  // 0 → 1: stamp fields and error details added after the first release, camelCase gate fields renamed
+  (entry) => {
+    const upgraded = { ...entry };
+    const defaults = (fields) => {
+      for (const [key, value] of Object.entries(fields)) {
+        if (upgraded[key] === undefined) upgraded[key] = value;
+      }
+    };
+    const rename = (from, to) => {
+      if (!(from in upgraded)) return;
+      if (upgraded[to] === undefined) upgraded[to] = upgraded[from];
+      delete upgraded[from];
+    };
+
+    if (entry.type === 'gate_decision' || entry.type === 'audit_trail') {
+      rename('userId', 'user_id');
+      rename('outputSummary', 'output_summary');
+      return upgraded;
+    }
+
+    defaults({ release: null, environment: null, host: null });
+    if (entry.type === 'error' || entry.type === 'retry') {
+      defaults({
+        original_hash: null,
+        fingerprint: 'stack',
+        classification: null,
+        generated_stack: null,
+        causes: [],
+        properties: {},
+        context: null,
+        breadcrumbs: []
+      });
+    } else if (entry.type === 'success') {
+      defaults({ agent: null, input_summary: null, context: null });
+    } else if (entry.type === 'fix') {
+      defaults({ diff: null, fixed_by: 'user' });
+    }
+    return upgraded;
+  }
+];
+
+/**
+ * Bring a stored entry to the current schema version. Current entries are
+ * returned as they are; entries from a newer version are left untouched.
+ */
+function upgradeEntry(entry) {
+  if (!entry || typeof entry !== 'object') return entry;
+  let version = entryVersion(entry);
+  if (version >= SCHEMA_VERSION) return entry;
+
+  let upgraded = entry;
+  while (version < SCHEMA_VERSION) {
+    upgraded = MIGRATIONS[version](upgraded);
+    version++;
+  }
+  upgraded.schema_version = SCHEMA_VERSION;
+  return upgraded;
+}
+
+function entryVersion(entry) {
+  return Number.isInteger(entry.schema_version) ? entry.schema_version : 0;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  SCHEMA_VERSION,
+  ENTRY_SCHEMAS,
+  MIGRATIONS,
+  validateEntry,
+  upgradeEntry,
+  entryVersion,
+  entrySchemaError,
+  warnIfInvalid,
+  shouldValidate
+};
@@ -0,0 +1,116 @@
+/**
+ * X1 Vault — Error Cause Chains
+ *
+ * Helpers for looking inside an error: the `cause` chain, the inner errors
+ * of AggregateError (Promise.any, parallel agents) and the custom
+ * properties HTTP clients and Node's system errors hang on it.
+ * Shared by ErrorLogger (entry building, root-cause hashing) and the
+ * classifier registry (rules that match on causes).
+ *
+ * Usage:
+ *   walkCauses(err);             // → [{ error, via: 'cause', depth: 1 }, ...]
+ *   getRootCause(err);           // → innermost error
+ *   collectErrorProperties(err); // → { code: 'ECONNREFUSED', response: { status, data }, ... }
+ */
+
+// ─── Cause Chains ────────────────────────────────────────────────────
+
+const MAX_CAUSE_DEPTH = 5;
+const MAX_CAUSES = 20;
+
+/**
+ * Flatten everything nested inside an error: the `cause` chain and the
+ * inner errors of AggregateError (Promise.any, parallel agents).
+ * Depth-first, in the order a reader would follow them. Cycle-safe.
+ *
+ * @returns {Array} [{ error, via, depth }] — via is 'cause' or 'errors[i]'
+ */
+function walkCauses(error, maxDepth = MAX_CAUSE_DEPTH) {
+  const found = [];
+  const seen = new Set([error]);
+
+  const visit = (node, depth) => {
+    if (depth >= maxDepth || !node || typeof node !== 'object') return;
+
+    const children = [];
+    if (Array.isArray(node.errors)) {
+      node.errors.forEach((inner, i) => children.push([inner, `errors[${i}]`]));
+    }
+    if (node.cause !== undefined && node.cause !== null) {
+      children.push([node.cause, 'cause']);
+    }
+
+    for (const [child, via] of children) {
+      if (found.length >= MAX_CAUSES) return;
+      if (typeof child === 'object' && seen.has(child)) continue;
+      if (typeof child === 'object') seen.add(child);
+      found.push({ error: child, via, depth: depth + 1 });
+      visit(child, depth + 1);
+    }
+  };
+
+  visit(error, 0);
+  return found;
+}
+
+/**
+ * The innermost error: follow `cause` down, stepping into the first inner
+ * error of an AggregateError that has no cause of its own.
+ */
+function getRootCause(error) {
+  const seen = new Set();
+  let current = error;
+
+  while (current && typeof current === 'object' && !seen.has(current)) {
+    seen.add(current);
+    const next = current.cause ?? (Array.isArray(current.errors) ? current.errors[0] : undefined);
+    if (next === undefined || next === null) break;
+    current = next;
+  }
+  return current;
+}
+
+// ─── Error Properties ────────────────────────────────────────────────
+
+// Keys that are either recorded elsewhere in the entry or too heavy to keep (HTTP client internals)
+const SKIPPED_ERROR_KEYS = new Set(['message', 'stack', 'name', 'cause', 'errors', 'config', 'request', 'response']);
+
+/**
+ * Custom properties hung on an error: enumerable own fields (code, errno,
+ * syscall, ...) plus the well-known ones libraries define as getters, and
+ * the useful slice of an HTTP client's `response`.
+ */
+function collectErrorProperties(error) {
+  const props = {};
+  if (!error || typeof error !== 'object') return props;
+
+  for (const key of Object.keys(error)) {
+    if (SKIPPED_ERROR_KEYS.has(key)) continue;
+    const value = error[key];
+    if (value === undefined || typeof value === 'function') continue;
+    props[key] = value;
+  }
+
+  for (const key of ['code', 'status', 'statusCode', 'errno', 'syscall']) {
+    if (!(key in props) && error[key] !== undefined) props[key] = error[key];
+  }
+
+  if (error.response && typeof error.response === 'object') {
+    const { status, statusCode, statusText, data } = error.response;
+    props.response = {
+      status: status ?? statusCode ?? null,
+      statusText: statusText ?? null,
+      data: data ?? null
+    };
+  }
+
+  return props;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  walkCauses,
+  getRootCause,
+  collectErrorProperties
+};
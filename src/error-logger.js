@@ -23,97 +23,112 @@
  *     input: { key: 'session_abc' },
  *     severity: 'high'
  *   });
+ *
+ *   // Writes are queued and batched — flush before reading files directly or exiting
+ *   await logger.flush();   // or: await logger.close();
+ *
+ *   // Several processes (bot, cron, workers) can share one logDir — appends and
+ *   // occurrence counts are coordinated through lock files and a shared journal
+ *
+ *   // Compiled / bundled skills: store and fingerprint original TS/ESM locations
+ *   new ErrorLogger({ logDir: './errors', sourceMaps: true });
+ *
+ *   // Request scope: captures inside pick up correlation ID, route, chatId, userId, parent skill
+ *   await logger.withContext({ chatId, userId }, () => router.route(text));
+ *
+ *   // Timeout, retries for transient errors, fallback (see execution-policy.js)
+ *   await logger.wrapSkill('price-feed', ({ signal }) => fetchPrice(mint, { signal }), { mint }, {
+ *     timeoutMs: 5000, retry: { attempts: 3 }, fallback: () => cachedPrice(mint)
+ *   });
+ *
+ *   // Circuit breakers per skill and dependency: refuse calls while an API is down (see circuit-breaker.js)
+ *   new ErrorLogger({ logDir: './errors', circuitBreaker: { threshold: 5, windowMs: 60000, cooldownMs: 30000 } });
+ *   await logger.wrapSkill('token-audit', () => audit(mint), { mint }, { dependencies: ['birdeye'] });
+ *   logger.circuits.on('open', (circuit) => notify(`${circuit.name} is down`));
+ *
+ *   // Sync code and whole agents (see instrument.js)
+ *   const parsed = logger.wrapSync('parse-mint', () => parseMint(text), { text }, { rethrow: true });
+ *   logger.wrapAgent(tokenAuditAgent, { skills: { audit: 'token-audit' } }); // every public method logged as a skill
+ *
+ *   // Nested timing inside a skill (parent/child spans, summarized in generateReport().spans)
+ *   await logger.wrapSkill('token-audit', async () => {
+ *     const holders = await logger.span('fetch-holders', () => api.holders(mint));
+ *   });
+ *
+ *   // Issue lifecycle: resolved hashes that come back are flagged as regressions
+ *   new ErrorLogger({ logDir: './errors', onRegression: (entry, issue) => alert(entry) });
+ *   logger.resolveIssue(hash, { reference: 'PR #42', release: '1.4.0' });
+ *   logger.muteIssue(hash, { until: '2026-11-01', count: 100 });
+ *   logger.ignoreIssue(hash, { reason: 'third-party flake' });
+ *
+ *   // Which build produced each entry, and did the new one make things worse?
+ *   new ErrorLogger({ logDir: './errors', release: '1.4.0', environment: 'production' });
+ *   logger.compareReleases('1.3.2', '1.4.0'); // → { new_hashes, resolved_hashes, by_skill deltas, verdict }
+ *
+ *   // Alert rules with cooldowns and targets (see alert-rules.js)
+ *   new ErrorLogger({
+ *     logDir: './errors',
+ *     alerts: {
+ *       targets: { admin: (alert) => notify(alert.message) },
+ *       rules: [{ name: 'audit-network', when: 'count(type=network, skill=token-audit) > 5 within 10m', cooldown: '30m' }]
+ *     }
+ *   });
+ *
+ *   // Breadcrumbs: the trail of routes, gate decisions, HTTP calls and notes before an error
+ *   new ErrorLogger({ logDir: './errors', breadcrumbs: { max: 50, attach: 10, http: true } });
+ *   logger.breadcrumb('Fetched holders', { category: 'token-audit', data: { count: 412 } });
+ *
+ *   // Crashes outside capture()/wrapSkill (timers, polling loops, event handlers)
+ *   logger.installGlobalHandlers({ crashReports: true }); // errors/crash-reports/crash-*.json
+ *
+ *   // Outage floods: store 10 of each error per minute, count the rest, one summary per window
+ *   new ErrorLogger({ logDir: './errors', suppression: { windowMs: 60000, maxPerWindow: 10 } });
+ *
+ *   // How errors are grouped, and manual corrections (see fingerprint.js)
+ *   new ErrorLogger({ logDir: './errors', fingerprint: 'stack+skill' });
+ *   logger.mergeHashes('0f9e8d7c6b5a', 'a1b2c3d4e5f6'); // counts, queries and fixes follow
+ *   logger.splitHash('a1b2c3d4e5f6', { by: 'skill' });
+ *
+ *   // Domain error types and severities (see classifier.js)
+ *   new ErrorLogger({ logDir: './errors', classifier: { presets: ['solana'] } });
+ *
+ *   // Every entry carries schema_version; older entries are migrated on read (see entry-schema.js)
+ *   new ErrorLogger({ logDir: './errors', validateEntries: true }); // default in development / test
+ *
+ *   // Encryption at rest (AES-256-GCM, key from X1_ENCRYPTION_KEY or a key file; see encryption.js)
+ *   new ErrorLogger({ logDir: './errors', encryption: true }); // query() decrypts; `npm run rekey` after rotating keys
+ *
+ *   // Storage: daily JSONL files (default) or SQLite via node:sqlite, Node 22.5+ (see storage.js, sqlite-storage.js)
+ *   new ErrorLogger({ logDir: './errors', storage: 'sqlite' }); // errors/errors.db; `npm run migrate:sqlite` imports old days
+ *   logger.storage.sql("SELECT skill, COUNT(*) AS n FROM entries WHERE type = 'error' GROUP BY skill");
+ *
+ *   // Keep the log directory bounded (older days are gzipped into errors/archive/)
+ *   new ErrorLogger({
+ *     logDir: './errors',
+ *     retention: { archiveAfterDays: 7, maxAgeDays: 90, maxTotalBytes: 500 * 1024 * 1024 }
+ *   });
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const crypto = require('crypto');
-
-// ─── Error Classification ────────────────────────────────────────────
-
-const ERROR_TYPES = {
-  SYNTAX:       'syntax',
-  LOGIC:        'logic',
-  API:          'api',
-  DEPENDENCY:   'dependency',
-  TIMEOUT:      'timeout',
-  PERMISSION:   'permission',
-  VALIDATION:   'validation',
-  NETWORK:      'network',
-  UNKNOWN:      'unknown'
-};
-
-const SEVERITY_LEVELS = {
-  LOW:      'low',       // Logged, no action needed
-  MEDIUM:   'medium',    // Logged, flag for review
-  HIGH:     'high',      // Logged, alert user
-  CRITICAL: 'critical'   // Logged, halt execution, alert immediately
-};
-
-// ─── Stack Trace Hashing ─────────────────────────────────────────────
-
-/**
- * Generate a stable hash from an error's stack trace.
- * Strips line numbers and file paths to group "same root cause" errors.
- * This is the key that links errors to known fixes.
- */
-function hashStackTrace(stack) {
-  if (!stack) return 'no-stack';
-
-  const normalized = stack
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line.startsWith('at '))
-    .map(line => {
-      // Strip line:col numbers — same function, different line = same root cause
-      return line.replace(/:\d+:\d+\)?$/, '');
-    })
-    // Strip absolute paths — normalize across environments
-    .map(line => line.replace(/\(\/.*\//g, '('))
-    .slice(0, 5) // Top 5 frames are usually enough to fingerprint
-    .join('|');
-
-  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 12);
-}
-
-// ─── Error Type Classifier ──────────────────────────────────────────
-
-/**
- * Auto-classify an error by inspecting its message and properties.
- * This classification feeds the auto-fix pipeline later.
- */
-function classifyError(error) {
-  const msg = (error.message || '').toLowerCase();
-  const name = (error.name || '').toLowerCase();
-
-  if (name === 'syntaxerror' || msg.includes('unexpected token'))
-    return ERROR_TYPES.SYNTAX;
-
-  if (msg.includes('econnrefused') || msg.includes('enotfound') || msg.includes('fetch failed') || msg.includes('network'))
-    return ERROR_TYPES.NETWORK;
-
-  if (msg.includes('timeout') || msg.includes('etimedout') || msg.includes('deadline'))
-    return ERROR_TYPES.TIMEOUT;
-
-  if (msg.includes('401') || msg.includes('403') || msg.includes('unauthorized') || msg.includes('permission'))
-    return ERROR_TYPES.PERMISSION;
-
-  if (msg.includes('404') || msg.includes('429') || msg.includes('500') || msg.includes('api') || msg.includes('rate limit'))
-    return ERROR_TYPES.API;
-
-  // Check error name for JS built-in type errors BEFORE message-based checks
-  // so TypeError("x is not a function") is classified as logic, not dependency
-  if (name === 'typeerror' || name === 'referenceerror' || name === 'rangeerror')
-    return ERROR_TYPES.LOGIC;
-
-  if (msg.includes('cannot find module') || msg.includes('module not found') || msg.includes('is not a function'))
-    return ERROR_TYPES.DEPENDENCY;
-
-  if (msg.includes('invalid') || msg.includes('required') || msg.includes('expected') || msg.includes('must be'))
-    return ERROR_TYPES.VALIDATION;
-
-  return ERROR_TYPES.UNKNOWN;
-}
+const { Redactor } = require('./redaction');
+const { createStorage, todayString } = require('./storage');
+const { loadKeyring } = require('./encryption');
+const { SCHEMA_VERSION, upgradeEntry, warnIfInvalid, shouldValidate } = require('./entry-schema');
+const { SourceMapResolver } = require('./source-maps');
+const { ClassifierRegistry, classifyError, ERROR_TYPES, SEVERITY_LEVELS } = require('./classifier');
+const { walkCauses, getRootCause, collectErrorProperties } = require('./error-causes');
+const { Fingerprinter, FingerprintGroups, hashStackTrace } = require('./fingerprint');
+const { BurstSuppressor } = require('./burst-suppression');
+const { runWithContext, updateContext, getContext } = require('./request-context');
+const { newSpanId, markFailedSpan, failedSpanOf, summarizeSpans } = require('./tracing');
+const { IssueStore, ISSUE_STATUS } = require('./issue-store');
+const { AlertEngine, AlertState } = require('./alert-rules');
+const { BreadcrumbBuffer, instrumentHttp } = require('./breadcrumbs');
+const { resolvePolicy, shouldRetry, backoffDelay, runAttempt, waitForRetry } = require('./execution-policy');
+const { CircuitBreakers, circuitOpenError, CIRCUIT_OPEN_CODE } = require('./circuit-breaker');
+const { instrumentObject, unwrapOutcome } = require('./instrument');
 
 // ─── Core Logger ─────────────────────────────────────────────────────
 
@@ -121,14 +136,144 @@ class ErrorLogger {
   constructor(options = {}) {
     this.logDir = options.logDir || path.join(process.cwd(), 'errors');
     this.maxRetries = options.maxRetries || 2;           // Auto-fix threshold
-    this.onCritical = options.onCritical || null;         // Callback for critical errors
-    this.onThresholdHit = options.onThresholdHit || null; // Callback when error repeats > maxRetries
+    this.onCritical = options.onCritical || null;         // Callback for critical errors (the built-in 'critical' alert rule)
+    this.onThresholdHit = options.onThresholdHit || null; // Callback when error repeats > maxRetries (the built-in 'threshold' rule)
+    this.onRegression = options.onRegression || null;     // Callback when a resolved issue comes back
+    this.hashRootCause = options.hashRootCause || false;  // Fingerprint wrapped errors by their root cause
+    this.tracing = options.tracing !== false;             // Write span entries from span() (`tracing: false` to skip)
+
+    // Stamped on every entry — lets compareReleases() tell builds and deployments apart
+    this.release = options.release || null;               // e.g. '1.4.0' or a commit SHA
+    this.environment = options.environment || null;       // e.g. 'production', 'staging'
+    this.host = options.host === undefined ? os.hostname() : options.host;
+
+    // Check entries against their JSON Schema before writing (see entry-schema.js);
+    // on by default in development and test, where an invalid entry emits a warning
+    this.validateEntries = shouldValidate(options.validateEntries, this.environment);
+    this._schemaWarnings = new Set();
+
+    // Retention policy for stored days (all limits off by default — keep everything)
+    this.retention = {
+      archiveAfterDays: null, // gzip daily files older than N days into archive/ (file storage)
+      maxAgeDays: null,       // delete days (plain or archived) older than N days
+      maxTotalBytes: null,    // delete oldest days until the stored logs fit under this
+      ...options.retention
+    };
+
+    // Secret scrubbing for inputs, messages, stacks and metadata (pass `redaction: false` to disable)
+    this.redactor = options.redaction instanceof Redactor
+      ? options.redaction
+      : new Redactor(options.redaction === false ? { enabled: false } : options.redaction);
+
+    // Rules that decide error_type and severity (a ClassifierRegistry, or its options)
+    this.classifier = options.classifier instanceof ClassifierRegistry
+      ? options.classifier
+      : new ClassifierRegistry(options.classifier);
+
+    // Optional source-map resolution of stacks (`sourceMaps: true`, resolver options, or a SourceMapResolver)
+    this.sourceMaps = options.sourceMaps instanceof SourceMapResolver
+      ? options.sourceMaps
+      : options.sourceMaps ? new SourceMapResolver(options.sourceMaps === true ? {} : options.sourceMaps) : null;
+
+    // What makes two errors "the same" (a strategy name, fn, options or a Fingerprinter),
+    // plus merges/splits made after the fact — shared through logDir/_groups.json
+    this.fingerprinter = options.fingerprint instanceof Fingerprinter
+      ? options.fingerprint
+      : new Fingerprinter(options.fingerprint);
+
+    // Per-hash burst suppression (`suppression: true` or BurstSuppressor options; off by default).
+    // Past the limit only counters are kept, and callbacks fire once per window.
+    this._suppressor = options.suppression
+      ? new BurstSuppressor({
+        ...(options.suppression === true ? {} : options.suppression),
+        onWindowClose: (summary) => this._logSuppressed(summary)
+      })
+      : null;
+
+    // Alert rules evaluated on every error and skill success (an AlertEngine or its options).
+    // Notifications pass the burst-suppression gate: at most once per rule per hash per window.
+    // Cooldowns and first-seen hashes are shared with every process logging to logDir.
+    this.alerts = options.alerts instanceof AlertEngine
+      ? options.alerts
+      : new AlertEngine({ ...options.alerts, onError: options.onAlertError });
+    if (!this.alerts.state) {
+      this.alerts.state = new AlertState({ dir: this.logDir, lock: options.lock });
+    }
+    if (!this.alerts.shouldNotify) {
+      this.alerts.shouldNotify = (alert) => !alert.entry?.hash || this._shouldNotify(alert.entry.hash, alert.rule);
+    }
+    this._addLegacyAlertRules();
+
+    // Recent breadcrumbs, the last `attach` of which go on every entry (`breadcrumbs: false` to disable).
+    // `http: true` also records outgoing fetch / http(s) requests.
+    const breadcrumbOptions = options.breadcrumbs === false ? null : { ...options.breadcrumbs };
+    this._breadcrumbs = breadcrumbOptions ? new BreadcrumbBuffer(breadcrumbOptions) : null;
+    this.breadcrumbsAttached = breadcrumbOptions?.attach ?? 10;
+    // `http: true` records outgoing requests; `http: { ignoreHosts }` leaves some APIs out
+    const httpBreadcrumbs = breadcrumbOptions?.http;
+    this._stopHttpBreadcrumbs = httpBreadcrumbs
+      ? instrumentHttp((request) => this._httpBreadcrumb(request), httpBreadcrumbs === true ? {} : httpBreadcrumbs)
+      : null;
+
+    // Circuit breakers per skill / dependency (opt-in; `circuitBreaker: true` for the defaults)
+    this.circuits = options.circuitBreaker
+      ? new CircuitBreakers(options.circuitBreaker === true ? {} : options.circuitBreaker)
+      : null;
+    if (this.circuits) {
+      this.circuits.on('change', (circuit) => {
+        const level = circuit.state === 'open' ? 'error' : 'info';
+        this.breadcrumb(`${circuit.kind} ${circuit.name} circuit ${circuit.from} → ${circuit.state}`, { category: 'circuit', level, data: circuit });
+      });
+    }
 
-    // In-memory occurrence counter (persisted to disk on flush)
-    this._occurrenceMap = new Map(); // hash → count
+    this._groups = new FingerprintGroups({ dir: this.logDir, lock: options.lock });
+    this._issues = new IssueStore({ dir: this.logDir, lock: options.lock });
+    this._lastRetentionDate = null;  // Date of the last retention pass (runs once per day)
+    this._globalHandlers = null;     // Installed process listeners (see installGlobalHandlers)
+    this._crashed = new WeakSet();   // Errors already captured as crashes
 
     this._ensureLogDir();
-    this._loadOccurrenceMap();
+
+    // AES-GCM encryption of stored entries and crash reports (see encryption.js).
+    // `encryption: true` reads the key from X1_ENCRYPTION_KEY / X1_ENCRYPTION_KEY_FILE.
+    this.keyring = loadKeyring(options.encryption);
+
+    // Entries and occurrence counts (see storage.js): daily JSONL files by default,
+    // `storage: 'sqlite'` for logDir/errors.db, or any adapter instance
+    this.storage = createStorage(options.storage, {
+      dir: this.logDir,
+      keyring: this.keyring,
+      lock: options.lock,
+      batchSize: options.batchSize,
+      flushIntervalMs: options.flushIntervalMs,
+      // Occurrence counts are taken in memory and appended in debounced async batches
+      occurrenceSaveDelayMs: options.occurrenceSaveDelayMs
+    });
+    // Occurrence counts shared with every other process using this storage
+    this._occurrences = this.storage.occurrences;
+
+    // Destinations every entry fans out to. The storage sink backs query() and the reports;
+    // pass `fileSink: false` only if another sink is your system of record.
+    this.onSinkError = options.onSinkError || null; // (sink, error, entry) => void
+    this.sinks = [];
+    this._storageSink = null;
+    if (options.fileSink !== false) {
+      this._storageSink = this.storage.sink;
+      this.addSink(this._storageSink);
+    }
+    for (const sink of options.sinks || []) {
+      this.addSink(sink);
+    }
+
+    this._readOccurrences();
+    this._maybeApplyRetention();
+
+    // Flush queued writes on process exit / SIGINT / SIGTERM (opt out with `exitHooks: false`).
+    // The hooks keep the logger alive until close() — close loggers you create per job or test.
+    if (options.exitHooks !== false) {
+      liveLoggers.add(this);
+      installExitHooks();
+    }
   }
 
   // ── Public API ───────────────────────────────────────────────────
@@ -146,28 +291,49 @@ class ErrorLogger {
    * @returns {Object} The structured error entry (for chaining/inspection)
    */
   capture(error, context = {}) {
+    // Fill skill/agent from the active request scope when not given
+    const scope = getContext();
+    if (scope) {
+      context = {
+        ...context,
+        skill: context.skill || scope.skills[scope.skills.length - 1],
+        agent: context.agent || scope.agent || undefined
+      };
+    }
+
     const entry = this._buildEntry(error, context);
 
-    // Track occurrences
-    const count = (this._occurrenceMap.get(entry.hash) || 0) + 1;
-    this._occurrenceMap.set(entry.hash, count);
+    // Track occurrences (across every process sharing the logDir)
+    const count = this._countOccurrence(entry.hash);
     entry.occurrence_count = count;
 
-    // Write to daily log file
-    this._appendToLog(entry);
-
-    // Persist occurrence map
-    this._saveOccurrenceMap();
+    // Issue lifecycle — a resolved hash showing up again is a regression
+    const lifecycle = this._observeIssue(entry.hash, count);
+    entry.issue_status = lifecycle.issue.status;
+    if (lifecycle.regressed) {
+      entry.regression = true;
+      entry.severity = this._raiseSeverity(entry.severity);
+      entry.classification.severity_rule = 'regression';
+    }
 
-    // Trigger callbacks
-    if (entry.severity === SEVERITY_LEVELS.CRITICAL && this.onCritical) {
-      this.onCritical(entry);
+    // Write to daily log file (unless this hash is past its burst limit)
+    const admission = this._suppressor ? this._suppressor.admit(entry.hash, entry) : null;
+    if (admission?.sampled) entry.sampled = true;
+    if (admission?.suppressed) {
+      entry.suppressed = true; // Counted only — returned to the caller, not stored
+    } else {
+      this._appendToLog(entry);
     }
 
-    if (count > this.maxRetries && this.onThresholdHit) {
-      this.onThresholdHit(entry);
+    if (lifecycle.regressed && this.onRegression) {
+      try {
+        this.onRegression(entry, lifecycle.issue);
+      } catch { /* a broken callback must not break capture() or skip the alert rules */ }
     }
 
+    // Alert rules, including onCritical / onThresholdHit (ignored and muted issues never alert)
+    this.alerts.observe(entry);
+
     return entry;
   }
 
@@ -176,44 +342,185 @@ class ErrorLogger {
    * This is the primary integration point for your agents.
    * 
    * @param {string} skillName - Name of the skill being executed
-   * @param {Function} fn - The async function to execute
+   * @param {Function} fn - The async function to execute, called as fn({ signal, attempt })
    * @param {*} input - The input being passed to the skill
    * @param {Object} [options] - Additional context
-   * @returns {Object} { success, result, error, entry }
+   * @param {number} [options.timeoutMs] - Abort an attempt after this long
+   * @param {AbortSignal} [options.signal] - Caller-side cancel (no further retries, no fallback)
+   * @param {number|boolean|Object} [options.retry] - { attempts, on, baseDelayMs, maxDelayMs, factor }
+   * @param {Function} [options.fallback] - (error, { attempts }) => result, once every attempt failed or the circuit is open
+   * @param {string[]} [options.dependencies] - Named dependencies whose circuit breakers guard this skill
+   * @param {boolean} [options.rethrow] - Resolve to the result and rethrow the error (after logging) instead
+   * @returns {Object} { success, result, error, entry, attempts, fallback, aborted, unavailable }
    */
   async wrapSkill(skillName, fn, input = {}, options = {}) {
-    const startTime = Date.now();
+    // Nested request scope and span — captures and spans inside fn know the skill chain
+    const scope = { skill: skillName, agent: options.agent, spanId: newSpanId() };
+    const outcome = await runWithContext(scope, () => this._runSkill(skillName, fn, input, options));
+    return options.rethrow ? unwrapOutcome(outcome) : outcome;
+  }
+
+  /**
+   * wrapSkill for synchronous code — parsers, validators, scorers. Same
+   * scope, success entry and capture, but returns without awaiting. If fn
+   * turns out to return a promise, the outcome is a promise too.
+   *
+   * @param {string} skillName
+   * @param {Function} fn - Sync function
+   * @param {*} [input]
+   * @param {Object} [options] - agent, severity, metadata, rethrow
+   * @returns {Object} { success, result, error, entry } (or the result itself with rethrow)
+   */
+  wrapSync(skillName, fn, input = {}, options = {}) {
+    const scope = { skill: skillName, agent: options.agent, spanId: newSpanId() };
+    const outcome = runWithContext(scope, () => this._runSync(skillName, fn, input, options));
+    if (!options.rethrow) return outcome;
+    return typeof outcome.then === 'function' ? outcome.then(unwrapOutcome) : unwrapOutcome(outcome);
+  }
+
+  /**
+   * Wrap every public method of an object (own and inherited, not `_private`)
+   * so each call is logged as a skill. See instrument.js.
+   *
+   * @param {Object} target - e.g. an agent instance; patched in place
+   * @param {Object} [options] - { agent, skills, exclude, rethrow }
+   * @returns {Object} target
+   */
+  instrument(target, options = {}) {
+    return instrumentObject(this, target, options);
+  }
 
+  /**
+   * instrument() for an agent instance, named after its class
+   * (new TokenAuditAgent() → agent 'TokenAuditAgent').
+   */
+  wrapAgent(agent, options = {}) {
+    return instrumentObject(this, agent, { agent: agent.constructor?.name, ...options });
+  }
+
+  /**
+   * Call a named dependency through its circuit breaker. Throws a
+   * CircuitOpenError without calling fn while the breaker is open; inside
+   * wrapSkill that becomes a "temporarily unavailable" result.
+   *
+   * @param {string} name - e.g. 'birdeye', 'helius-rpc'
+   * @param {Function} fn - Sync or async
+   * @returns {Promise<*>} fn's result
+   */
+  async callDependency(name, fn) {
+    if (!this.circuits) return fn();
+    const breaker = this.circuits.get('dependency', name);
+    // Declared by an enclosing wrapSkill: it holds the slot and reports the outcome
+    if (getContext()?.circuits.includes(breaker)) return fn();
+    if (!breaker.allow()) throw circuitOpenError(breaker);
     try {
       const result = await fn();
-      
-      // Log success too (for pattern analysis — what succeeds vs fails?)
-      this._appendToLog({
-        type: 'success',
-        skill: skillName,
-        agent: options.agent || null,
-        input_summary: this._summarizeInput(input),
-        duration_ms: Date.now() - startTime,
-        timestamp: new Date().toISOString()
-      });
-
-      return { success: true, result, error: null, entry: null };
+      breaker.success();
+      return result;
     } catch (error) {
-      const entry = this.capture(error, {
-        skill: skillName,
-        agent: options.agent,
-        input,
-        severity: options.severity,
-        metadata: {
-          ...options.metadata,
-          duration_ms: Date.now() - startTime
-        }
-      });
-
-      return { success: false, result: null, error, entry };
+      this._recordCircuitOutcome([breaker], error);
+      throw error;
     }
   }
 
+  /**
+   * Current circuit breaker states, open ones first (empty when disabled).
+   */
+  getCircuits() {
+    return this.circuits ? this.circuits.states() : [];
+  }
+
+  /**
+   * Time one step inside a skill as a child span. The span (status, duration,
+   * parent/child IDs) is written to the log; errors are recorded on the span
+   * and rethrown untouched.
+   *
+   * @param {string} name - Step name, e.g. 'fetch-holders'
+   * @param {Function} fn - Sync or async
+   * @param {Object} [attributes] - Extra fields stored on the span (redacted)
+   * @returns {*} fn's return value (a Promise when fn is async)
+   */
+  span(name, fn, attributes = {}) {
+    const spanId = newSpanId();
+    return runWithContext({ spanId }, () => {
+      const startedAt = new Date();
+      const startTime = Date.now();
+      const finish = (error) => {
+        if (error) markFailedSpan(error, spanId);
+        if (this.tracing) this._logSpan(name, startedAt, Date.now() - startTime, error, attributes);
+      };
+
+      let result;
+      try {
+        result = fn();
+      } catch (error) {
+        finish(error);
+        throw error;
+      }
+
+      if (result && typeof result.then === 'function') {
+        return result.then(
+          (value) => { finish(null); return value; },
+          (error) => { finish(error); throw error; }
+        );
+      }
+      finish(null);
+      return result;
+    });
+  }
+
+  /**
+   * Run fn inside a request scope. Every capture() and wrapSkill() in it —
+   * including deep helper code and router middleware — is tagged with the
+   * same correlation ID, route, chatId, userId and parent skill.
+   * WorkflowRouter.route opens one per message.
+   *
+   * @param {Object} fields - correlationId, route, chatId, userId, agent, or any extra field
+   * @param {Function} fn - Sync or async
+   * @returns {*} fn's return value
+   */
+  withContext(fields, fn) {
+    return runWithContext(fields, fn);
+  }
+
+  /**
+   * The active request scope, or null outside one.
+   */
+  getContext() {
+    return getContext();
+  }
+
+  /**
+   * Record a breadcrumb — a step worth knowing about if something fails later.
+   * Message and data are redacted before they are kept.
+   *
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.category] - e.g. 'token-audit', 'vault' (default: 'manual')
+   * @param {string} [options.level] - 'info' | 'warning' | 'error' (default: 'info')
+   * @param {Object} [options.data] - Small structured details
+   * @returns {Object|null} The breadcrumb (null when breadcrumbs are disabled)
+   */
+  breadcrumb(message, options = {}) {
+    if (!this._breadcrumbs) return null;
+    return this._breadcrumbs.add({
+      timestamp: new Date().toISOString(),
+      category: String(options.category || 'manual'),
+      level: String(options.level || 'info'),
+      message: this.redactor.redactString(String(message)),
+      data: options.data == null ? null : this._truncateValue(this.redactor.redact(asObject(options.data))),
+      correlation_id: getContext()?.correlation_id || null
+    });
+  }
+
+  /**
+   * Most recent breadcrumbs, oldest first (this request's only, inside a request scope).
+   */
+  getBreadcrumbs(limit) {
+    if (!this._breadcrumbs) return [];
+    return this._breadcrumbs.recent(limit, getContext()?.correlation_id || null);
+  }
+
   /**
    * Query errors by various filters. 
    * Used by the self-audit job and auto-fix pipeline.
@@ -222,6 +529,9 @@ class ErrorLogger {
    * @param {string} [filters.skill] - Filter by skill name
    * @param {string} [filters.type] - Filter by error type
    * @param {string} [filters.hash] - Filter by stack trace hash
+   * @param {string} [filters.correlationId] - Only entries from one request scope
+   * @param {string} [filters.release] - Only entries stamped with this release
+   * @param {string} [filters.environment] - Only entries stamped with this environment
    * @param {number} [filters.minOccurrences] - Minimum occurrence count
    * @param {number} [filters.days] - Look back N days (default: 7)
    * @returns {Array} Matching error entries
@@ -229,25 +539,31 @@ class ErrorLogger {
   query(filters = {}) {
     const days = filters.days || 7;
     const entries = [];
+    const pending = this._pendingEntries();
+
+    // A hash matches its whole current group, including entries stored under
+    // hashes that were later merged into (or split from) it
+    if (filters.hash) filters = { ...filters, hash: this._groups.resolve(filters.hash) };
+    const lookupFilters = filters.hash ? { ...filters, hash: this._groups.members(filters.hash) } : filters;
 
     for (let i = 0; i < days; i++) {
       const date = new Date();
       date.setDate(date.getDate() - i);
       const dateStr = date.toISOString().split('T')[0];
-      const filePath = path.join(this.logDir, `${dateStr}.json`);
-
-      if (fs.existsSync(filePath)) {
-        const lines = fs.readFileSync(filePath, 'utf-8')
-          .split('\n')
-          .filter(Boolean);
-
-        for (const line of lines) {
-          try {
-            const entry = JSON.parse(line);
-            if (this._matchesFilters(entry, filters)) {
-              entries.push(entry);
-            }
-          } catch { /* skip malformed lines */ }
+
+      for (const stored of this.storage.readDay(dateStr, lookupFilters)) {
+        const entry = this._canonicalize(stored);
+        if (this._matchesFilters(entry, filters)) {
+          entries.push(entry);
+        }
+      }
+
+      // Entries captured but still queued for the file sink
+      for (const item of pending) {
+        if (item.dateStr !== dateStr) continue;
+        const entry = this._canonicalize(item.entry);
+        if (this._matchesFilters(entry, filters)) {
+          entries.push(entry);
         }
       }
     }
@@ -262,15 +578,13 @@ class ErrorLogger {
    * @returns {Array} [{ hash, count, latestEntry }]
    */
   getRecurringErrors(limit = 10) {
-    const sorted = [...this._occurrenceMap.entries()]
+    const sorted = [...this._readOccurrences().entries()]
       .sort((a, b) => b[1] - a[1])
       .slice(0, limit);
 
     return sorted.map(([hash, count]) => {
-      // Find the most recent entry for this hash
-      const entries = this.query({ hash, days: 30 });
-      const latest = entries[entries.length - 1] || null;
-      return { hash, count, latestEntry: latest };
+      // Find the most recent entry for this hash (index lookup, newest day first)
+      return { hash, count, latestEntry: this._findLatestEntry(hash, 30) };
     });
   }
 
@@ -283,42 +597,115 @@ class ErrorLogger {
   generateReport(days = 7) {
     const allEntries = this.query({ days });
     
-    const errors = allEntries.filter(e => e.type !== 'success');
+    const errors = allEntries.filter(e => e.type !== 'success' && e.type !== 'span' && e.type !== 'retry');
     const successes = allEntries.filter(e => e.type === 'success');
+    const retries = allEntries.filter(e => e.type === 'retry');
+
+    // Suppression summaries stand for every duplicate they counted
+    const weight = (entry) => entry.type === 'suppressed' ? entry.suppressed_count || 0 : 1;
+    const errorCount = errors.reduce((sum, entry) => sum + weight(entry), 0);
+    const suppressedCount = errors.filter(e => e.type === 'suppressed').reduce((sum, entry) => sum + weight(entry), 0);
 
-    // Group by skill
-    const bySkill = {};
+    // Group by skill (tables keyed by skill names and types have no prototype — 'constructor' is a valid skill)
+    const bySkill = Object.create(null);
     for (const entry of errors) {
       const skill = entry.skill || 'unknown';
-      if (!bySkill[skill]) bySkill[skill] = { errors: 0, types: {} };
-      bySkill[skill].errors++;
+      if (!bySkill[skill]) bySkill[skill] = { errors: 0, types: Object.create(null) };
+      bySkill[skill].errors += weight(entry);
       const t = entry.error_type || 'unknown';
-      bySkill[skill].types[t] = (bySkill[skill].types[t] || 0) + 1;
+      bySkill[skill].types[t] = (bySkill[skill].types[t] || 0) + weight(entry);
     }
 
     // Group by error type
-    const byType = {};
+    const byType = Object.create(null);
     for (const entry of errors) {
       const t = entry.error_type || 'unknown';
-      byType[t] = (byType[t] || 0) + 1;
+      byType[t] = (byType[t] || 0) + weight(entry);
     }
 
-    // Find auto-fix candidates (>2 occurrences)
+    // Find auto-fix candidates (>2 occurrences) — ignored and muted issues are left alone
     const autoFixCandidates = this.getRecurringErrors(5)
-      .filter(r => r.count > this.maxRetries);
+      .filter(r => r.count > this.maxRetries && !this._issues.isSilenced(r.hash, r.count));
 
     return {
       period: `${days} days`,
       generated_at: new Date().toISOString(),
       totals: {
-        errors: errors.length,
+        errors: errorCount,
         successes: successes.length,
-        error_rate: errors.length / (errors.length + successes.length) || 0
+        suppressed: suppressedCount,
+        retries: retries.length, // Failed attempts a retry policy absorbed or tried to
+        recovered: successes.filter(e => e.execution?.outcome === 'recovered').length,
+        error_rate: errorCount / (errorCount + successes.length) || 0
       },
       by_skill: bySkill,
       by_type: byType,
       auto_fix_candidates: autoFixCandidates,
-      top_recurring: this.getRecurringErrors(5)
+      top_recurring: this.getRecurringErrors(5),
+      regressions: this._issues.list({ status: ISSUE_STATUS.REGRESSED }),
+      spans: summarizeSpans(allEntries) // Which sub-step of each skill is slow or failing
+    };
+  }
+
+  /**
+   * Compare two releases: which errors are new, which are gone, and how
+   * error rate and skill duration moved per skill. Used after a deploy or
+   * an applied fix to judge whether the change helped.
+   *
+   * @param {string} baseline - The release before the change
+   * @param {string} candidate - The release after it
+   * @param {Object} [options]
+   * @param {number} [options.days] - Look-back (default: 30)
+   * @param {string} [options.environment] - Only compare entries from one environment
+   * @param {number} [options.tolerance] - Error-rate change treated as noise (default: 0.02)
+   * @returns {Object} { baseline, candidate, totals, new_hashes, resolved_hashes, by_skill, verdict }
+   */
+  compareReleases(baseline, candidate, options = {}) {
+    const days = options.days || 30;
+    const tolerance = options.tolerance ?? 0.02;
+    const entries = this.query({ days, environment: options.environment });
+    const before = this._releaseStats(entries.filter(e => e.release === baseline));
+    const after = this._releaseStats(entries.filter(e => e.release === candidate));
+
+    const delta = (a, b) => (a === null || b === null ? null : b - a);
+    const bySkill = Object.create(null);
+    for (const skill of new Set([...Object.keys(before.skills), ...Object.keys(after.skills)])) {
+      const a = before.skills[skill] || this._emptySkillStats();
+      const b = after.skills[skill] || this._emptySkillStats();
+      bySkill[skill] = {
+        baseline: a,
+        candidate: b,
+        error_rate_delta: delta(a.error_rate, b.error_rate),
+        avg_duration_ms_delta: delta(a.avg_duration_ms, b.avg_duration_ms)
+      };
+    }
+
+    const onlyIn = (stats, other) => [...stats.hashes.values()]
+      .filter(h => !other.hashes.has(h.hash))
+      .sort((x, y) => y.count - x.count);
+
+    const errorRateDelta = delta(before.totals.error_rate, after.totals.error_rate);
+    let verdict = 'unchanged';
+    if (before.totals.runs === 0 || after.totals.runs === 0) verdict = 'insufficient_data';
+    else if (errorRateDelta > tolerance) verdict = 'worse';
+    else if (errorRateDelta < -tolerance) verdict = 'better';
+
+    return {
+      baseline,
+      candidate,
+      environment: options.environment || null,
+      period: `${days} days`,
+      generated_at: new Date().toISOString(),
+      totals: {
+        baseline: before.totals,
+        candidate: after.totals,
+        error_rate_delta: errorRateDelta,
+        avg_duration_ms_delta: delta(before.totals.avg_duration_ms, after.totals.avg_duration_ms)
+      },
+      new_hashes: onlyIn(after, before),
+      resolved_hashes: onlyIn(before, after),
+      by_skill: bySkill,
+      verdict
     };
   }
 
@@ -330,13 +717,17 @@ class ErrorLogger {
    * @param {string} fix.description - What was done
    * @param {string} fix.diff - Code diff or change summary
    * @param {string} fix.fixedBy - 'auto' | 'user' | agent name
+   * @param {string} [fix.reference] - Commit, PR or ticket (stored on the resolved issue)
+   * @param {string} [fix.release] - Release that ships the fix
    */
   recordFix(errorHash, fix) {
+    // A fix applies to the whole group the hash belongs to now
+    const hash = this._groups.resolve(errorHash);
     const fixEntry = {
       type: 'fix',
-      error_hash: errorHash,
-      description: fix.description,
-      diff: fix.diff || null,
+      error_hash: hash,
+      description: this.redactor.redactString(fix.description),
+      diff: this.redactor.redactString(fix.diff) || null,
       fixed_by: fix.fixedBy || 'user',
       timestamp: new Date().toISOString()
     };
@@ -344,59 +735,656 @@ class ErrorLogger {
     this._appendToLog(fixEntry);
 
     // Reset occurrence count for this hash
-    this._occurrenceMap.delete(errorHash);
-    this._saveOccurrenceMap();
+    try {
+      this._occurrences.reset(hash);
+    } catch {
+      this._occurrences.counts.delete(hash);
+    }
+
+    // Resolve the issue — if the hash shows up again it is a regression
+    try {
+      this._issues.resolve(hash, { reference: fix.reference, release: fix.release, by: fixEntry.fixed_by });
+    } catch { /* lock timeout — the fix entry is still recorded */ }
 
     return fixEntry;
   }
 
+  // ── Issue Lifecycle ──
+
+  /**
+   * Current lifecycle state of a hash's issue.
+   * @returns {Object} { hash, status, resolved, muted, ignored, regressions, history }
+   */
+  getIssue(hash) {
+    return this._issues.get(this._groups.resolve(hash));
+  }
+
+  /**
+   * Issues someone has acted on.
+   * @param {Object} [filters] - { status: 'resolved' | 'regressed' | 'ignored' | 'muted' | 'open' | [...] }
+   */
+  listIssues(filters = {}) {
+    return this._issues.list(filters);
+  }
+
+  /**
+   * Mark an issue resolved without recording a fix entry.
+   * @param {Object} [details] - { reference, release, by }
+   */
+  resolveIssue(hash, details = {}) {
+    return this._issues.resolve(this._groups.resolve(hash), details);
+  }
+
+  /**
+   * Accept an issue as known — it is never an auto-fix candidate and never pages.
+   * @param {Object} [details] - { reason }
+   */
+  ignoreIssue(hash, details = {}) {
+    return this._issues.ignore(this._groups.resolve(hash), details);
+  }
+
+  /**
+   * Silence an issue until a date and/or for `count` more occurrences.
+   * @param {Object} options - { until: Date|string, count: number }
+   */
+  muteIssue(hash, options = {}) {
+    const target = this._groups.resolve(hash);
+    return this._issues.mute(target, options, this._readOccurrences().get(target) || 0);
+  }
+
+  reopenIssue(hash) {
+    return this._issues.reopen(this._groups.resolve(hash));
+  }
+
+  /**
+   * Treat two fingerprints as the same error from now on.
+   * Occurrence counts are combined; queries, recurring errors and fixes
+   * for either hash resolve to `into`, including entries already logged.
+   *
+   * @param {string} from - Hash to fold away
+   * @param {string} into - Hash that survives
+   * @returns {Object} { hash, count }
+   */
+  mergeHashes(from, into) {
+    const source = this._groups.resolve(from);
+    const target = this._groups.resolve(into);
+    if (source === target) return { hash: target, count: this._readOccurrences().get(target) || 0 };
+
+    this._groups.merge(source, target);
+    return { hash: target, count: this._occurrences.merge(source, target) };
+  }
+
+  /**
+   * Split one group into subgroups by an entry field (e.g. the same helper
+   * failing in unrelated skills). Occurrence counts of the subgroups are
+   * recounted from the entries of the last `days` days.
+   *
+   * @param {string} hash
+   * @param {Object} options
+   * @param {string} options.by - 'skill' | 'agent' | 'error_type' | 'message' | 'name'
+   * @param {number} [options.days] - Look-back for the recount (default: 30)
+   * @returns {Array} [{ hash, value, count }]
+   */
+  splitHash(hash, options = {}) {
+    const target = this._groups.resolve(hash);
+    const entries = this.query({ hash: target, days: options.days || 30 })
+      .filter(e => e.type === 'error');
+
+    const groups = this._groups.split(target, options.by, entries);
+
+    const counts = { [target]: 0 };
+    for (const [child, { count }] of Object.entries(groups)) counts[child] = count;
+    this._occurrences.set(counts);
+
+    return Object.entries(groups).map(([child, { value, count }]) => ({ hash: child, value, count }));
+  }
+
+  /**
+   * Wait until every queued entry has been written by every sink
+   * and the occurrence counters are compacted (file storage: into _occurrences.json).
+   */
+  async flush() {
+    if (this._suppressor) this._suppressor.sweep(); // Summaries for windows that have ended
+    await Promise.all(this.sinks.map(async (sink) => {
+      if (typeof sink.flush !== 'function') return;
+      try {
+        await sink.flush();
+      } catch (err) {
+        this._handleSinkError(sink, err, null);
+      }
+    }));
+    try {
+      if (typeof this._occurrences.flush === 'function') await this._occurrences.flush();
+    } catch { /* queued counts stay queued for the next flush */ }
+    await this._groups.flush();
+    try {
+      this._occurrences.compact();
+    } catch { /* the journal already holds every count — compaction can wait */ }
+  }
+
+  /**
+   * Synchronous best-effort flush of the file sink and queued occurrence counts.
+   * Used on process exit, where async work no longer runs.
+   */
+  flushSync() {
+    try {
+      if (this._suppressor) this._suppressor.sweep(true); // Open windows end with the process
+    } catch { /* never block exit */ }
+    try {
+      if (this._storageSink && typeof this._storageSink.flushSync === 'function') this._storageSink.flushSync();
+    } catch { /* log dir may be gone at exit */ }
+    try {
+      if (typeof this._occurrences.flushSync === 'function') this._occurrences.flushSync();
+    } catch { /* same */ }
+    try {
+      this._groups.flushSync();
+    } catch { /* same */ }
+  }
+
+  /**
+   * Flush everything, close all sinks and detach from process exit hooks.
+   */
+  async close() {
+    if (this._suppressor) {
+      this._suppressor.sweep(true);
+      this._suppressor.stop();
+    }
+    await this.flush();
+    await Promise.all(this.sinks.map(async (sink) => {
+      if (typeof sink.close !== 'function') return;
+      try {
+        await sink.close();
+      } catch (err) {
+        this._handleSinkError(sink, err, null);
+      }
+    }));
+    try {
+      this.storage.close();
+    } catch { /* already closed */ }
+    this.removeGlobalHandlers();
+    if (this._stopHttpBreadcrumbs) {
+      this._stopHttpBreadcrumbs();
+      this._stopHttpBreadcrumbs = null;
+    }
+    liveLoggers.delete(this);
+  }
+
+  // ── Global Handlers ──
+
+  /**
+   * Capture what would otherwise crash the process without a trace:
+   * uncaught exceptions, unhandled rejections and process warnings, all
+   * logged as critical. Queued entries are flushed synchronously before the
+   * process exits. Opt-in; call once at startup.
+   *
+   * By default the process still exits on an uncaught exception or
+   * unhandled rejection, as it would without the handlers (unless the app
+   * has its own listeners, which then decide).
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.exit] - Exit after a crash (default: true). `false` keeps the process running
+   * @param {boolean} [options.warnings] - Capture process warnings (default: true)
+   * @param {string} [options.warningSeverity] - Severity for warnings (default: critical)
+   * @param {boolean|string} [options.crashReports] - Write a crash report per crash; true → logDir/crash-reports, or a directory
+   * @returns {ErrorLogger} this
+   */
+  installGlobalHandlers(options = {}) {
+    if (this._globalHandlers) return this;
+
+    const exit = options.exit !== false;
+    const crashReportDir = options.crashReports === true
+      ? path.join(this.logDir, 'crash-reports')
+      : options.crashReports || null;
+    const warningSeverity = options.warningSeverity || SEVERITY_LEVELS.CRITICAL;
+
+    const listeners = {
+      // Monitor only — sees the exception first and leaves the crash to Node (or the app)
+      uncaughtExceptionMonitor: (error, origin) => {
+        this._captureCrash(error, origin === 'unhandledRejection' ? 'unhandledRejection' : 'uncaughtException', crashReportDir);
+      },
+      unhandledRejection: (reason) => {
+        const error = this._captureCrash(reason, 'unhandledRejection', crashReportDir);
+        // Alone, we stand in for Node's default: rethrowing turns it into the usual crash
+        if (exit && process.listenerCount('unhandledRejection') === 1) throw error;
+      }
+    };
+    if (!exit) listeners.uncaughtException = () => {}; // Already captured by the monitor — keep running
+    if (options.warnings !== false) {
+      listeners.warning = (warning) => {
+        try {
+          if (warning?.code === 'EENTRYSCHEMA') return; // Our own — capturing it could warn again
+          this.capture(warning, { severity: warningSeverity, metadata: { origin: 'warning' } });
+        } catch { /* never let logging a warning throw */ }
+      };
+    }
+
+    for (const [event, listener] of Object.entries(listeners)) process.on(event, listener);
+    this._globalHandlers = listeners;
+    return this;
+  }
+
+  /**
+   * Detach the listeners added by installGlobalHandlers().
+   */
+  removeGlobalHandlers() {
+    if (!this._globalHandlers) return this;
+    for (const [event, listener] of Object.entries(this._globalHandlers)) process.removeListener(event, listener);
+    this._globalHandlers = null;
+    return this;
+  }
+
+  /**
+   * Register an additional destination for entries.
+   *
+   * @param {Sink} sink - Any object with accepts(entry) and write(entry)
+   */
+  addSink(sink) {
+    if (!sink || typeof sink.write !== 'function') {
+      throw new Error('Sink must implement write(entry)');
+    }
+    this.sinks.push(sink);
+    return this;
+  }
+
+  /**
+   * Remove a sink by instance or name.
+   */
+  removeSink(sinkOrName) {
+    this.sinks = this.sinks.filter(s => s !== sinkOrName && s.name !== sinkOrName);
+    return this;
+  }
+
+  /**
+   * Apply the retention policy to stored days.
+   * Runs automatically at startup and on the first write of each day
+   * when any retention limit is configured; safe to call manually (e.g. from cron).
+   *
+   * Today's entries are never archived or deleted. File storage holds the
+   * write lock, so other processes never append to a file while it is being archived.
+   *
+   * @returns {Object} { archived: [dates], deleted: [dates], totalBytes }
+   */
+  applyRetention() {
+    const result = this.storage.applyRetention(this.retention);
+    this._lastRetentionDate = todayString();
+    return result;
+  }
+
   // ── Private Methods ──────────────────────────────────────────────
 
+  /**
+   * wrapSkill body — runs inside the skill's request scope. Attempts share
+   * the scope's span ID as their execution ID.
+   */
+  async _runSkill(skillName, fn, input, options) {
+    const startTime = Date.now();
+    const policy = resolvePolicy(options);
+    const execution = policy.active ? { id: getContext().span_id, max_attempts: policy.attempts } : null;
+    const breakers = this._circuitsFor(skillName, options.dependencies);
+
+    let attempt = 0;
+    let error = null;
+    while (attempt < policy.attempts) {
+      const refusedBy = this._acquireCircuits(breakers);
+      if (refusedBy && attempt === 0) return this._unavailableSkill(skillName, circuitOpenError(refusedBy, skillName), policy, options);
+      if (refusedBy) break; // Opened during our retries — stop hammering it
+
+      attempt++;
+      const attemptStart = Date.now();
+      try {
+        const result = await runAttempt(fn, { attempt, timeoutMs: policy.timeoutMs, signal: policy.signal, label: skillName });
+        for (const breaker of breakers) breaker.success();
+        this._logSuccess(skillName, input, options, startTime, execution && { ...execution, attempt, outcome: attempt > 1 ? 'recovered' : 'succeeded' });
+        return { success: true, result, error: null, entry: null, attempts: attempt, fallback: false };
+      } catch (err) {
+        error = err;
+        if (policy.signal?.aborted) {
+          for (const breaker of breakers) breaker.release();
+          return this._abortedSkill(skillName, error, attempt);
+        }
+        if (err?.code === CIRCUIT_OPEN_CODE) {
+          // A callDependency() inside fn was refused — not this skill's fault
+          for (const breaker of breakers) breaker.release();
+          return this._unavailableSkill(skillName, err, policy, options, attempt);
+        }
+
+        const type = this._recordCircuitOutcome(breakers, err);
+        if (attempt >= policy.attempts || !shouldRetry(policy.retry, err, type, attempt)) break;
+
+        const delayMs = backoffDelay(policy.retry, attempt);
+        this._logRetry(err, {
+          skill: skillName,
+          agent: options.agent,
+          input,
+          metadata: { ...options.metadata, duration_ms: Date.now() - attemptStart },
+          execution: { ...execution, attempt, outcome: 'retried', retry_in_ms: delayMs }
+        });
+        if (!(await waitForRetry(delayMs, policy.signal))) return this._abortedSkill(skillName, error, attempt);
+      }
+    }
+
+    // Every attempt failed — the fallback decides what the caller gets
+    let fallbackResult;
+    let fallbackError = null;
+    if (policy.fallback) {
+      try {
+        fallbackResult = await policy.fallback(error, { attempts: attempt });
+      } catch (err) {
+        fallbackError = err;
+      }
+    }
+    const servedByFallback = Boolean(policy.fallback) && !fallbackError;
+
+    const entry = this.capture(error, {
+      skill: skillName,
+      agent: options.agent,
+      input,
+      severity: options.severity,
+      metadata: {
+        ...options.metadata,
+        duration_ms: Date.now() - startTime
+      },
+      ...(execution && { execution: { ...execution, attempt, outcome: servedByFallback ? 'fallback' : 'failed' } })
+    });
+    if (fallbackError) {
+      this.capture(fallbackError, {
+        skill: skillName,
+        agent: options.agent,
+        input,
+        metadata: { ...options.metadata, fallback_for: entry.hash }
+      });
+    }
+
+    if (servedByFallback) {
+      return { success: true, result: fallbackResult, error, entry, attempts: attempt, fallback: true };
+    }
+    return { success: false, result: null, error, entry, attempts: attempt, fallback: false };
+  }
+
+  /**
+   * wrapSync body — runs inside the skill's request scope.
+   */
+  _runSync(skillName, fn, input, options) {
+    const startTime = Date.now();
+    const succeed = (result) => {
+      this._logSuccess(skillName, input, options, startTime, null);
+      return { success: true, result, error: null, entry: null };
+    };
+    const fail = (error) => {
+      const entry = this.capture(error, {
+        skill: skillName,
+        agent: options.agent,
+        input,
+        severity: options.severity,
+        metadata: { ...options.metadata, duration_ms: Date.now() - startTime }
+      });
+      return { success: false, result: null, error, entry };
+    };
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      return fail(error);
+    }
+    return result && typeof result.then === 'function' ? result.then(succeed, fail) : succeed(result);
+  }
+
+  /**
+   * Log success too (for pattern analysis — what succeeds vs fails?)
+   */
+  _logSuccess(skillName, input, options, startTime, execution) {
+    const success = {
+      type: 'success',
+      skill: skillName,
+      agent: options.agent || null,
+      input_summary: this._summarizeInput(input),
+      duration_ms: Date.now() - startTime,
+      context: this._requestContext(skillName),
+      ...(execution && { execution }),
+      timestamp: new Date().toISOString()
+    };
+    this._appendToLog(success);
+    this.alerts.observe(success); // Runs for error_rate rules
+  }
+
+  /**
+   * A failed attempt that will be retried: stored and linked to its execution,
+   * but not counted as an occurrence (no recurring count, alerts or lifecycle).
+   */
+  _logRetry(error, context) {
+    const entry = this._buildEntry(error, context);
+    entry.type = 'retry';
+    delete entry.occurrence_count;
+    this._appendToLog(entry);
+    return entry;
+  }
+
+  /**
+   * Short-circuited by an open breaker: nothing is captured (the failures
+   * that opened it were), the fallback still gets a chance.
+   */
+  async _unavailableSkill(skillName, error, policy, options, attempt = 0) {
+    this.breadcrumb(error.message, { category: 'circuit', level: 'warning', data: { skill: skillName, circuit: error.circuit.name } });
+    if (policy.fallback) {
+      try {
+        const result = await policy.fallback(error, { attempts: attempt, unavailable: true });
+        return { success: true, result, error, entry: null, attempts: attempt, fallback: true, unavailable: true };
+      } catch (fallbackError) {
+        this.capture(fallbackError, { skill: skillName, agent: options.agent, metadata: { ...options.metadata, fallback_for: 'circuit_open' } });
+      }
+    }
+    return { success: false, result: null, error, entry: null, attempts: attempt, fallback: false, unavailable: true };
+  }
+
+  /**
+   * Breakers guarding this skill, minus the ones an enclosing skill already
+   * holds. They are recorded in the skill's scope for nested calls.
+   */
+  _circuitsFor(skillName, dependencies = []) {
+    if (!this.circuits) return [];
+    const scope = getContext();
+    const breakers = [this.circuits.get('skill', skillName), ...dependencies.map(name => this.circuits.get('dependency', name))]
+      .filter((breaker, i, all) => all.indexOf(breaker) === i && !scope.circuits.includes(breaker));
+    scope.circuits.push(...breakers);
+    return breakers;
+  }
+
+  /**
+   * Take a slot on every breaker; returns the one refusing (after giving the
+   * others back) or null.
+   */
+  _acquireCircuits(breakers) {
+    for (let i = 0; i < breakers.length; i++) {
+      if (!breakers[i].allow()) {
+        for (const acquired of breakers.slice(0, i)) acquired.release();
+        return breakers[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Report a failed call to its breakers: transient errors count against
+   * them, anything else means the call got through. Returns the error type.
+   */
+  _recordCircuitOutcome(breakers, error) {
+    const type = this.classifier.classify(error).type;
+    if (!this.circuits) return type;
+    const trips = this.circuits.trips(error, type);
+    for (const breaker of breakers) {
+      if (trips) breaker.failure(this.redactor.redactString(String(error?.message ?? error)));
+      else breaker.success();
+    }
+    return type;
+  }
+
+  /**
+   * The caller aborted: not the skill's failure, so nothing is captured.
+   */
+  _abortedSkill(skillName, error, attempt) {
+    this.breadcrumb(`${skillName} aborted after ${attempt} attempt(s)`, { category: 'log', level: 'warning' });
+    return { success: false, result: null, error, entry: null, attempts: attempt, fallback: false, aborted: true };
+  }
+
   _buildEntry(error, context) {
-    const hash = hashStackTrace(error.stack);
-    const errorType = classifyError(error);
+    error = asError(error); // Thrown strings, plain objects, undefined
+
+    // Fingerprint and classify the raw error; only the persisted fields are redacted.
+    // With source maps, the fingerprint uses original locations so a rebuild doesn't change it.
+    const root = this.hashRootCause ? getRootCause(error) : error;
+    const hashStack = this._mapStack(root?.stack || error.stack);
+    const classification = this.classifier.classify(error);
+    const requestedSeverity = normalizeSeverity(context.severity);
+    const severity = requestedSeverity
+      ? { severity: requestedSeverity, rule: 'context' }
+      : this.classifier.inferSeverity({ type: classification.type, skill: context.skill, agent: context.agent, error });
+    const { stack, generatedStack } = root === error ? hashStack : this._mapStack(error.stack);
+    const fingerprint = this.fingerprinter.fingerprint({
+      error: root || error,
+      stack: hashStack.stack,
+      skill: context.skill || null,
+      agent: context.agent || null,
+      type: classification.type
+    });
+    const message = this.redactor.redactString(String(error.message ?? ''));
+    const name = typeof error.name === 'string' ? error.name : 'Error';
+    const hash = this._groups.assign(fingerprint.hash, {
+      skill: context.skill || null,
+      agent: context.agent || null,
+      error_type: classification.type,
+      message,
+      name
+    });
 
     return {
       type: 'error',
+      schema_version: SCHEMA_VERSION,
       timestamp: new Date().toISOString(),
+      release: this.release,
+      environment: this.environment,
+      host: this.host,
       hash,
-      error_type: errorType,
-      severity: context.severity || this._inferSeverity(errorType, context),
+      original_hash: hash !== fingerprint.hash ? fingerprint.hash : null, // Raw fingerprint when a merge/split applied
+      fingerprint: fingerprint.strategy,
+      error_type: classification.type,
+      severity: severity.severity,
+      classification: {
+        rule: classification.rule,
+        confidence: classification.confidence,
+        via: classification.via,
+        severity_rule: severity.rule
+      },
       skill: context.skill || null,
       agent: context.agent || null,
-      message: error.message,
-      name: error.name,
-      stack: error.stack,
+      message,
+      name,
+      stack: this.redactor.redactString(stack),
+      generated_stack: generatedStack ? this.redactor.redactString(generatedStack) : null,
+      causes: this._normalizeCauses(error),
+      properties: this._errorProperties(error),
       input_summary: this._summarizeInput(context.input),
-      metadata: context.metadata || {},
+      metadata: this.redactor.redact(context.metadata || {}),
+      context: this._requestContext(context.skill || null, error),
+      breadcrumbs: this.breadcrumbsAttached > 0 ? this.getBreadcrumbs(this.breadcrumbsAttached) : [],
+      ...(context.execution && { execution: context.execution }),
       occurrence_count: 0 // Set by capture()
     };
   }
 
-  _inferSeverity(errorType, context) {
-    // Critical: anything touching deploys, deletes, or financial ops
-    const criticalSkills = ['deploy', 'delete', 'transfer', 'swap', 'send'];
-    if (criticalSkills.some(s => (context.skill || '').includes(s))) {
-      return SEVERITY_LEVELS.CRITICAL;
-    }
+  /**
+   * Request scope fields stored on an entry (null outside a scope).
+   * parent_skill is the skill that invoked this one, if any.
+   */
+  _requestContext(skill, error = null) {
+    const scope = getContext();
+    if (!scope) return null;
+
+    const chain = scope.skills;
+    const skillPath = skill && chain[chain.length - 1] !== skill ? [...chain, skill] : [...chain];
+    return {
+      correlation_id: scope.correlation_id,
+      route: scope.route,
+      chat_id: scope.chat_id,
+      user_id: scope.user_id,
+      parent_skill: skillPath.length > 1 ? skillPath[skillPath.length - 2] : null,
+      skill_path: skillPath,
+      span_id: scope.span_id,
+      parent_span_id: scope.parent_span_id,
+      failed_span_id: failedSpanOf(error), // Innermost span() the error escaped from
+      extra: this.redactor.redact(scope.extra)
+    };
+  }
 
-    // High: API/network errors (external dependency failures)
-    if ([ERROR_TYPES.API, ERROR_TYPES.NETWORK, ERROR_TYPES.PERMISSION].includes(errorType)) {
-      return SEVERITY_LEVELS.HIGH;
+  /**
+   * Resolve a stack through source maps when enabled.
+   * generatedStack is only set when at least one frame was mapped.
+   */
+  _mapStack(stack) {
+    if (!this.sourceMaps || !stack) return { stack, generatedStack: null };
+    try {
+      const result = this.sourceMaps.resolveStack(stack);
+      return result.resolved ? { stack: result.stack, generatedStack: result.generatedStack } : { stack, generatedStack: null };
+    } catch {
+      return { stack, generatedStack: null }; // A broken map must never break capture()
     }
+  }
+
+  /**
+   * Cause chain / AggregateError members as plain, redacted records.
+   */
+  _normalizeCauses(error) {
+    return walkCauses(error).map(({ error: cause, via, depth }) => {
+      if (cause instanceof Error || (cause && typeof cause === 'object' && 'message' in cause)) {
+        return {
+          via,
+          depth,
+          name: cause.name || null,
+          message: this.redactor.redactString(String(cause.message)),
+          stack: this.redactor.redactString(this._mapStack(cause.stack).stack) || null,
+          properties: this._errorProperties(cause)
+        };
+      }
+      // Non-error causes: strings, codes, plain objects
+      return {
+        via,
+        depth,
+        name: null,
+        message: this._truncateValue(typeof cause === 'string' ? this.redactor.redactString(cause) : this.redactor.redact(cause)),
+        stack: null,
+        properties: {}
+      };
+    });
+  }
 
-    // Medium: logic/validation errors
-    if ([ERROR_TYPES.LOGIC, ERROR_TYPES.VALIDATION].includes(errorType)) {
-      return SEVERITY_LEVELS.MEDIUM;
+  _errorProperties(error) {
+    const props = this.redactor.redact(collectErrorProperties(error));
+    for (const key of Object.keys(props)) {
+      props[key] = this._truncateValue(props[key]);
     }
+    return props;
+  }
 
-    return SEVERITY_LEVELS.LOW;
+  /**
+   * Keep property values small — a response body can be megabytes.
+   */
+  _truncateValue(value) {
+    if (value === null || typeof value !== 'object') {
+      return typeof value === 'string' && value.length > 1000 ? value.slice(0, 1000) + '...[truncated]' : value;
+    }
+    try {
+      const str = JSON.stringify(value);
+      return str.length > 1000 ? str.slice(0, 1000) + '...[truncated]' : value;
+    } catch {
+      return '[unserializable]';
+    }
   }
 
   _summarizeInput(input) {
     if (!input) return null;
     try {
-      const str = JSON.stringify(input);
+      // Redact structurally first (key rules), then the serialized form (value detectors)
+      const str = this.redactor.redactString(JSON.stringify(this.redactor.redact(input)));
       // Truncate large inputs — keep enough context for debugging
       return str.length > 500 ? str.slice(0, 500) + '...[truncated]' : str;
     } catch {
@@ -408,6 +1396,9 @@ class ErrorLogger {
     if (filters.skill && entry.skill !== filters.skill) return false;
     if (filters.type && entry.error_type !== filters.type) return false;
     if (filters.hash && entry.hash !== filters.hash) return false;
+    if (filters.correlationId && entry.context?.correlation_id !== filters.correlationId) return false;
+    if (filters.release && entry.release !== filters.release) return false;
+    if (filters.environment && entry.environment !== filters.environment) return false;
     if (filters.minOccurrences && (entry.occurrence_count || 0) < filters.minOccurrences) return false;
     if (entry.type === 'success' && filters.type) return false; // Don't return successes when filtering by error type
     return true;
@@ -419,28 +1410,398 @@ class ErrorLogger {
     }
   }
 
+  /**
+   * Fan an entry out to every sink that accepts it.
+   * A failing sink is recorded and reported, never rethrown.
+   */
   _appendToLog(entry) {
-    const dateStr = new Date().toISOString().split('T')[0];
-    const filePath = path.join(this.logDir, `${dateStr}.json`);
-    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    this._stamp(entry);
+    if (this.validateEntries) warnIfInvalid(entry, this._schemaWarnings);
+    if (entry.type === 'error') {
+      // Earlier errors are part of the trail for whatever fails next
+      this.breadcrumb(`${entry.name}: ${entry.message}`, { category: 'log', level: 'error', data: { skill: entry.skill, hash: entry.hash } });
+    } else if (entry.type === 'retry') {
+      const { attempt, max_attempts: maxAttempts } = entry.execution;
+      this.breadcrumb(`${entry.name}: ${entry.message} (attempt ${attempt}/${maxAttempts}, retrying)`, { category: 'log', level: 'warning', data: { skill: entry.skill, hash: entry.hash } });
+    }
+    for (const sink of this.sinks) {
+      try {
+        if (typeof sink.accepts === 'function' && !sink.accepts(entry)) continue;
+        const pending = sink.write(entry);
+        if (pending && typeof pending.catch === 'function') {
+          pending.catch(err => this._handleSinkError(sink, err, entry));
+        }
+      } catch (err) {
+        this._handleSinkError(sink, err, entry);
+      }
+    }
+
+    this._maybeApplyRetention();
+  }
+
+  /**
+   * Schema version / release / environment / host for entries not built by _buildEntry.
+   */
+  _stamp(entry) {
+    if (entry.schema_version === undefined) entry.schema_version = SCHEMA_VERSION;
+    if (entry.release === undefined) entry.release = this.release;
+    if (entry.environment === undefined) entry.environment = this.environment;
+    if (entry.host === undefined) entry.host = this.host;
+  }
+
+  _httpBreadcrumb(request) {
+    const outcome = request.error || request.status_code;
+    let level = 'info';
+    if (request.error) level = 'error';
+    else if (request.status_code >= 400) level = 'warning';
+    this.breadcrumb(`${request.method} ${request.url} → ${outcome} (${request.duration_ms}ms)`, { category: 'http', level, data: request });
+  }
+
+  _logSpan(name, startedAt, durationMs, error, attributes) {
+    const scope = getContext();
+    this._appendToLog({
+      type: 'span',
+      timestamp: new Date().toISOString(),
+      name,
+      skill: scope.skills[scope.skills.length - 1] || null,
+      agent: scope.agent || null,
+      trace_id: scope.correlation_id,
+      span_id: scope.span_id,
+      parent_span_id: scope.parent_span_id,
+      status: error ? 'error' : 'ok',
+      started_at: startedAt.toISOString(),
+      duration_ms: durationMs,
+      error: error ? this.redactor.redactString(String(error.message || error)) : null,
+      attributes: this.redactor.redact(attributes || {})
+    });
+  }
+
+  /**
+   * Summary entry for a closed suppression window.
+   */
+  _logSuppressed(summary) {
+    const last = summary.last || {};
+    this._appendToLog({
+      type: 'suppressed',
+      timestamp: new Date().toISOString(),
+      hash: summary.hash,
+      error_type: last.error_type || null,
+      severity: last.severity || null,
+      skill: last.skill || null,
+      agent: last.agent || null,
+      message: last.message || null,
+      name: last.name || null,
+      suppressed_count: summary.suppressed_count,
+      sampled_count: summary.sampled_count,
+      stored_count: summary.stored_count,
+      window_start: summary.window_start,
+      window_end: summary.window_end,
+      occurrence_count: last.occurrence_count || 0
+    });
+  }
+
+  /**
+   * Error / success counts, durations and hashes for one release's entries.
+   * Skill durations come from wrapSkill (success entries and error metadata).
+   */
+  _releaseStats(entries) {
+    const hashes = new Map();
+    const skills = Object.create(null);
+    const durations = Object.create(null);
+    const skillStats = (skill) => {
+      if (!skills[skill]) {
+        skills[skill] = { errors: 0, successes: 0 };
+        durations[skill] = [];
+      }
+      return skills[skill];
+    };
+
+    for (const entry of entries) {
+      if (entry.type !== 'error' && entry.type !== 'suppressed' && entry.type !== 'success') continue;
+      const stats = skillStats(entry.skill || 'unknown');
+      const duration = entry.type === 'success' ? entry.duration_ms : entry.metadata?.duration_ms;
+      if (typeof duration === 'number') durations[entry.skill || 'unknown'].push(duration);
+
+      if (entry.type === 'success') {
+        stats.successes++;
+        continue;
+      }
+      const weight = entry.type === 'suppressed' ? entry.suppressed_count || 0 : 1;
+      stats.errors += weight;
+      const known = hashes.get(entry.hash);
+      if (known) {
+        known.count += weight;
+      } else {
+        hashes.set(entry.hash, {
+          hash: entry.hash,
+          count: weight,
+          error_type: entry.error_type || null,
+          skill: entry.skill || null,
+          message: entry.message || null
+        });
+      }
+    }
+
+    const average = (list) => (list.length ? Math.round(list.reduce((sum, ms) => sum + ms, 0) / list.length) : null);
+    const finish = (stats, list) => ({
+      ...stats,
+      runs: stats.errors + stats.successes,
+      error_rate: stats.errors / (stats.errors + stats.successes) || 0,
+      avg_duration_ms: average(list)
+    });
+
+    const result = { hashes, skills: Object.create(null), totals: null };
+    let errors = 0;
+    let successes = 0;
+    for (const skill of Object.keys(skills)) {
+      result.skills[skill] = finish(skills[skill], durations[skill]);
+      errors += skills[skill].errors;
+      successes += skills[skill].successes;
+    }
+    result.totals = finish({ errors, successes }, Object.values(durations).flat());
+    return result;
+  }
+
+  _emptySkillStats() {
+    return { errors: 0, successes: 0, runs: 0, error_rate: 0, avg_duration_ms: null };
+  }
+
+  /**
+   * onCritical / onThresholdHit as alert rules. Their targets read the
+   * callbacks at fire time, so assigning them after construction still works.
+   * Rules named 'critical' or 'threshold' passed in `alerts` take their place.
+   */
+  _addLegacyAlertRules() {
+    const defined = new Set(this.alerts.rules.map(r => r.name)); // A rule of the same name replaces the built-in one
+    if (!defined.has('critical')) this.alerts.addRule({
+      name: 'critical',
+      when: `count(severity=${SEVERITY_LEVELS.CRITICAL}) > 0 within 1s`,
+      severity: SEVERITY_LEVELS.CRITICAL,
+      cooldown: 0,
+      targets: [(alert) => this.onCritical && this.onCritical(alert.entry)]
+    });
+    if (!defined.has('threshold')) this.alerts.addRule({
+      name: 'threshold',
+      when: `occurrences > ${this.maxRetries}`,
+      cooldown: 0,
+      targets: [(alert) => this.onThresholdHit && this.onThresholdHit(alert.entry)]
+    });
+  }
+
+  /**
+   * Log a crash as critical, flush synchronously and write the crash report.
+   * Each error is captured once (a rethrown rejection reaches the monitor again).
+   */
+  _captureCrash(reason, origin, crashReportDir) {
+    const error = reason instanceof Error
+      ? reason
+      : new Error(`Non-error ${origin === 'unhandledRejection' ? 'rejection' : 'exception'}: ${describeValue(reason)}`, { cause: reason });
+    if (this._crashed.has(error)) return error;
+    this._crashed.add(error);
+
+    try {
+      const trail = this._breadcrumbs ? this._breadcrumbs.recent() : []; // What happened before the crash, not the crash itself
+      const entry = this.capture(error, { severity: SEVERITY_LEVELS.CRITICAL, metadata: { origin } });
+      this.flushSync();
+      if (crashReportDir) this._writeCrashReport(crashReportDir, entry, origin, trail);
+    } catch { /* the process may be going down — never throw from here */ }
+    return error;
+  }
+
+  _writeCrashReport(dir, entry, origin, trail) {
+    const report = {
+      type: 'crash',
+      timestamp: new Date().toISOString(),
+      origin,
+      pid: process.pid,
+      release: this.release,
+      environment: this.environment,
+      host: this.host,
+      node: process.version,
+      uptime_s: Math.round(process.uptime()),
+      memory: process.memoryUsage(),
+      argv: process.argv.map(arg => this.redactor.redactString(arg)),
+      error: entry,
+      breadcrumbs: trail
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    const stamp = report.timestamp.replace(/[:.]/g, '-');
+    const content = this.keyring ? this.keyring.encrypt(JSON.stringify(report)) : JSON.stringify(report, null, 2);
+    fs.writeFileSync(path.join(dir, `crash-${stamp}-${process.pid}.json`), content);
   }
 
-  _loadOccurrenceMap() {
-    const mapPath = path.join(this.logDir, '_occurrences.json');
-    if (fs.existsSync(mapPath)) {
+  _observeIssue(hash, count) {
+    try {
+      return this._issues.observe(hash, count);
+    } catch {
+      // Lock timeout — treat as unchanged rather than fail the capture
+      return { issue: this._issues.get(hash), regressed: false, unmuted: false };
+    }
+  }
+
+  _raiseSeverity(severity) {
+    const order = [SEVERITY_LEVELS.LOW, SEVERITY_LEVELS.MEDIUM, SEVERITY_LEVELS.HIGH, SEVERITY_LEVELS.CRITICAL];
+    const index = order.indexOf(severity);
+    return index === -1 ? SEVERITY_LEVELS.HIGH : order[Math.min(index + 1, order.length - 1)];
+  }
+
+  _shouldNotify(hash, kind) {
+    return this._suppressor ? this._suppressor.shouldNotify(hash, kind) : true;
+  }
+
+  _handleSinkError(sink, err, entry) {
+    sink.errors = (sink.errors || 0) + 1;
+    sink.lastError = err?.message || String(err);
+    if (this.onSinkError) {
       try {
-        const data = JSON.parse(fs.readFileSync(mapPath, 'utf-8'));
-        this._occurrenceMap = new Map(Object.entries(data));
-      } catch {
-        this._occurrenceMap = new Map();
+        this.onSinkError(sink, err, entry);
+      } catch { /* a broken error handler must not break capture() either */ }
+    }
+  }
+
+  _findLatestEntry(hash, days) {
+    const pending = this._pendingEntries()
+      .map(item => this._canonicalize(item.entry))
+      .filter(entry => entry.type === 'error' && entry.hash === hash);
+    if (pending.length > 0) return pending[pending.length - 1];
+
+    const members = this._groups.members(hash);
+    for (let i = 0; i < days; i++) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      const dateStr = date.toISOString().split('T')[0];
+
+      // Newest error entry that resolves to this hash (skips suppression summaries,
+      // and a split parent's entries that now belong to a sibling subgroup)
+      const stored = this.storage.readDay(dateStr, { hash: members });
+      for (let j = stored.length - 1; j >= 0; j--) {
+        const entry = this._canonicalize(stored[j]);
+        if (entry.type === 'error' && entry.hash === hash) return entry;
       }
     }
+    return null;
+  }
+
+  /**
+   * Bring a stored entry to the current schema version, and rewrite its hash
+   * to its current group (after merges/splits). Returns the entry itself
+   * when nothing changed.
+   */
+  _canonicalize(entry) {
+    entry = upgradeEntry(entry);
+    if (!this._groups.hasOverrides()) return entry;
+
+    if (entry.type === 'fix') {
+      const errorHash = this._groups.resolve(entry.error_hash);
+      return errorHash === entry.error_hash ? entry : { ...entry, error_hash: errorHash };
+    }
+    if ((entry.type !== 'error' && entry.type !== 'suppressed' && entry.type !== 'retry') || !entry.hash) return entry;
+
+    const hash = this._groups.resolve(entry.hash, entry);
+    if (hash === entry.hash) return entry;
+    return { ...entry, hash, original_hash: entry.original_hash || entry.hash };
   }
 
-  _saveOccurrenceMap() {
-    const mapPath = path.join(this.logDir, '_occurrences.json');
-    const obj = Object.fromEntries(this._occurrenceMap);
-    fs.writeFileSync(mapPath, JSON.stringify(obj, null, 2));
+  _pendingEntries() {
+    return this._storageSink && typeof this._storageSink.pendingEntries === 'function'
+      ? this._storageSink.pendingEntries()
+      : [];
+  }
+
+  _maybeApplyRetention() {
+    const { archiveAfterDays, maxAgeDays, maxTotalBytes } = this.retention;
+    if (archiveAfterDays == null && maxAgeDays == null && maxTotalBytes == null) return;
+
+    // Once per day is enough — files only age across midnight
+    if (this._lastRetentionDate === todayString()) return;
+
+    try {
+      this.applyRetention();
+    } catch { /* retention must never break logging */ }
+  }
+
+  _countOccurrence(hash) {
+    try {
+      return this._occurrences.increment(hash);
+    } catch {
+      // Database busy or unwritable — count locally rather than fail the capture
+      const count = (this._occurrences.counts.get(hash) || 0) + 1;
+      this._occurrences.counts.set(hash, count);
+      return count;
+    }
+  }
+
+  _readOccurrences() {
+    try {
+      return this._occurrences.refresh();
+    } catch {
+      return this._occurrences.counts;
+    }
+  }
+}
+
+// ─── Crash Capture ───────────────────────────────────────────────────
+
+// Anything thrown or rejected → something with a message, name and stack to store.
+// Error-likes (other realms, deserialized errors) are kept as they are.
+function asError(value) {
+  if (value instanceof Error) return value;
+  if (value && typeof value === 'object' && typeof value.message === 'string') return value;
+  const error = new Error(describeValue(value));
+  error.name = 'NonError';
+  error.stack = `NonError: ${error.message}`; // No frames: the logger's own would only add noise
+  return error;
+}
+
+// A caller-given severity, if it is one ('HIGH' → 'high'); anything else is inferred instead
+function normalizeSeverity(value) {
+  if (typeof value !== 'string') return null;
+  const severity = value.toLowerCase();
+  return Object.values(SEVERITY_LEVELS).includes(severity) ? severity : null;
+}
+
+// Breadcrumb data is an object; a bare value is kept under `value`
+function asObject(value) {
+  return typeof value === 'object' && !Array.isArray(value) ? value : { value };
+}
+
+// Rejections can carry anything — strings, plain objects, undefined
+function describeValue(value) {
+  try {
+    return typeof value === 'string' ? value : JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+// ─── Process Exit Flushing ───────────────────────────────────────────
+
+// Every logger with exit hooks enabled. One set of process listeners serves them all.
+// Strong references on purpose: a logger dropped without close() still gets flushed at exit.
+// close() removes it.
+const liveLoggers = new Set();
+let exitHooksInstalled = false;
+
+function installExitHooks() {
+  if (exitHooksInstalled) return;
+  exitHooksInstalled = true;
+
+  // Last chance — only synchronous work runs inside 'exit'
+  process.on('exit', () => {
+    for (const logger of liveLoggers) logger.flushSync();
+  });
+
+  // Signals: flush asynchronously, then re-raise so the default (or the app's) handling still applies
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    const handler = () => {
+      Promise.allSettled([...liveLoggers].map(logger => logger.flush())).finally(() => {
+        process.removeListener(signal, handler);
+        if (process.listenerCount(signal) === 0) {
+          process.kill(process.pid, signal);
+        }
+      });
+    };
+    process.on(signal, handler);
   }
 }
 
@@ -451,5 +1812,11 @@ module.exports = {
   ERROR_TYPES,
   SEVERITY_LEVELS,
   hashStackTrace,
-  classifyError
+  Fingerprinter,
+  runWithContext,
+  updateContext,
+  getContext,
+  classifyError,
+  getRootCause,
+  ISSUE_STATUS
 };
@@ -0,0 +1,155 @@
+/**
+ * X1 Vault — Execution Policies
+ *
+ * How wrapSkill runs fn: an optional timeout (fn gets an AbortSignal that
+ * fires when it expires or the caller aborts), retries for transient error
+ * types with jittered exponential backoff, and a fallback once every attempt
+ * has failed. Skills stop carrying their own retry loops, and AutoFixEngine
+ * stops patching withRetry / withTimeout helpers into them.
+ *
+ * Every attempt of one execution shares an execution ID (the wrapSkill span).
+ * Failed attempts that are retried are logged as `type: 'retry'` entries —
+ * linked, visible in query(), but not counted as occurrences, so a blip the
+ * retry absorbed never becomes an auto-fix candidate or an alert. The final
+ * outcome is the usual error or success entry, with:
+ *
+ *   execution: { id, attempt, max_attempts, outcome, retry_in_ms? }
+ *   outcome:   retried | succeeded | recovered | failed | fallback
+ *
+ * Usage:
+ *   await logger.wrapSkill('token-audit', async ({ signal, attempt }) => {
+ *     return fetch(url, { signal }).then(r => r.json());
+ *   }, { mint }, {
+ *     timeoutMs: 10000,
+ *     retry: { attempts: 3, on: ['network', 'timeout', 'api'], baseDelayMs: 250 },
+ *     fallback: (error, { attempts }) => cache.get(mint),
+ *     signal: controller.signal // caller-side cancel: stops retries, skips fallback
+ *   });
+ */
+
+const { ERROR_TYPES } = require('./classifier');
+
+// Worth another attempt: the same call may well succeed a moment later
+const RETRYABLE_TYPES = [ERROR_TYPES.NETWORK, ERROR_TYPES.TIMEOUT, ERROR_TYPES.API];
+
+const RETRY_DEFAULTS = {
+  attempts: 3,
+  on: RETRYABLE_TYPES,
+  baseDelayMs: 250,
+  maxDelayMs: 10000,
+  factor: 2
+};
+
+// ─── Policy ──────────────────────────────────────────────────────────
+
+/**
+ * Normalize wrapSkill options into a policy.
+ * `retry: 3` is shorthand for { attempts: 3 }; `retry: true` uses the defaults.
+ *
+ * @returns {Object} { active, timeoutMs, signal, retry, attempts, fallback }
+ */
+function resolvePolicy(options = {}) {
+  let retry = null;
+  if (typeof options.retry === 'number') retry = { ...RETRY_DEFAULTS, attempts: options.retry };
+  else if (options.retry === true) retry = { ...RETRY_DEFAULTS };
+  else if (options.retry) retry = { ...RETRY_DEFAULTS, ...options.retry };
+
+  const timeoutMs = options.timeoutMs || null;
+  const signal = options.signal || null;
+  const fallback = typeof options.fallback === 'function' ? options.fallback : null;
+
+  return {
+    active: Boolean(retry || timeoutMs || signal || fallback),
+    timeoutMs,
+    signal,
+    retry,
+    attempts: Math.max(1, retry?.attempts || 1),
+    fallback
+  };
+}
+
+/**
+ * Whether a failed attempt should be retried. `on` is a list of error
+ * types (from the logger's classifier) or (error, type, attempt) => boolean.
+ */
+function shouldRetry(retry, error, type, attempt) {
+  if (!retry) return false;
+  if (typeof retry.on === 'function') return Boolean(retry.on(error, type, attempt));
+  return retry.on.includes(type);
+}
+
+/**
+ * Full-jitter backoff: random delay in [0, min(max, base * factor^(attempt-1))].
+ * Spreads retries out so a recovering RPC isn't hit by every caller at once.
+ */
+function backoffDelay(retry, attempt, random = Math.random) {
+  const ceiling = Math.min(retry.maxDelayMs, retry.baseDelayMs * Math.pow(retry.factor, attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+// ─── Attempts ────────────────────────────────────────────────────────
+
+/**
+ * Run one attempt: fn({ signal, attempt }). Rejects with a TimeoutError
+ * when timeoutMs passes, or with the caller's abort reason, even if fn
+ * ignores the signal.
+ */
+async function runAttempt(fn, { attempt, timeoutMs, signal, label }) {
+  const controller = new AbortController();
+  const stopped = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  const timer = timeoutMs ? setTimeout(() => controller.abort(timeoutError(label, timeoutMs)), timeoutMs) : null;
+
+  try {
+    const running = Promise.resolve().then(() => fn({ signal: controller.signal, attempt }));
+    running.catch(() => {}); // An abandoned attempt may still fail later
+    return await Promise.race([running, stopped]);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Wait between attempts; resolves false if the signal aborts first.
+ */
+function waitForRetry(ms, signal) {
+  if (signal?.aborted) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function timeoutError(label, ms) {
+  const error = new Error(`${label} timed out after ${ms}ms`);
+  error.name = 'TimeoutError';
+  error.code = 'ETIMEDOUT';
+  // Raised from a timer, so the real stack says nothing — one frame per skill keeps hashes apart
+  error.stack = `${error.name}: ${error.message}\n    at ${label} (wrapSkill timeout)`;
+  return error;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  resolvePolicy,
+  shouldRetry,
+  backoffDelay,
+  runAttempt,
+  waitForRetry,
+  RETRYABLE_TYPES,
+  RETRY_DEFAULTS
+};
@@ -0,0 +1,198 @@
+/**
+ * X1 Vault — Cross-Process File Lock
+ *
+ * Advisory lock built on an exclusively-created lock file, so several
+ * processes (bot.js, the self-audit cron, extra workers) can share one
+ * logDir without clobbering each other's writes.
+ *
+ *   errors/_write.lock        ← held while appending a batch to a daily file
+ *   errors/_occurrences.lock  ← held while reading/appending the occurrence journal
+ *
+ * The lock file holds "pid@hostname". A lock is considered stale — and
+ * broken — when its owner is a dead process on this host, or when it has
+ * not been touched for `staleMs` (owner crashed on another host / container).
+ * Locks are meant to be held for milliseconds, never across awaits on the network.
+ *
+ * The lock coordinates processes, not callers: inside one process it is
+ * re-entrant and shared (two loggers on the same logDir never wait on each
+ * other — a synchronous waiter could otherwise block the very event loop
+ * an async holder needs to finish).
+ *
+ * Usage:
+ *   withLockSync(path.join(logDir, '_write.lock'), () => fs.appendFileSync(file, chunk));
+ *   await withLock(lockPath, async () => { await fs.promises.appendFile(file, chunk); });
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULTS = {
+  timeoutMs: 5000, // Give up waiting after this long
+  staleMs: 10000,  // Break locks untouched for this long
+  retryMs: 5       // Poll interval while waiting
+};
+
+const OWNER = `${process.pid}@${os.hostname()}`;
+
+// Shared buffer for Atomics.wait — a real sleep for the synchronous path
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+// Locks this process currently holds: resolved path → hold count
+const held = new Map();
+
+// ─── Acquire / Release ───────────────────────────────────────────────
+
+/**
+ * Try once to take the lock. Returns true on success.
+ */
+function tryAcquire(lockPath, staleMs) {
+  if (held.has(lockPath)) {
+    held.set(lockPath, held.get(lockPath) + 1);
+    return true;
+  }
+
+  try {
+    const fd = fs.openSync(lockPath, 'wx');
+    fs.writeSync(fd, OWNER);
+    fs.closeSync(fd);
+    held.set(lockPath, 1);
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+
+  breakIfStale(lockPath, staleMs);
+  return false;
+}
+
+function release(lockPath) {
+  const count = held.get(lockPath) - 1;
+  if (count > 0) {
+    held.set(lockPath, count);
+    return;
+  }
+  held.delete(lockPath);
+
+  try {
+    // Only remove the lock if it is still ours (it may have been broken as stale)
+    if (fs.readFileSync(lockPath, 'utf-8') === OWNER) fs.unlinkSync(lockPath);
+  } catch { /* already gone */ }
+}
+
+/**
+ * Remove a stale lock. Between deciding it is stale and removing it, its
+ * owner may have released and another process created a fresh lock, so
+ * the lock is moved aside first (an atomic rename — only one breaker
+ * wins) and put back if the file moved isn't the one judged stale.
+ */
+function breakIfStale(lockPath, staleMs) {
+  const staleInode = staleLockInode(lockPath, staleMs);
+  if (staleInode === null) return;
+
+  const asidePath = `${lockPath}.${process.pid}.stale`;
+  try {
+    fs.renameSync(lockPath, asidePath);
+  } catch {
+    return; // Someone else broke it first
+  }
+  try {
+    if (fs.statSync(asidePath).ino !== staleInode) {
+      fs.linkSync(asidePath, lockPath); // A live lock — restore it (fails if a new one was taken meanwhile)
+    }
+  } catch { /* lock re-created in the meantime — leave that one alone */ }
+  try { fs.unlinkSync(asidePath); } catch { /* already gone */ }
+}
+
+/**
+ * Inode of the lock file when it is stale, null otherwise. Reads mtime,
+ * owner and inode through one descriptor, so they describe the same file.
+ */
+function staleLockInode(lockPath, staleMs) {
+  let fd, stat, owner;
+  try {
+    fd = fs.openSync(lockPath, 'r');
+    stat = fs.fstatSync(fd);
+    owner = fs.readFileSync(fd, 'utf-8');
+  } catch {
+    return null; // Released while we looked — just retry
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+
+  if (Date.now() - stat.mtimeMs > staleMs) return stat.ino;
+
+  const [pid, host] = owner.split('@');
+  if (pid && host === os.hostname() && Number(pid) !== process.pid) {
+    try {
+      process.kill(Number(pid), 0);
+    } catch (err) {
+      if (err.code === 'ESRCH') return stat.ino; // Owner died without releasing
+    }
+  }
+  return null;
+}
+
+// ─── Public API ──────────────────────────────────────────────────────
+
+/**
+ * Run fn while holding the lock, blocking the thread while waiting.
+ * For short critical sections off the hot path (fixes, merges, retention) and at process exit.
+ *
+ * @param {string} lockPath - Lock file to create
+ * @param {Function} fn - Synchronous work to run under the lock
+ * @param {Object} [options] - { timeoutMs, staleMs, retryMs }
+ * @returns {*} fn's return value
+ */
+function withLockSync(lockPath, fn, options = {}) {
+  const { timeoutMs, staleMs, retryMs } = { ...DEFAULTS, ...options };
+  lockPath = path.resolve(lockPath);
+  const deadline = Date.now() + timeoutMs;
+
+  while (!tryAcquire(lockPath, staleMs)) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`);
+    }
+    Atomics.wait(sleeper, 0, 0, retryMs);
+  }
+
+  try {
+    return fn();
+  } finally {
+    release(lockPath);
+  }
+}
+
+/**
+ * Run an async fn while holding the lock, yielding to the event loop while waiting.
+ *
+ * @param {string} lockPath - Lock file to create
+ * @param {Function} fn - Async work to run under the lock
+ * @param {Object} [options] - { timeoutMs, staleMs, retryMs }
+ * @returns {Promise<*>} fn's resolved value
+ */
+async function withLock(lockPath, fn, options = {}) {
+  const { timeoutMs, staleMs, retryMs } = { ...DEFAULTS, ...options };
+  lockPath = path.resolve(lockPath);
+  const deadline = Date.now() + timeoutMs;
+
+  while (!tryAcquire(lockPath, staleMs)) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, retryMs));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    release(lockPath);
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  withLock,
+  withLockSync
+};
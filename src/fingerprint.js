@@ -0,0 +1,414 @@
+/**
+ * X1 Vault — Error Fingerprinting & Grouping
+ *
+ * Decides which errors count as "the same error": the hash that links
+ * occurrences, recurring-error reports and recorded fixes.
+ *
+ * Strategies (pick one per logger, or pass a function):
+ *   stack        → top 5 stack frames, line numbers and paths stripped (default)
+ *   stack+skill  → same, but scoped per skill — a shared helper failing in
+ *                  two unrelated skills becomes two groups
+ *   message      → error name + message template (numbers, addresses, hex IDs masked)
+ *   skill-type   → one group per skill and error type
+ *   fn(input)    → return any string key (or null to fall back to `message`)
+ *
+ * Stack strategies fall back to the message template when an error has no
+ * frames, instead of collapsing everything into one 'no-stack' group.
+ *
+ * Groups can be corrected after the fact (persisted in logDir/_groups.json,
+ * shared by every process):
+ *   merge(from, into)      → `from` is an alias of `into` from now on
+ *   split(hash, by)        → subdivide a group by skill, agent, error_type or message
+ *                            (message subgroups are stored by hash, not text)
+ *
+ * Usage:
+ *   const fingerprinter = new Fingerprinter({ strategy: 'stack+skill' });
+ *   fingerprinter.fingerprint({ error, stack, skill, type }); // → { hash, strategy }
+ *
+ *   new ErrorLogger({ logDir: './errors', fingerprint: 'message' });
+ *   logger.mergeHashes('0f9e8d7c6b5a', 'a1b2c3d4e5f6');
+ *   logger.splitHash('a1b2c3d4e5f6', { by: 'skill' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { withLock, withLockSync } = require('./file-lock');
+
+// ─── Stack Trace Hashing ─────────────────────────────────────────────
+
+/**
+ * Normalized frame signature: top N `at` lines with line:col numbers and
+ * absolute paths stripped. Empty string when the stack has no frames.
+ */
+function normalizeStack(stack, frames = 5) {
+  if (!stack) return '';
+  return stack
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('at '))
+    .map(line => {
+      // Strip line:col numbers — same function, different line = same root cause
+      return line.replace(/:\d+:\d+\)?$/, '');
+    })
+    // Strip absolute paths — normalize across environments
+    .map(line => line.replace(/\(\/.*\//g, '('))
+    .slice(0, frames) // Top 5 frames are usually enough to fingerprint
+    .join('|');
+}
+
+/**
+ * Generate a stable hash from an error's stack trace.
+ * Strips line numbers and file paths to group "same root cause" errors.
+ * This is the key that links errors to known fixes.
+ */
+function hashStackTrace(stack) {
+  if (!stack) return 'no-stack';
+  return hashKey(normalizeStack(stack));
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+// ─── Message Templates ───────────────────────────────────────────────
+
+const TEMPLATE_MASKS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b[1-9A-HJ-NP-Za-km-z]{32,90}\b/g, '<address>'],          // base58 addresses, signatures
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hex>'], // hex ids with letters and digits
+  [/\d+(?:\.\d+)?/g, '<n>']
+];
+
+/**
+ * Mask the variable parts of a message so "Account 81Lk... has 5 SOL" and
+ * "Account 9xQe... has 12 SOL" share one template.
+ */
+function templateMessage(message) {
+  let out = String(message || '');
+  for (const [pattern, mask] of TEMPLATE_MASKS) {
+    out = out.replace(pattern, mask);
+  }
+  return out;
+}
+
+// ─── Strategies ──────────────────────────────────────────────────────
+
+const STRATEGIES = {
+  stack: (input, options) => normalizeStack(input.stack, options.frames) || null,
+  'stack+skill': (input, options) => {
+    const frames = normalizeStack(input.stack, options.frames);
+    return frames ? `${input.skill || ''}#${frames}` : null;
+  },
+  message: (input) => `${input.name || 'Error'}: ${templateMessage(input.message)}`,
+  'skill-type': (input) => `${input.skill || 'unknown'}/${input.type || 'unknown'}`
+};
+
+class Fingerprinter {
+  /**
+   * @param {Object|string|Function} [options] - A strategy name/function, or:
+   * @param {string|Function} [options.strategy] - 'stack' | 'stack+skill' | 'message' | 'skill-type' | fn(input) → key
+   * @param {number} [options.frames] - Stack frames considered by stack strategies (default: 5)
+   */
+  constructor(options = {}) {
+    const opts = typeof options === 'string' || typeof options === 'function' ? { strategy: options } : options;
+    this.strategy = opts.strategy || 'stack';
+    this.frames = opts.frames || 5;
+
+    if (typeof this.strategy !== 'function' && !STRATEGIES[this.strategy]) {
+      throw new Error(`Unknown fingerprint strategy "${this.strategy}" (available: ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+  }
+
+  /**
+   * @param {Object} input - { error, stack, skill, agent, type }
+   * @returns {Object} { hash, strategy } — strategy is the one that produced the key
+   */
+  fingerprint(input) {
+    const full = {
+      ...input,
+      name: input.error?.name,
+      message: input.error?.message,
+      templateMessage
+    };
+
+    const name = typeof this.strategy === 'function' ? 'custom' : this.strategy;
+    const strategy = typeof this.strategy === 'function' ? this.strategy : STRATEGIES[this.strategy];
+    const key = strategy(full, { frames: this.frames });
+
+    if (key === null || key === undefined || key === '') {
+      return { hash: hashKey(STRATEGIES.message(full)), strategy: 'message' };
+    }
+    return { hash: hashKey(String(key)), strategy: name };
+  }
+}
+
+// ─── Manual Grouping ─────────────────────────────────────────────────
+
+const SPLIT_FIELDS = ['skill', 'agent', 'error_type', 'message', 'name'];
+
+class FingerprintGroups {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - logDir (holds _groups.json)
+   * @param {Object} [options.lock] - file-lock options
+   */
+  constructor(options = {}) {
+    this.filePath = path.join(options.dir, '_groups.json');
+    this.lockPath = path.join(options.dir, '_groups.lock');
+    this.lockOptions = options.lock || {};
+
+    this._state = { aliases: {}, splits: {} };
+    this._signature = null; // File version _state was read from
+    this._newChildren = new Map(); // child → [parent, value] seen by assign(), not in the file yet
+    this._recording = null;
+  }
+
+  /**
+   * Canonical hash for a raw fingerprint: splits applied (when the entry is
+   * known), then aliases followed. Cycle-safe. Pure — reads only, so it is
+   * safe on query paths; capture uses assign() to record new subgroups.
+   *
+   * @param {string} hash
+   * @param {Object} [entry] - Entry fields used by splits (skill, agent, message, ...)
+   */
+  resolve(hash, entry = null) {
+    return this._walk(hash, entry, null);
+  }
+
+  /**
+   * resolve() for a newly captured entry: a split value seen for the first
+   * time is remembered (asynchronously) so queries on it find the parent's entries.
+   */
+  assign(hash, entry) {
+    const unseen = [];
+    const result = this._walk(hash, entry, unseen);
+    if (unseen.length > 0) this._recordChildren(unseen);
+    return result;
+  }
+
+  /**
+   * Wait for subgroups assign() is still recording.
+   */
+  async flush() {
+    while (this._recording) await this._recording;
+  }
+
+  /**
+   * Record pending subgroups synchronously. For process exit only.
+   */
+  flushSync() {
+    if (this._newChildren.size === 0) return;
+    const pending = [...this._newChildren];
+    this._update(s => this._addChildren(s, pending));
+    for (const [child] of pending) this._newChildren.delete(child);
+  }
+
+  /**
+   * Every stored hash whose entries may resolve to this one
+   * (alias sources and split parents, transitively).
+   */
+  members(hash) {
+    const state = this._read();
+    const result = new Set([hash]);
+    let grew = true;
+
+    while (grew) {
+      grew = false;
+      for (const [from, to] of Object.entries(state.aliases)) {
+        if (result.has(to) && !result.has(from)) { result.add(from); grew = true; }
+      }
+      for (const [parent, split] of Object.entries(state.splits)) {
+        if (result.has(parent)) continue;
+        if (Object.keys(split.children).some(child => result.has(child))) { result.add(parent); grew = true; }
+      }
+      for (const [child, [parent]] of this._newChildren) {
+        if (result.has(child) && !result.has(parent)) { result.add(parent); grew = true; }
+      }
+    }
+    return [...result];
+  }
+
+  merge(from, into) {
+    if (!from || !into || from === into) throw new Error('merge needs two different hashes');
+    if (this.resolve(into) === from) throw new Error(`${into} is already merged into ${from}`);
+    this._update(s => {
+      s.aliases[from] = into;
+      // A split group merged away takes its subgroups along
+      for (const child of Object.keys(s.splits[from]?.children || {})) {
+        s.aliases[child] = into;
+      }
+      delete s.splits[from];
+    });
+  }
+
+  /**
+   * Subdivide a group by an entry field. Aliases into the group stay —
+   * their entries are split the same way.
+   *
+   * @param {string} hash
+   * @param {string} by - 'skill' | 'agent' | 'error_type' | 'message' | 'name'
+   * @param {Array} [entries] - Existing entries of the group, to pre-register and count subgroups
+   * @returns {Object} { childHash: { value, count } }
+   */
+  split(hash, by, entries = []) {
+    if (!SPLIT_FIELDS.includes(by)) {
+      throw new Error(`Can only split by: ${SPLIT_FIELDS.join(', ')}`);
+    }
+
+    const groups = {};
+    for (const entry of entries) {
+      const value = this._splitValue(entry, by);
+      const child = this._childHash(hash, by, value);
+      if (!groups[child]) groups[child] = { value, count: 0 };
+      groups[child].count++;
+    }
+
+    this._update(s => {
+      const children = {};
+      for (const [child, { value }] of Object.entries(groups)) children[child] = this._storedValue(by, value);
+      s.splits[hash] = { by, children };
+    });
+    return groups;
+  }
+
+  /**
+   * True once any merge or split exists — lets readers skip per-entry resolution.
+   */
+  hasOverrides() {
+    const state = this._read();
+    return Object.keys(state.aliases).length > 0 || Object.keys(state.splits).length > 0;
+  }
+
+  get aliases() {
+    return { ...this._read().aliases };
+  }
+
+  get splits() {
+    return JSON.parse(JSON.stringify(this._read().splits));
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _walk(hash, entry, unseen) {
+    const state = this._read();
+    const seen = new Set();
+    let current = hash;
+
+    while (!seen.has(current)) {
+      seen.add(current);
+
+      const split = state.splits[current];
+      if (split && entry) {
+        const value = this._splitValue(entry, split.by);
+        const child = this._childHash(current, split.by, value);
+        if (unseen && !(child in split.children)) unseen.push([child, [current, this._storedValue(split.by, value)]]);
+        current = child;
+        continue;
+      }
+
+      if (state.aliases[current]) {
+        current = state.aliases[current];
+        continue;
+      }
+      break;
+    }
+    return current;
+  }
+
+  _recordChildren(found) {
+    for (const [child, parentAndValue] of found) this._newChildren.set(child, parentAndValue);
+    if (this._recording) return;
+
+    const pending = [...this._newChildren];
+    this._recording = this._updateAsync(s => this._addChildren(s, pending))
+      .then(() => {
+        for (const [child] of pending) this._newChildren.delete(child);
+      })
+      .catch(() => { /* lock busy or disk error — kept for the next capture or flush */ })
+      .finally(() => {
+        this._recording = null;
+      });
+  }
+
+  _addChildren(state, pending) {
+    for (const [child, [parent, value]] of pending) {
+      if (state.splits[parent]) state.splits[parent].children[child] = value;
+    }
+  }
+
+  _splitValue(entry, by) {
+    if (by === 'message') return templateMessage(entry.message);
+    const value = entry[by];
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  // What _groups.json keeps for a subgroup. Messages can carry addresses and
+  // user input and the file is never encrypted, so only their hash is stored.
+  _storedValue(by, value) {
+    return by === 'message' ? `sha256:${hashKey(value)}` : value;
+  }
+
+  _childHash(hash, by, value) {
+    return hashKey(`${hash}|${by}=${value}`);
+  }
+
+  // The file is replaced on every write: inode and size tell two writes apart
+  // even within one mtime tick (file timestamps are coarse)
+  _fileSignature() {
+    const { ino, size, mtimeMs } = fs.statSync(this.filePath);
+    return `${ino}:${size}:${mtimeMs}`;
+  }
+
+  _read() {
+    let signature;
+    try {
+      signature = this._fileSignature();
+    } catch {
+      return this._state; // No overrides yet
+    }
+    if (signature !== this._signature) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        this._state = { aliases: data.aliases || {}, splits: data.splits || {} };
+        this._signature = signature;
+      } catch { /* mid-write or corrupt — keep the last good state */ }
+    }
+    return this._state;
+  }
+
+  // Off the capture path: the write waits for the lock without blocking, then
+  // runs synchronously so an in-process merge or split can't land in between
+  async _updateAsync(mutate) {
+    await new Promise(resolve => setImmediate(resolve));
+    await withLock(this.lockPath, async () => this._write(mutate), this.lockOptions);
+  }
+
+  _update(mutate) {
+    withLockSync(this.lockPath, () => this._write(mutate), this.lockOptions);
+  }
+
+  _write(mutate) {
+    this._signature = null; // Force a re-read under the lock
+    const state = JSON.parse(JSON.stringify(this._read()));
+    mutate(state);
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+    this._state = state;
+    this._signature = this._fileSignature();
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  Fingerprinter,
+  FingerprintGroups,
+  hashStackTrace,
+  normalizeStack,
+  templateMessage,
+  STRATEGIES
+};
@@ -0,0 +1,128 @@
+/**
+ * X1 Vault — Method Instrumentation
+ *
+ * Wraps every public method of an object — typically an agent instance —
+ * so each call runs as a skill: its own request scope, a success entry or
+ * a captured error, the agent name on both. Saves wrapping TokenAuditAgent,
+ * VaultSyncAgent and DeployAgent method by method.
+ *
+ *   - Public = functions on the object or its prototype chain, except the
+ *     constructor and names starting with `_`. The walk stops at built-in
+ *     base classes (Object, EventEmitter, streams, native classes), so
+ *     inherited on / emit / pipe keep their own behavior
+ *   - Skill name: `skills[method]`, else the method name in kebab-case
+ *     (auditToken → audit-token)
+ *   - async methods go through wrapSkill (so execution policies and circuit
+ *     breakers apply), others through wrapSync
+ *   - Calls return wrapSkill's { success, result, error, entry } shape, or
+ *     the plain result / thrown error with `rethrow: true`. Only the outermost
+ *     call is shaped: a method calling a sibling through `this` gets the plain
+ *     result (or the thrown error), and the inner call is still logged as a skill
+ *
+ * Usage:
+ *   logger.instrument(tokenAuditAgent, {
+ *     agent: 'TokenAuditAgent',
+ *     skills: { audit: 'token-audit', fetchHolders: { skill: 'fetch-holders', retry: 3, dependencies: ['helius'] } },
+ *     exclude: ['toString'],
+ *     rethrow: true
+ *   });
+ *   await tokenAuditAgent.audit(mint); // logged as skill 'token-audit', agent 'TokenAuditAgent'
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const { Stream } = require('stream');
+
+const INSTRUMENTED = Symbol('x1.instrumented');
+
+// Objects with an instrumented call in progress on this async path
+const activeCalls = new AsyncLocalStorage();
+
+// Base classes agents commonly extend; their methods are plumbing, not skills
+const BASE_PROTOTYPES = new Set([Object.prototype, EventEmitter.prototype, Stream.prototype]);
+
+// ─── Instrumentation ─────────────────────────────────────────────────
+
+/**
+ * @param {ErrorLogger} logger
+ * @param {Object} target - Patched in place (own properties shadow the prototype's methods)
+ * @param {Object} [options]
+ * @param {string} [options.agent] - Agent name stored on every entry
+ * @param {Object} [options.skills] - method → skill name, or method → { skill, ...wrapSkill options }
+ * @param {string[]} [options.exclude] - Methods to leave alone
+ * @param {boolean} [options.rethrow] - Return plain results and rethrow errors (default: false)
+ * @returns {Object} target
+ */
+function instrumentObject(logger, target, options = {}) {
+  const skills = options.skills || {};
+  const exclude = new Set(options.exclude || []);
+
+  for (const name of publicMethods(target)) {
+    if (exclude.has(name)) continue;
+    const original = target[name];
+    if (original[INSTRUMENTED]) continue; // Already wrapped
+
+    const configured = typeof skills[name] === 'string' ? { skill: skills[name] } : skills[name] || {};
+    const { skill = kebabCase(name), ...skillOptions } = configured;
+    const callOptions = { agent: options.agent, rethrow: options.rethrow, ...skillOptions };
+    const isAsync = original.constructor?.name === 'AsyncFunction';
+
+    const wrapped = function (...args) {
+      const input = args.length === 1 ? args[0] : args;
+      const callers = activeCalls.getStore() || [];
+      // Called from another of this object's methods — hand back what the method returned or threw
+      const runOptions = callers.includes(this) ? { ...callOptions, rethrow: true } : callOptions;
+      const call = () => original.apply(this, args);
+      return activeCalls.run([...callers, this], () => (isAsync
+        ? logger.wrapSkill(skill, call, input, runOptions)
+        : logger.wrapSync(skill, call, input, runOptions)));
+    };
+    Object.defineProperty(wrapped, 'name', { value: name });
+    wrapped[INSTRUMENTED] = true;
+    Object.defineProperty(target, name, { value: wrapped, writable: true, configurable: true, enumerable: false });
+  }
+  return target;
+}
+
+/**
+ * Method names callable on target, nearest definition first, up to (not
+ * including) the first built-in prototype.
+ */
+function publicMethods(target) {
+  const names = new Set();
+  for (let proto = target; proto && !isBuiltInPrototype(proto); proto = Object.getPrototypeOf(proto)) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (name === 'constructor' || name.startsWith('_') || names.has(name)) continue;
+      const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+      if (typeof descriptor.value === 'function') names.add(name); // Getters / setters are left alone
+    }
+  }
+  return [...names];
+}
+
+function isBuiltInPrototype(proto) {
+  if (BASE_PROTOTYPES.has(proto)) return true;
+  const ctor = Object.getOwnPropertyDescriptor(proto, 'constructor')?.value;
+  return typeof ctor === 'function' && proto === ctor.prototype && /\{\s*\[native code\]\s*\}$/.test(Function.prototype.toString.call(ctor));
+}
+
+function kebabCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[_\s]+/g, '-').toLowerCase();
+}
+
+/**
+ * { success, result, error } → result, or throw the error.
+ */
+function unwrapOutcome(outcome) {
+  if (!outcome.success) throw outcome.error;
+  return outcome.result;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  instrumentObject,
+  publicMethods,
+  kebabCase,
+  unwrapOutcome
+};
@@ -0,0 +1,248 @@
+/**
+ * X1 Vault — Issue Lifecycle
+ *
+ * An issue is everything logged under one error hash. Its status decides
+ * how new occurrences are treated:
+ *
+ *   open       → default for any hash nobody has acted on (not stored)
+ *   resolved   → fixed (fix reference + release recorded); a new occurrence
+ *                is a regression
+ *   regressed  → was resolved, came back — severity is raised and
+ *                onRegression fires
+ *   ignored    → known and accepted; never an auto-fix candidate
+ *   muted      → silenced until a date and/or for N more occurrences,
+ *                then back to open
+ *
+ * State lives in logDir/_issues.json, shared by every process (written
+ * under _issues.lock, re-read when the file changes). Only issues someone
+ * acted on are stored, and capture() only writes when a status changes.
+ *
+ * Usage:
+ *   const issues = new IssueStore({ dir: './errors' });
+ *   issues.resolve('a1b2c3d4e5f6', { reference: 'PR #42', release: '1.4.0' });
+ *   issues.mute('0f9e8d7c6b5a', { until: '2026-11-01', count: 100 }, currentCount);
+ *   issues.observe('a1b2c3d4e5f6', 7); // → { issue, regressed: true, unmuted: false }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withLockSync } = require('./file-lock');
+
+const ISSUE_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  REGRESSED: 'regressed',
+  IGNORED: 'ignored',
+  MUTED: 'muted'
+};
+
+const HISTORY_LIMIT = 20;
+
+// ─── Store ───────────────────────────────────────────────────────────
+
+class IssueStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - logDir (holds _issues.json)
+   * @param {Object} [options.lock] - file-lock options
+   */
+  constructor(options = {}) {
+    this.filePath = path.join(options.dir, '_issues.json');
+    this.lockPath = path.join(options.dir, '_issues.lock');
+    this.lockOptions = options.lock || {};
+
+    this._issues = {};
+    this._signature = null; // File version _issues was read from
+  }
+
+  /**
+   * Current issue for a hash (an implicit open issue if none is stored).
+   */
+  get(hash) {
+    const issue = this._read()[hash];
+    return issue ? JSON.parse(JSON.stringify(issue)) : { hash, status: ISSUE_STATUS.OPEN, history: [] };
+  }
+
+  /**
+   * Stored issues, optionally filtered by status.
+   * @param {Object} [filters] - { status: string | string[] }
+   */
+  list(filters = {}) {
+    const statuses = filters.status ? [].concat(filters.status) : null;
+    return Object.values(this._read())
+      .filter(issue => !statuses || statuses.includes(issue.status))
+      .map(issue => JSON.parse(JSON.stringify(issue)));
+  }
+
+  /**
+   * @param {Object} [details] - { reference, release, by }
+   */
+  resolve(hash, details = {}) {
+    return this._transition(hash, ISSUE_STATUS.RESOLVED, (issue, now) => {
+      issue.resolved = {
+        at: now,
+        reference: details.reference || null,
+        release: details.release || null,
+        by: details.by || null
+      };
+      issue.muted = null;
+    });
+  }
+
+  /**
+   * @param {Object} [details] - { reason }
+   */
+  ignore(hash, details = {}) {
+    return this._transition(hash, ISSUE_STATUS.IGNORED, (issue) => {
+      issue.ignored = { reason: details.reason || null };
+      issue.muted = null;
+    }, details.reason);
+  }
+
+  /**
+   * Silence an issue until a date and/or for `count` more occurrences
+   * (whichever comes first).
+   *
+   * @param {Object} options - { until: Date|string, count: number }
+   * @param {number} [currentCount] - Occurrence count now (count-based mutes are measured from it)
+   */
+  mute(hash, options = {}, currentCount = 0) {
+    if (!options.until && !options.count) throw new Error('mute needs `until` and/or `count`');
+    return this._transition(hash, ISSUE_STATUS.MUTED, (issue) => {
+      issue.muted = {
+        until: options.until ? new Date(options.until).toISOString() : null,
+        count: options.count || null,
+        from_count: currentCount
+      };
+    });
+  }
+
+  reopen(hash) {
+    return this._transition(hash, ISSUE_STATUS.OPEN, (issue) => {
+      issue.muted = null;
+    });
+  }
+
+  /**
+   * Apply one new occurrence: resolved → regressed, expired mutes → open.
+   * Writes only when the status changes.
+   *
+   * @param {string} hash
+   * @param {number} count - Occurrence count including this one
+   * @returns {Object} { issue, regressed, unmuted }
+   */
+  observe(hash, count) {
+    const unchanged = () => ({ issue: this.get(hash), regressed: false, unmuted: false });
+    const stored = this._read()[hash];
+    if (!stored || !this._changesOn(stored, count)) return unchanged();
+
+    // Decide again under the lock — another process may have taken the same transition
+    let outcome = null;
+    this._update(issues => {
+      const current = issues[hash];
+      if (!current || !this._changesOn(current, count)) return false;
+
+      if (current.status === ISSUE_STATUS.RESOLVED) {
+        const note = current.resolved?.release ? `regressed after release ${current.resolved.release}` : null;
+        const issue = this._apply(issues, hash, ISSUE_STATUS.REGRESSED, (i) => {
+          i.regressions = (i.regressions || 0) + 1;
+        }, note);
+        outcome = { issue, regressed: true, unmuted: false };
+      } else {
+        const issue = this._apply(issues, hash, ISSUE_STATUS.OPEN, (i) => { i.muted = null; }, 'mute expired');
+        outcome = { issue, regressed: false, unmuted: true };
+      }
+    });
+    return outcome || unchanged();
+  }
+
+  /**
+   * True while an issue is ignored or muted (mute not yet expired).
+   */
+  isSilenced(hash, count = 0) {
+    const issue = this._read()[hash];
+    if (!issue) return false;
+    if (issue.status === ISSUE_STATUS.IGNORED) return true;
+    return issue.status === ISSUE_STATUS.MUTED && !this._muteExpired(issue, count);
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _muteExpired(issue, count) {
+    const mute = issue.muted;
+    if (!mute) return true;
+    if (mute.until && Date.now() >= Date.parse(mute.until)) return true;
+    if (mute.count && count - mute.from_count >= mute.count) return true;
+    return false;
+  }
+
+  // A new occurrence moves the issue: resolved → regressed, expired mute → open
+  _changesOn(issue, count) {
+    if (issue.status === ISSUE_STATUS.RESOLVED) return true;
+    return issue.status === ISSUE_STATUS.MUTED && this._muteExpired(issue, count);
+  }
+
+  _transition(hash, status, mutate, note = null) {
+    let result;
+    this._update(issues => {
+      result = this._apply(issues, hash, status, mutate, note);
+    });
+    return result;
+  }
+
+  _apply(issues, hash, status, mutate, note) {
+    const now = new Date().toISOString();
+    const issue = issues[hash] || { hash, status: ISSUE_STATUS.OPEN, created_at: now, regressions: 0, history: [] };
+    mutate(issue, now);
+    issue.history.push({ from: issue.status, to: status, at: now, ...(note && { note }) });
+    if (issue.history.length > HISTORY_LIMIT) issue.history.splice(0, issue.history.length - HISTORY_LIMIT);
+    issue.status = status;
+    issue.updated_at = now;
+    issues[hash] = issue;
+    return JSON.parse(JSON.stringify(issue));
+  }
+
+  // Writes replace the file, so its inode and size change even when two
+  // writes land in the same (coarse) mtime tick
+  _fileSignature() {
+    const { ino, size, mtimeMs } = fs.statSync(this.filePath);
+    return `${ino}:${size}:${mtimeMs}`;
+  }
+
+  _read() {
+    let signature;
+    try {
+      signature = this._fileSignature();
+    } catch {
+      return this._issues; // Nothing acted on yet
+    }
+    if (signature !== this._signature) {
+      try {
+        this._issues = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        this._signature = signature;
+      } catch { /* mid-write or corrupt — keep the last good state */ }
+    }
+    return this._issues;
+  }
+
+  _update(mutate) {
+    withLockSync(this.lockPath, () => {
+      this._signature = null; // Force a re-read under the lock
+      const issues = JSON.parse(JSON.stringify(this._read()));
+      if (mutate(issues) === false) return; // Nothing to change after all
+
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(issues, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+      this._issues = issues;
+      this._signature = this._fileSignature();
+    }, this.lockOptions);
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  IssueStore,
+  ISSUE_STATUS
+};
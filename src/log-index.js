@@ -0,0 +1,242 @@
+/**
+ * X1 Vault — Error Log Index
+ *
+ * On-disk index over the daily JSONL files written by ErrorLogger,
+ * so query() and getRecurringErrors() don't have to parse every line
+ * of every file on each call.
+ *
+ * Layout (one small index file per day, next to the logs):
+ *
+ *   errors/_index/2026-10-19.json
+ *   {
+ *     "signature": "1234:0",            ← plain size : archive size when indexed
+ *     "lines": 42,                      ← line count covered by this index
+ *     "hash":       { "a1b2c3d4e5f6": [0, 7, 12] },
+ *     "skill":      { "token-audit": [0, 3, 7, 12] },
+ *     "error_type": { "api": [0, 12] }
+ *   }
+ *
+ * Postings are line numbers in the order ErrorLogger reads a day
+ * (gzip archive first, then the plain file), so they survive archiving.
+ * The index is maintained on append and rebuilt lazily, on the next lookup,
+ * for any day whose files changed underneath it (another process,
+ * retention, manual edits) — never on the write path.
+ *
+ * Usage:
+ *   const index = new LogIndex({ logDir, readLines, signature });
+ *   index.add('2026-10-19', entry, bytesWritten);
+ *   index.lookup('2026-10-19', { hash: 'a1b2c3d4e5f6' }); // → [0, 7, 12]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Entry fields that get postings. Filter names map onto these.
+const INDEXED_FIELDS = {
+  hash: 'hash',
+  skill: 'skill',
+  type: 'error_type'
+};
+
+class LogIndex {
+  /**
+   * @param {Object} options
+   * @param {string} options.logDir - ErrorLogger log directory
+   * @param {Function} options.readLines - (dateStr) => string[] of raw lines for that day
+   * @param {Function} options.signature - (dateStr) => string identifying the day's current files
+   */
+  constructor(options = {}) {
+    this.logDir = options.logDir;
+    this.indexDir = path.join(this.logDir, '_index');
+    this.readLines = options.readLines;
+    this.signature = options.signature;
+
+    this._days = new Map();  // date → day index
+    this._dirty = new Set(); // dates with unsaved changes
+    this._stale = new Set(); // dates to rebuild on the next lookup
+  }
+
+  // ── Public API ───────────────────────────────────────────────────
+
+  /**
+   * Record freshly appended entries. Call after the lines are on disk.
+   *
+   * @param {string} dateStr - Day the entries were written to
+   * @param {Object|Object[]} entries - The entry (or batch, in write order) as written
+   * @param {number} bytes - Total byte length of the appended lines (including newlines)
+   */
+  add(dateStr, entries, bytes) {
+    if (this._stale.has(dateStr)) return; // The rebuild will read these lines too
+
+    const batch = Array.isArray(entries) ? entries : [entries];
+    const current = this.signature(dateStr);
+    const day = this._days.get(dateStr) || this._readIndexFile(dateStr) || { ...this._emptyDay(), signature: '0:0' };
+
+    // Exactly our lines were appended since the index was last in sync (or to a new day) →
+    // extend in place. Anything else (another writer, archiving) → rebuild from disk on the
+    // next lookup, which already contains these lines.
+    if (this._isSingleAppend(day.signature, current, bytes)) {
+      for (const entry of batch) {
+        this._addPostings(day, entry, day.lines);
+        day.lines++;
+      }
+      day.signature = current;
+      this._days.set(dateStr, day);
+      this._dirty.add(dateStr);
+      return;
+    }
+
+    this._days.delete(dateStr);
+    this._dirty.delete(dateStr);
+    this._stale.add(dateStr);
+  }
+
+  /**
+   * Line numbers for a day that match every indexed filter.
+   * Returns null when none of the filters are indexable (caller must scan).
+   *
+   * @param {string} dateStr
+   * @param {Object} filters - Same shape as ErrorLogger.query filters
+   * @returns {number[]|null}
+   */
+  lookup(dateStr, filters = {}) {
+    const keys = Object.keys(INDEXED_FIELDS).filter(k => filters[k]);
+    if (keys.length === 0) return null;
+
+    const day = this._getDay(dateStr);
+    let result = null;
+
+    for (const key of keys) {
+      const postings = this._postings(day[INDEXED_FIELDS[key]], filters[key]);
+      if (result === null) {
+        result = postings;
+      } else {
+        const allowed = new Set(postings);
+        result = result.filter(line => allowed.has(line));
+      }
+      if (result.length === 0) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Forget a day (its files were deleted by retention).
+   */
+  removeDate(dateStr) {
+    this._days.delete(dateStr);
+    this._dirty.delete(dateStr);
+    this._stale.delete(dateStr);
+    const filePath = this._indexPath(dateStr);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  }
+
+  /**
+   * Persist any days changed since the last save.
+   */
+  save() {
+    // Created on first write — a logger that only reads leaves no _index/ behind
+    if (this._dirty.size > 0) fs.mkdirSync(this.indexDir, { recursive: true });
+    for (const dateStr of this._dirty) {
+      const day = this._days.get(dateStr);
+      if (day) fs.writeFileSync(this._indexPath(dateStr), JSON.stringify(day));
+    }
+    this._dirty.clear();
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  /**
+   * Postings for one value, or the sorted union for an array of values
+   * (a hash filter expanded to every hash grouped under it).
+   */
+  _postings(field, value) {
+    // Keys are user data ('constructor', '__proto__') — only own entries count
+    const lines = (v) => (Object.hasOwn(field, v) ? field[v] : []);
+    if (!Array.isArray(value)) return lines(value);
+    const union = new Set();
+    for (const v of value) {
+      for (const line of lines(v)) union.add(line);
+    }
+    return [...union].sort((a, b) => a - b);
+  }
+
+  _getDay(dateStr) {
+    const day = this._stale.has(dateStr) ? null : this._days.get(dateStr) || this._readIndexFile(dateStr);
+
+    if (!day || day.signature !== this.signature(dateStr)) {
+      return this._rebuild(dateStr);
+    }
+
+    this._days.set(dateStr, day);
+    return day;
+  }
+
+  _readIndexFile(dateStr) {
+    const filePath = this._indexPath(dateStr);
+    if (!fs.existsSync(filePath)) return null;
+    try {
+      const day = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      for (const field of Object.values(INDEXED_FIELDS)) day[field] = Object.assign(postingsTable(), day[field]);
+      return day;
+    } catch {
+      return null; // Corrupt index — caller rebuilds
+    }
+  }
+
+  _rebuild(dateStr) {
+    const day = this._emptyDay();
+    const lines = this.readLines(dateStr);
+
+    lines.forEach((line, lineNo) => {
+      try {
+        this._addPostings(day, JSON.parse(line), lineNo);
+      } catch { /* malformed lines keep their number but get no postings */ }
+    });
+
+    day.lines = lines.length;
+    day.signature = this.signature(dateStr);
+    this._days.set(dateStr, day);
+    this._dirty.add(dateStr);
+    this._stale.delete(dateStr);
+    return day;
+  }
+
+  _addPostings(day, entry, lineNo) {
+    for (const field of Object.values(INDEXED_FIELDS)) {
+      const value = entry[field];
+      if (value === undefined || value === null) continue;
+      if (!Object.hasOwn(day[field], value)) day[field][value] = [];
+      day[field][value].push(lineNo);
+    }
+  }
+
+  _isSingleAppend(previous, current, bytes) {
+    if (!previous) return false;
+    const [prevPlain, prevArchive] = previous.split(':').map(Number);
+    const [plain, archive] = current.split(':').map(Number);
+    return archive === prevArchive && plain === prevPlain + bytes;
+  }
+
+  _emptyDay() {
+    return { signature: null, lines: 0, hash: postingsTable(), skill: postingsTable(), error_type: postingsTable() };
+  }
+
+  _indexPath(dateStr) {
+    return path.join(this.indexDir, `${dateStr}.json`);
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+
+// value → line numbers, without a prototype: skill names and hashes are arbitrary strings
+function postingsTable() {
+  return Object.create(null);
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  LogIndex,
+  INDEXED_FIELDS
+};
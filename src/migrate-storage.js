@@ -0,0 +1,98 @@
+/**
+ * X1 Vault — Storage Migration
+ *
+ * Imports an existing log directory (daily JSONL files, gzip archives and
+ * occurrence counts) into SQLite storage. Safe to re-run: each day
+ * imports only the entries appended since its last import, and a count
+ * already in the database is only ever raised. Fingerprint groups and
+ * issues stay in logDir and are used as they are.
+ *
+ * Writers may keep appending to today's file; re-run (or switch them to
+ * `storage: 'sqlite'`) to pick up what they wrote since.
+ *
+ * Needs Node 22.5+ for node:sqlite, like `storage: 'sqlite'` itself; file
+ * storage and everything else run on older versions too.
+ *
+ * Usage:
+ *   npm run migrate:sqlite -- --from ./errors                  # → ./errors/errors.db
+ *   node src/migrate-storage.js --from ./errors --to /var/lib/x1/errors.db
+ *   node src/migrate-storage.js --from ./errors --encrypted   # key from X1_ENCRYPTION_KEY, rows stay encrypted
+ *
+ *   const { migrateToSqlite } = require('./migrate-storage');
+ *   migrateToSqlite({ logDir: './errors' }); // → { days, entries, skipped, counts, path }
+ */
+
+const path = require('path');
+const { FileStorage } = require('./storage');
+const { SqliteStorage } = require('./sqlite-storage');
+const { loadKeyring } = require('./encryption');
+
+// ─── Migration ───────────────────────────────────────────────────────
+
+/**
+ * @param {Object} options
+ * @param {string} options.logDir - Directory with the daily files
+ * @param {string} [options.path] - Database file (default: <logDir>/errors.db)
+ * @param {boolean|Object} [options.encryption] - As the logger's option: decrypts the files, encrypts the rows
+ * @param {Function} [options.onDay] - ({ date, entries, skipped }) => void, per day
+ * @returns {Object} { days, entries, skipped, counts, path }
+ */
+function migrateToSqlite(options = {}) {
+  const keyring = loadKeyring(options.encryption);
+  const files = new FileStorage({ dir: options.logDir, keyring });
+  const sqlite = new SqliteStorage({ dir: options.logDir, path: options.path, keyring });
+  const result = { days: 0, entries: 0, skipped: [], counts: 0, path: sqlite.path };
+
+  try {
+    for (const date of files.listDays()) {
+      const entries = files.readDay(date);
+      const imported = sqlite.importDay(date, entries);
+      const skipped = imported === 0 && entries.length > 0;
+
+      if (skipped) {
+        result.skipped.push(date);
+      } else {
+        result.days++;
+        result.entries += imported;
+      }
+      if (options.onDay) options.onDay({ date, entries: imported, skipped });
+    }
+
+    result.counts = sqlite.importCounts(files.occurrences.refresh());
+  } finally {
+    sqlite.close();
+  }
+  return result;
+}
+
+// ─── CLI Entry Point ─────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {
+    logDir: path.join(process.cwd(), 'errors'),
+    path: null,
+    encryption: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--from' && args[i + 1]) options.logDir = args[i + 1];
+    if (args[i] === '--to' && args[i + 1]) options.path = args[i + 1];
+    if (args[i] === '--encrypted') options.encryption = true;
+  }
+
+  try {
+    const result = migrateToSqlite({
+      ...options,
+      onDay: ({ date, entries, skipped }) => console.log(`  ${date}  ${skipped ? 'nothing new' : `${entries} entries`}`)
+    });
+    console.log(`\n✅ Imported ${result.entries} entries from ${result.days} days into ${result.path}`);
+    if (result.skipped.length > 0) console.log(`   Skipped ${result.skipped.length} days with nothing new`);
+    console.log(`   Copied ${result.counts} occurrence counts`);
+  } catch (err) {
+    console.error(`❌ Migration failed: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { migrateToSqlite };
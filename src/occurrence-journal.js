@@ -0,0 +1,347 @@
+/**
+ * X1 Vault — Occurrence Journal
+ *
+ * Cross-process occurrence counting for ErrorLogger. Instead of every
+ * process loading _occurrences.json once and overwriting it later (last
+ * writer wins, everyone else's counts are lost), processes append small
+ * records to a shared journal under a lock, after catching up on whatever
+ * other processes appended. No count is ever lost.
+ *
+ * increment() is on the capture path, so it never takes the lock: it
+ * first reads whatever complete records other processes appended (the
+ * journal is append-only, so that is safe without the lock; a stat when
+ * nothing changed), then counts in memory and queues its record for the
+ * next debounced async flush (the lock is awaited, never spun on). Captures
+ * other processes still hold in their queue aren't seen, so counts on
+ * entries are a lower bound by at most one flush delay; the journal itself
+ * stays exact.
+ * The other operations are rare and run synchronously, pending records first.
+ *
+ * Files (in logDir):
+ *   _occurrences.json      ← snapshot { hash: count } as of the last compaction
+ *   _occurrences.journal   ← header line + one record per capture / fix since then
+ *                            {"op":"init","id":"9f2c..."}
+ *                            {"op":"inc","hash":"a1b2c3d4e5f6"}
+ *                            {"op":"reset","hash":"a1b2c3d4e5f6"}
+ *                            {"op":"merge","hash":"0f9e8d7c6b5a","into":"a1b2c3d4e5f6"}
+ *                            {"op":"set","hash":"a1b2c3d4e5f6","count":4}
+ *   _occurrences.lock      ← held while reading or appending (see file-lock.js)
+ *
+ * Compaction folds the journal into the snapshot and starts a new journal
+ * with a fresh id; readers notice the id change and reload the snapshot.
+ *
+ * Usage:
+ *   const journal = new OccurrenceJournal({ dir: './errors' });
+ *   journal.increment('a1b2c3d4e5f6'); // → 3 (count across all processes, as of their last flush)
+ *   await journal.flush();             // append queued records now
+ *   journal.reset('a1b2c3d4e5f6');     // after a fix
+ *   journal.compact();                 // rewrite the snapshot, truncate the journal
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { withLock, withLockSync } = require('./file-lock');
+
+const HEADER_BYTES = 64; // Enough to read the init line back
+
+class OccurrenceJournal {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding the snapshot, journal and lock
+   * @param {number} [options.compactBytes] - Compact once the journal grows past this (default: 256 KB)
+   * @param {number} [options.flushDelayMs] - Debounce for appending queued increments (default: 1000)
+   * @param {Object} [options.lock] - file-lock options ({ timeoutMs, staleMs })
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.compactBytes = options.compactBytes || 256 * 1024;
+    this.flushDelayMs = options.flushDelayMs ?? 1000;
+    this.lockOptions = options.lock || {};
+
+    this.snapshotPath = path.join(this.dir, '_occurrences.json');
+    this.journalPath = path.join(this.dir, '_occurrences.journal');
+    this.lockPath = path.join(this.dir, '_occurrences.lock');
+
+    this.counts = new Map();  // hash → count, as of the last sync
+    this._journalId = null;   // id of the journal `_offset` refers to
+    this._journalIno = null;  // inode of that journal — compaction replaces the file
+    this._offset = 0;         // bytes of the journal already applied
+    this._synced = false;
+    this._pending = [];       // records counted in memory, not appended yet
+    this._flushTimer = null;
+    this._flushing = null;
+  }
+
+  // ── Public API ───────────────────────────────────────────────────
+
+  /**
+   * Count one more occurrence of a hash. Reads what other processes have
+   * appended, without the lock; the record itself is appended by the next flush.
+   * @returns {number} The count including this occurrence
+   */
+  increment(hash) {
+    this._catchUp();
+    const record = { op: 'inc', hash };
+    this._pending.push(record);
+    this._apply(record);
+    this._scheduleFlush();
+    return this.counts.get(hash);
+  }
+
+  /**
+   * Forget a hash's count (it was fixed).
+   */
+  reset(hash) {
+    this._withLock(() => {
+      this._append({ op: 'reset', hash });
+      this.counts.delete(hash);
+    });
+  }
+
+  /**
+   * Fold one hash's count into another (fingerprint groups were merged).
+   * @returns {number} The combined count
+   */
+  merge(hash, into) {
+    return this._withLock(() => {
+      this._append({ op: 'merge', hash, into });
+      this._apply({ op: 'merge', hash, into });
+      return this.counts.get(into) || 0;
+    });
+  }
+
+  /**
+   * Overwrite counts outright (a group was split and recounted).
+   * @param {Object} counts - { hash: count }; 0 removes the hash
+   */
+  set(counts) {
+    this._withLock(() => {
+      for (const [hash, count] of Object.entries(counts)) {
+        this._append({ op: 'set', hash, count });
+        this._apply({ op: 'set', hash, count });
+      }
+    });
+  }
+
+  /**
+   * Catch up on records appended by other processes.
+   * @returns {Map} Current counts
+   */
+  refresh() {
+    this._withLock(() => {});
+    return this.counts;
+  }
+
+  /**
+   * Fold the journal into the snapshot and start an empty journal.
+   */
+  compact() {
+    this._withLock(() => this._compact());
+  }
+
+  /**
+   * Append queued increments, waiting for the lock without blocking the event loop.
+   */
+  async flush() {
+    this._cancelFlush();
+    if (this._flushing) await this._flushing;
+    if (this._pending.length === 0) return;
+
+    this._flushing = withLock(this.lockPath, () => this._locked(() => {}), this.lockOptions);
+    try {
+      await this._flushing;
+    } finally {
+      this._flushing = null;
+    }
+  }
+
+  /**
+   * Append queued increments now. For process exit, where async work no longer runs.
+   */
+  flushSync() {
+    this._cancelFlush();
+    if (this._pending.length > 0) this._withLock(() => {});
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _withLock(fn) {
+    return withLockSync(this.lockPath, () => this._locked(fn), this.lockOptions);
+  }
+
+  /**
+   * Catch up, append what is queued, run fn. Caller holds the lock.
+   */
+  _locked(fn) {
+    this._sync();
+    this._appendPending();
+    const result = fn();
+    if (this._offset > this.compactBytes) this._compact();
+    return result;
+  }
+
+  _scheduleFlush() {
+    if (this._flushTimer) return;
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this.flush().catch(() => this._scheduleFlush()); // Lock busy or dir unwritable — keep the records, retry
+    }, this.flushDelayMs);
+    if (this._flushTimer.unref) this._flushTimer.unref();
+  }
+
+  _cancelFlush() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+  }
+
+  /**
+   * Lock-free _sync(), skipped when the journal is the one we know and hasn't grown.
+   * Reading can't go wrong without the lock: records are only ever appended, and
+   * compaction renames the new snapshot into place before the new journal.
+   */
+  _catchUp() {
+    let stat = null;
+    try {
+      stat = fs.statSync(this.journalPath);
+    } catch { /* No journal yet */ }
+    if (stat ? stat.ino === this._journalIno && stat.size === this._offset : this._synced) return;
+
+    try {
+      this._sync(false);
+    } catch { /* Unreadable — count on from what we have */ }
+  }
+
+  /**
+   * Apply journal records we haven't seen yet. Caller holds the lock, unless
+   * `locked` is false (then a trailing partial line is left alone).
+   * Queued records are already in `counts`; they are re-applied whenever
+   * the counts are reloaded from the snapshot.
+   */
+  _sync(locked = true) {
+    this._synced = true;
+    let fd;
+    try {
+      fd = fs.openSync(this.journalPath, 'r');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this._loadSnapshot();
+      this._journalId = null;
+      this._journalIno = null;
+      this._offset = 0;
+      return;
+    }
+
+    try {
+      const { size, ino } = fs.fstatSync(fd);
+      const head = Buffer.alloc(Math.min(HEADER_BYTES, size));
+      fs.readSync(fd, head, 0, head.length, 0);
+      const headerLength = head.indexOf('\n') + 1;
+      const id = this._parse(head.subarray(0, headerLength))?.id || null;
+
+      // New journal (another process compacted) → start over from its snapshot
+      if (!id || id !== this._journalId) {
+        this._loadSnapshot();
+        this._journalId = id;
+        this._offset = headerLength;
+      }
+      this._journalIno = ino;
+
+      if (size <= this._offset) return;
+
+      const chunk = Buffer.alloc(size - this._offset);
+      fs.readSync(fd, chunk, 0, chunk.length, this._offset);
+      const complete = chunk.lastIndexOf('\n') + 1;
+
+      for (const line of chunk.subarray(0, complete).toString('utf-8').split('\n')) {
+        this._apply(this._parse(line));
+      }
+      this._offset += complete;
+
+      // Nobody writes without the lock, so (holding it) a trailing partial line is a
+      // crashed writer's — terminate it so our records start on a fresh line
+      if (locked && complete < chunk.length) {
+        fs.appendFileSync(this.journalPath, '\n');
+        this._offset = size + 1;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  _append(record) {
+    if (this._journalId === null) this._startJournal();
+    const line = JSON.stringify(record) + '\n';
+    fs.appendFileSync(this.journalPath, line);
+    this._offset += Buffer.byteLength(line);
+  }
+
+  _appendPending() {
+    if (this._pending.length === 0) return;
+    if (this._journalId === null) this._startJournal();
+    const lines = this._pending.map(record => JSON.stringify(record) + '\n').join('');
+    fs.appendFileSync(this.journalPath, lines);
+    this._offset += Buffer.byteLength(lines);
+    this._pending = [];
+  }
+
+  _compact() {
+    // Write-then-rename so readers never see a half-written snapshot
+    const tmpPath = `${this.snapshotPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.counts), null, 2));
+    fs.renameSync(tmpPath, this.snapshotPath);
+    this._startJournal();
+  }
+
+  _startJournal() {
+    const id = crypto.randomBytes(8).toString('hex');
+    const header = JSON.stringify({ op: 'init', id }) + '\n';
+    const tmpPath = `${this.journalPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, header);
+    fs.renameSync(tmpPath, this.journalPath);
+    this._journalId = id;
+    this._journalIno = fs.statSync(this.journalPath).ino;
+    this._offset = Buffer.byteLength(header);
+  }
+
+  _loadSnapshot() {
+    try {
+      this.counts = new Map(Object.entries(JSON.parse(fs.readFileSync(this.snapshotPath, 'utf-8'))));
+    } catch {
+      this.counts = new Map(); // Missing or corrupt — start from zero
+    }
+    for (const record of this._pending) this._apply(record);
+  }
+
+  _apply(record) {
+    if (!record || !record.hash) return;
+    if (record.op === 'inc') {
+      this.counts.set(record.hash, (this.counts.get(record.hash) || 0) + 1);
+    } else if (record.op === 'reset') {
+      this.counts.delete(record.hash);
+    } else if (record.op === 'merge' && record.into && record.into !== record.hash) {
+      const moved = this.counts.get(record.hash) || 0;
+      this.counts.delete(record.hash);
+      if (moved > 0) this.counts.set(record.into, (this.counts.get(record.into) || 0) + moved);
+    } else if (record.op === 'set') {
+      if (record.count > 0) this.counts.set(record.hash, record.count);
+      else this.counts.delete(record.hash);
+    }
+  }
+
+  _parse(line) {
+    try {
+      return JSON.parse(line.toString());
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  OccurrenceJournal
+};
@@ -0,0 +1,427 @@
+/**
+ * X1 Vault — OpenTelemetry (OTLP/JSON) Export
+ *
+ * Converts ErrorLogger entries and RouteAnalytics counters into OTLP/JSON
+ * so they land in standard observability tooling (an OpenTelemetry
+ * Collector, Grafana/Tempo/Loki, Honeycomb, ...) without a custom shim.
+ *
+ *   error / success / fix / suppressed entries → log records (/v1/logs)
+ *   wrapSkill success & error entries, span()  → spans (/v1/traces); errors carry
+ *                                                an `exception` event
+ *   RouteAnalytics                             → cumulative sums (/v1/metrics)
+ *
+ * Attribute mapping (OpenTelemetry semantic conventions where one exists):
+ *   severity    → severityNumber / severityText (low=INFO, medium=WARN, high=ERROR, critical=FATAL)
+ *   error_type  → error.type
+ *   name, message, stack → exception.type, exception.message, exception.stacktrace
+ *   skill       → gen_ai.tool.name      agent → gen_ai.agent.name
+ *   user_id     → user.id               hash  → x1.error.hash (no convention exists)
+ *   correlation_id / span_id → traceId / spanId
+ *
+ * Targets: an OTLP/HTTP endpoint (`url`, e.g. http://localhost:4318) and/or a
+ * file (`file`) receiving one OTLP/JSON request per line — the format the
+ * Collector's file exporter writes and its otlpjsonfile receiver reads.
+ *
+ * Usage:
+ *   // Live, as a sink
+ *   const otlp = new OtlpExporter({ url: 'http://localhost:4318', resource: { 'service.name': 'x1-vault' } });
+ *   new ErrorLogger({ logDir: './errors', sinks: [otlp] });
+ *   setInterval(() => otlp.exportMetrics(router.analytics), 60000);
+ *
+ *   // Backfill from the log files
+ *   await new OtlpExporter({ file: './otlp.jsonl' }).exportEntries(logger.query({ days: 7 }));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Sink, postJson } = require('./sinks');
+const { version } = require('../package.json');
+
+const SCOPE = { name: 'x1-error-logging', version };
+
+// ─── Severity ────────────────────────────────────────────────────────
+
+const SEVERITY_NUMBERS = {
+  low: { number: 9, text: 'INFO' },
+  medium: { number: 13, text: 'WARN' },
+  high: { number: 17, text: 'ERROR' },
+  critical: { number: 21, text: 'FATAL' }
+};
+
+const SPAN_KIND_INTERNAL = 1;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+// ─── Encoding Helpers ────────────────────────────────────────────────
+
+function toAnyValue(value) {
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (value && typeof value === 'object') return { kvlistValue: { values: toAttributes(value) } };
+  return { stringValue: String(value) };
+}
+
+/**
+ * { key: value } → OTLP KeyValue list. Null/undefined values are dropped.
+ */
+function toAttributes(object) {
+  return Object.entries(object)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function unixNano(time) {
+  const ms = typeof time === 'number' ? time : Date.parse(time);
+  return String(BigInt(Math.round(ms)) * 1000000n);
+}
+
+// OTLP trace IDs are 16 bytes, span IDs 8 bytes (hex). A correlation ID that is
+// already a trace ID passes through; any other ('tg-123', generated 8-byte IDs)
+// is hashed into one. Entries without one get a stable ID derived from their content.
+function traceIdFor(entry) {
+  const id = entry.context?.correlation_id || entry.trace_id;
+  if (!id) return derivedId(entry, 32);
+  const text = String(id);
+  if (/^[0-9a-f]{32}$/i.test(text) && /[^0]/.test(text)) return text.toLowerCase();
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 32);
+}
+
+function derivedId(entry, length) {
+  const seed = `${entry.timestamp}|${entry.skill}|${entry.hash || entry.name || ''}|${entry.message || ''}`;
+  return crypto.createHash('sha256').update(seed).digest('hex').slice(0, length);
+}
+
+// ─── Conversion ──────────────────────────────────────────────────────
+
+function entryAttributes(entry) {
+  return {
+    'x1.entry.type': entry.type,
+    'error.type': entry.error_type,
+    'x1.error.hash': entry.hash || entry.error_hash,
+    'x1.severity': entry.severity,
+    'gen_ai.tool.name': entry.skill,
+    'gen_ai.agent.name': entry.agent,
+    'user.id': entry.context?.user_id !== undefined && entry.context?.user_id !== null ? String(entry.context.user_id) : null,
+    'x1.chat_id': entry.context?.chat_id !== undefined && entry.context?.chat_id !== null ? String(entry.context.chat_id) : null,
+    'x1.route': entry.context?.route,
+    // Normally resource attributes; per record because one exporter can carry several builds
+    'service.version': entry.release,
+    'deployment.environment.name': entry.environment,
+    'host.name': entry.host
+  };
+}
+
+/**
+ * One ErrorLogger entry → an OTLP LogRecord (null for span entries — those are traces).
+ */
+function toLogRecord(entry) {
+  if (entry.type === 'span') return null;
+
+  const severity = SEVERITY_NUMBERS[entry.severity] || SEVERITY_NUMBERS.low;
+  const attributes = entryAttributes(entry);
+
+  let body = entry.message;
+  if (entry.type === 'error') {
+    Object.assign(attributes, {
+      'exception.type': entry.name,
+      'exception.message': entry.message,
+      'exception.stacktrace': entry.stack,
+      'x1.occurrence_count': entry.occurrence_count
+    });
+  } else if (entry.type === 'retry') {
+    body = `Retrying (attempt ${entry.execution.attempt}/${entry.execution.max_attempts}): ${entry.message}`;
+    Object.assign(attributes, {
+      'exception.type': entry.name,
+      'exception.message': entry.message,
+      'x1.execution_id': entry.execution.id,
+      'x1.attempt': entry.execution.attempt
+    });
+  } else if (entry.type === 'success') {
+    body = `${entry.skill} succeeded`;
+    attributes['x1.duration_ms'] = entry.duration_ms;
+  } else if (entry.type === 'fix') {
+    body = entry.description;
+    attributes['x1.fixed_by'] = entry.fixed_by;
+  } else if (entry.type === 'suppressed') {
+    body = `Suppressed ${entry.suppressed_count} duplicates: ${entry.message}`;
+    attributes['x1.suppressed_count'] = entry.suppressed_count;
+  }
+
+  const record = {
+    timeUnixNano: unixNano(entry.timestamp),
+    observedTimeUnixNano: unixNano(Date.now()),
+    severityNumber: entry.type === 'error' ? severity.number : SEVERITY_NUMBERS.low.number,
+    severityText: entry.type === 'error' ? severity.text : SEVERITY_NUMBERS.low.text,
+    body: { stringValue: String(body ?? entry.type) },
+    attributes: toAttributes(attributes)
+  };
+  if (entry.context?.correlation_id) {
+    record.traceId = traceIdFor(entry);
+    if (entry.context.span_id) record.spanId = entry.context.span_id;
+  }
+  return record;
+}
+
+/**
+ * wrapSkill success/error entries and span() entries → an OTLP Span.
+ * Entries without a duration (plain capture() calls, fixes) return null.
+ */
+function toSpan(entry) {
+  let durationMs;
+  let spanId;
+  let parentSpanId;
+  let name;
+
+  if (entry.type === 'span') {
+    durationMs = entry.duration_ms;
+    spanId = entry.span_id;
+    parentSpanId = entry.parent_span_id;
+    name = entry.skill ? `${entry.skill} › ${entry.name}` : entry.name;
+  } else if (entry.type === 'success' || (entry.type === 'error' && entry.metadata?.duration_ms !== undefined)) {
+    durationMs = entry.type === 'success' ? entry.duration_ms : entry.metadata.duration_ms;
+    spanId = entry.context?.span_id;
+    parentSpanId = entry.context?.parent_span_id;
+    name = entry.skill || 'skill';
+  } else {
+    return null;
+  }
+
+  const end = Date.parse(entry.timestamp);
+  const start = entry.started_at ? Date.parse(entry.started_at) : end - (durationMs || 0);
+  const failed = entry.type === 'error' || entry.status === 'error';
+
+  const span = {
+    traceId: traceIdFor(entry),
+    spanId: spanId || derivedId(entry, 16),
+    name,
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: unixNano(start),
+    endTimeUnixNano: unixNano(end),
+    attributes: toAttributes({ ...entryAttributes(entry), ...(entry.attributes && { 'x1.span.attributes': entry.attributes }) }),
+    status: failed
+      ? { code: STATUS_ERROR, message: entry.message || entry.error || '' }
+      : { code: STATUS_OK },
+    events: []
+  };
+  if (parentSpanId) span.parentSpanId = parentSpanId;
+
+  if (failed) {
+    span.events.push({
+      name: 'exception',
+      timeUnixNano: unixNano(end),
+      attributes: toAttributes({
+        'exception.type': entry.name || 'Error',
+        'exception.message': entry.message || entry.error,
+        'exception.stacktrace': entry.stack
+      })
+    });
+  }
+  return span;
+}
+
+/**
+ * RouteAnalytics → OTLP metrics (cumulative, monotonic sums).
+ *
+ * @param {RouteAnalytics} analytics
+ */
+function toMetrics(analytics) {
+  const start = unixNano(analytics.startedAt || Date.now());
+  const now = unixNano(Date.now());
+  const sum = (name, unit, description, points) => ({
+    name,
+    unit,
+    description,
+    sum: {
+      aggregationTemporality: 2, // CUMULATIVE
+      isMonotonic: true,
+      dataPoints: points.map(({ value, attributes, asDouble }) => ({
+        startTimeUnixNano: start,
+        timeUnixNano: now,
+        attributes: toAttributes(attributes),
+        ...(asDouble ? { asDouble: value } : { asInt: String(value) })
+      }))
+    }
+  });
+
+  const executions = Object.entries(analytics.executions);
+  return [
+    sum('x1.route.hits', '{message}', 'Messages matched to each route',
+      Object.entries(analytics.hits).map(([route, value]) => ({ value, attributes: { 'x1.route': route } }))),
+    sum('x1.route.executions', '{execution}', 'Route handler runs by outcome',
+      executions.flatMap(([route, ex]) => [
+        { value: ex.successes, attributes: { 'x1.route': route, 'x1.outcome': 'success' } },
+        { value: ex.failures, attributes: { 'x1.route': route, 'x1.outcome': 'failure' } }
+      ])),
+    sum('x1.route.duration', 'ms', 'Total time spent in each route handler',
+      executions.map(([route, ex]) => ({ value: ex.totalDuration, attributes: { 'x1.route': route }, asDouble: true }))),
+    sum('x1.route.misses', '{message}', 'Messages no route matched',
+      [{ value: analytics.missCount ?? analytics.misses.length, attributes: {} }])
+  ];
+}
+
+// ─── Exporter ────────────────────────────────────────────────────────
+
+const SIGNALS = {
+  logs: {
+    path: '/v1/logs',
+    body: (resource, logRecords) => ({ resourceLogs: [{ resource, scopeLogs: [{ scope: SCOPE, logRecords }] }] })
+  },
+  spans: {
+    path: '/v1/traces',
+    body: (resource, spans) => ({ resourceSpans: [{ resource, scopeSpans: [{ scope: SCOPE, spans }] }] })
+  }
+};
+
+class OtlpExporter extends Sink {
+  /**
+   * @param {Object} options
+   * @param {string} [options.url] - OTLP/HTTP base endpoint (requests go to /v1/logs, /v1/traces, /v1/metrics)
+   * @param {string} [options.file] - Append one OTLP/JSON request per line to this file
+   * @param {Object} [options.resource] - Resource attributes (default: { 'service.name': 'x1-vault' })
+   * @param {Object} [options.headers] - Extra request headers (e.g. auth)
+   * @param {number} [options.batchSize] - Export once this many entries are buffered (default: 100)
+   * @param {number} [options.flushIntervalMs] - Export at least this often (default: 5000)
+   * @param {number} [options.timeoutMs] - Request timeout (default: 10000)
+   * @param {number} [options.maxBuffer] - Drop oldest records beyond this per target and signal while a target is down (default: 5000)
+   */
+  constructor(options = {}) {
+    super({ name: 'otlp', ...options });
+    if (!options.url && !options.file) throw new Error('OtlpExporter needs a url or a file');
+
+    this.url = options.url ? new URL(options.url) : null;
+    this.file = options.file || null;
+    this.resource = { attributes: toAttributes({ 'service.name': 'x1-vault', ...options.resource }) };
+    this.headers = options.headers || {};
+    this.batchSize = options.batchSize || 100;
+    this.flushIntervalMs = options.flushIntervalMs || 5000;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.maxBuffer = options.maxBuffer || 5000;
+    this.dropped = 0;
+
+    // Converted records waiting per target and signal. Each buffer is retried on
+    // its own, so a failed /v1/traces never re-sends logs the collector accepted.
+    this._targets = [this.file && 'file', this.url && 'url'].filter(Boolean);
+    this._pending = Object.fromEntries(this._targets.map(target => [target, { logs: [], spans: [] }]));
+    this._timer = null;
+
+    if (this.file) fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+  }
+
+  write(entry) {
+    const logRecord = toLogRecord(entry);
+    const span = toSpan(entry);
+    for (const pending of Object.values(this._pending)) {
+      if (logRecord) pending.logs.push(logRecord);
+      if (span) pending.spans.push(span);
+      this._trim(pending.logs);
+      this._trim(pending.spans);
+    }
+    if (!this._timer) {
+      this._timer = setInterval(() => {
+        this.flush().catch(err => {
+          this.errors++;
+          this.lastError = err.message;
+        });
+      }, this.flushIntervalMs);
+      if (this._timer.unref) this._timer.unref();
+    }
+    if (this._bufferedCount() >= this.batchSize) return this.flush();
+  }
+
+  async flush() {
+    let failure = null;
+    for (const target of this._targets) {
+      for (const [signal, records] of Object.entries(this._pending[target])) {
+        if (records.length === 0) continue;
+        const batch = records.splice(0, records.length);
+        try {
+          await this._sendTo(target, SIGNALS[signal].path, SIGNALS[signal].body(this.resource, batch));
+        } catch (err) {
+          records.unshift(...batch); // Retry with the next flush
+          this._trim(records);
+          failure = failure || err;
+        }
+      }
+    }
+    if (failure) throw failure;
+  }
+
+  async close() {
+    clearInterval(this._timer);
+    this._timer = null;
+    await this.flush();
+  }
+
+  /**
+   * Export entries as logs and traces.
+   * @returns {Object} { logs, spans } — how many records were sent
+   */
+  async exportEntries(entries) {
+    const logRecords = entries.map(toLogRecord).filter(Boolean);
+    const spans = entries.map(toSpan).filter(Boolean);
+
+    if (logRecords.length > 0) {
+      await this._send(SIGNALS.logs.path, SIGNALS.logs.body(this.resource, logRecords));
+    }
+    if (spans.length > 0) {
+      await this._send(SIGNALS.spans.path, SIGNALS.spans.body(this.resource, spans));
+    }
+    return { logs: logRecords.length, spans: spans.length };
+  }
+
+  /**
+   * Export route counters.
+   * @param {RouteAnalytics|WorkflowRouter} source
+   */
+  async exportMetrics(source) {
+    const analytics = source.analytics || source;
+    const metrics = toMetrics(analytics);
+    await this._send('/v1/metrics', {
+      resourceMetrics: [{ resource: this.resource, scopeMetrics: [{ scope: SCOPE, metrics }] }]
+    });
+    return { metrics: metrics.length };
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _trim(records) {
+    if (records.length <= this.maxBuffer) return;
+    const overflow = records.length - this.maxBuffer;
+    records.splice(0, overflow);
+    this.dropped += overflow;
+  }
+
+  _bufferedCount() {
+    return Math.max(0, ...Object.values(this._pending).flatMap(pending => [pending.logs.length, pending.spans.length]));
+  }
+
+  async _send(signalPath, body) {
+    for (const target of this._targets) await this._sendTo(target, signalPath, body);
+  }
+
+  async _sendTo(target, signalPath, body) {
+    if (target === 'file') {
+      fs.appendFileSync(this.file, JSON.stringify(body) + '\n');
+      return;
+    }
+    const base = this.url.pathname.replace(/\/$/, '');
+    const url = new URL(this.url);
+    url.pathname = `${base}${signalPath}`;
+    await postJson(url, body, { headers: this.headers, timeoutMs: this.timeoutMs });
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  OtlpExporter,
+  toLogRecord,
+  toSpan,
+  toMetrics,
+  toAttributes
+};
@@ -0,0 +1,223 @@
+/**
+ * X1 Vault — Secret & PII Redaction
+ *
+ * Scrubs credentials out of everything ErrorLogger persists: skill inputs,
+ * error messages, stack traces and metadata. Anything written to disk is
+ * later read back by AutoFixEngine and sent to an LLM, so redaction has to
+ * happen before the entry is built — not at display time.
+ *
+ * Two kinds of rules:
+ *   1. Key rules      → object keys whose values are always secret
+ *                       (privateKey, mnemonic, token, authorization, ...)
+ *   2. Value detectors → patterns that look like secrets wherever they appear
+ *                       (base58 Solana secret keys, hex private keys, JWTs,
+ *                        Telegram bot tokens, bearer headers, key=value pairs)
+ *
+ * Usage:
+ *   const redactor = new Redactor({
+ *     keys: ['vaultPin', /^x-internal-/i],        // extra key rules
+ *     patterns: [/sk_live_[A-Za-z0-9]+/g],         // extra value detectors
+ *     replacement: '[REDACTED]'
+ *   });
+ *
+ *   redactor.redact({ privateKey: 'abc', chain: 'solana' });
+ *   // → { privateKey: '[REDACTED]', chain: 'solana' }
+ *
+ *   redactor.redactString('failed with token=123456789:AAH...');
+ *   // → 'failed with token=[REDACTED]'
+ */
+
+// ─── Key Rules ───────────────────────────────────────────────────────
+
+/**
+ * Key names (normalized: lowercase, no `_`/`-`) whose values are always redacted.
+ * Exact matches only — `token_address` is a public mint address, `token` is not.
+ */
+const SENSITIVE_KEYS = [
+  'privatekey', 'secretkey', 'secret', 'clientsecret', 'keypair',
+  'mnemonic', 'seed', 'seedphrase', 'passphrase', 'password', 'pin',
+  'token', 'accesstoken', 'refreshtoken', 'authtoken', 'bottoken', 'idtoken',
+  'apikey', 'apisecret', 'authorization', 'cookie', 'setcookie'
+];
+
+// ─── Value Detectors ─────────────────────────────────────────────────
+
+const DEFAULT_DETECTORS = [
+  {
+    // Credential-looking assignments inside free text: privateKey=..., "access_token": "...".
+    // Not a bare `token` — "Unknown token: <mint>" names a public mint address
+    name: 'credential-assignment',
+    pattern: /((?:private[_-]?key|secret(?:[_-]?key)?|mnemonic|seed[_-]?phrase|passphrase|password|api[_-]?key|(?:access|refresh|auth|id|bot)[_-]?token|authorization)["']?\s*[:=]\s*["']?)([^\s"',;}]+)/gi,
+    keepGroup: 1
+  },
+  {
+    name: 'bearer-token',
+    pattern: /(\bBearer\s+)[A-Za-z0-9._~+/-]+=*/gi,
+    keepGroup: 1
+  },
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g
+  },
+  {
+    // No word boundary in front: the Bot API puts the token right after `bot` (/bot123456789:AAH.../sendMessage)
+    name: 'telegram-bot-token',
+    pattern: /(?<!\d)\d{8,10}:[A-Za-z0-9_-]{35}(?![A-Za-z0-9_-])/g
+  },
+  {
+    // 32-byte private keys (EVM and raw ed25519 seeds)
+    name: 'hex-private-key',
+    pattern: /\b(?:0x)?[a-fA-F0-9]{64}\b/g
+  },
+  {
+    // 64-byte Solana/X1 secret keys in base58 (public addresses are 32–44 chars). Transaction
+    // signatures have the same shape, so only next to a key word: secretKey: ..., keypair=...
+    name: 'base58-secret-key',
+    pattern: /((?:[Ss]ecret|[Pp]rivate|[Kk]eypair)[\w-]*["']?\s*[:=]?\s*["']?)\b[1-9A-HJ-NP-Za-km-z]{85,90}\b/g,
+    keepGroup: 1
+  },
+  {
+    // Keypair files serialized as a JSON byte array: [12,34,...] × 64
+    name: 'keypair-byte-array',
+    pattern: /\[\s*(?:\d{1,3}\s*,\s*){63}\d{1,3}\s*\]/g
+  }
+];
+
+// ─── Redactor ────────────────────────────────────────────────────────
+
+class Redactor {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - Set false to pass everything through (default: true)
+   * @param {(string|RegExp)[]} [options.keys] - Extra key rules (strings match normalized key names)
+   * @param {(RegExp|Object)[]} [options.patterns] - Extra detectors: RegExp or { name, pattern }
+   * @param {string} [options.replacement] - Replacement text (default: '[REDACTED]')
+   * @param {boolean} [options.defaults] - Include built-in rules (default: true)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.replacement = options.replacement || '[REDACTED]';
+
+    const useDefaults = options.defaults !== false;
+
+    this.keyRules = [
+      ...(useDefaults ? SENSITIVE_KEYS : []),
+      ...(options.keys || []).map(k => typeof k === 'string' ? this._normalizeKey(k) : k)
+    ];
+
+    this.detectors = [
+      ...(useDefaults ? DEFAULT_DETECTORS : []),
+      ...(options.patterns || []).map((p, i) =>
+        p instanceof RegExp ? { name: `custom-${i}`, pattern: p } : p
+      )
+    ].map(d => ({ ...d, pattern: this._ensureGlobal(d.pattern) }));
+  }
+
+  /**
+   * Deep-redact any value. Returns a new structure; the input is not mutated.
+   */
+  redact(value) {
+    if (!this.enabled) return value;
+    return this._redactValue(value, new Set());
+  }
+
+  /**
+   * Redact secrets inside a single string.
+   */
+  redactString(str) {
+    if (!this.enabled || typeof str !== 'string' || !str) return str;
+
+    let out = str;
+    for (const detector of this.detectors) {
+      detector.pattern.lastIndex = 0;
+      out = out.replace(detector.pattern, (...args) => {
+        const kept = detector.keepGroup ? (args[detector.keepGroup] || '') : '';
+        return kept + this.replacement;
+      });
+    }
+    return out;
+  }
+
+  /**
+   * True if an object key should have its value redacted outright.
+   */
+  isSensitiveKey(key) {
+    const normalized = this._normalizeKey(key);
+    return this.keyRules.some(rule =>
+      rule instanceof RegExp ? rule.test(key) : rule === normalized
+    );
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _redactValue(value, ancestors) {
+    if (typeof value === 'string') return this.redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+
+    // Only a value containing itself is circular — the same object twice side by side is not
+    if (ancestors.has(value)) return '[Circular]';
+    ancestors.add(value);
+    try {
+      return this._redactObject(value, ancestors);
+    } finally {
+      ancestors.delete(value);
+    }
+  }
+
+  _redactObject(value, ancestors) {
+    if (Array.isArray(value)) {
+      // A 64-number array is almost certainly a keypair — catch it before stringification
+      if (value.length === 64 && value.every(n => Number.isInteger(n) && n >= 0 && n <= 255)) {
+        return this.replacement;
+      }
+      return value.map(v => this._redactValue(v, ancestors));
+    }
+
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: this.redactString(value.message),
+        stack: this.redactString(value.stack)
+      };
+    }
+
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      return this.replacement;
+    }
+
+    // Serialize the way JSON.stringify would: Date → ISO string, PublicKey → base58, BN → hex
+    if (typeof value.toJSON === 'function') {
+      return this._redactValue(value.toJSON(), ancestors);
+    }
+    if (value instanceof Map) {
+      return this._redactValue(Object.fromEntries([...value].map(([k, v]) => [String(k), v])), ancestors);
+    }
+    if (value instanceof Set) {
+      return this._redactValue([...value], ancestors);
+    }
+
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      out[key] = this.isSensitiveKey(key) && v !== null && v !== undefined && v !== ''
+        ? this.replacement
+        : this._redactValue(v, ancestors);
+    }
+    return out;
+  }
+
+  _normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[_\-\s]/g, '');
+  }
+
+  _ensureGlobal(pattern) {
+    return pattern.flags.includes('g') ? pattern : new RegExp(pattern.source, pattern.flags + 'g');
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  Redactor,
+  SENSITIVE_KEYS,
+  DEFAULT_DETECTORS
+};
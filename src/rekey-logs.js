@@ -0,0 +1,81 @@
+/**
+ * X1 Vault — Rekey Command
+ *
+ * Re-encrypts stored logs with the keyring's primary key after a key
+ * rotation (and encrypts files written before encryption was turned on).
+ * Covers logger log directories, gate audit directories and SQLite
+ * databases. Loggers and gates can keep running: they decrypt with any
+ * key in the keyring, old or new.
+ *
+ * Rotation:
+ *   1. npm run rekey -- --generate-key            → a new base64 key
+ *   2. Add it as primary, keep the old key:  X1_ENCRYPTION_KEY="k2:<new>,k1:<old>"
+ *   3. Restart, then:  npm run rekey -- --dir ./errors --dir ./audit-trail
+ *   4. Once it reports 0 failed, remove k1
+ *
+ * Usage:
+ *   node src/rekey-logs.js --dir ./errors --dir ./audit-trail [--db ./errors/errors.db] [--key-file keys.json]
+ */
+
+const { loadKeyring, generateKey, rekeyDirectory } = require('./encryption');
+
+// ─── Rekeying ────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.dirs] - Log / audit directories
+ * @param {string[]} [options.databases] - SQLite files (SqliteStorage)
+ * @param {Object|Keyring} [options.encryption] - Keyring or loadKeyring() options (default: from the environment)
+ * @returns {Object[]} [{ target, files?, lines, rewritten, failed }]
+ */
+function rekeyLogs(options = {}) {
+  const keyring = loadKeyring(options.encryption || true);
+  const results = [];
+
+  for (const dir of options.dirs || []) {
+    results.push({ target: dir, ...rekeyDirectory(dir, keyring) });
+  }
+  for (const dbPath of options.databases || []) {
+    const { SqliteStorage } = require('./sqlite-storage'); // Only needs node:sqlite when asked for
+    const storage = new SqliteStorage({ path: dbPath, keyring });
+    try {
+      results.push({ target: dbPath, ...storage.rekey() });
+    } finally {
+      storage.close();
+    }
+  }
+  return results;
+}
+
+// ─── CLI Entry Point ─────────────────────────────────────────────────
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = { dirs: [], databases: [], encryption: null };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dir' && args[i + 1]) options.dirs.push(args[i + 1]);
+    if (args[i] === '--db' && args[i + 1]) options.databases.push(args[i + 1]);
+    if (args[i] === '--key-file' && args[i + 1]) options.encryption = { keyFile: args[i + 1] };
+  }
+
+  if (args.includes('--generate-key')) {
+    console.log(generateKey());
+  } else if (options.dirs.length === 0 && options.databases.length === 0) {
+    console.error('Usage: node src/rekey-logs.js --dir <logDir> [--dir <auditDir>] [--db <file>] [--key-file <file>] | --generate-key');
+    process.exitCode = 1;
+  } else {
+    try {
+      for (const result of rekeyLogs(options)) {
+        const files = result.files === undefined ? '' : `, ${result.files} files`;
+        console.log(`🔐 ${result.target}: ${result.rewritten}/${result.lines} records re-encrypted${files}${result.failed ? `, ${result.failed} unreadable (missing key?)` : ''}`);
+        if (result.failed) process.exitCode = 1;
+      }
+    } catch (err) {
+      console.error(`❌ Rekey failed: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+module.exports = { rekeyLogs };
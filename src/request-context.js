@@ -0,0 +1,117 @@
+/**
+ * X1 Vault — Request Context
+ *
+ * Request-scoped context carried through async calls with AsyncLocalStorage,
+ * so an error thrown deep inside helper code or router middleware still knows
+ * which Telegram request it belongs to. WorkflowRouter.route opens one scope
+ * per message; ErrorLogger.wrapSkill nests a scope per skill; capture() reads
+ * whatever scope is active.
+ *
+ * A scope holds:
+ *   correlation_id → one id per request, shared by every entry it produces
+ *   route          → matched route name
+ *   chat_id, user_id, agent
+ *   skills         → active skill chain, outermost first (wrapSkill pushes onto it)
+ *   span_id        → innermost active span (see tracing.js), parent_span_id → the one around it
+ *   circuits       → circuit breakers held by the enclosing skills (see circuit-breaker.js), so
+ *                    nested calls through the same breaker don't take a second slot or count twice
+ *   extra          → any other fields passed in (redacted before they are stored)
+ *
+ * Scopes nest: an inner scope inherits every field of the outer one and
+ * overrides only what it sets.
+ *
+ * Usage:
+ *   await runWithContext({ chatId: msg.chat.id, userId: msg.from.id }, async () => {
+ *     updateContext({ route: 'token-audit' });
+ *     await doWork();              // any logger.capture() in here is tagged
+ *   });
+ *
+ *   getContext(); // → { correlation_id, route, chat_id, user_id, agent, span_id, parent_span_id, skills, extra } | null
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// One store for the whole process — routers and loggers created separately still share scopes
+const storage = new AsyncLocalStorage();
+
+// Accepted spellings → scope field
+const KNOWN_FIELDS = {
+  correlationId: 'correlation_id',
+  correlation_id: 'correlation_id',
+  route: 'route',
+  chatId: 'chat_id',
+  chat_id: 'chat_id',
+  userId: 'user_id',
+  user_id: 'user_id',
+  agent: 'agent'
+};
+
+// ─── Scopes ──────────────────────────────────────────────────────────
+
+function newCorrelationId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Run fn inside a new scope (nested in the current one, if any).
+ *
+ * @param {Object} fields - correlationId, route, chatId, userId, agent, skill, spanId, or anything else
+ * @param {Function} fn - Sync or async; its return value is passed through
+ */
+function runWithContext(fields, fn) {
+  const parent = storage.getStore();
+  const scope = parent
+    ? { ...parent, skills: [...parent.skills], circuits: [...parent.circuits], extra: { ...parent.extra } }
+    : {
+      correlation_id: null, route: null, chat_id: null, user_id: null, agent: null,
+      span_id: null, parent_span_id: null, skills: [], circuits: [], extra: {}
+    };
+
+  assignFields(scope, fields || {});
+  if (!scope.correlation_id) scope.correlation_id = newCorrelationId();
+
+  return storage.run(scope, fn);
+}
+
+/**
+ * Set fields on the active scope (e.g. the route, once it has been matched).
+ * Does nothing outside a scope.
+ */
+function updateContext(fields) {
+  const scope = storage.getStore();
+  if (scope) assignFields(scope, fields || {});
+  return scope || null;
+}
+
+/**
+ * The active scope, or null.
+ */
+function getContext() {
+  return storage.getStore() || null;
+}
+
+function assignFields(scope, fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (key === 'skill') {
+      if (value) scope.skills.push(value);
+    } else if (key === 'spanId' || key === 'span_id') {
+      scope.parent_span_id = scope.span_id; // Entering a child span
+      scope.span_id = value;
+    } else if (KNOWN_FIELDS[key]) {
+      scope[KNOWN_FIELDS[key]] = value;
+    } else {
+      scope.extra[key] = value;
+    }
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  runWithContext,
+  updateContext,
+  getContext,
+  newCorrelationId
+};
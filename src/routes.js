@@ -43,6 +43,7 @@ function getDefaultRoutes(deps = {}) {
       agent: 'TokenAuditAgent',
       priority: PRIORITY.HIGH,
       risk: RISK_LEVEL.MEDIUM,  // External API calls
+      dependencies: ['token-api'], // Refused fast while the audit API is down
       description: 'Audit a token contract for risks and red flags',
       handler: async (match, ctx) => {
         const address = match[1];
@@ -118,10 +119,15 @@ function getDefaultRoutes(deps = {}) {
         
         // ── Replace with your deploy logic ──
         // await deps.git.deploy(version);
+
+        // Errors are stamped with the running release. The new one has none yet, so
+        // compare once it has run a while: logger.compareReleases(previous_release, version)
+        const previous = ctx.logger?.release || null;
         
         return {
           status: 'deployed',
           version,
+          previous_release: previous,
           message: `Deployed v${version} — replace this stub with your real deploy logic`
         };
       }
@@ -192,7 +198,8 @@ function getDefaultRoutes(deps = {}) {
       description: 'Show system health and error stats',
       handler: async (match, ctx) => {
         if (ctx.logger) {
-          return ctx.logger.generateReport(7);
+          // Live breaker states next to the 7-day stats — open circuits mean a dependency is down right now
+          return { ...ctx.logger.generateReport(7), circuits: ctx.logger.getCircuits() };
         }
         return { status: 'healthy', message: 'No logger available for detailed stats' };
       }
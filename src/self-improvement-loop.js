@@ -37,6 +37,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { RETRYABLE_TYPES } = require('./execution-policy');
 
 // ─── Insight Types ───────────────────────────────────────────────────
 
@@ -463,7 +464,9 @@ class SelfImprovementLoop extends EventEmitter {
           ...base,
           action: 'add_error_handling',
           description: `Add error handling for recurring ${insight.data.errorType} error in ${insight.skill}`,
-          implementation: `Wrap ${insight.skill} handler with retry/fallback for "${insight.data.errorType}" errors`,
+          implementation: RETRYABLE_TYPES.includes(insight.data.errorType)
+            ? `Run ${insight.skill} with a wrapSkill execution policy (timeoutMs / retry / fallback) for "${insight.data.errorType}" errors`
+            : `Add handling in ${insight.skill} for "${insight.data.errorType}" errors`,
           effort: 'medium'
         };
 
@@ -0,0 +1,535 @@
+/**
+ * X1 Vault — Log Sinks
+ *
+ * Destinations for ErrorLogger entries. One capture() fans out to every
+ * registered sink; each sink decides (via its filter) whether it wants
+ * the entry. A sink that throws or rejects is isolated — it never breaks
+ * capture() or the other sinks.
+ *
+ * Built-in sinks:
+ *   FileSink    → daily JSONL files in logDir (the logger's default, feeds query())
+ *   StdoutSink  → one pretty line per entry, for dev and container logs
+ *   HttpSink    → batched JSON POSTs to a central collector
+ *   MemorySink  → bounded ring buffer, for tests and /debug commands
+ *   (OtlpExporter in otlp-exporter.js → OpenTelemetry collectors)
+ *
+ * Usage:
+ *   const logger = new ErrorLogger({
+ *     logDir: './errors',
+ *     sinks: [
+ *       new StdoutSink({ filter: { levels: ['high', 'critical'] } }),
+ *       new HttpSink({ url: 'https://collector.internal/x1/errors', filter: { types: ['error'] } })
+ *     ]
+ *   });
+ *
+ * Custom sinks extend Sink and implement write(entry) (sync or async).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { withLock, withLockSync } = require('./file-lock');
+const { untracked } = require('./breadcrumbs');
+
+// Shared buffer for Atomics.wait — lets flushSync() sleep while an issued append lands
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+// ─── Base Sink ───────────────────────────────────────────────────────
+
+class Sink {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Identifier (for removeSink and error reporting)
+   * @param {Object} [options.filter]
+   * @param {string[]} [options.filter.levels] - Severities to accept. Entries without
+   *   a severity (success, fix) only pass if `types` explicitly lists them.
+   * @param {string[]} [options.filter.types] - Entry types to accept ('error', 'success', 'fix', ...)
+   */
+  constructor(options = {}) {
+    this.name = options.name || this.constructor.name;
+    this.filter = options.filter || {};
+    this.errors = 0;        // Failed writes (isolated by the logger)
+    this.lastError = null;
+  }
+
+  accepts(entry) {
+    const { levels, types } = this.filter;
+    if (types && !types.includes(entry.type)) return false;
+    if (levels) {
+      return entry.severity ? levels.includes(entry.severity) : Boolean(types);
+    }
+    return true;
+  }
+
+  write(entry) {
+    throw new Error(`${this.name} does not implement write()`);
+  }
+
+  /** Push out anything buffered. */
+  async flush() {}
+
+  /** Flush and release resources. */
+  async close() {
+    await this.flush();
+  }
+}
+
+// ─── File Sink ───────────────────────────────────────────────────────
+
+class FileSink extends Sink {
+  /**
+   * Entries are queued and appended in batches off the hot path: a burst of
+   * captures becomes one append per day file instead of one write each.
+   * Until a batch lands, pendingEntries() exposes it so reads stay consistent.
+   * With a lockPath, each append holds a cross-process lock so batches from
+   * several processes never interleave inside a line. Appends are async; the
+   * index is kept in memory and saved on a debounce, and by flush() and flushSync().
+   *
+   * @param {Object} options
+   * @param {string} options.logDir - Directory for YYYY-MM-DD.json files
+   * @param {LogIndex} [options.index] - Index to keep in sync with appended lines
+   * @param {string} [options.lockPath] - Lock file shared by every writer of logDir
+   * @param {Object} [options.lockOptions] - file-lock options ({ timeoutMs, staleMs })
+   * @param {number} [options.batchSize] - Write immediately once this many entries are queued (default: 100)
+   * @param {number} [options.flushIntervalMs] - Max time an entry waits in the queue (default: 50)
+   * @param {number} [options.indexSaveDelayMs] - Debounce for saving the index (default: 1000)
+   * @param {Keyring} [options.keyring] - Encrypt each line (see encryption.js)
+   */
+  constructor(options = {}) {
+    super({ name: 'file', ...options });
+    this.logDir = options.logDir;
+    this.index = options.index || null;
+    this.keyring = options.keyring || null;
+    this.lockPath = options.lockPath || null;
+    this.lockOptions = options.lockOptions || {};
+    this.batchSize = options.batchSize || 100;
+    this.flushIntervalMs = options.flushIntervalMs ?? 50;
+    this.indexSaveDelayMs = options.indexSaveDelayMs ?? 1000;
+
+    this._queue = [];      // [{ dateStr, entry }] not yet handed to the OS
+    this._inFlight = [];   // Batch currently being appended
+    this._inFlightGroups = []; // Its [dateStr, entries] groups not written yet
+    this._appending = null; // { filePath, end } of the append issued to the OS, until it lands
+    this._writing = null;  // Promise of the running drain
+    this._timer = null;
+    this._indexTimer = null;
+
+    if (!fs.existsSync(this.logDir)) {
+      fs.mkdirSync(this.logDir, { recursive: true });
+    }
+  }
+
+  write(entry) {
+    const dateStr = new Date().toISOString().split('T')[0];
+    this._queue.push({ dateStr, entry });
+
+    if (this._queue.length >= this.batchSize) {
+      return this._flushQueue();
+    }
+    this._scheduleFlush();
+  }
+
+  /**
+   * Entries accepted by write() that are not on disk yet, oldest first.
+   */
+  pendingEntries() {
+    return [...this._inFlight, ...this._queue];
+  }
+
+  async flush() {
+    await this._flushQueue();
+    this._saveIndex();
+  }
+
+  /**
+   * Write everything not on disk yet, synchronously — including a batch the
+   * async drain is still waiting to write. For process exit only. The drain
+   * skips whatever this already wrote, so nothing lands twice; an append it
+   * already issued is waited for, not repeated.
+   */
+  flushSync() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    this._awaitAppend();
+    const groups = [...this._inFlightGroups.splice(0), ...this._groupByDate(this._queue.splice(0))];
+    this._inFlight = [];
+    for (const [dateStr, entries] of groups) {
+      this._lockedSync(() => this._append(dateStr, entries));
+    }
+    this._saveIndex();
+  }
+
+  async close() {
+    await this.flush();
+  }
+
+  async _flushQueue() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+
+    // One drain at a time keeps lines in capture order
+    while (this._writing) await this._writing;
+    if (this._queue.length === 0) return;
+
+    this._writing = this._drain();
+    try {
+      await this._writing;
+    } finally {
+      this._writing = null;
+    }
+  }
+
+  async _drain() {
+    while (this._queue.length > 0) {
+      this._inFlight = this._queue.splice(0, this._queue.length);
+      const groups = this._inFlightGroups = [...this._groupByDate(this._inFlight)];
+
+      try {
+        while (groups.length > 0) {
+          // Index under the same lock — its append detection relies on nobody writing in between
+          await this._locked(async () => {
+            if (groups.length === 0) return; // flushSync() wrote it while we waited
+            await this._appendAsync(groups);
+          });
+        }
+      } catch (err) {
+        // Keep unwritten entries at the front of the queue for the next flush
+        const unwritten = groups.flatMap(([dateStr, entries]) => entries.map(entry => ({ dateStr, entry })));
+        this._queue.unshift(...unwritten);
+        throw err;
+      } finally {
+        this._inFlight = [];
+        this._inFlightGroups = [];
+      }
+    }
+  }
+
+  _append(dateStr, entries) {
+    const chunk = this._serialize(entries);
+    fs.appendFileSync(path.join(this.logDir, `${dateStr}.json`), chunk);
+    this._indexBatch(dateStr, entries, Buffer.byteLength(chunk));
+  }
+
+  /**
+   * Append the first of `groups`. The group leaves the list only once its
+   * write is issued — until then flushSync() may still take it.
+   */
+  async _appendAsync(groups) {
+    const [dateStr, entries] = groups[0];
+    const filePath = path.join(this.logDir, `${dateStr}.json`);
+    const chunk = Buffer.from(this._serialize(entries));
+    const handle = await fs.promises.open(filePath, 'a');
+    try {
+      const { size } = await handle.stat();
+      if (groups[0]?.[1] !== entries) return; // flushSync() wrote it meanwhile
+
+      groups.shift();
+      this._appending = { filePath, end: size + chunk.length };
+      try {
+        for (let offset = 0; offset < chunk.length;) {
+          offset += (await handle.write(chunk, offset)).bytesWritten;
+        }
+      } catch (err) {
+        groups.unshift([dateStr, entries]); // Retried with the rest of the batch
+        throw err;
+      } finally {
+        this._appending = null;
+      }
+      this._indexBatch(dateStr, entries, chunk.length);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // The OS finishes an issued write on its own — wait for it rather than write the lines twice
+  _awaitAppend() {
+    const deadline = Date.now() + (this.lockOptions.timeoutMs ?? 5000);
+    while (this._appending && Date.now() < deadline) {
+      try {
+        if (fs.statSync(this._appending.filePath).size >= this._appending.end) return;
+      } catch {
+        return;
+      }
+      Atomics.wait(sleeper, 0, 0, 1);
+    }
+  }
+
+  _serialize(entries) {
+    return entries.map((entry) => {
+      const line = JSON.stringify(entry);
+      return (this.keyring ? this.keyring.encrypt(line) : line) + '\n';
+    }).join('');
+  }
+
+  _locked(fn) {
+    return this.lockPath ? withLock(this.lockPath, fn, this.lockOptions) : fn();
+  }
+
+  _lockedSync(fn) {
+    return this.lockPath ? withLockSync(this.lockPath, fn, this.lockOptions) : fn();
+  }
+
+  _indexBatch(dateStr, entries, bytes) {
+    if (!this.index) return;
+    this.index.add(dateStr, entries, bytes);
+    this._scheduleIndexSave();
+  }
+
+  _scheduleIndexSave() {
+    if (this._indexTimer) return;
+    this._indexTimer = setTimeout(() => {
+      this._indexTimer = null;
+      try {
+        this._saveIndex();
+      } catch (err) {
+        this.errors++;
+        this.lastError = err.message;
+      }
+    }, this.indexSaveDelayMs);
+    if (this._indexTimer.unref) this._indexTimer.unref();
+  }
+
+  _saveIndex() {
+    if (this._indexTimer) {
+      clearTimeout(this._indexTimer);
+      this._indexTimer = null;
+    }
+    if (this.index) this.index.save();
+  }
+
+  _groupByDate(items) {
+    const groups = new Map();
+    for (const { dateStr, entry } of items) {
+      if (!groups.has(dateStr)) groups.set(dateStr, []);
+      groups.get(dateStr).push(entry);
+    }
+    return groups;
+  }
+
+  _scheduleFlush() {
+    if (this._timer) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._flushQueue().catch(err => {
+        this.errors++;
+        this.lastError = err.message;
+      });
+    }, this.flushIntervalMs);
+    if (this._timer.unref) this._timer.unref();
+  }
+}
+
+// ─── Stdout Sink ─────────────────────────────────────────────────────
+
+const TYPE_ICONS = { error: '❌', success: '✅', fix: '🔧', suppressed: '🔇', span: '⏱️' };
+
+class StdoutSink extends Sink {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.stream] - Writable stream (default: process.stdout)
+   * @param {boolean} [options.showStack] - Print the top stack frame under errors
+   */
+  constructor(options = {}) {
+    super({ name: 'stdout', ...options });
+    this.stream = options.stream || process.stdout;
+    this.showStack = options.showStack || false;
+  }
+
+  write(entry) {
+    this.stream.write(this.format(entry) + '\n');
+  }
+
+  format(entry) {
+    const time = (entry.timestamp || new Date().toISOString()).slice(11, 19);
+    const icon = TYPE_ICONS[entry.type] || '•';
+    const skill = entry.skill || entry.error_hash || '-';
+
+    if (entry.type === 'error') {
+      let line = `[${time}] ${icon} ${String(entry.severity).toUpperCase()} ${entry.error_type} ${skill}: ${entry.message} (${entry.hash} ×${entry.occurrence_count})`;
+      if (this.showStack && entry.stack) {
+        const frame = entry.stack.split('\n').find(l => l.trim().startsWith('at '));
+        if (frame) line += `\n           ${frame.trim()}`;
+      }
+      return line;
+    }
+
+    if (entry.type === 'success') {
+      return `[${time}] ${icon} ${skill} (${entry.duration_ms}ms)`;
+    }
+
+    if (entry.type === 'fix') {
+      return `[${time}] ${icon} fix ${entry.error_hash}: ${entry.description}`;
+    }
+
+    if (entry.type === 'span') {
+      const status = entry.status === 'error' ? ` ✗ ${entry.error}` : '';
+      return `[${time}] ${icon} ${skill} › ${entry.name} (${entry.duration_ms}ms)${status}`;
+    }
+
+    if (entry.type === 'suppressed') {
+      return `[${time}] ${icon} suppressed ${entry.suppressed_count} duplicates of ${entry.hash} ${skill}: ${entry.message}`;
+    }
+
+    return `[${time}] ${icon} ${entry.type} ${JSON.stringify(entry).slice(0, 120)}`;
+  }
+}
+
+// ─── HTTP Batch Sink ─────────────────────────────────────────────────
+
+class HttpSink extends Sink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Collector endpoint (receives POST { entries: [...] })
+   * @param {Object} [options.headers] - Extra request headers (e.g. auth)
+   * @param {number} [options.batchSize] - Send when this many entries are buffered (default: 50)
+   * @param {number} [options.flushIntervalMs] - Send at least this often (default: 5000)
+   * @param {number} [options.timeoutMs] - Request timeout (default: 10000)
+   * @param {number} [options.maxBuffer] - Drop oldest entries beyond this while the collector is down (default: 5000)
+   */
+  constructor(options = {}) {
+    super({ name: 'http', ...options });
+    if (!options.url) throw new Error('HttpSink requires a url');
+
+    this.url = new URL(options.url);
+    this.headers = options.headers || {};
+    this.batchSize = options.batchSize || 50;
+    this.flushIntervalMs = options.flushIntervalMs || 5000;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.maxBuffer = options.maxBuffer || 5000;
+
+    this._buffer = [];
+    this._inFlight = null;
+    this.dropped = 0;
+
+    // Background flushes have no caller to report to — record failures on the sink
+    this._timer = setInterval(() => {
+      this.flush().catch(err => {
+        this.errors++;
+        this.lastError = err.message;
+      });
+    }, this.flushIntervalMs);
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  write(entry) {
+    this._buffer.push(entry);
+
+    if (this._buffer.length > this.maxBuffer) {
+      const overflow = this._buffer.length - this.maxBuffer;
+      this._buffer.splice(0, overflow);
+      this.dropped += overflow;
+    }
+
+    if (this._buffer.length >= this.batchSize) {
+      return this.flush();
+    }
+  }
+
+  async flush() {
+    // Serialize sends — one request at a time, in order
+    if (this._inFlight) await this._inFlight.catch(() => {});
+    if (this._buffer.length === 0) return;
+
+    const batch = this._buffer.splice(0, this._buffer.length);
+    this._inFlight = this._post({ entries: batch }).catch(err => {
+      // Put the batch back so the next flush retries it
+      this._buffer.unshift(...batch);
+      throw err;
+    });
+
+    try {
+      await this._inFlight;
+    } finally {
+      this._inFlight = null;
+    }
+  }
+
+  async close() {
+    clearInterval(this._timer);
+    await this.flush();
+  }
+
+  _post(body) {
+    return postJson(this.url, body, { headers: this.headers, timeoutMs: this.timeoutMs });
+  }
+}
+
+/**
+ * POST a JSON body; resolves on 2xx, rejects otherwise. Shared by the
+ * HTTP-based sinks and exporters.
+ *
+ * @param {URL} url
+ * @param {Object} body
+ * @param {Object} [options] - { headers, timeoutMs }
+ */
+function postJson(url, body, options = {}) {
+  const payload = JSON.stringify(body);
+  const transport = url.protocol === 'https:' ? https : http;
+  const timeoutMs = options.timeoutMs || 10000;
+
+  return new Promise((resolve, reject) => {
+    // The logger's own deliveries aren't breadcrumbs
+    const req = untracked(() => transport.request(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(payload),
+        ...options.headers
+      },
+      timeout: timeoutMs
+    }, (res) => {
+      res.resume(); // Drain — we only care about the status
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+        else reject(new Error(`Collector responded ${res.statusCode}`));
+      });
+    }));
+
+    req.on('timeout', () => req.destroy(new Error(`Collector timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+// ─── Memory Sink ─────────────────────────────────────────────────────
+
+class MemorySink extends Sink {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size] - Ring buffer capacity (default: 1000)
+   */
+  constructor(options = {}) {
+    super({ name: 'memory', ...options });
+    this.size = options.size || 1000;
+    this.entries = [];
+  }
+
+  write(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.size) this.entries.shift();
+  }
+
+  find(predicate) {
+    return this.entries.filter(predicate);
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  Sink,
+  FileSink,
+  StdoutSink,
+  HttpSink,
+  MemorySink,
+  postJson
+};
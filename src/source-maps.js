@@ -0,0 +1,265 @@
+/**
+ * X1 Vault — Source Map Resolution
+ *
+ * Maps stack frames from bundled / compiled output (dist/*.js, esbuild and
+ * tsc output) back to the original TypeScript or ESM source, so stored
+ * stacks, fingerprints and AutoFix source discovery all point at the file
+ * a human would actually edit.
+ *
+ * Supports Source Map v3 files referenced by a `//# sourceMappingURL=`
+ * comment (relative path or inline base64 data URI), or sitting next to
+ * the generated file as `<file>.map`. Index maps (`sections`) are not
+ * supported — those frames are left as they are.
+ *
+ * Usage:
+ *   const resolver = new SourceMapResolver();
+ *   const { stack, resolved } = resolver.resolveStack(error.stack);
+ *   //   at explode (/app/dist/skill.js:3:11)  →  at explode (/app/src/skill.ts:10:5)
+ *
+ *   // Or let ErrorLogger do it at capture time
+ *   new ErrorLogger({ logDir: './errors', sourceMaps: true });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+// ─── VLQ Decoding ────────────────────────────────────────────────────
+
+const BASE64_VALUES = new Map(
+  [...'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'].map((ch, i) => [ch, i])
+);
+
+function decodeVlq(str) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const ch of str) {
+    const digit = BASE64_VALUES.get(ch);
+    if (digit === undefined) throw new Error(`Invalid VLQ character "${ch}"`);
+
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5; // Continuation bit
+    } else {
+      const negative = value & 1;
+      value >>>= 1;
+      values.push(negative ? -value : value);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Decode a `mappings` string into per-line segment lists:
+ * lines[generatedLine] = [[generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex?], ...]
+ * (all zero-based, sorted by column).
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceIndex = 0;
+  let sourceLine = 0;
+  let sourceColumn = 0;
+  let nameIndex = 0;
+
+  for (const lineStr of mappings.split(';')) {
+    const segments = [];
+    let column = 0;
+
+    for (const segmentStr of lineStr.split(',')) {
+      if (!segmentStr) continue;
+      const fields = decodeVlq(segmentStr);
+      column += fields[0];
+
+      if (fields.length < 4) continue; // Unmapped generated code
+      sourceIndex += fields[1];
+      sourceLine += fields[2];
+      sourceColumn += fields[3];
+
+      const segment = [column, sourceIndex, sourceLine, sourceColumn];
+      if (fields.length >= 5) {
+        nameIndex += fields[4];
+        segment.push(nameIndex);
+      }
+      segments.push(segment);
+    }
+
+    segments.sort((a, b) => a[0] - b[0]);
+    lines.push(segments);
+  }
+  return lines;
+}
+
+// ─── Stack Frames ────────────────────────────────────────────────────
+
+// "    at fn (/abs/file.js:10:5)" | "    at /abs/file.js:10:5" | "    at fn (file:///abs/file.mjs:10:5)"
+const FRAME_PATTERN = /^(\s*at\s+(?:.*?\()?)((?:file:\/\/)?\/[^():]+):(\d+):(\d+)(\)?)\s*$/;
+
+function parseFrame(line) {
+  const match = line.match(FRAME_PATTERN);
+  if (!match) return null;
+  return {
+    prefix: match[1],
+    location: match[2],
+    file: match[2].startsWith('file://') ? fileURLToPath(match[2]) : match[2],
+    line: Number(match[3]),
+    column: Number(match[4]),
+    suffix: match[5]
+  };
+}
+
+// ─── Resolver ────────────────────────────────────────────────────────
+
+class SourceMapResolver {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.cacheSize] - Generated files whose maps stay parsed in memory (default: 100)
+   * @param {boolean} [options.skipNodeModules] - Don't look for maps under node_modules (default: true)
+   */
+  constructor(options = {}) {
+    this.cacheSize = options.cacheSize || 100;
+    this.skipNodeModules = options.skipNodeModules !== false;
+    this._maps = new Map(); // generated file → { mtimeMs, map | null }
+  }
+
+  /**
+   * Rewrite every frame that has a source map to its original location.
+   *
+   * @param {string} stack - V8 stack trace
+   * @returns {Object} { stack, generatedStack, resolved } — resolved is false when no frame changed
+   */
+  resolveStack(stack) {
+    if (!stack) return { stack, generatedStack: stack, resolved: false };
+
+    let resolved = false;
+    const lines = stack.split('\n').map(line => {
+      const frame = parseFrame(line);
+      if (!frame) return line;
+
+      const original = this.resolvePosition(frame.file, frame.line, frame.column);
+      if (!original) return line;
+
+      resolved = true;
+      return `${frame.prefix}${original.file}:${original.line}:${original.column}${frame.suffix}`;
+    });
+
+    return { stack: lines.join('\n'), generatedStack: stack, resolved };
+  }
+
+  /**
+   * Original position for a generated file:line:column (1-based, as V8 reports them).
+   *
+   * @returns {Object|null} { file, line, column, name }
+   */
+  resolvePosition(file, line, column) {
+    const map = this._getMap(file);
+    if (!map) return null;
+
+    const segments = map.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    // Last segment starting at or before the column
+    let match = null;
+    for (const segment of segments) {
+      if (segment[0] > column - 1) break;
+      match = segment;
+    }
+    if (!match) return null;
+
+    return {
+      file: map.sources[match[1]],
+      line: match[2] + 1,
+      column: match[3] + 1,
+      name: match.length > 4 ? map.names[match[4]] || null : null
+    };
+  }
+
+  /**
+   * Original source files a generated file was built from ([] without a map).
+   */
+  sourcesFor(file) {
+    const map = this._getMap(file);
+    return map ? [...map.sources] : [];
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _getMap(file) {
+    if (this.skipNodeModules && file.includes(`${path.sep}node_modules${path.sep}`)) return null;
+
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(file).mtimeMs;
+    } catch {
+      return null; // File moved or was never on disk (eval, REPL)
+    }
+
+    const cached = this._maps.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.map;
+
+    let map = null;
+    try {
+      map = this._loadMap(file);
+    } catch { /* unreadable or malformed map — leave frames untouched */ }
+
+    this._maps.set(file, { mtimeMs, map });
+    if (this._maps.size > this.cacheSize) {
+      this._maps.delete(this._maps.keys().next().value);
+    }
+    return map;
+  }
+
+  _loadMap(file) {
+    const code = fs.readFileSync(file, 'utf-8');
+    const comments = [...code.matchAll(/\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/gm)];
+    const url = comments.length > 0 ? comments[comments.length - 1][1] : null;
+
+    let raw;
+    let mapDir = path.dirname(file);
+
+    if (url && url.startsWith('data:')) {
+      const [meta, data] = url.slice(5).split(',');
+      raw = meta.endsWith(';base64') ? Buffer.from(data, 'base64').toString('utf-8') : decodeURIComponent(data);
+    } else {
+      const candidates = [];
+      if (url && !/^[a-z]+:\/\//i.test(url)) candidates.push(path.resolve(mapDir, url));
+      else if (url && url.startsWith('file://')) candidates.push(fileURLToPath(url));
+      candidates.push(`${file}.map`);
+
+      const mapPath = candidates.find(p => fs.existsSync(p));
+      if (!mapPath) return null;
+      raw = fs.readFileSync(mapPath, 'utf-8');
+      mapDir = path.dirname(mapPath);
+    }
+
+    const json = JSON.parse(raw);
+    if (json.version !== 3 || typeof json.mappings !== 'string') return null;
+
+    const root = json.sourceRoot || '';
+    return {
+      lines: decodeMappings(json.mappings),
+      names: json.names || [],
+      sources: (json.sources || []).map(source => this._resolveSource(mapDir, root, source))
+    };
+  }
+
+  _resolveSource(mapDir, root, source) {
+    if (source.startsWith('file://')) return fileURLToPath(source);
+    // Bundler namespaces (webpack://app/./src/x.ts) are relative to the project root
+    if (/^[a-z]+:\/\//i.test(source)) {
+      return path.resolve(process.cwd(), source.replace(/^[a-z]+:\/\/[^/]*\//i, ''));
+    }
+    return path.resolve(mapDir, root, source);
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  SourceMapResolver,
+  decodeMappings,
+  parseFrame
+};
@@ -0,0 +1,409 @@
+/**
+ * X1 Vault — SQLite Storage
+ *
+ * Storage adapter (see storage.js) on Node's built-in node:sqlite
+ * (Node 22.5+, no dependency). One database file instead of daily JSONL
+ * files: indexed queries across months of history, counters updated
+ * atomically by every process sharing the file, and ad-hoc SQL.
+ *
+ * Schema:
+ *   entries(id, day, timestamp, type, hash, skill, error_type, correlation_id,
+ *           release, environment, json)   ← json is the entry as logged (encrypted
+ *                                          with a keyring, see encryption.js);
+ *                                          hash holds error_hash for fixes
+ *   occurrences(hash, count)
+ *   imports(day, entries, imported_at)     ← days copied in by migrate-storage.js,
+ *                                          with how many of their entries
+ *
+ * Entries are inserted synchronously, so they are queryable as soon as
+ * capture() returns. WAL mode plus a busy timeout let the bot, cron jobs
+ * and workers write to the same file.
+ *
+ * Usage:
+ *   const logger = new ErrorLogger({ logDir: './errors', storage: 'sqlite' }); // errors/errors.db
+ *
+ *   logger.storage.sql(
+ *     "SELECT skill, COUNT(*) AS errors FROM entries WHERE type = 'error' AND day >= ? GROUP BY skill ORDER BY errors DESC",
+ *     '2026-07-01'
+ *   );
+ *
+ *   // Existing daily files → SQLite
+ *   //   npm run migrate:sqlite -- --from ./errors
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Sink } = require('./sinks');
+const { todayString, cutoffDate } = require('./storage');
+const { isEncrypted } = require('./encryption');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS entries (
+    id INTEGER PRIMARY KEY,
+    day TEXT NOT NULL,
+    timestamp TEXT,
+    type TEXT,
+    hash TEXT,
+    skill TEXT,
+    error_type TEXT,
+    correlation_id TEXT,
+    release TEXT,
+    environment TEXT,
+    json TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS entries_day ON entries (day);
+  CREATE INDEX IF NOT EXISTS entries_hash ON entries (hash, day);
+  CREATE INDEX IF NOT EXISTS entries_skill ON entries (skill, day);
+  CREATE INDEX IF NOT EXISTS entries_error_type ON entries (error_type, day);
+  CREATE INDEX IF NOT EXISTS entries_correlation ON entries (correlation_id);
+
+  CREATE TABLE IF NOT EXISTS occurrences (
+    hash TEXT PRIMARY KEY,
+    count INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS imports (
+    day TEXT PRIMARY KEY,
+    entries INTEGER NOT NULL,
+    imported_at TEXT NOT NULL
+  );
+`;
+
+// query() filter → column. Filters may be a single value or a list (hash group members).
+const FILTER_COLUMNS = {
+  hash: 'hash',
+  skill: 'skill',
+  type: 'error_type',
+  correlationId: 'correlation_id',
+  release: 'release',
+  environment: 'environment'
+};
+
+// ─── Storage ─────────────────────────────────────────────────────────
+
+class SqliteStorage {
+  /**
+   * @param {Object} options
+   * @param {string} [options.path] - Database file (default: <dir>/errors.db)
+   * @param {string} [options.dir] - Log directory (the logger's logDir)
+   * @param {number} [options.busyTimeoutMs] - Wait this long for another process's write (default: 5000)
+   * @param {Keyring} [options.keyring] - Encrypt the json column at rest (indexed columns stay readable)
+   */
+  constructor(options = {}) {
+    this.path = options.path || path.join(options.dir, 'errors.db');
+    this.keyring = options.keyring || null;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+    const { DatabaseSync } = loadSqlite();
+    this.db = new DatabaseSync(this.path);
+    this.db.exec(`PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL; PRAGMA busy_timeout = ${options.busyTimeoutMs || 5000};`);
+    this.db.exec(SCHEMA);
+
+    this._insert = this.db.prepare(`
+      INSERT INTO entries (day, timestamp, type, hash, skill, error_type, correlation_id, release, environment, json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.sink = new SqliteSink(this);
+    this.occurrences = new SqliteCounters(this);
+    this._inTransaction = false;
+    this._closed = false;
+  }
+
+  // ── Adapter API ────────────────────────────────────────────────
+
+  /**
+   * Store one entry under a day (today's UTC day by default).
+   */
+  append(entry, dateStr = todayString()) {
+    this._insert.run(
+      dateStr,
+      entry.timestamp || null,
+      entry.type || null,
+      entry.hash || entry.error_hash || null,
+      entry.skill || null,
+      entry.error_type || null,
+      entry.context?.correlation_id || null,
+      entry.release || null,
+      entry.environment || null,
+      this.keyring ? this.keyring.encrypt(JSON.stringify(entry)) : JSON.stringify(entry)
+    );
+  }
+
+  readDay(dateStr, filters = {}) {
+    const clauses = ['day = ?'];
+    const params = [dateStr];
+    for (const [filter, column] of Object.entries(FILTER_COLUMNS)) {
+      if (!filters[filter]) continue;
+      const values = Array.isArray(filters[filter]) ? filters[filter] : [filters[filter]];
+      clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+
+    const rows = this.db.prepare(`SELECT json FROM entries WHERE ${clauses.join(' AND ')} ORDER BY id`).all(...params);
+    const entries = [];
+    for (const row of rows) {
+      try {
+        entries.push(JSON.parse(isEncrypted(row.json) ? this.keyring.decrypt(row.json) : row.json));
+      } catch { /* skip rows edited by hand, or encrypted with a key we don't have */ }
+    }
+    return entries;
+  }
+
+  listDays() {
+    return this.db.prepare('SELECT DISTINCT day FROM entries ORDER BY day').all().map(row => row.day);
+  }
+
+  /**
+   * Age out and size-cap by day. Nothing to archive — old days are
+   * deleted instead. Today is never touched; `totalBytes` counts stored
+   * entry JSON, not the database file.
+   */
+  applyRetention({ maxAgeDays, maxTotalBytes } = {}) {
+    const today = todayString();
+    const result = { archived: [], deleted: [], totalBytes: 0 };
+
+    this.transaction(() => {
+      if (maxAgeDays != null) {
+        const cutoff = cutoffDate(maxAgeDays);
+        const old = this.db.prepare('SELECT DISTINCT day FROM entries WHERE day < ? AND day != ? ORDER BY day').all(cutoff, today);
+        this.db.prepare('DELETE FROM entries WHERE day < ? AND day != ?').run(cutoff, today);
+        result.deleted.push(...old.map(row => row.day));
+      }
+
+      const days = this.db.prepare('SELECT day, SUM(LENGTH(json)) AS bytes FROM entries GROUP BY day ORDER BY day').all();
+      let totalBytes = days.reduce((sum, row) => sum + row.bytes, 0);
+
+      if (maxTotalBytes != null) {
+        const remove = this.db.prepare('DELETE FROM entries WHERE day = ?');
+        for (const { day, bytes } of days) {
+          if (totalBytes <= maxTotalBytes) break;
+          if (day === today) continue;
+          remove.run(day);
+          totalBytes -= bytes;
+          result.deleted.push(day);
+        }
+      }
+      result.totalBytes = totalBytes;
+    });
+
+    return result;
+  }
+
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+    this.db.close();
+  }
+
+  // ── SQLite ─────────────────────────────────────────────────────
+
+  /**
+   * Ad-hoc read query over the tables above.
+   *
+   * @param {string} query - SQL with ? placeholders
+   * @param {...*} params
+   * @returns {Object[]} Rows as plain objects
+   */
+  sql(query, ...params) {
+    return this.db.prepare(query).all(...params).map(row => ({ ...row }));
+  }
+
+  /**
+   * Run fn inside one write transaction (nested calls join the outer one).
+   */
+  transaction(fn) {
+    if (this._inTransaction) return fn();
+    this.db.exec('BEGIN IMMEDIATE');
+    this._inTransaction = true;
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    } finally {
+      this._inTransaction = false;
+    }
+  }
+
+  /**
+   * Re-encrypt every entry with the keyring's primary key (after a rotation,
+   * or to encrypt rows stored before encryption was on).
+   * @returns {Object} { lines, rewritten, failed }
+   */
+  rekey() {
+    const update = this.db.prepare('UPDATE entries SET json = ? WHERE id = ?');
+    const result = { lines: 0, rewritten: 0, failed: 0 };
+    this.transaction(() => {
+      for (const { id, json } of this.db.prepare('SELECT id, json FROM entries').all()) {
+        result.lines++;
+        if (this.keyring.isCurrent(json)) continue;
+        try {
+          update.run(this.keyring.encrypt(this.keyring.decrypt(json)), id);
+          result.rewritten++;
+        } catch {
+          result.failed++;
+        }
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Copy a day of entries in. Remembers how many it took, so a re-run only
+   * adds the entries appended to the day since (daily files are append-only).
+   * @returns {number} Entries imported (0 when nothing is new)
+   */
+  importDay(dateStr, entries) {
+    return this.transaction(() => {
+      const done = this.db.prepare('SELECT entries FROM imports WHERE day = ?').get(dateStr)?.entries || 0;
+      const fresh = entries.slice(done);
+      if (fresh.length === 0) return 0;
+      for (const entry of fresh) this.append(entry, dateStr);
+      this.db.prepare('INSERT INTO imports (day, entries, imported_at) VALUES (?, ?, ?) ON CONFLICT (day) DO UPDATE SET entries = excluded.entries, imported_at = excluded.imported_at')
+        .run(dateStr, entries.length, new Date().toISOString());
+      return fresh.length;
+    });
+  }
+
+  /**
+   * Copy counts in. A hash already here keeps the larger count, so a re-run
+   * tops up counts the files gained without undoing captures made here.
+   * @param {Map|Object} counts - hash → count
+   * @returns {number} Hashes copied or raised
+   */
+  importCounts(counts) {
+    const insert = this.db.prepare('INSERT INTO occurrences (hash, count) VALUES (?, ?) ON CONFLICT (hash) DO UPDATE SET count = excluded.count WHERE excluded.count > count');
+    return this.transaction(() => {
+      let copied = 0;
+      for (const [hash, count] of counts instanceof Map ? counts : Object.entries(counts)) {
+        if (count > 0) copied += Number(insert.run(hash, count).changes);
+      }
+      return copied;
+    });
+  }
+}
+
+// ─── Sink ────────────────────────────────────────────────────────────
+
+class SqliteSink extends Sink {
+  constructor(storage) {
+    super({ name: 'sqlite' });
+    this.storage = storage;
+  }
+
+  write(entry) {
+    this.storage.append(entry);
+  }
+
+  pendingEntries() {
+    return []; // Inserted synchronously
+  }
+}
+
+// ─── Counters ────────────────────────────────────────────────────────
+
+/**
+ * Occurrence counters in the occurrences table. Same interface as
+ * OccurrenceJournal; every operation is a single statement or transaction,
+ * so concurrent processes never lose a count.
+ */
+class SqliteCounters {
+  constructor(storage) {
+    this.storage = storage;
+    this.counts = new Map(); // hash → count, as of the last call
+
+    const { db } = storage;
+    this._increment = db.prepare('INSERT INTO occurrences (hash, count) VALUES (?, 1) ON CONFLICT (hash) DO UPDATE SET count = count + 1 RETURNING count');
+    this._get = db.prepare('SELECT count FROM occurrences WHERE hash = ?');
+    this._put = db.prepare('INSERT INTO occurrences (hash, count) VALUES (?, ?) ON CONFLICT (hash) DO UPDATE SET count = excluded.count');
+    this._delete = db.prepare('DELETE FROM occurrences WHERE hash = ?');
+    this._all = db.prepare('SELECT hash, count FROM occurrences');
+  }
+
+  increment(hash) {
+    const { count } = this._increment.get(hash);
+    this.counts.set(hash, count);
+    return count;
+  }
+
+  reset(hash) {
+    this._delete.run(hash);
+    this.counts.delete(hash);
+  }
+
+  merge(hash, into) {
+    if (hash === into) return this._count(into);
+    const count = this.storage.transaction(() => {
+      const combined = this._count(hash) + this._count(into);
+      this._delete.run(hash);
+      if (combined > 0) this._put.run(into, combined);
+      return combined;
+    });
+    this.counts.delete(hash);
+    if (count > 0) this.counts.set(into, count);
+    return count;
+  }
+
+  /**
+   * @param {Object} counts - { hash: count }; 0 removes the hash
+   */
+  set(counts) {
+    this.storage.transaction(() => {
+      for (const [hash, count] of Object.entries(counts)) {
+        if (count > 0) this._put.run(hash, count);
+        else this._delete.run(hash);
+      }
+    });
+    for (const [hash, count] of Object.entries(counts)) {
+      if (count > 0) this.counts.set(hash, count);
+      else this.counts.delete(hash);
+    }
+  }
+
+  refresh() {
+    this.counts = new Map(this._all.all().map(row => [row.hash, row.count]));
+    return this.counts;
+  }
+
+  compact() {
+    // Nothing to fold — the table is always current
+  }
+
+  _count(hash) {
+    return this._get.get(hash)?.count || 0;
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+
+function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch {
+    throw new Error(`SqliteStorage needs node:sqlite (Node 22.5 or later; running ${process.version})`);
+  }
+}
+
+/**
+ * Whether node:sqlite can be loaded in this runtime.
+ */
+function sqliteAvailable() {
+  try {
+    loadSqlite();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  SqliteStorage,
+  SqliteSink,
+  SqliteCounters,
+  sqliteAvailable
+};
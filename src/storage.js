@@ -0,0 +1,313 @@
+/**
+ * X1 Vault — Log Storage
+ *
+ * Where ErrorLogger keeps entries and occurrence counts. The logger only
+ * talks to a storage adapter; the daily JSONL files are one adapter
+ * (FileStorage, the default), SQLite via node:sqlite is another
+ * (SqliteStorage in sqlite-storage.js).
+ *
+ * Adapter interface:
+ *   sink                        → Sink that persists entries (registered with the logger).
+ *                                 pendingEntries() lists accepted entries not stored yet
+ *   readDay(dateStr, filters)   → stored entries of a UTC day, oldest first, narrowed by
+ *                                 the indexed filters (hash may be a list); the logger
+ *                                 re-checks every filter
+ *   listDays()                  → days with stored entries, oldest first
+ *   occurrences                 → counters shared by every process: increment(hash) → count,
+ *                                 reset(hash), merge(hash, into) → count, set({ hash: count }),
+ *                                 refresh() → Map, compact(), counts (Map as of the last call);
+ *                                 optionally flush() / flushSync() when increments are queued
+ *   applyRetention(policy)      → { archived, deleted, totalBytes } for
+ *                                 { archiveAfterDays, maxAgeDays, maxTotalBytes }
+ *   close()                     → release files / connections
+ *
+ * Fix records are 'fix' entries written through the sink, plus a counter
+ * reset for the fixed hash.
+ *
+ * Usage:
+ *   new ErrorLogger({ logDir: './errors' });                     // FileStorage
+ *   new ErrorLogger({ logDir: './errors', storage: 'sqlite' });  // SqliteStorage at errors/errors.db (Node 22.5+)
+ *   new ErrorLogger({ logDir: './errors', storage: new SqliteStorage({ path: '/var/lib/x1/errors.db' }) });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { FileSink } = require('./sinks');
+const { LogIndex } = require('./log-index');
+const { OccurrenceJournal } = require('./occurrence-journal');
+const { withLockSync } = require('./file-lock');
+const { isEncrypted } = require('./encryption');
+
+// ─── File Storage ────────────────────────────────────────────────────
+
+class FileStorage {
+  /**
+   * Layout (in dir):
+   *   YYYY-MM-DD.json           ← one JSON entry per line
+   *   archive/YYYY-MM-DD.json.gz ← days compressed by retention
+   *   _index/YYYY-MM-DD.json    ← per-day index (see log-index.js)
+   *   _occurrences.*            ← occurrence journal (see occurrence-journal.js)
+   *   _write.lock               ← held by every appender and by retention
+   *
+   * @param {Object} options
+   * @param {string} options.dir - Log directory
+   * @param {Object} [options.lock] - file-lock options ({ timeoutMs, staleMs })
+   * @param {number} [options.batchSize] - FileSink batch size
+   * @param {number} [options.flushIntervalMs] - FileSink flush interval
+   * @param {number} [options.occurrenceSaveDelayMs] - Debounce for appending occurrence counts
+   * @param {Keyring} [options.keyring] - Encrypt lines at rest (see encryption.js)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.keyring = options.keyring || null;
+    this.archiveDir = path.join(this.dir, 'archive');
+    this.lockOptions = options.lock || {};
+    this.writeLockPath = path.join(this.dir, '_write.lock');
+    this._lineCache = new Map(); // date → { signature, lines } (decrypted lines of recently read days)
+
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    // Occurrence counts shared with every other process using this dir
+    this.occurrences = new OccurrenceJournal({ dir: this.dir, lock: options.lock, flushDelayMs: options.occurrenceSaveDelayMs });
+
+    // Index by hash/skill/error_type per day — lets readDay() skip files and lines
+    this.index = new LogIndex({
+      logDir: this.dir,
+      readLines: (dateStr) => this._readDailyLines(dateStr),
+      signature: (dateStr) => this._daySignature(dateStr)
+    });
+
+    this.sink = new FileSink({
+      logDir: this.dir,
+      index: this.index,
+      lockPath: this.writeLockPath,
+      lockOptions: options.lock,
+      batchSize: options.batchSize,
+      flushIntervalMs: options.flushIntervalMs,
+      keyring: this.keyring
+    });
+  }
+
+  // ── Adapter API ────────────────────────────────────────────────
+
+  /**
+   * Entries of a day that can match the filters — every line when none
+   * of the filters are indexed, only the index candidates otherwise.
+   */
+  readDay(dateStr, filters = {}) {
+    if (this._daySignature(dateStr) === '0:0') return []; // Nothing on disk for that day
+
+    const candidates = this.index.lookup(dateStr, filters);
+    if (candidates && candidates.length === 0) return [];
+
+    const lines = this._readDailyLines(dateStr);
+    const selected = candidates ? candidates.map(n => lines[n]).filter(Boolean) : lines;
+
+    const entries = [];
+    for (const line of selected) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch { /* skip malformed lines */ }
+    }
+    return entries;
+  }
+
+  listDays() {
+    return [...new Set(this._listDailyFiles().map(f => f.date))].sort();
+  }
+
+  /**
+   * Archive, age out and size-cap daily files. Today's file is never
+   * touched. Holds the write lock, so other processes never append to a
+   * file while it is being archived.
+   */
+  applyRetention(policy = {}) {
+    return withLockSync(this.writeLockPath, () => this._applyRetention(policy), this.lockOptions);
+  }
+
+  close() {
+    this._lineCache.clear();
+  }
+
+  // ── Private ────────────────────────────────────────────────────
+
+  _applyRetention({ archiveAfterDays, maxAgeDays, maxTotalBytes }) {
+    const today = todayString();
+    const result = { archived: [], deleted: [], totalBytes: 0 };
+
+    let files = this._listDailyFiles().filter(f => f.date !== today);
+
+    // 1. Compress old plain files into archive/
+    if (archiveAfterDays != null) {
+      const cutoff = cutoffDate(archiveAfterDays);
+      for (const file of files) {
+        if (file.archived || file.date >= cutoff) continue;
+        this._archiveFile(file);
+        result.archived.push(file.date);
+      }
+      files = this._listDailyFiles().filter(f => f.date !== today);
+    }
+
+    // 2. Drop anything past the max age
+    if (maxAgeDays != null) {
+      const cutoff = cutoffDate(maxAgeDays);
+      for (const file of files) {
+        if (file.date >= cutoff) continue;
+        fs.unlinkSync(file.path);
+        result.deleted.push(file.date);
+      }
+      files = files.filter(f => f.date >= cutoff);
+    }
+
+    // 3. Enforce the size budget, oldest first (today's file still counts toward the total)
+    const todayBytes = this._listDailyFiles()
+      .filter(f => f.date === today)
+      .reduce((sum, f) => sum + f.size, 0);
+    let totalBytes = todayBytes + files.reduce((sum, f) => sum + f.size, 0);
+
+    if (maxTotalBytes != null) {
+      const oldestFirst = [...files].sort((a, b) => a.date.localeCompare(b.date));
+      for (const file of oldestFirst) {
+        if (totalBytes <= maxTotalBytes) break;
+        fs.unlinkSync(file.path);
+        totalBytes -= file.size;
+        result.deleted.push(file.date);
+      }
+    }
+
+    // Drop index files for days that no longer have any logs
+    for (const dateStr of result.deleted) {
+      if (this._daySignature(dateStr) === '0:0') this.index.removeDate(dateStr);
+    }
+
+    result.totalBytes = totalBytes;
+    return result;
+  }
+
+  /**
+   * Identifies the current on-disk state of a day: "plainBytes:archiveBytes".
+   * Used to validate cached lines and index files.
+   */
+  _daySignature(dateStr) {
+    const size = (filePath) => {
+      try { return fs.statSync(filePath).size; } catch { return 0; }
+    };
+    return `${size(path.join(this.dir, `${dateStr}.json`))}:${size(path.join(this.archiveDir, `${dateStr}.json.gz`))}`;
+  }
+
+  /**
+   * Read all lines for a given day, from the gzip archive and/or the plain file.
+   * Encrypted lines are decrypted; ones that can't be keep their line number
+   * as an empty string. Results are cached until the day's files change.
+   */
+  _readDailyLines(dateStr) {
+    const signature = this._daySignature(dateStr);
+    const cached = this._lineCache.get(dateStr);
+    if (cached && cached.signature === signature) return cached.lines;
+
+    const lines = [];
+    const archivePath = path.join(this.archiveDir, `${dateStr}.json.gz`);
+    const filePath = path.join(this.dir, `${dateStr}.json`);
+
+    if (fs.existsSync(archivePath)) {
+      try {
+        lines.push(...zlib.gunzipSync(fs.readFileSync(archivePath)).toString('utf-8').split('\n'));
+      } catch { /* skip corrupt archives */ }
+    }
+    if (fs.existsSync(filePath)) {
+      lines.push(...fs.readFileSync(filePath, 'utf-8').split('\n'));
+    }
+
+    const result = lines.filter(Boolean).map(line => this._decrypt(line));
+    this._lineCache.set(dateStr, { signature, lines: result });
+
+    // Bound memory — a month of busy logs shouldn't all stay resident
+    if (this._lineCache.size > 31) {
+      this._lineCache.delete(this._lineCache.keys().next().value);
+    }
+    return result;
+  }
+
+  _decrypt(line) {
+    if (!isEncrypted(line)) return line;
+    if (!this.keyring) return '';
+    try {
+      return this.keyring.decrypt(line);
+    } catch {
+      return ''; // Unknown key or tampered — skipped like a malformed line
+    }
+  }
+
+  _listDailyFiles() {
+    const files = [];
+    const scan = (dir, pattern, archived) => {
+      if (!fs.existsSync(dir)) return;
+      for (const name of fs.readdirSync(dir)) {
+        const match = name.match(pattern);
+        if (!match) continue;
+        const filePath = path.join(dir, name);
+        files.push({ date: match[1], path: filePath, archived, size: fs.statSync(filePath).size });
+      }
+    };
+    scan(this.dir, /^(\d{4}-\d{2}-\d{2})\.json$/, false);
+    scan(this.archiveDir, /^(\d{4}-\d{2}-\d{2})\.json\.gz$/, true);
+    return files;
+  }
+
+  _archiveFile(file) {
+    if (!fs.existsSync(this.archiveDir)) {
+      fs.mkdirSync(this.archiveDir, { recursive: true });
+    }
+    const archivePath = path.join(this.archiveDir, `${file.date}.json.gz`);
+
+    // Merge with an existing archive for the same day rather than overwrite it
+    let content = fs.readFileSync(file.path);
+    if (fs.existsSync(archivePath)) {
+      content = Buffer.concat([zlib.gunzipSync(fs.readFileSync(archivePath)), content]);
+    }
+
+    fs.writeFileSync(archivePath, zlib.gzipSync(content));
+    fs.unlinkSync(file.path);
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+
+/**
+ * Today's UTC day, the name entries are stored under.
+ */
+function todayString() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function cutoffDate(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * The logger's `storage` option → an adapter.
+ * 'file' (default) | 'sqlite' | an adapter instance.
+ */
+function createStorage(storage, options) {
+  if (storage && typeof storage === 'object' && typeof storage.readDay === 'function') return storage;
+  if (!storage || storage === 'file') return new FileStorage(options);
+  if (storage === 'sqlite') {
+    const { SqliteStorage } = require('./sqlite-storage'); // node:sqlite is only loaded when asked for
+    return new SqliteStorage(options);
+  }
+  throw new Error(`Unknown storage: ${storage}`);
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  FileStorage,
+  createStorage,
+  todayString,
+  cutoffDate
+};
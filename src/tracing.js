@@ -0,0 +1,107 @@
+/**
+ * X1 Vault — Span Tracing
+ *
+ * Lightweight tracing for skill executions. A span is one timed step
+ * (an API call, a DB read, a sub-computation) inside a skill; spans nest,
+ * so a token-audit that calls three APIs shows up as a skill span with
+ * three children instead of one blob.
+ *
+ * Spans ride on the request scope (see request-context.js):
+ *   trace_id        → the request's correlation ID
+ *   span_id         → this step
+ *   parent_span_id  → the enclosing span, or the wrapSkill span
+ *
+ * Each finished span is written to the log as:
+ *   { type: 'span', name, skill, span_id, parent_span_id, trace_id,
+ *     status: 'ok' | 'error', duration_ms, started_at, error, attributes }
+ *
+ * Usage:
+ *   await logger.wrapSkill('token-audit', async () => {
+ *     const holders = await logger.span('fetch-holders', () => api.holders(mint));
+ *     const risk = await logger.span('score-risk', () => scoreRisk(holders), { holders: holders.length });
+ *     return risk;
+ *   });
+ *
+ *   logger.generateReport(7).spans; // → { by_skill, slowest, failing }
+ */
+
+const crypto = require('crypto');
+
+// ─── Span IDs ────────────────────────────────────────────────────────
+
+function newSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Error → innermost span it escaped from. Lets a capture further up (usually
+// wrapSkill's) say which sub-step actually failed.
+const failedSpans = new WeakMap();
+
+function markFailedSpan(error, spanId) {
+  if (error && typeof error === 'object' && !failedSpans.has(error)) {
+    failedSpans.set(error, spanId);
+  }
+}
+
+function failedSpanOf(error) {
+  return error && typeof error === 'object' ? failedSpans.get(error) || null : null;
+}
+
+// ─── Report Aggregation ──────────────────────────────────────────────
+
+/**
+ * Per-skill, per-span timing and failure stats from span entries.
+ *
+ * @param {Array} entries - Log entries (non-span entries are ignored)
+ * @param {number} [top] - How many spans to list as slowest / failing (default: 5)
+ * @returns {Object} { by_skill: { skill: { span: stats } }, slowest: [...], failing: [...] }
+ */
+function summarizeSpans(entries, top = 5) {
+  // Keyed by skill and span names — no prototype, so any name is just data
+  const durations = Object.create(null); // skill → span name → [ms]
+  const failures = Object.create(null);  // skill → span name → count
+
+  for (const entry of entries) {
+    if (entry.type !== 'span') continue;
+    const skill = entry.skill || 'unknown';
+    durations[skill] = durations[skill] || Object.create(null);
+    failures[skill] = failures[skill] || Object.create(null);
+    (durations[skill][entry.name] = durations[skill][entry.name] || []).push(entry.duration_ms || 0);
+    if (entry.status === 'error') failures[skill][entry.name] = (failures[skill][entry.name] || 0) + 1;
+  }
+
+  const bySkill = Object.create(null);
+  const all = [];
+  for (const [skill, spans] of Object.entries(durations)) {
+    bySkill[skill] = Object.create(null);
+    for (const [name, times] of Object.entries(spans)) {
+      const sorted = [...times].sort((a, b) => a - b);
+      const errors = failures[skill][name] || 0;
+      const stats = {
+        count: sorted.length,
+        errors,
+        error_rate: errors / sorted.length,
+        avg_ms: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+        p95_ms: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+        max_ms: sorted[sorted.length - 1]
+      };
+      bySkill[skill][name] = stats;
+      all.push({ skill, span: name, ...stats });
+    }
+  }
+
+  return {
+    by_skill: bySkill,
+    slowest: [...all].sort((a, b) => b.p95_ms - a.p95_ms).slice(0, top),
+    failing: all.filter(s => s.errors > 0).sort((a, b) => b.error_rate - a.error_rate || b.errors - a.errors).slice(0, top)
+  };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+module.exports = {
+  newSpanId,
+  markFailedSpan,
+  failedSpanOf,
+  summarizeSpans
+};
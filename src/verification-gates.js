@@ -33,11 +33,17 @@
  *     const result = await executeDeploy();
  *     const gate2 = await gates.verifyGate('deploy', result, originalRequest);
  *   }
+ *
+ *   // Audit trail encrypted at rest (see encryption.js) — defaults to the logger's keyring
+ *   new VerificationGates({ logger, auditDir: './audit-trail', encryption: { keyFile: '/etc/x1/log-keys.json' } });
  */
 
 const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
+const { loadKeyring, isEncrypted } = require('./encryption');
+const { withLockSync } = require('./file-lock');
+const { SCHEMA_VERSION, upgradeEntry, warnIfInvalid, shouldValidate } = require('./entry-schema');
 
 // ─── Risk Thresholds ─────────────────────────────────────────────────
 
@@ -122,6 +128,15 @@ class VerificationGates extends EventEmitter {
     this.policies = { ...GATE_POLICY, ...options.policies };
     this.rules = [...DEFAULT_RULES, ...(options.rules || [])];
     this.auditDir = options.auditDir || path.join(process.cwd(), 'audit-trail');
+    // file-lock options for auditDir/_write.lock (shared with the rekey command)
+    this.lockOptions = options.lock || {};
+    // Encrypts audit lines; same forms as the logger's `encryption` option, `false` to opt out
+    this.keyring = options.encryption === undefined
+      ? this.logger?.keyring || null
+      : loadKeyring(options.encryption);
+    // Schema checks before each audit write (see entry-schema.js) — follows the logger by default
+    this.validateEntries = shouldValidate(options.validateEntries ?? this.logger?.validateEntries);
+    this._schemaWarnings = new Set();
     this.defaultTimeout = options.timeout || 120000; // 2 minutes
 
     // Pending gate approvals: key → { resolve, reject, gate, expires }
@@ -499,7 +514,7 @@ class VerificationGates extends EventEmitter {
     const stats = {
       gate1: { approved: 0, rejected: 0, expired: 0, skipped: 0, auto: 0 },
       gate2: { approved: 0, rejected: 0, expired: 0, skipped: 0, auto: 0 },
-      bySkill: {},
+      bySkill: Object.create(null), // Keyed by skill name — no prototype to collide with
       autoApprovalCandidates: []
     };
 
@@ -514,7 +529,7 @@ class VerificationGates extends EventEmitter {
         const lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
         for (const line of lines) {
           try {
-            const entry = JSON.parse(line);
+            const entry = upgradeEntry(JSON.parse(this._decryptLine(line)));
             const gate = entry.gate === 'gate1' ? stats.gate1 : stats.gate2;
             
             if (entry.status === GATE_STATUS.APPROVED) gate.approved++;
@@ -618,39 +633,62 @@ class VerificationGates extends EventEmitter {
     if (this.logger) {
       // Log gate decisions as structured entries in the error log
       // (not errors — but useful for the self-audit loop)
-      const dateStr = new Date().toISOString().split('T')[0];
-      const logPath = path.join(this.auditDir, `${dateStr}.json`);
       const entry = {
         type: 'gate_decision',
+        schema_version: SCHEMA_VERSION,
         gate,
         skill,
         status,
         risk: context.risk || null,
-        userId: context.userId || null,
+        user_id: context.userId || null,
         timestamp: new Date().toISOString()
       };
-      fs.appendFileSync(logPath, JSON.stringify(entry) + '\n');
+      this._appendAudit(entry);
+
+      // Part of the trail attached to whatever error follows
+      if (typeof this.logger.breadcrumb === 'function') {
+        const level = status === 'rejected' || status === 'expired' ? 'warning' : 'info';
+        this.logger.breadcrumb(`${gate} ${status} for ${skill}`, { category: 'gate', level, data: { gate, skill, status, risk: context.risk || null } });
+      }
     }
   }
 
   _writeAuditTrail(gate, skill, result, data, context) {
-    const dateStr = new Date().toISOString().split('T')[0];
-    const filePath = path.join(this.auditDir, `${dateStr}.json`);
-    
     const entry = {
       type: 'audit_trail',
+      schema_version: SCHEMA_VERSION,
       gate,
       skill,
       status: result.status,
       risk: context.risk || null,
-      userId: context.userId || null,
+      user_id: context.userId || null,
       plan: gate === 'gate1' ? data : null,
-      outputSummary: gate === 'gate2' ? this._summarize(data) : null,
+      output_summary: gate === 'gate2' ? this._summarize(data) : null,
       checks: result.checks || null,
       timestamp: new Date().toISOString()
     };
 
-    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    this._appendAudit(entry);
+  }
+
+  _appendAudit(entry) {
+    if (this.validateEntries) warnIfInvalid(entry, this._schemaWarnings);
+    const dateStr = new Date().toISOString().split('T')[0];
+    const line = JSON.stringify(entry);
+    // Same lock the rekey command rewrites daily files under — an append
+    // during a rekey would land on the replaced file and be lost
+    withLockSync(path.join(this.auditDir, '_write.lock'), () => {
+      fs.appendFileSync(path.join(this.auditDir, `${dateStr}.json`), (this.keyring ? this.keyring.encrypt(line) : line) + '\n');
+    }, this.lockOptions);
+  }
+
+  /**
+   * Plain lines pass through; encrypted ones need the keyring (callers skip what throws).
+   */
+  _decryptLine(line) {
+    if (!isEncrypted(line)) return line;
+    if (!this.keyring) throw new Error('Audit trail is encrypted and no key is configured');
+    return this.keyring.decrypt(line);
   }
 
   _summarize(data) {
@@ -17,6 +17,7 @@
  *   - Fallback handling (no match → default behavior)
  *   - Parallel subagent execution for complex tasks
  *   - Full error logging integration
+ *   - Request-scoped context (correlation ID, route, chatId, userId) for every capture
  *   - Route analytics (which routes fire most, which fail most)
  * 
  * Usage:
@@ -34,6 +35,7 @@
  */
 
 const { ErrorLogger, SEVERITY_LEVELS } = require('./error-logger');
+const { runWithContext, updateContext, getContext } = require('./request-context');
 const { EventEmitter } = require('events');
 
 // ─── Constants ───────────────────────────────────────────────────────
@@ -67,6 +69,7 @@ const RISK_LEVEL = {
  * @property {boolean} [autoExecute] - Skip confirmation? (default: based on risk)
  * @property {string[]} [preChecks] - Functions to run before execution
  * @property {string[]} [aliases] - Alternative command names
+ * @property {string[]} [dependencies] - Named external dependencies (circuit breakers, see circuit-breaker.js)
  * @property {string} [description] - Human-readable description
  * @property {boolean} [enabled] - Enable/disable without removing (default: true)
  */
@@ -105,6 +108,7 @@ class WorkflowRouter extends EventEmitter {
       autoExecute: config.autoExecute ?? (config.risk !== RISK_LEVEL.HIGH && config.risk !== RISK_LEVEL.CRITICAL),
       preChecks: config.preChecks || [],
       aliases: config.aliases || [],
+      dependencies: config.dependencies || [],
       description: config.description || '',
       enabled: config.enabled !== false
     };
@@ -156,13 +160,29 @@ class WorkflowRouter extends EventEmitter {
    * Route an incoming message to the correct handler.
    * This is the main entry point — call this from your Telegram bot.
    * 
+   * Runs in its own request scope: every error captured while handling the
+   * message (handler, helpers, middleware) shares one correlation ID and
+   * carries the route, chatId and userId.
+   *
    * @param {string} message - The user's message
-   * @param {Object} [context] - Additional context (chatId, userId, etc.)
-   * @returns {Object} { matched, route, result, error }
+   * @param {Object} [context] - Additional context (chatId, userId, correlationId, etc.)
+   * @returns {Object} { matched, route, result, error, correlationId }
    */
   async route(message, context = {}) {
+    const scope = { chatId: context.chatId, userId: context.userId, correlationId: context.correlationId };
+    return runWithContext(scope, async () => {
+      const outcome = await this._dispatch(message, context);
+      return { ...outcome, correlationId: getContext().correlation_id };
+    });
+  }
+
+  /**
+   * route() body — runs inside the request scope.
+   */
+  async _dispatch(message, context) {
     const startTime = Date.now();
-    const ctx = { ...this.globalContext, ...context, message, timestamp: new Date().toISOString() };
+    const correlationId = getContext().correlation_id;
+    const ctx = { ...this.globalContext, ...context, correlationId, message, timestamp: new Date().toISOString() };
 
     // Find matching route
     const { route, match } = this._findMatch(message);
@@ -170,6 +190,7 @@ class WorkflowRouter extends EventEmitter {
     if (!route) {
       this.analytics.trackMiss(message);
       this.emit('no-match', { message, context: ctx });
+      this.logger.breadcrumb('No route matched', { category: 'route', level: 'warning' });
 
       if (this.fallbackHandler) {
         const fallbackResult = await this.fallbackHandler(message, ctx);
@@ -179,8 +200,10 @@ class WorkflowRouter extends EventEmitter {
     }
 
     // Track the hit
+    updateContext({ route: route.name, agent: route.agent || undefined });
     this.analytics.trackHit(route.name);
     this.emit('match', { route: route.name, message, match });
+    this.logger.breadcrumb(`Matched ${route.name}`, { category: 'route', data: { route: route.name, agent: route.agent || null } });
 
     // Run pre-middleware
     for (const mw of this.middleware.pre) {
@@ -206,7 +229,7 @@ class WorkflowRouter extends EventEmitter {
       route.name,
       () => route.handler(match, ctx),
       { message, matchGroups: match?.slice(1) },
-      { agent: route.agent, severity: this._riskToSeverity(route.risk) }
+      { agent: route.agent, severity: this._riskToSeverity(route.risk), dependencies: route.dependencies }
     );
 
     // Track execution time
@@ -224,10 +247,12 @@ class WorkflowRouter extends EventEmitter {
 
     if (!success) {
       this.emit('error', { route: route.name, error, entry });
+      this.logger.breadcrumb(`${route.name} failed: ${error.message}`, { category: 'route', level: 'error', data: { route: route.name, duration_ms: duration } });
       return { matched: true, route: route.name, result: null, error: error.message, entry };
     }
 
     this.emit('success', { route: route.name, result, duration });
+    this.logger.breadcrumb(`${route.name} succeeded`, { category: 'route', data: { route: route.name, duration_ms: duration } });
     return { matched: true, route: route.name, result, error: null };
   }
 
@@ -340,6 +365,8 @@ class RouteAnalytics {
     this.hits = {};       // route → count
     this.misses = [];     // unmatched messages
     this.executions = {}; // route → { total, successes, failures, avgDuration }
+    this.missCount = 0;   // all-time misses (`misses` only keeps the last 50)
+    this.startedAt = Date.now(); // start of the cumulative counters (OTLP export)
   }
 
   trackHit(routeName) {
@@ -347,6 +374,7 @@ class RouteAnalytics {
   }
 
   trackMiss(message) {
+    this.missCount++;
     this.misses.push({
       message: message.slice(0, 100),
       timestamp: new Date().toISOString()
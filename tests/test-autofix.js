@@ -78,6 +78,7 @@ main();
   console.log('\n── Generating Test Data ─────────────────────');
 
   // Log some errors to create proposals
+  logger.breadcrumb('Fetched audit report for 0xabc123', { category: 'token-audit' });
   for (let i = 0; i < 3; i++) {
     const err = new Error("Cannot read properties of undefined (reading '0')");
     err.stack = `Error: Cannot read properties of undefined (reading '0')
@@ -112,6 +113,22 @@ main();
     assert(fix.explanation.includes('null check') || fix.explanation.includes('Cannot read'), 'Explanation mentions the fix');
     assert(fix.fixedCode !== fix.originalCode, 'Code was actually modified');
     assert(fix.fixedCode.includes('AUTO-FIX'), 'Fix is marked with AUTO-FIX comment');
+
+    const fixPrompt = autofix._buildPrompt(autofix._buildFixContext(errorProposal, { filePath: fix.sourceFile, code: fix.originalCode }));
+    assert(fixPrompt.includes('[token-audit/info] Fetched audit report for 0xabc123'), 'Prompt includes the breadcrumbs leading up to the error');
+
+    // A retried attempt shares the hash but is not an occurrence
+    const recurringStack = `Error: Cannot read properties of undefined (reading '0')
+    at main (${path.join(skillDir, 'index.js')}:6:25)
+    at Object.<anonymous> (${path.join(skillDir, 'index.js')}:10:1)`;
+    await logger.wrapSkill('token-audit', async ({ attempt }) => {
+      if (attempt > 1) return true;
+      const err = new Error("Cannot read properties of undefined (reading '0')");
+      err.stack = recurringStack;
+      throw err;
+    }, { address: '0xabc123' }, { retry: { attempts: 2, baseDelayMs: 1, on: () => true } });
+    const retriedContext = autofix._buildFixContext(errorProposal, { filePath: fix.sourceFile, code: fix.originalCode });
+    assert(retriedContext.errorDetails.occurrences === 3, 'Prompt occurrences leave out retried attempts');
   } else {
     console.log('  ⚠️ No error pattern proposal found, skipping fix generation tests');
   }
@@ -166,6 +183,28 @@ main();
     assert(llmFix.fixedCode.includes('AI-FIX'), 'LLM code parsed');
   }
 
+  // ── Transient errors ───────────────────────────────────────
+  console.log('\n── Transient Errors ─────────────────────────');
+
+  for (let i = 0; i < 3; i++) {
+    const err = new Error('connect ECONNREFUSED 10.0.0.1:443');
+    err.stack = `Error: connect ECONNREFUSED 10.0.0.1:443
+    at fetchAudit (${path.join(skillDir, 'index.js')}:5:24)`;
+    logger.capture(err, { skill: 'holder-scan', agent: 'TokenAuditAgent' });
+  }
+  await loop.analyze(1);
+  const networkHash = logger.query({ skill: 'holder-scan', days: 1 }).find(e => e.error_type === 'network')?.hash;
+  const networkProposal = loop.getProposals({ status: PROPOSAL_STATUS.PENDING }).find(p => p.data?.hash === networkHash);
+  assert(networkProposal !== undefined, 'Recurring network errors become a proposal');
+  if (networkProposal) {
+    const transientFix = await autofix.generateFix(networkProposal.id);
+    assert(transientFix.status === FIX_STATUS.FAILED && transientFix.error.includes('execution policy'),
+      'Transient errors get no fix, with the execution policy advice');
+    let applyError = null;
+    try { await autofix.applyFix(transientFix.id); } catch (err) { applyError = err; }
+    assert(applyError !== null && logger.getIssue(networkHash).status === 'open', 'A no-op fix cannot be applied or resolve the issue');
+  }
+
   // ── Approve / Reject ────────────────────────────────────────
   console.log('\n── Approve / Reject ─────────────────────────');
 
@@ -220,6 +259,43 @@ main();
     }
   }
 
+  // ── Release Evaluation ──────────────────────────────────────
+  console.log('\n── Release Evaluation ───────────────────────');
+
+  const releaseLogDir = path.join(TEST_LOG_DIR, 'releases');
+  const v100 = new ErrorLogger({ logDir: releaseLogDir, release: '1.0.0', exitHooks: false });
+  const v101 = new ErrorLogger({ logDir: releaseLogDir, release: '1.0.1', exitHooks: false });
+  function riskLookup() {
+    const err = new TypeError("Cannot read properties of undefined (reading 'risk')");
+    err.stack = `TypeError: ${err.message}\n    at main (${path.join(skillDir, 'index.js')}:6:25)`;
+    return err;
+  }
+
+  let fixedHash = null;
+  for (let i = 0; i < 3; i++) fixedHash = v100.capture(riskLookup(), { skill: 'token-audit' }).hash;
+  await v100.wrapSkill('token-audit', async () => 'ok');
+  for (let i = 0; i < 4; i++) await v101.wrapSkill('token-audit', async () => 'ok');
+  await v100.flush();
+  await v101.flush();
+
+  const evalAutofix = new AutoFixEngine({ logger: v100, dataDir: path.join(TEST_DIR, 'evaluate') });
+  evalAutofix._fixes.push({
+    id: 'fix_release', skill: 'token-audit', status: FIX_STATUS.DEPLOYED,
+    baselineRelease: '1.0.0', proposal: { data: { hash: fixedHash } }
+  });
+
+  assert(evalAutofix.evaluateFix('fix_release').helped === null, 'No verdict while still on the baseline release');
+  const evaluation = evalAutofix.evaluateFix('fix_release', { release: '1.0.1' });
+  assert(evaluation.helped === true && evaluation.hashRecurred === false, 'Fix helped when its error is gone in the next release');
+  assert(evaluation.skill.error_rate_delta < 0 && evaluation.comparison.verdict === 'better', 'Evaluation carries the skill delta and release verdict');
+
+  v101.capture(riskLookup(), { skill: 'token-audit' });
+  await v101.flush();
+  const recurred = evalAutofix.evaluateFix('fix_release', { release: '1.0.1' });
+  assert(recurred.helped === false && recurred.hashRecurred === true, 'Fix did not help when its error comes back');
+  await v100.close();
+  await v101.close();
+
   // ── Report ──────────────────────────────────────────────────
   console.log('\n── Report ───────────────────────────────────');
 
@@ -236,7 +312,7 @@ main();
     logger, loop,
     skillsDir: TEST_SKILLS_DIR,
     dataDir: path.join(TEST_DIR, 'events'),
-    llmProvider: null
+    llmProvider: mockLLM // A template fix for a correction changes no code, so it never becomes ready
   });
   eventAutofix.on('fix-ready', (f) => readyEvent = f);
   eventAutofix.on('fix-generating', () => {});
@@ -248,6 +324,29 @@ main();
     assert(readyEvent.skill !== undefined, 'Event has skill');
   }
 
+  // ── Compiled Skills ─────────────────────────────────────────
+  console.log('\n── Compiled Skills (Source Maps) ────────────');
+
+  const tsSkillDir = path.join(TEST_SKILLS_DIR, 'price-feed');
+  fs.mkdirSync(path.join(tsSkillDir, 'dist'), { recursive: true });
+  fs.mkdirSync(path.join(tsSkillDir, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(tsSkillDir, 'src', 'index.ts'), 'export function main(data: any) {\n  return data.risk[0];\n}\n');
+  fs.writeFileSync(path.join(tsSkillDir, 'dist', 'index.js'),
+    '"use strict";\nfunction main(data) {\n    return data.risk[0];\n}\nmodule.exports = { main };\n//# sourceMappingURL=index.js.map\n');
+  fs.writeFileSync(path.join(tsSkillDir, 'dist', 'index.js.map'),
+    JSON.stringify({ version: 3, sources: ['../src/index.ts'], names: [], mappings: 'AAAA;AAQA;AACI;AACJ' }));
+
+  const compiledErr = new TypeError("Cannot read properties of undefined (reading '0')");
+  compiledErr.stack = `TypeError: Cannot read properties of undefined (reading '0')
+    at main (${path.join(tsSkillDir, 'dist', 'index.js')}:3:21)`;
+  const compiledEntry = logger.capture(compiledErr, { skill: 'price-feed' });
+
+  const viaStack = await autofix._findSourceFile({ skill: 'price-feed', data: { hash: compiledEntry.hash } });
+  assert(viaStack.filePath === path.join(tsSkillDir, 'src', 'index.ts') && viaStack.matchedVia === 'stack_trace', 'Stack of compiled output resolves to the TS source');
+
+  const viaDir = await autofix._findSourceFile({ skill: 'price-feed', data: {} });
+  assert(viaDir.filePath === path.join(tsSkillDir, 'src', 'index.ts'), 'Compiled entry point in skill dir maps to its source');
+
   // ── Persistence ─────────────────────────────────────────────
   console.log('\n── Persistence ──────────────────────────────');
 
@@ -6,10 +6,18 @@
 
 const { VerificationGates, GATE_STATUS, GATE_POLICY } = require('../src/verification-gates');
 const { ErrorLogger } = require('../src/error-logger');
+const { Keyring, generateKey, rekeyDirectory } = require('../src/encryption');
+const { SCHEMA_VERSION, validateEntry } = require('../src/entry-schema');
 const fs = require('fs');
 const path = require('path');
 
 const TEST_LOG_DIR = path.join(__dirname, '../errors-test');
+
+// Every logger in the suite validates its entries (see entry-schema.js); mismatches
+// surface as warnings, collected here and checked at the end
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+const schemaWarnings = [];
+process.on('warning', (warning) => { if (warning.code === 'EENTRYSCHEMA') schemaWarnings.push(warning); });
 const TEST_AUDIT_DIR = path.join(__dirname, '../audit-test');
 let passed = 0;
 let failed = 0;
@@ -72,6 +80,7 @@ async function runTests() {
   assert(autoResult.status === GATE_STATUS.AUTO, 'Gate 2 auto-passes when all checks pass for medium risk');
   assert(autoResult.checks.length > 0, 'Checks were run');
   assert(autoResult.checks.every(c => c.pass), 'All checks passed');
+  assert(logger.getBreadcrumbs().some(b => b.category === 'gate' && b.message === 'gate2 auto_passed for token-audit'), 'Gate decisions become breadcrumbs');
 
   // ── Gate 2 Rejection (Failed Checks, Medium Risk) ──────────
   console.log('\n── Gate 2 Rejection (Failed Checks) ─────────');
@@ -229,6 +238,48 @@ async function runTests() {
   assert(typeof stats.gate2.auto === 'number', 'Stats track gate2 auto-passes');
   assert(typeof stats.bySkill === 'object', 'Stats have per-skill breakdown');
 
+  // ── Encrypted Audit Trail ───────────────────────────────────
+  console.log('\n── Encrypted Audit Trail ────────────────────');
+
+  const oldKey = generateKey();
+  const encryptedLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'encrypted'), encryption: { keys: { k1: oldKey } }, exitHooks: false });
+  const sealedAuditDir = path.join(TEST_AUDIT_DIR, 'encrypted');
+  const sealedGates = new VerificationGates({ logger: encryptedLogger, auditDir: sealedAuditDir, timeout: 5000 });
+  assert(sealedGates.keyring === encryptedLogger.keyring, "Gates inherit the logger's keyring");
+
+  await sealedGates.verifyGate('token-audit', { address: 'WalletAbc123', status: 'audited' },
+    { risk: 'medium', userId: 'user-4242', originalInput: { address: 'WalletAbc123' } });
+  const auditFile = fs.readdirSync(sealedAuditDir).find(name => name.endsWith('.json'));
+  const sealedAudit = fs.readFileSync(path.join(sealedAuditDir, auditFile), 'utf-8');
+  assert(sealedAudit.startsWith('x1enc:1:k1:') && !sealedAudit.includes('user-4242'), 'Audit lines are encrypted at rest');
+  assert(sealedGates.getStats(1).gate2.auto === 1, 'getStats() decrypts transparently');
+
+  const rotated = new Keyring({ keys: { k2: generateKey(), k1: oldKey }, primary: 'k2' });
+  assert(rekeyDirectory(sealedAuditDir, rotated).rewritten === 1, 'Audit directory can be rekeyed');
+  const newKeyGates = new VerificationGates({ auditDir: sealedAuditDir, encryption: { keys: { k2: rotated.keys.get('k2') } } });
+  const keylessGates = new VerificationGates({ auditDir: sealedAuditDir, encryption: false });
+  assert(newKeyGates.getStats(1).gate2.auto === 1 && keylessGates.getStats(1).gate2.auto === 0, 'Rekeyed trail reads with the new key alone');
+  [sealedGates, newKeyGates, keylessGates].forEach(g => g.destroy());
+  await encryptedLogger.close();
+
+  // ── Entry Schema ────────────────────────────────────────────
+  console.log('\n── Entry Schema ─────────────────────────────');
+
+  await gates.verifyGate('token-audit', { address: 'WalletAbc123', status: 'audited' }, { risk: 'medium', userId: 'user-5150' });
+  const auditLines = fs.readFileSync(path.join(TEST_AUDIT_DIR, `${new Date().toISOString().split('T')[0]}.json`), 'utf-8').split('\n').filter(Boolean);
+  const latestAudit = JSON.parse(auditLines[auditLines.length - 1]);
+  assert(latestAudit.schema_version === SCHEMA_VERSION && latestAudit.user_id === 'user-5150' && !('userId' in latestAudit) && validateEntry(latestAudit).length === 0,
+    'Audit entries are versioned, snake_case and match their schema');
+
+  const autoBefore = gates.getStats(1).gate2.auto;
+  fs.appendFileSync(path.join(TEST_AUDIT_DIR, `${new Date().toISOString().split('T')[0]}.json`), JSON.stringify({
+    type: 'audit_trail', gate: 'gate2', skill: 'token-audit', status: GATE_STATUS.AUTO, risk: 'medium', userId: 'user-1', outputSummary: '{}', timestamp: new Date().toISOString()
+  }) + '\n');
+  assert(gates.getStats(1).gate2.auto === autoBefore + 1, 'getStats() still counts version-0 audit lines');
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert(schemaWarnings.length === 0, 'Every gate entry written by the suite matches its schema');
+
   // ── Cleanup ─────────────────────────────────────────────────
   gates.destroy();
 
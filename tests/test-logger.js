@@ -7,12 +7,35 @@
  * so you can see what the logs and reports look like.
  */
 
-const { ErrorLogger, ERROR_TYPES, SEVERITY_LEVELS, hashStackTrace, classifyError } = require('../src/error-logger');
+const { ErrorLogger, ERROR_TYPES, SEVERITY_LEVELS, hashStackTrace, classifyError, runWithContext } = require('../src/error-logger');
+const { ClassifierRegistry, SOLANA_ERROR_TYPES } = require('../src/classifier');
+const { Fingerprinter, templateMessage } = require('../src/fingerprint');
+const { AlertEngine, parseCondition, formatAlert } = require('../src/alert-rules');
+const { WorkflowRouter } = require('../src/workflow-router');
+const { backoffDelay, RETRY_DEFAULTS } = require('../src/execution-policy');
+const { circuitOpenError } = require('../src/circuit-breaker');
+const { getDefaultRoutes } = require('../src/routes');
 const { runAudit } = require('../src/self-audit');
+const { FileStorage } = require('../src/storage');
+const { MemorySink } = require('../src/sinks');
+const { sqliteAvailable } = require('../src/sqlite-storage');
+const { Keyring, loadKeyring, generateKey, rekeyDirectory } = require('../src/encryption');
+const { rekeyLogs } = require('../src/rekey-logs');
+const { SCHEMA_VERSION, validateEntry, upgradeEntry } = require('../src/entry-schema');
+const { withLockSync } = require('../src/file-lock');
+const { OccurrenceJournal } = require('../src/occurrence-journal');
+const { Redactor } = require('../src/redaction');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const TEST_LOG_DIR = path.join(__dirname, '../errors-test');
+
+// Every logger in the suite validates its entries (see entry-schema.js); mismatches
+// surface as warnings, collected here and checked at the end
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+const schemaWarnings = [];
+process.on('warning', (warning) => { if (warning.code === 'EENTRYSCHEMA') schemaWarnings.push(warning); });
 let passed = 0;
 let failed = 0;
 
@@ -49,6 +72,42 @@ async function runTests() {
   assert(classifyError(new Error('Field is required')) === ERROR_TYPES.VALIDATION, 'Classifies validation errors');
   assert(classifyError(new Error('Something weird happened')) === ERROR_TYPES.UNKNOWN, 'Classifies unknown errors');
 
+  console.log('\n── Classifier Registry ──────────────────────');
+
+  assert(classifyError(new Error('Sync finished in 500ms with errors')) !== ERROR_TYPES.API, '"500" inside a word is not an API error');
+  assert(classifyError(new Error('rapid retry loop detected')) !== ERROR_TYPES.API, '"api" inside a word is not an API error');
+
+  const classifier = new ClassifierRegistry({ presets: ['solana'] });
+  const expired = classifier.classify(new Error('Transaction simulation failed: Blockhash not found'));
+  assert(expired.type === SOLANA_ERROR_TYPES.BLOCKHASH_EXPIRED && expired.rule === 'solana-blockhash-message', 'Solana preset classifies expired blockhashes');
+  assert(classifier.classify(Object.assign(new Error('RPC error'), { code: -32016 })).type === 'rpc_slot_skew', 'Rules match on error codes');
+  assert(classifier.classify(new Error('Attempt to debit an account but found no record of a prior credit.')).type === 'insufficient_funds', 'Insufficient funds detected');
+
+  classifier.addRule({ name: 'vault-locked', type: 'vault_locked', message: 'vault is locked', confidence: 0.8 });
+  classifier.addRule({ name: 'quota-is-validation', type: ERROR_TYPES.VALIDATION, message: /api quota/i });
+  assert(classifier.types.VAULT_LOCKED === 'vault_locked', 'Custom types are registered');
+  assert(classifier.classify(new Error('API quota exceeded')).type === ERROR_TYPES.VALIDATION, 'Custom rules run before built-ins');
+
+  classifier.addRule({ name: 'wrapped-refusal', type: 'rpc_unreachable', message: 'rpc', cause: { code: 'ECONNREFUSED' } });
+  const wrappedRpc = new Error('RPC pool exhausted', { cause: Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' }) });
+  assert(classifier.classify(wrappedRpc).type === 'rpc_unreachable', 'Rules can match on the cause chain');
+
+  const explained = classifier.explain(new Error('Invalid API key'));
+  assert(explained.rule === 'api-message' && explained.matches.some(m => m.rule === 'validation-message'), 'explain() shows the winning rule and the other matches');
+
+  classifier.addSeverityRule({ name: 'treasury-agent', severity: SEVERITY_LEVELS.CRITICAL, agent: 'Treasury' });
+  const classifiedLogger = new ErrorLogger({ logDir: TEST_LOG_DIR, classifier, exitHooks: false });
+  const lockedEntry = classifiedLogger.capture(new Error('Vault is locked'), { skill: 'vault-read', agent: 'TreasuryAgent' });
+  assert(lockedEntry.error_type === 'vault_locked' && lockedEntry.classification.rule === 'vault-locked', 'Entry records the rule that classified it');
+  assert(lockedEntry.severity === SEVERITY_LEVELS.CRITICAL && lockedEntry.classification.severity_rule === 'treasury-agent', 'Severity is rule-driven');
+  const slotEntry = classifiedLogger.capture(new Error('Node is behind by 150 slots'), { skill: 'balance-check' });
+  assert(slotEntry.severity === SEVERITY_LEVELS.MEDIUM, 'Preset severity rules apply');
+
+  let rejected = false;
+  try { classifier.addRule({ name: 'empty', type: 'x' }); } catch { rejected = true; }
+  assert(rejected, 'Rules without a matcher are rejected');
+  await classifiedLogger.close();
+
   console.log('\n── Stack Trace Hashing ──────────────────────');
 
   const hash1 = hashStackTrace('Error: test\n    at foo (/a/b/c.js:10:5)\n    at bar (/a/b/d.js:20:10)');
@@ -142,6 +201,400 @@ async function runTests() {
   const apiErrors = logger.query({ type: 'api', days: 1 });
   assert(apiErrors.every(e => e.error_type === 'api'), 'Type filter works');
 
+  console.log('\n── Request Context ─────────────────────────');
+
+  const ctxLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'context') });
+  let scoped = null;
+  let nested = null;
+  await ctxLogger.withContext({ chatId: 99, userId: 5, route: 'vault-backup', authToken: 'abc123' }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    scoped = ctxLogger.capture(new Error('helper failed after await'));
+    nested = (await ctxLogger.wrapSkill('vault-sync', async () => ctxLogger.capture(new Error('deep helper')))).result;
+  });
+  assert(scoped.context.chat_id === 99 && scoped.context.user_id === 5, 'capture() picks up the active scope across awaits');
+  assert(scoped.context.route === 'vault-backup', 'Route recorded from the scope');
+  assert(scoped.context.extra.authToken !== 'abc123', 'Extra scope fields are redacted');
+  assert(nested.skill === 'vault-sync', 'Skill defaults to the enclosing wrapSkill');
+  assert(nested.context.correlation_id === scoped.context.correlation_id, 'Nested scopes share the correlation ID');
+  assert(ctxLogger.getContext() === null, 'Scope ends with its callback');
+  assert(ctxLogger.capture(new Error('outside any scope')).context === null, 'Entries outside a scope have no context');
+  await ctxLogger.close();
+
+  console.log('\n── Spans ───────────────────────────────────');
+
+  const spanLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'spans') });
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const audit = await spanLogger.wrapSkill('token-audit', async () => {
+    const holders = await spanLogger.span('fetch-holders', async () => {
+      await spanLogger.span('rpc-call', () => sleep(5));
+      return 12;
+    }, { mint: 'So11111111111111111111111111111111111111112' });
+    spanLogger.span('score-risk', () => holders * 2);
+    await spanLogger.span('fetch-liquidity', async () => { throw new Error('Liquidity API 503'); });
+  });
+  assert(audit.success === false, 'Span errors propagate to the skill');
+
+  const spans = spanLogger.query({ skill: 'token-audit', days: 1 }).filter(e => e.type === 'span');
+  const spanByName = Object.fromEntries(spans.map(e => [e.name, e]));
+  const auditError = spanLogger.query({ skill: 'token-audit', days: 1 }).find(e => e.type === 'error');
+  assert(spans.length === 4, 'Every span is written to the log');
+  assert(spanByName['rpc-call'].parent_span_id === spanByName['fetch-holders'].span_id, 'Child spans point at their parent span');
+  assert(spanByName['fetch-holders'].parent_span_id === auditError.context.span_id, 'Top-level spans point at the skill span');
+  assert(spans.every(e => e.trace_id === auditError.context.correlation_id), 'Spans share the request trace ID');
+  assert(spanByName['rpc-call'].duration_ms >= 4 && spanByName['fetch-holders'].duration_ms >= spanByName['rpc-call'].duration_ms, 'Span durations nest');
+  assert(spanByName['score-risk'].status === 'ok' && spanByName['fetch-liquidity'].status === 'error', 'Per-span status recorded');
+  assert(spanByName['fetch-liquidity'].error === 'Liquidity API 503', 'Failed span records the error message');
+  assert(auditError.context.failed_span_id === spanByName['fetch-liquidity'].span_id, 'Skill error names the span that failed');
+  assert(spanLogger.span('sync-step', () => 'done') === 'done', 'span() works with sync functions');
+
+  const spanReport = spanLogger.generateReport(1);
+  assert(spanReport.spans.by_skill['token-audit']['fetch-holders'].count === 1, 'Report breaks skills down by span');
+  assert(spanReport.spans.failing[0].span === 'fetch-liquidity', 'Report lists failing spans');
+  assert(spanReport.spans.slowest.length > 0, 'Report lists slowest spans');
+  assert(spanReport.totals.errors === 1, 'Spans are not counted as errors');
+  await spanLogger.close();
+
+  console.log('\n── Execution Policies ──────────────────────');
+
+  const policyLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'policies'), exitHooks: false });
+  const flaky = (code) => Object.assign(new Error(`RPC socket ${code}`), { code });
+  let calls = 0;
+  const recovered = await policyLogger.wrapSkill('price-feed', async ({ attempt }) => {
+    calls++;
+    if (attempt < 3) throw flaky('ECONNRESET');
+    return 42;
+  }, { mint: 'SOL' }, { retry: { attempts: 3, baseDelayMs: 1 } });
+  assert(recovered.success && recovered.result === 42 && recovered.attempts === 3 && calls === 3, 'Retryable errors are retried until one attempt succeeds');
+
+  const priceFeed = policyLogger.query({ skill: 'price-feed', days: 1 });
+  const retried = priceFeed.filter(e => e.type === 'retry');
+  const recoveredEntry = priceFeed.find(e => e.type === 'success');
+  assert(retried.length === 2 && retried.every(e => e.error_type === 'network' && e.execution.outcome === 'retried' && e.execution.retry_in_ms >= 0),
+    'Each retried attempt is logged');
+  assert(retried.every(e => e.execution.id === recoveredEntry.execution.id) && retried[1].execution.attempt === 2 && recoveredEntry.execution.outcome === 'recovered',
+    'Attempts are linked to one execution');
+  assert(!policyLogger.getRecurringErrors(10).some(r => r.hash === retried[0].hash), 'Retried attempts are not counted as occurrences');
+  const policyReport = policyLogger.generateReport(1);
+  assert(policyReport.totals.errors === 0 && policyReport.totals.retries === 2 && policyReport.totals.recovered === 1, 'Report counts retries apart from errors');
+
+  let validationCalls = 0;
+  const notRetried = await policyLogger.wrapSkill('price-feed', async () => {
+    validationCalls++;
+    throw new Error('Invalid mint address');
+  }, {}, { retry: { attempts: 3, baseDelayMs: 1 } });
+  assert(!notRetried.success && notRetried.attempts === 1 && validationCalls === 1 && notRetried.entry.execution.outcome === 'failed',
+    'Errors outside retry.on fail on the first attempt');
+
+  const exhausted = await policyLogger.wrapSkill('holders', async () => { throw flaky('ECONNREFUSED'); }, {}, { retry: { attempts: 2, baseDelayMs: 1 } });
+  assert(!exhausted.success && exhausted.attempts === 2 && exhausted.entry.occurrence_count === 1 && exhausted.entry.execution.attempt === 2,
+    'Only the final failed attempt is an occurrence');
+
+  let sawAbort = false;
+  const timedOut = await policyLogger.wrapSkill('slow-audit', ({ signal }) => new Promise(() => {
+    signal.addEventListener('abort', () => { sawAbort = true; });
+  }), {}, { timeoutMs: 20 });
+  assert(!timedOut.success && timedOut.error.name === 'TimeoutError' && timedOut.entry.error_type === 'timeout', 'Attempts past timeoutMs fail as timeouts');
+  assert(sawAbort, 'The skill gets an AbortSignal that fires on timeout');
+
+  const served = await policyLogger.wrapSkill('price-feed', async () => { throw flaky('ECONNRESET'); }, {}, {
+    retry: { attempts: 2, baseDelayMs: 1 },
+    fallback: (error, { attempts }) => ({ price: 41.5, cached: true, attempts, reason: error.code })
+  });
+  assert(served.success && served.fallback && served.result.cached && served.result.attempts === 2 && served.result.reason === 'ECONNRESET',
+    'Fallback result is returned once every attempt failed');
+  assert(served.entry.execution.outcome === 'fallback', 'The failure is still logged, marked as served by the fallback');
+
+  const brokenFallback = await policyLogger.wrapSkill('holders', async () => { throw flaky('ECONNRESET'); }, {}, {
+    fallback: () => { throw new Error('Cache miss'); }
+  });
+  assert(!brokenFallback.success && !brokenFallback.fallback && policyLogger.query({ days: 1 }).some(e => e.message === 'Cache miss' && e.metadata.fallback_for === brokenFallback.entry.hash),
+    'A failing fallback is captured and linked to the original error');
+
+  const controller = new AbortController();
+  const cancelled = policyLogger.wrapSkill('holders', ({ signal }) => new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  }), {}, {
+    retry: { attempts: 5, baseDelayMs: 1000 },
+    signal: controller.signal,
+    fallback: () => 'should not run'
+  });
+  setTimeout(() => controller.abort(), 10);
+  const cancelResult = await cancelled;
+  assert(cancelResult.aborted && cancelResult.attempts === 1 && cancelResult.entry === null && cancelResult.result === null,
+    'Caller abort stops retries and skips the fallback');
+
+  const delays = [1, 2, 3, 4, 10].map(attempt => backoffDelay(RETRY_DEFAULTS, attempt, () => 1));
+  assert(delays[0] === 250 && delays[1] === 500 && delays[3] === 2000 && delays[4] === RETRY_DEFAULTS.maxDelayMs, 'Backoff grows exponentially up to maxDelayMs');
+  assert(backoffDelay(RETRY_DEFAULTS, 3, () => 0.5) === 500, 'Backoff is jittered');
+  await policyLogger.close();
+
+  console.log('\n── Circuit Breakers ────────────────────────');
+
+  let circuitClock = Date.now();
+  const circuitLogger = new ErrorLogger({
+    logDir: path.join(TEST_LOG_DIR, 'circuits'),
+    circuitBreaker: { threshold: 3, windowMs: 60000, cooldownMs: 30000, now: () => circuitClock },
+    exitHooks: false
+  });
+  const transitions = [];
+  circuitLogger.circuits.on('change', (circuit) => transitions.push(`${circuit.kind}:${circuit.name} ${circuit.from}→${circuit.state}`));
+  const apiDown = () => { throw Object.assign(new Error('connect ECONNREFUSED birdeye'), { code: 'ECONNREFUSED' }); };
+
+  for (let i = 0; i < 3; i++) await circuitLogger.wrapSkill('token-audit', apiDown, {}, { dependencies: ['birdeye'] });
+  assert(transitions.includes('skill:token-audit closed→open') && transitions.includes('dependency:birdeye closed→open'),
+    'Breakers open after threshold transient errors, with events');
+
+  let calledWhileOpen = false;
+  const errorsBefore = circuitLogger.query({ days: 1 }).filter(e => e.type === 'error').length;
+  const shortCircuited = await circuitLogger.wrapSkill('token-audit', () => { calledWhileOpen = true; }, {}, { dependencies: ['birdeye'] });
+  assert(shortCircuited.unavailable && !shortCircuited.success && !calledWhileOpen && shortCircuited.attempts === 0, 'Open breaker short-circuits without calling the skill');
+  assert(shortCircuited.error.code === 'ECIRCUITOPEN' && /token-audit is temporarily unavailable .*retrying in 30s/.test(shortCircuited.error.message),
+    'Short-circuit result says the skill is temporarily unavailable');
+  assert(shortCircuited.entry === null && circuitLogger.query({ days: 1 }).filter(e => e.type === 'error').length === errorsBefore, 'Refused calls are not logged as errors');
+
+  const sharedDependency = await circuitLogger.wrapSkill('price-check', () => 'ok', {}, { dependencies: ['birdeye'] });
+  assert(sharedDependency.unavailable && sharedDependency.error.circuit.name === 'birdeye', 'Other skills using the dependency are refused too');
+  const cached = await circuitLogger.wrapSkill('token-audit', apiDown, {}, { fallback: (error, { unavailable }) => ({ cached: true, unavailable }) });
+  assert(cached.success && cached.fallback && cached.result.unavailable, 'Fallback still serves while the circuit is open');
+
+  for (let i = 0; i < 4; i++) await circuitLogger.wrapSkill('vault-backup', () => { throw new Error('Invalid vault key'); });
+  assert(!circuitLogger.getCircuits().some(c => c.name === 'vault-backup' && c.state !== 'closed'), 'Non-transient errors never open a breaker');
+  assert(circuitLogger.getCircuits()[0].state === 'open' && circuitLogger.getCircuits()[0].retry_at, 'getCircuits() lists open breakers first with retry time');
+
+  circuitClock += 30001;
+  const trial = await circuitLogger.wrapSkill('token-audit', () => 'audited', {}, { dependencies: ['birdeye'] });
+  assert(trial.success && transitions.includes('skill:token-audit open→half_open') && transitions.includes('dependency:birdeye half_open→closed'),
+    'After the cooldown a trial call goes through and closes the breaker');
+
+  for (let i = 0; i < 3; i++) await circuitLogger.wrapSkill('token-audit', apiDown);
+  circuitClock += 30001;
+  await circuitLogger.wrapSkill('token-audit', apiDown);
+  assert(transitions.filter(t => t === 'skill:token-audit half_open→open').length === 1, 'A failed trial opens the breaker again');
+
+  let heliusCalls = 0;
+  const heliusDown = () => { heliusCalls++; throw Object.assign(new Error('RPC request timed out'), { code: 'ETIMEDOUT' }); };
+  for (let i = 0; i < 3; i++) await circuitLogger.callDependency('helius', heliusDown).catch(() => {});
+  const viaSkill = await circuitLogger.wrapSkill('holders', () => circuitLogger.callDependency('helius', heliusDown));
+  assert(heliusCalls === 3 && viaSkill.unavailable && viaSkill.error.name === 'CircuitOpenError', 'callDependency() refuses calls to an open dependency');
+
+  let jupiterUp = false;
+  const jupiterQuote = () => circuitLogger.callDependency('jupiter', () => {
+    if (!jupiterUp) throw Object.assign(new Error('connect ECONNREFUSED jupiter'), { code: 'ECONNREFUSED' });
+    return 42;
+  });
+  const jupiterState = () => circuitLogger.getCircuits().find(c => c.name === 'jupiter').state;
+  for (let i = 0; i < 2; i++) await circuitLogger.wrapSkill('swap-quote', jupiterQuote, {}, { dependencies: ['jupiter'] });
+  assert(jupiterState() === 'closed', 'A declared dependency also called through callDependency() counts each failure once');
+  await circuitLogger.wrapSkill('swap-quote', jupiterQuote, {}, { dependencies: ['jupiter'] });
+  circuitClock += 30001;
+  jupiterUp = true;
+  const nestedTrial = await circuitLogger.wrapSkill('swap-quote', jupiterQuote, {}, { dependencies: ['jupiter'] });
+  assert(nestedTrial.success && nestedTrial.result === 42 && jupiterState() === 'closed', 'The nested call runs inside the skill\'s half-open trial and closes the breaker');
+
+  const hungBreaker = circuitLogger.circuits.get('dependency', 'raydium');
+  for (let i = 0; i < 3; i++) hungBreaker.failure('down');
+  circuitClock += 30001;
+  hungBreaker.allow(); // A trial that never reports back
+  const hungRefusal = circuitOpenError(hungBreaker);
+  circuitClock += 30001;
+  assert(/retrying in 30s/.test(hungRefusal.message) && hungBreaker.allow(), 'Half-open trials without an outcome free their slot after trialTimeoutMs');
+
+  const healthRoute = getDefaultRoutes().find(r => r.name === 'health');
+  const health = await healthRoute.handler(null, { logger: circuitLogger });
+  assert(health.circuits.some(c => c.name === 'helius' && c.state === 'open') && health.totals, '/health shows breaker states');
+  await circuitLogger.close();
+
+  console.log('\n── Sync & Agent Wrappers ───────────────────');
+
+  const agentLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'agents'), exitHooks: false });
+  const parsedMint = agentLogger.wrapSync('parse-mint', () => 'So11111111111111111111111111111111111111112'.slice(0, 4), { text: '/audit So111' });
+  assert(parsedMint.success && parsedMint.result === 'So11' && parsedMint.error === null, 'wrapSync returns the wrapSkill shape synchronously');
+  const invalidMint = agentLogger.wrapSync('parse-mint', () => { throw new TypeError('Mint must be base58'); }, { text: '/audit 0x' }, { agent: 'TokenAuditAgent' });
+  assert(!invalidMint.success && invalidMint.entry.skill === 'parse-mint' && invalidMint.entry.agent === 'TokenAuditAgent' && invalidMint.entry.input_summary.includes('0x'),
+    'wrapSync captures sync errors with skill, agent and input');
+  let rethrown = null;
+  try { agentLogger.wrapSync('parse-mint', () => { throw new Error('Empty mint'); }, {}, { rethrow: true }); } catch (err) { rethrown = err; }
+  assert(rethrown?.message === 'Empty mint' && agentLogger.wrapSync('score', () => 7, {}, { rethrow: true }) === 7, 'rethrow returns plain results and rethrows errors');
+  const promised = agentLogger.wrapSync('late', () => Promise.resolve('eventually'));
+  assert(typeof promised.then === 'function' && (await promised).result === 'eventually', 'wrapSync awaits a returned promise instead of logging early');
+  assert(await agentLogger.wrapSkill('rethrowing', async () => 'fine', {}, { rethrow: true }) === 'fine', 'wrapSkill supports rethrow too');
+
+  class BaseAgent {
+    describe() { return `${this.constructor.name} ready`; }
+  }
+  class TokenAuditAgent extends BaseAgent {
+    constructor() { super(); this.audits = 0; }
+    async audit(mint) {
+      this.audits++;
+      if (!mint) throw new Error('No mint given');
+      return { mint, risk: this._score(mint) };
+    }
+    parseHolders(raw) { return raw.split(',').length; }
+    _score() { return 'low'; }
+    get ready() { return true; }
+  }
+  const auditAgent = agentLogger.wrapAgent(new TokenAuditAgent(), { skills: { audit: 'token-audit' } });
+  const audited = await auditAgent.audit('So111');
+  const holderCount = auditAgent.parseHolders('a,b,c');
+  assert(audited.success && audited.result.risk === 'low' && auditAgent.audits === 1, 'Async methods run through wrapSkill with `this` intact');
+  assert(holderCount.success && holderCount.result === 3, 'Sync methods run through wrapSync');
+  assert(auditAgent.describe().result === 'TokenAuditAgent ready' && auditAgent._score() === 'low' && auditAgent.ready === true,
+    'Inherited methods are wrapped; private methods and getters are not');
+  const agentEntries = agentLogger.query({ days: 1 });
+  assert(agentEntries.some(e => e.type === 'success' && e.skill === 'token-audit' && e.agent === 'TokenAuditAgent')
+    && agentEntries.some(e => e.type === 'success' && e.skill === 'parse-holders'), 'Skill names come from the skills map or the method name, agent from the class');
+  const noMint = await auditAgent.audit();
+  assert(!noMint.success && noMint.entry.skill === 'token-audit' && noMint.entry.agent === 'TokenAuditAgent', 'Method errors are captured per skill');
+
+  const vaultAgent = agentLogger.instrument({ sync(key) { if (!key) throw new Error('No key'); return key; }, ping() { return 'pong'; } },
+    { agent: 'VaultSyncAgent', rethrow: true, exclude: ['ping'] });
+  let vaultError = null;
+  try { vaultAgent.sync(); } catch (err) { vaultError = err; }
+  assert(vaultAgent.sync('k1') === 'k1' && vaultError?.message === 'No key' && vaultAgent.ping() === 'pong', 'instrument() with rethrow keeps the object contract; exclude skips methods');
+  agentLogger.wrapAgent(auditAgent);
+  assert((await auditAgent.audit('So222')).result.mint === 'So222', 'Instrumenting twice does not double-wrap');
+
+  class HolderAgent {
+    async fetchHolders(mint) {
+      if (mint === 'bad') throw new Error('Holder API refused');
+      return [1, 2, 3];
+    }
+    async audit(mint) { return (await this.fetchHolders(mint)).length + this.countTop(); }
+    countTop() { return 1; }
+  }
+  const holderAgent = agentLogger.wrapAgent(new HolderAgent());
+  const holderAudit = await holderAgent.audit('So333');
+  const badHolderAudit = await holderAgent.audit('bad');
+  assert(holderAudit.success && holderAudit.result === 4, 'Calls between instrumented methods get plain results');
+  assert(!badHolderAudit.success && badHolderAudit.error.message === 'Holder API refused' && badHolderAudit.entry.skill === 'audit',
+    'Errors from an inner method reach the outer call and fail it');
+  assert(agentLogger.query({ days: 1 }).some(e => e.type === 'success' && e.skill === 'fetch-holders' && e.agent === 'HolderAgent'),
+    'Inner calls are still logged as skills');
+
+  const { EventEmitter } = require('events');
+  class DeployAgent extends EventEmitter {
+    deploy(target) { this.emit('deployed', target); return target; }
+  }
+  const deployAgent = agentLogger.wrapAgent(new DeployAgent());
+  const deployedTargets = [];
+  const chained = deployAgent.on('deployed', (target) => deployedTargets.push(target));
+  const deployed = deployAgent.deploy('mainnet');
+  assert(chained === deployAgent && deployed.result === 'mainnet' && deployedTargets[0] === 'mainnet' && !Object.hasOwn(deployAgent, 'emit') && Object.hasOwn(deployAgent, 'deploy'),
+    'EventEmitter methods are left alone; only the agent\'s own methods become skills');
+  await agentLogger.close();
+
+  console.log('\n── Cause Chains ────────────────────────────');
+
+  const refused = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8899'), { code: 'ECONNREFUSED', syscall: 'connect' });
+  const rpcError = new Error('RPC getBalance failed', { cause: new TypeError('fetch failed', { cause: refused }) });
+  const rpcEntry = logger.capture(rpcError, { skill: 'rpc-sync' });
+  assert(classifyError(new Error('RPC getBalance failed')) === ERROR_TYPES.UNKNOWN, 'Wrapper alone is unknown');
+  assert(rpcEntry.error_type === ERROR_TYPES.NETWORK, 'Wrapped RPC failure classified by its cause');
+  assert(rpcEntry.causes.length === 2 && rpcEntry.causes[1].via === 'cause' && rpcEntry.causes[1].depth === 2, 'Cause chain recorded in order');
+  assert(rpcEntry.causes[1].properties.code === 'ECONNREFUSED', 'Cause properties kept');
+
+  const aggregate = new AggregateError([new Error('agent A: deadline exceeded'), 'agent B gave up'], 'All agents failed');
+  const aggregateEntry = logger.capture(aggregate, { skill: 'parallel-agents' });
+  assert(aggregateEntry.causes.map(c => c.via).join(',') === 'errors[0],errors[1]', 'AggregateError inner errors recorded');
+  assert(aggregateEntry.causes[1].message === 'agent B gave up', 'Non-error causes kept as messages');
+  assert(aggregateEntry.error_type === ERROR_TYPES.TIMEOUT, 'AggregateError classified by its inner errors');
+
+  const httpError = Object.assign(new Error('Request failed'), {
+    code: 'ERR_BAD_RESPONSE',
+    config: { headers: { Authorization: 'Bearer abc' } },
+    response: { status: 503, statusText: 'Service Unavailable', data: { error: 'upstream down', apiKey: 'k-1' } }
+  });
+  const httpEntry = logger.capture(httpError, { skill: 'price-feed' });
+  assert(httpEntry.properties.code === 'ERR_BAD_RESPONSE' && httpEntry.properties.response.status === 503, 'code and response.status recorded');
+  assert(httpEntry.properties.response.data.apiKey === '[REDACTED]' && !('config' in httpEntry.properties), 'Response data redacted, client internals dropped');
+  assert(httpEntry.error_type === ERROR_TYPES.API, 'HTTP status drives classification');
+
+  const loop = new Error('loops');
+  loop.cause = loop;
+  assert(logger.capture(loop, { skill: 'loop' }).causes.length === 0, 'Circular causes do not hang');
+
+  const dbDown = new Error('db down');
+  const wrapInSync = () => new Error('sync failed', { cause: dbDown });
+  const wrapInAudit = () => new Error('audit failed', { cause: dbDown });
+  const rootLogger = new ErrorLogger({ logDir: TEST_LOG_DIR, hashRootCause: true, exitHooks: false });
+  assert(logger.capture(wrapInSync(), {}).hash !== logger.capture(wrapInAudit(), {}).hash, 'Wrappers hash separately by default');
+  assert(rootLogger.capture(wrapInSync(), {}).hash === rootLogger.capture(wrapInAudit(), {}).hash, 'hashRootCause groups by the root error');
+  await rootLogger.close();
+
+  console.log('\n── Source Maps ─────────────────────────────');
+
+  // tsc-style output: generated line 3 ("throw ...") comes from src/*.ts line 10, column 5
+  const mapFixtureDir = path.join(TEST_LOG_DIR, 'sourcemaps');
+  fs.mkdirSync(path.join(mapFixtureDir, 'dist'), { recursive: true });
+  const compiled = (mapComment) => `"use strict";\nfunction explode() {\n    throw new Error('boom from ts');\n}\nmodule.exports = { explode };\n${mapComment}\n`;
+  const sourceMap = (source) => JSON.stringify({ version: 3, file: 'x.js', sources: [source], names: [], mappings: 'AAAA;AAQA;AACI;AACJ' });
+
+  fs.writeFileSync(path.join(mapFixtureDir, 'dist', 'skill.js'), compiled('//# sourceMappingURL=skill.js.map'));
+  fs.writeFileSync(path.join(mapFixtureDir, 'dist', 'skill.js.map'), sourceMap('../src/skill.ts'));
+  fs.writeFileSync(path.join(mapFixtureDir, 'dist', 'inline.js'),
+    compiled(`//# sourceMappingURL=data:application/json;base64,${Buffer.from(sourceMap('../src/inline.ts')).toString('base64')}`));
+
+  const thrownBy = (file) => {
+    try { require(path.join(mapFixtureDir, 'dist', file)).explode(); } catch (err) { return err; }
+  };
+
+  const mappedLogger = new ErrorLogger({ logDir: TEST_LOG_DIR, sourceMaps: true, exitHooks: false });
+  const mappedEntry = mappedLogger.capture(thrownBy('skill.js'), { skill: 'ts-skill' });
+  assert(mappedEntry.stack.includes(`${path.join(mapFixtureDir, 'src', 'skill.ts')}:10:5`), 'Stack rewritten to the original TS location');
+  assert(mappedEntry.generated_stack.includes(path.join('dist', 'skill.js')), 'Generated frames kept alongside');
+  assert(mappedEntry.hash === hashStackTrace(mappedEntry.stack), 'Fingerprint uses original frames');
+  assert(mappedLogger.capture(thrownBy('inline.js'), {}).stack.includes(path.join('src', 'inline.ts')), 'Inline data-URI maps resolve');
+
+  const unmappedEntry = logger.capture(thrownBy('skill.js'), { skill: 'ts-skill' });
+  assert(unmappedEntry.stack.includes('dist/skill.js') && unmappedEntry.generated_stack === null, 'Source maps are opt-in');
+  await mappedLogger.close();
+
+  console.log('\n── Batched Writes ──────────────────────────');
+
+  const todayStr = new Date().toISOString().split('T')[0];
+  const todayFile = path.join(TEST_LOG_DIR, `${todayStr}.json`);
+  await logger.flush();
+  const linesBefore = fs.existsSync(todayFile) ? fs.readFileSync(todayFile, 'utf-8').split('\n').filter(Boolean).length : 0;
+
+  for (let i = 0; i < 5; i++) {
+    logger.capture(new Error(`burst ${i}`), { skill: 'burst-skill' });
+  }
+  const linesQueued = fs.existsSync(todayFile) ? fs.readFileSync(todayFile, 'utf-8').split('\n').filter(Boolean).length : 0;
+  assert(linesQueued === linesBefore, 'capture() does not write synchronously');
+  assert(logger.query({ skill: 'burst-skill', days: 1 }).length === 5, 'Queued entries are visible to query()');
+
+  await logger.flush();
+  const linesAfter = fs.readFileSync(todayFile, 'utf-8').split('\n').filter(Boolean).length;
+  assert(linesAfter === linesBefore + 5, 'flush() writes the whole batch');
+  assert(logger.query({ skill: 'burst-skill', days: 1 }).length === 5, 'No duplicates once the batch lands');
+  const savedOccurrences = JSON.parse(fs.readFileSync(path.join(TEST_LOG_DIR, '_occurrences.json'), 'utf-8'));
+  assert(savedOccurrences[entry1.hash] === logger._occurrences.counts.get(entry1.hash), 'flush() compacts occurrence counts to disk');
+
+  console.log('\n── Query Index ─────────────────────────────');
+  assert(fs.existsSync(path.join(TEST_LOG_DIR, '_index', `${todayStr}.json`)), 'Daily index file written on append');
+  const readOnlyDir = path.join(TEST_LOG_DIR, 'read-only');
+  const readOnlyLogger = new ErrorLogger({ logDir: readOnlyDir, exitHooks: false });
+  readOnlyLogger.query({ days: 1 });
+  assert(!fs.existsSync(path.join(readOnlyDir, '_index')), 'A logger that only reads creates no index directory');
+  await readOnlyLogger.close();
+
+  const byHash = logger.query({ hash: entry1.hash, days: 1 });
+  const byScan = logger.query({ days: 1 }).filter(e => e.hash === entry1.hash);
+  assert(byHash.length === byScan.length && byHash.every(e => e.hash === entry1.hash), 'Hash lookup matches a full scan');
+
+  const combined = logger.query({ skill: 'vault-sync', type: 'logic', days: 1 });
+  assert(combined.length === 1 && combined[0].name === 'TypeError', 'Multiple indexed filters intersect');
+
+  // Simulate another process appending behind the index's back
+  fs.appendFileSync(path.join(TEST_LOG_DIR, `${todayStr}.json`),
+    JSON.stringify({ type: 'error', hash: 'external0001', skill: 'other-proc', error_type: 'network' }) + '\n');
+  assert(logger.query({ skill: 'other-proc', days: 1 }).length === 1, 'Index rebuilds when files change externally');
+
+  for (const skill of ['toString', 'constructor', '__proto__']) await logger.wrapSkill(skill, () => { throw new Error(`${skill} failed`); });
+  await logger.flush();
+  const protoNamed = ['toString', 'constructor', '__proto__', 'hasOwnProperty'].map(skill => logger.query({ skill, days: 1 }).length);
+  assert(protoNamed.join(',') === '1,1,1,0', 'Skills named like Object.prototype members are indexed and looked up as data');
+
   console.log('\n── Recurring Errors ────────────────────────');
 
   const recurring = logger.getRecurringErrors(5);
@@ -167,17 +620,879 @@ async function runTests() {
   assert(fixEntry.type === 'fix', 'Fix entry type correct');
   assert(fixEntry.error_hash === errorHash, 'Fix linked to error hash');
 
+  console.log('\n── Fingerprinting ──────────────────────────');
+
+  const fpDir = path.join(TEST_LOG_DIR, 'fingerprint');
+  const fpLogger = new ErrorLogger({ logDir: fpDir });
+  const stackless = (message) => {
+    const err = new Error(message);
+    err.stack = undefined;
+    return err;
+  };
+
+  const ns1 = fpLogger.capture(stackless('Vault sync failed for key 42'), { skill: 'vault-sync' });
+  const ns2 = fpLogger.capture(stackless('Vault sync failed for key 97'), { skill: 'vault-sync' });
+  const ns3 = fpLogger.capture(stackless('Telegram send failed'), { skill: 'vault-sync' });
+  assert(ns1.hash === ns2.hash && ns2.occurrence_count === 2, 'Stackless errors with the same message template share a group');
+  assert(ns1.hash !== ns3.hash, 'Stackless errors with different messages get different hashes');
+  assert(ns1.fingerprint === 'message', 'Stack strategy falls back to the message template');
+  assert(
+    templateMessage('Account 9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin has 5 SOL (tx 0x1f)') === 'Account <address> has <n> SOL (tx <hex>)',
+    'Message template masks addresses, numbers and hex'
+  );
+
+  const shared = new Error('helper failed');
+  const perSkill = new Fingerprinter('stack+skill');
+  assert(
+    perSkill.fingerprint({ error: shared, stack: shared.stack, skill: 'token-audit' }).hash !==
+      perSkill.fingerprint({ error: shared, stack: shared.stack, skill: 'vault-sync' }).hash,
+    'stack+skill separates the same stack in different skills'
+  );
+  const byType = new Fingerprinter({ strategy: 'skill-type' });
+  assert(
+    byType.fingerprint({ error: new Error('a'), skill: 'token-audit', type: 'api' }).hash ===
+      byType.fingerprint({ error: new TypeError('b'), skill: 'token-audit', type: 'api' }).hash,
+    'skill-type groups by skill and error type only'
+  );
+  const custom = new Fingerprinter(({ message }) => message.split(':')[0]);
+  assert(
+    custom.fingerprint({ error: new Error('RPC: timeout') }).hash === custom.fingerprint({ error: new Error('RPC: 503') }).hash,
+    'Custom strategy function decides the key'
+  );
+
+  const messageLogger = new ErrorLogger({ logDir: path.join(fpDir, 'message'), fingerprint: 'message' });
+  const failA = () => new Error('Quote stale after 3 retries');
+  const failB = () => new Error('Quote stale after 5 retries');
+  assert(
+    messageLogger.capture(failA()).hash === messageLogger.capture(failB()).hash,
+    'fingerprint: "message" ignores the stack'
+  );
+  await messageLogger.close();
+
+  function failSwap() { return new Error('swap failed'); }
+  function failQuote() { return new Error('quote failed'); }
+  const swapHash = fpLogger.capture(failSwap(), { skill: 'token-audit' }).hash;
+  fpLogger.capture(failSwap(), { skill: 'token-audit' });
+  const quoteHash = fpLogger.capture(failQuote(), { skill: 'token-audit' }).hash;
+  assert(swapHash !== quoteHash, 'Different stacks, different groups');
+
+  const merged = fpLogger.mergeHashes(swapHash, quoteHash);
+  assert(merged.hash === quoteHash && merged.count === 3, 'Merge combines occurrence counts');
+  const afterMerge = fpLogger.capture(failSwap(), { skill: 'token-audit' });
+  assert(afterMerge.hash === quoteHash && afterMerge.original_hash === swapHash, 'New captures follow the merged identity');
+  assert(afterMerge.occurrence_count === 4, 'Occurrence count continues on the merged group');
+  const mergedEntries = fpLogger.query({ hash: quoteHash });
+  assert(mergedEntries.length === 4 && mergedEntries.every(e => e.hash === quoteHash), 'Query returns entries logged before the merge');
+  assert(fpLogger.query({ hash: swapHash }).length === 4, 'Querying the merged-away hash finds the group');
+  assert(fpLogger._findLatestEntry(quoteHash, 1)?.original_hash === swapHash, 'Latest entry lookup spans merged hashes');
+
+  const mergedFix = fpLogger.recordFix(swapHash, { description: 'Refresh quote before swapping' });
+  assert(mergedFix.error_hash === quoteHash, 'Fix on a merged-away hash links to the group');
+  assert(!fpLogger.getRecurringErrors(10).some(r => r.hash === quoteHash), 'Fix resets the merged group count');
+
+  const reopened = new ErrorLogger({ logDir: fpDir });
+  assert(reopened.capture(failSwap()).hash === quoteHash, 'Merges persist for other logger instances');
+
+  function failHelper() { return new Error('helper failed'); }
+  const helperHash = fpLogger.capture(failHelper(), { skill: 'token-audit' }).hash;
+  fpLogger.capture(failHelper(), { skill: 'token-audit' });
+  fpLogger.capture(failHelper(), { skill: 'vault-sync' });
+  const subgroups = fpLogger.splitHash(helperHash, { by: 'skill' });
+  const tokenGroup = subgroups.find(g => g.value === 'token-audit');
+  const vaultGroup = subgroups.find(g => g.value === 'vault-sync');
+  assert(subgroups.length === 2 && tokenGroup.count === 2 && vaultGroup.count === 1, 'Split recounts subgroups from logged entries');
+  const afterSplit = fpLogger.capture(failHelper(), { skill: 'vault-sync' });
+  assert(afterSplit.hash === vaultGroup.hash && afterSplit.occurrence_count === 2, 'New captures land in their subgroup');
+  assert(fpLogger.query({ hash: tokenGroup.hash }).length === 2, 'Query finds subgroup entries logged before the split');
+  const groupsBefore = fs.readFileSync(path.join(fpDir, '_groups.json'), 'utf-8');
+  fpLogger._groups.resolve(helperHash, { skill: 'never-seen' });
+  const newSkillEntry = fpLogger.capture(failHelper(), { skill: 'price-feed' });
+  assert(fs.readFileSync(path.join(fpDir, '_groups.json'), 'utf-8') === groupsBefore, 'Resolving and capturing never write _groups.json synchronously');
+  assert(fpLogger._groups.members(newSkillEntry.hash).includes(helperHash), 'A new subgroup reaches its parent before it is recorded');
+  await fpLogger.flush();
+  const recordedSplit = JSON.parse(fs.readFileSync(path.join(fpDir, '_groups.json'), 'utf-8')).splits[helperHash];
+  assert(recordedSplit.children[newSkillEntry.hash] === 'price-feed' && !Object.values(recordedSplit.children).includes('never-seen'), 'Only captured subgroups are recorded, on flush');
+  let badSplit = null;
+  try { fpLogger.splitHash(vaultGroup.hash, { by: 'input' }); } catch (err) { badSplit = err; }
+  assert(badSplit !== null, 'Split rejects unknown fields');
+
+  function failUnlock(owner) { return new Error(`vault locked for ${owner}`); }
+  const unlockHash = fpLogger.capture(failUnlock('alice')).hash;
+  fpLogger.capture(failUnlock('bob'));
+  const messageGroups = fpLogger.splitHash(unlockHash, { by: 'message' });
+  const groupsFile = fs.readFileSync(path.join(fpDir, '_groups.json'), 'utf-8');
+  assert(messageGroups.length === 2 && messageGroups.some(g => g.value === 'vault locked for alice'), 'Message split returns the message values');
+  assert(!groupsFile.includes('alice') && !groupsFile.includes('bob'), 'Message split values are stored hashed in _groups.json');
+
+  await fpLogger.close();
+  await reopened.close();
+
+  console.log('\n── Burst Suppression ───────────────────────');
+
+  let clock = Date.now();
+  const thresholdHits = [];
+  const criticalHits = [];
+  const burstLogger = new ErrorLogger({
+    logDir: path.join(TEST_LOG_DIR, 'burst'),
+    maxRetries: 2,
+    suppression: { windowMs: 60000, maxPerWindow: 3, now: () => clock },
+    onThresholdHit: (e) => thresholdHits.push(e),
+    onCritical: (e) => criticalHits.push(e)
+  });
+  function rpcDown() { return new Error('RPC endpoint unreachable: ECONNREFUSED'); }
+
+  const burst = [];
+  for (let i = 0; i < 50; i++) {
+    burst.push(burstLogger.capture(rpcDown(), { skill: 'token-audit', severity: 'critical' }));
+  }
+  const burstHash = burst[0].hash;
+  assert(burst.filter(e => !e.suppressed).length === 3, 'Only the first N occurrences in a window are stored');
+  assert(burst[49].occurrence_count === 50, 'Suppressed occurrences are still counted');
+  assert(burstLogger.query({ hash: burstHash }).length === 3, 'Suppressed occurrences are not written');
+  assert(thresholdHits.length === 1, 'onThresholdHit fires once per window');
+  assert(criticalHits.length === 1, 'onCritical fires once per window');
+
+  clock += 60000;
+  burstLogger.capture(rpcDown(), { skill: 'token-audit', severity: 'critical' });
+  const summaries = burstLogger.query({ hash: burstHash }).filter(e => e.type === 'suppressed');
+  assert(summaries.length === 1 && summaries[0].suppressed_count === 47, 'Closed window writes one "suppressed N duplicates" summary');
+  assert(summaries[0].skill === 'token-audit' && summaries[0].message.includes('RPC endpoint'), 'Summary describes the suppressed error');
+  assert(thresholdHits.length === 2 && criticalHits.length === 2, 'Callbacks fire again in the next window');
+
+  const burstReport = burstLogger.generateReport(1);
+  assert(burstReport.totals.suppressed === 47 && burstReport.totals.errors === 51, 'Report counts suppressed duplicates');
+  assert(burstLogger.getRecurringErrors(1)[0].latestEntry?.type === 'error', 'Recurring errors skip summary entries');
+
+  for (let i = 0; i < 5; i++) burstLogger.capture(rpcDown(), { skill: 'token-audit' });
+  await burstLogger.close();
+  const closedSummaries = burstLogger.query({ hash: burstHash }).filter(e => e.type === 'suppressed');
+  assert(closedSummaries.length === 2 && closedSummaries[1].suppressed_count === 3, 'close() writes summaries for open windows');
+
+  const sampledLogger = new ErrorLogger({
+    logDir: path.join(TEST_LOG_DIR, 'burst-sampled'),
+    suppression: { maxPerWindow: 1, sampleEvery: 5 }
+  });
+  const sampledBurst = [];
+  for (let i = 0; i < 11; i++) sampledBurst.push(sampledLogger.capture(rpcDown()));
+  assert(sampledBurst.filter(e => !e.suppressed).length === 3, 'sampleEvery stores every Nth occurrence past the limit');
+  assert(sampledBurst[5].sampled === true && sampledBurst[10].sampled === true, 'Sampled entries are marked');
+  await sampledLogger.close();
+
+  console.log('\n── Issue Lifecycle ─────────────────────────');
+
+  const regressions = [];
+  const issueThresholdHits = [];
+  const issueLogger = new ErrorLogger({
+    logDir: path.join(TEST_LOG_DIR, 'issues'),
+    maxRetries: 1,
+    onRegression: (entry, issue) => regressions.push({ entry, issue }),
+    onThresholdHit: (e) => issueThresholdHits.push(e)
+  });
+  function slowRpc() { return new Error('Request timed out after 30000ms'); }
+  function badMint() { return new Error('Invalid mint address'); }
+  function flakyFeed() { return new Error('Price feed returned stale data'); }
+
+  const first = issueLogger.capture(slowRpc(), { skill: 'token-audit' });
+  assert(first.issue_status === 'open' && !first.regression, 'New hashes start as open issues');
+  issueLogger.recordFix(first.hash, { description: 'Raise RPC timeout', fixedBy: 'user', reference: 'PR #42', release: '1.4.0' });
+  const resolved = issueLogger.getIssue(first.hash);
+  assert(resolved.status === 'resolved' && resolved.resolved.reference === 'PR #42' && resolved.resolved.release === '1.4.0',
+    'recordFix resolves the issue with its reference and release');
+
+  const back = issueLogger.capture(slowRpc(), { skill: 'token-audit' });
+  assert(back.regression === true && back.issue_status === 'regressed', 'A resolved hash that reappears is marked regressed');
+  assert(back.severity === 'medium' && first.severity === 'low' && back.classification.severity_rule === 'regression', 'Regressions raise severity one level');
+  assert(regressions.length === 1 && regressions[0].issue.regressions === 1, 'onRegression fires with the issue');
+  issueLogger.capture(slowRpc(), { skill: 'token-audit' });
+  assert(regressions.length === 1, 'onRegression fires once per regression');
+
+  const regressionAlerts = [];
+  const throwingRegressionLogger = new ErrorLogger({
+    logDir: path.join(TEST_LOG_DIR, 'issues-throwing'),
+    onRegression: () => { throw new Error('pager down'); },
+    onCritical: (e) => regressionAlerts.push(e)
+  });
+  const unstable = throwingRegressionLogger.capture(slowRpc(), { skill: 'token-audit', severity: 'critical' });
+  throwingRegressionLogger.recordFix(unstable.hash, { description: 'Raise RPC timeout', fixedBy: 'user' });
+  let regressionThrew = false;
+  try {
+    throwingRegressionLogger.capture(slowRpc(), { skill: 'token-audit', severity: 'critical' });
+  } catch {
+    regressionThrew = true;
+  }
+  assert(!regressionThrew && regressionAlerts.length === 2, 'A throwing onRegression neither breaks capture() nor skips the alerts after it');
+  await throwingRegressionLogger.close();
+
+  let mintHash, feedHash;
+  for (let i = 0; i < 3; i++) mintHash = issueLogger.capture(badMint(), { skill: 'token-audit' }).hash;
+  for (let i = 0; i < 3; i++) feedHash = issueLogger.capture(flakyFeed(), { skill: 'price-check' }).hash;
+  issueLogger.ignoreIssue(mintHash, { reason: 'user input' });
+  issueLogger.muteIssue(feedHash, { count: 2 });
+
+  const candidates = issueLogger.generateReport(1).auto_fix_candidates.map(c => c.hash);
+  assert(!candidates.includes(mintHash) && !candidates.includes(feedHash), 'Ignored and muted issues are not auto-fix candidates');
+  assert(candidates.includes(first.hash), 'Other recurring issues are still candidates');
+  assert(issueLogger.generateReport(1).regressions.some(i => i.hash === first.hash), 'Report lists regressed issues');
+
+  const hitsBefore = issueThresholdHits.length;
+  issueLogger.capture(badMint(), { skill: 'token-audit' });
+  const stillMuted = issueLogger.capture(flakyFeed(), { skill: 'price-check' });
+  assert(issueThresholdHits.length === hitsBefore && stillMuted.issue_status === 'muted', 'Silenced issues do not fire onThresholdHit');
+  const unmuted = issueLogger.capture(flakyFeed(), { skill: 'price-check' });
+  assert(unmuted.issue_status === 'open' && issueThresholdHits.length === hitsBefore + 1, 'Count-based mutes expire back to open');
+
+  issueLogger.muteIssue(feedHash, { until: new Date(Date.now() - 1000) });
+  assert(issueLogger.capture(flakyFeed(), { skill: 'price-check' }).issue_status === 'open', 'Date-based mutes expire back to open');
+  let badMute = null;
+  try { issueLogger.muteIssue(feedHash, {}); } catch (err) { badMute = err; }
+  assert(badMute !== null, 'Mute needs a date or a count');
+
+  const sharedIssues = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'issues') });
+  assert(sharedIssues.getIssue(mintHash).status === 'ignored', 'Issue state is shared through logDir');
+  assert(issueLogger.listIssues({ status: ['ignored', 'regressed'] }).length === 2, 'listIssues filters by status');
+  issueLogger.reopenIssue(mintHash);
+  assert(sharedIssues.getIssue(mintHash).status === 'open' && sharedIssues.getIssue(mintHash).history.length === 2, 'Reopening keeps the status history');
+
+  // Two processes that both saw "resolved" — only one records the regression
+  issueLogger.resolveIssue(first.hash, { reference: 'PR #43' });
+  const otherStore = sharedIssues._issues;
+  const staleView = JSON.parse(JSON.stringify(otherStore._read()));
+  const readIssues = otherStore._read.bind(otherStore);
+  otherStore._read = () => {
+    otherStore._read = readIssues; // Stale only for the check before the lock
+    return staleView;
+  };
+  const firstObserver = issueLogger._issues.observe(first.hash, 10);
+  const secondObserver = otherStore.observe(first.hash, 10);
+  assert(firstObserver.regressed && !secondObserver.regressed && secondObserver.issue.regressions === 2,
+    'Concurrent observers re-check the status under the lock and regress once');
+
+  await issueLogger.close();
+  await sharedIssues.close();
+
+  console.log('\n── Releases ────────────────────────────────');
+
+  const releaseDir = path.join(TEST_LOG_DIR, 'releases');
+  const oldBuild = new ErrorLogger({ logDir: releaseDir, release: '1.3.2', environment: 'production', host: 'bot-1' });
+  const newBuild = new ErrorLogger({ logDir: releaseDir, release: '1.4.0', environment: 'production', host: 'bot-2' });
+  const stagingBuild = new ErrorLogger({ logDir: releaseDir, release: '1.4.0', environment: 'staging' });
+  function priceFeedDown() { return new Error('ECONNREFUSED price feed'); }
+  function holdersMissing() {
+    const err = new TypeError("Cannot read properties of undefined (reading 'holders')");
+    err.stack = `TypeError: ${err.message}\n    at scoreHolders (/app/skills/token-audit/index.js:42:17)`;
+    return err;
+  }
+
+  const stamped = oldBuild.capture(priceFeedDown(), { skill: 'price-check' });
+  assert(stamped.release === '1.3.2' && stamped.environment === 'production' && stamped.host === 'bot-1', 'Entries carry release, environment and host');
+  oldBuild.capture(priceFeedDown(), { skill: 'price-check' });
+  await oldBuild.wrapSkill('price-check', async () => 'ok');
+  await oldBuild.wrapSkill('token-audit', async () => 'ok');
+  oldBuild.recordFix(stamped.hash, { description: 'Retry price feed', fixedBy: 'user' });
+
+  for (let i = 0; i < 3; i++) await newBuild.wrapSkill('price-check', async () => 'ok');
+  await newBuild.wrapSkill('token-audit', async () => { throw holdersMissing(); });
+  await newBuild.wrapSkill('token-audit', async () => 'ok');
+  stagingBuild.capture(holdersMissing(), { skill: 'token-audit' });
+  await Promise.all([oldBuild.flush(), newBuild.flush(), stagingBuild.flush()]);
+
+  const fixEntries = oldBuild.query({ release: '1.3.2' }).filter(e => e.type === 'fix' || e.type === 'success');
+  assert(fixEntries.length === 3 && fixEntries.every(e => e.release === '1.3.2' && e.host === 'bot-1'), 'Success and fix entries are stamped too');
+  assert(newBuild.query({ environment: 'staging' }).length === 1, 'Query filters by environment');
+
+  const comparison = newBuild.compareReleases('1.3.2', '1.4.0', { environment: 'production' });
+  assert(comparison.new_hashes.length === 1 && comparison.new_hashes[0].skill === 'token-audit', 'New hashes in the candidate release');
+  assert(comparison.resolved_hashes.length === 1 && comparison.resolved_hashes[0].hash === stamped.hash && comparison.resolved_hashes[0].count === 2,
+    'Resolved hashes with their baseline counts');
+  const priceDelta = comparison.by_skill['price-check'];
+  assert(priceDelta.baseline.error_rate > 0.6 && priceDelta.candidate.error_rate === 0 && priceDelta.error_rate_delta < 0, 'Per-skill error-rate delta');
+  assert(comparison.by_skill['token-audit'].error_rate_delta === 0.5 && typeof comparison.by_skill['token-audit'].avg_duration_ms_delta === 'number',
+    'Per-skill duration delta');
+  assert(comparison.verdict === 'better' && comparison.totals.error_rate_delta < 0, 'Overall verdict from the error-rate change');
+  assert(newBuild.compareReleases('1.3.2', '1.4.0').new_hashes[0].count === 2, 'Without an environment every deployment counts');
+  assert(newBuild.compareReleases('1.3.2', '9.9.9').verdict === 'insufficient_data', 'Unknown releases give no verdict');
+
+  await Promise.all([oldBuild.close(), newBuild.close(), stagingBuild.close()]);
+
+  console.log('\n── Alert Rules ─────────────────────────────');
+
+  assert(parseCondition('count(type=network, skill=token-audit) > 5 within 10m').window === 10 * 60 * 1000, 'Parses count expressions');
+  const rateCondition = parseCondition('error_rate(skill=*) > 20% within 1h');
+  assert(rateCondition.threshold === 0.2 && rateCondition.filter.skill === '*', 'Parses percentages and wildcards');
+  assert(parseCondition('new_hash(skill=deploy|vault-sync)').filter.skill.length === 2, 'Parses alternatives');
+
+  let alertClock = Date.now();
+  const sent = [];
+  const alertEngine = new AlertEngine({
+    now: () => alertClock,
+    targets: { admin: (alert) => sent.push(alert), audit: (alert) => sent.push({ ...alert, copy: true }) },
+    rules: [
+      { name: 'audit-network', when: 'count(type=network, skill=token-audit) > 5 within 10m', cooldown: '30m', targets: ['admin'] },
+      { name: 'skill-error-rate', when: 'error_rate(skill=*) > 20% within 1h', minRuns: 5, targets: ['admin'] },
+      { name: 'new-deploy-error', when: 'new_hash(skill=deploy-bot)', severity: 'critical' }
+    ]
+  });
+  const alertLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'alerts'), alerts: alertEngine });
+  function auditRpcDown() { return new Error('ECONNREFUSED audit rpc'); }
+
+  for (let i = 0; i < 5; i++) alertLogger.capture(auditRpcDown(), { skill: 'token-audit' });
+  alertLogger.capture(auditRpcDown(), { skill: 'vault-sync' });
+  assert(!sent.some(a => a.rule === 'audit-network'), 'Count rules wait for the threshold and respect filters');
+  alertLogger.capture(auditRpcDown(), { skill: 'token-audit' });
+  const networkAlert = sent.find(a => a.rule === 'audit-network');
+  assert(networkAlert && networkAlert.value === 6 && networkAlert.severity === 'high', 'Count rule fires past the threshold');
+  alertLogger.capture(auditRpcDown(), { skill: 'token-audit' });
+  assert(sent.filter(a => a.rule === 'audit-network').length === 1, 'Cooldown holds back repeats');
+
+  alertClock += 31 * 60 * 1000; // Past the cooldown, but the earlier errors have left the window
+  alertLogger.capture(auditRpcDown(), { skill: 'token-audit' });
+  assert(sent.filter(a => a.rule === 'audit-network').length === 1, 'Count windows slide');
+
+  sent.length = 0;
+  for (let i = 0; i < 4; i++) await alertLogger.wrapSkill('price-check', async () => 'ok');
+  await alertLogger.wrapSkill('price-check', async () => { throw new Error('Price feed returned stale data'); });
+  assert(!sent.some(a => a.rule === 'skill-error-rate'), 'Error rate must exceed the threshold');
+  await alertLogger.wrapSkill('price-check', async () => { throw new Error('Price feed returned stale data'); });
+  const rateAlert = sent.find(a => a.rule === 'skill-error-rate');
+  assert(rateAlert && rateAlert.group.skill === 'price-check' && Math.abs(rateAlert.value - 2 / 6) < 1e-9, 'Error-rate rule groups by skill');
+
+  alertLogger.capture(new Error('Build failed'), { skill: 'deploy-bot' });
+  const deployAlerts = sent.filter(a => a.rule === 'new-deploy-error');
+  assert(deployAlerts.length === 2 && deployAlerts.some(a => a.copy), 'Rules without targets go to every target');
+  const deployHash = alertLogger.capture(new Error('Build failed'), { skill: 'deploy-bot' }).hash;
+  assert(sent.filter(a => a.rule === 'new-deploy-error').length === 2, 'new_hash fires only on the first occurrence');
+  alertLogger.recordFix(deployHash, { description: 'Pinned the builder image', fixedBy: 'user' });
+  alertLogger.reopenIssue(deployHash);
+  const afterFix = alertLogger.capture(new Error('Build failed'), { skill: 'deploy-bot' });
+  assert(afterFix.occurrence_count === 1 && sent.filter(a => a.rule === 'new-deploy-error').length === 2,
+    'A hash counted from 1 again after a fix is not new');
+
+  const mutedHash = alertLogger.capture(new Error('Build failed'), { skill: 'deploy-bot' }).hash;
+  alertLogger.ignoreIssue(mutedHash);
+  alertEngine.addRule({ name: 'any-deploy-error', when: 'count(skill=deploy-bot) > 0', cooldown: 0, targets: ['admin'] });
+  alertLogger.capture(new Error('Build failed'), { skill: 'deploy-bot' });
+  assert(!sent.some(a => a.rule === 'any-deploy-error'), 'Ignored issues never alert');
+
+  const failures = [];
+  const brokenLogger = new ErrorLogger({
+    logDir: path.join(TEST_LOG_DIR, 'alerts-broken'),
+    alerts: { rules: [{ name: 'everything', when: 'count > 0', targets: ['pager'] }], targets: { pager: () => { throw new Error('pager down'); } } },
+    onAlertError: (err, alert, target) => failures.push({ err, alert, target })
+  });
+  const survived = brokenLogger.capture(new Error('anything'));
+  assert(survived.type === 'error' && failures.length === 1 && failures[0].target === 'pager', 'A failing target is reported, capture() carries on');
+
+  let badRule = null;
+  try { alertEngine.addRule({ name: 'bad', when: 'count(colour=red) > 1' }); } catch (err) { badRule = err; }
+  assert(badRule !== null, 'Unknown filters are rejected');
+
+  const legacyHits = [];
+  const legacyLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'alerts-legacy'), onCritical: (e) => legacyHits.push(e) });
+  legacyLogger.capture(new Error('Vault is locked'), { severity: 'critical' });
+  assert(legacyHits.length === 1 && legacyHits[0].message === 'Vault is locked', 'onCritical still works as a built-in rule');
+  assert(legacyLogger.alerts.rules.map(r => r.name).join(',') === 'critical,threshold', 'Legacy callbacks are listed as rules');
+
+  await Promise.all([alertLogger.close(), brokenLogger.close(), legacyLogger.close()]);
+
+  console.log('\n── Secret Redaction ────────────────────────');
+
+  const botToken = '123456789:AAHk3lR9xQ2vN8mP4tY6wZ1cF5bJ7dG0eKs';
+  const hexKey = 'a'.repeat(64);
+  const secretEntry = logger.capture(new Error(`Telegram rejected ${botToken} (privateKey=${hexKey})`), {
+    skill: 'vault-sync',
+    input: {
+      privateKey: 'super-secret',
+      mnemonic: 'abandon abandon abandon',
+      headers: { Authorization: 'Bearer abc.def.ghi' },
+      token_address: '81LkybSBLvXYMTF6azXohUWyBvDGUXznm4yiXPkYkDTJ',
+      keypair: Array.from({ length: 64 }, (_, i) => i)
+    },
+    metadata: { apiKey: 'k-123', note: `jwt eyJhbGciOi.eyJzdWIiOiIx.c2lnbmF0dXJl` }
+  });
+  assert(!secretEntry.message.includes(botToken) && !secretEntry.message.includes(hexKey), 'Bot tokens and hex keys scrubbed from message');
+  assert(!secretEntry.stack.includes(botToken), 'Stack trace scrubbed');
+  assert(!secretEntry.input_summary.includes('super-secret') && !secretEntry.input_summary.includes('abandon'), 'Key rules redact privateKey/mnemonic');
+  assert(!secretEntry.input_summary.includes('abc.def.ghi'), 'Nested authorization header redacted');
+  assert(secretEntry.input_summary.includes('81LkybSBLvXYMTF6azXohUWyBvDGUXznm4yiXPkYkDTJ'), 'Public addresses are kept');
+  assert(secretEntry.metadata.apiKey === '[REDACTED]' && !secretEntry.metadata.note.includes('eyJ'), 'Metadata keys and JWTs redacted');
+  await logger.flush();
+  const onDisk = fs.readFileSync(path.join(TEST_LOG_DIR, `${todayStr}.json`), 'utf-8');
+  assert(!onDisk.includes(botToken) && !onDisk.includes('super-secret'), 'Nothing secret reaches the log file');
+
+  const customLogger = new ErrorLogger({ logDir: TEST_LOG_DIR, redaction: { patterns: [/sk_live_\w+/g] } });
+  const customEntry = customLogger.capture(new Error('Stripe said no to sk_live_abc123'), { skill: 'billing' });
+  assert(customEntry.message === 'Stripe said no to [REDACTED]', 'Custom regex detectors apply');
+
+  const redactor = new Redactor();
+  const mint = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+  assert(redactor.redactString(`Unknown token: ${mint}`) === `Unknown token: ${mint}`, 'Mint addresses after "token:" are kept');
+  assert(redactor.redactString('refresh_token=r-abc123') === 'refresh_token=[REDACTED]', 'Named token assignments still redacted');
+  const signature = '5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW';
+  assert(redactor.redactString(`Transaction ${signature} failed`) === `Transaction ${signature} failed`, 'Bare transaction signatures are kept');
+  assert(redactor.redactString(`secretKey: ${signature}`) === 'secretKey: [REDACTED]', 'Base58 next to a key word is redacted');
+  const botUrl = redactor.redactString(`POST https://api.telegram.org/bot${botToken}/sendMessage failed`);
+  assert(!botUrl.includes(botToken) && botUrl.includes('/bot[REDACTED]/sendMessage'), 'Bot tokens inside Bot API URLs redacted');
+
+  const sharedRef = { mint };
+  const sharedOut = redactor.redact({ from: sharedRef, to: sharedRef });
+  assert(sharedOut.to.mint === mint, 'Shared references are not marked circular');
+  const cyclic = { name: 'loop' };
+  cyclic.self = cyclic;
+  assert(redactor.redact(cyclic).self === '[Circular]', 'True cycles still marked circular');
+  const serialized = redactor.redact({
+    at: new Date('2026-01-02T03:04:05Z'),
+    owner: { _bn: [1, 2, 3], toJSON: () => mint },
+    balances: new Map([[mint, 5]])
+  });
+  assert(serialized.at === '2026-01-02T03:04:05.000Z' && serialized.owner === mint, 'toJSON() used for Dates and keys');
+  assert(serialized.balances[mint] === 5, 'Maps walked as plain objects');
+
+  console.log('\n── Log Retention ───────────────────────────');
+
+  const retentionDir = path.join(TEST_LOG_DIR, 'retention');
+  fs.mkdirSync(retentionDir, { recursive: true });
+  const daysAgo = (n) => {
+    const d = new Date();
+    d.setDate(d.getDate() - n);
+    return d.toISOString().split('T')[0];
+  };
+  const oldLine = JSON.stringify({ type: 'error', skill: 'old-skill', error_type: 'api', hash: 'oldhash00000' }) + '\n';
+  fs.writeFileSync(path.join(retentionDir, `${daysAgo(3)}.json`), oldLine);
+  fs.writeFileSync(path.join(retentionDir, `${daysAgo(40)}.json`), oldLine);
+
+  const retentionLogger = new ErrorLogger({
+    logDir: retentionDir,
+    retention: { archiveAfterDays: 2, maxAgeDays: 30 }
+  });
+  assert(fs.existsSync(path.join(retentionDir, 'archive', `${daysAgo(3)}.json.gz`)), 'Old daily file gzipped into archive/');
+  assert(!fs.existsSync(path.join(retentionDir, `${daysAgo(3)}.json`)), 'Archived plain file removed');
+  assert(!fs.existsSync(path.join(retentionDir, `${daysAgo(40)}.json`)), 'File past maxAgeDays deleted');
+
+  const archivedEntries = retentionLogger.query({ skill: 'old-skill', days: 5 });
+  assert(archivedEntries.length === 1, 'Query reads archived files transparently');
+
+  retentionLogger.capture(new Error('fresh error'), { skill: 'fresh-skill' });
+  await retentionLogger.flush();
+  new ErrorLogger({ logDir: retentionDir, retention: { maxTotalBytes: 1 } });
+  assert(!fs.existsSync(path.join(retentionDir, 'archive', `${daysAgo(3)}.json.gz`)), 'Size budget deletes oldest files first');
+  assert(fs.existsSync(path.join(retentionDir, `${daysAgo(0)}.json`)), "Today's file is never deleted");
+
+  console.log('\n── Multi-Process Writers ───────────────────');
+
+  const sharedDir = path.join(TEST_LOG_DIR, 'multi-process');
+  const workerScript = `
+    const { ErrorLogger } = require(${JSON.stringify(path.join(__dirname, '../src/error-logger'))});
+    const logger = new ErrorLogger({ logDir: ${JSON.stringify(sharedDir)}, batchSize: 5, flushIntervalMs: 1 });
+    let thresholdHits = 0;
+    logger.onThresholdHit = () => thresholdHits++;
+    (async () => {
+      for (let i = 0; i < 25; i++) {
+        const err = new Error('shared failure');
+        err.stack = 'Error: shared failure\\n    at sharedWorker (/app/worker.js:1:1)';
+        logger.capture(err, { skill: 'shared-skill', metadata: { pid: process.pid, padding: 'x'.repeat(2000) } });
+        await new Promise(r => setImmediate(r));
+      }
+      await logger.close();
+      process.stdout.write(String(thresholdHits));
+    })();
+  `;
+  const { execFile } = require('child_process');
+  const runWorker = () => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', workerScript], { timeout: 30000 }, (err, stdout) => err ? reject(err) : resolve(Number(stdout)));
+  });
+  const hits = await Promise.all([runWorker(), runWorker(), runWorker()]);
+
+  const sharedLines = fs.readFileSync(path.join(sharedDir, `${todayStr}.json`), 'utf-8').split('\n').filter(Boolean);
+  const sharedEntries = sharedLines.map(line => { try { return JSON.parse(line); } catch { return null; } });
+  assert(sharedEntries.length === 75 && sharedEntries.every(Boolean), 'Concurrent writers never interleave partial lines');
+
+  const countsByPid = new Map();
+  for (const e of sharedEntries) countsByPid.set(e.metadata.pid, [...(countsByPid.get(e.metadata.pid) || []), e.occurrence_count]);
+  assert([...countsByPid.values()].every(c => c.length === 25 && c.every((n, i) => i === 0 || n > c[i - 1]) && c[24] >= 25),
+    'Each process counts its own captures in order, plus what it has synced from the others');
+
+  const sharedReader = new ErrorLogger({ logDir: sharedDir, exitHooks: false });
+  assert(sharedReader.getRecurringErrors(1)[0].count === 75, 'New process sees the exact combined count');
+  assert(hits.every(h => h >= 25 - sharedReader.maxRetries), 'Threshold callback fires for every occurrence past maxRetries each process sees');
+
+  const journalDir = path.join(TEST_LOG_DIR, 'journal-catch-up');
+  fs.mkdirSync(journalDir, { recursive: true });
+  const firstJournal = new OccurrenceJournal({ dir: journalDir });
+  const secondJournal = new OccurrenceJournal({ dir: journalDir }); // Stands in for another process
+  firstJournal.increment('a1b2c3d4e5f6');
+  firstJournal.increment('a1b2c3d4e5f6');
+  await firstJournal.flush();
+  assert(secondJournal.increment('a1b2c3d4e5f6') === 3, 'A new process counts on from the journal before its first capture');
+  await secondJournal.flush();
+  assert(firstJournal.increment('a1b2c3d4e5f6') === 4, 'Flushed records of other processes are counted without the lock');
+  await firstJournal.flush();
+
+  const alertDir = path.join(TEST_LOG_DIR, 'multi-process-alerts');
+  const alertWorker = `
+    const { ErrorLogger } = require(${JSON.stringify(path.join(__dirname, '../src/error-logger'))});
+    const fired = {};
+    const logger = new ErrorLogger({
+      logDir: ${JSON.stringify(alertDir)},
+      alerts: {
+        targets: { admin: (alert) => { fired[alert.rule] = (fired[alert.rule] || 0) + 1; } },
+        rules: [
+          { name: 'new-error', when: 'new_hash', cooldown: 0, targets: ['admin'] },
+          { name: 'repeating', when: 'occurrences > 4', cooldown: '1h', targets: ['admin'] }
+        ]
+      }
+    });
+    (async () => {
+      for (let i = 0; i < 10; i++) {
+        const err = new Error('vault rpc down');
+        err.stack = 'Error: vault rpc down\\n    at pollVault (/app/poll.js:1:1)';
+        logger.capture(err, { skill: 'vault-poll' });
+        await logger.flush();
+        await new Promise(r => setTimeout(r, 5));
+      }
+      await logger.close();
+      process.stdout.write(JSON.stringify(fired));
+    })();
+  `;
+  const runAlertWorker = () => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', alertWorker], { timeout: 30000 }, (err, stdout) => err ? reject(err) : resolve(JSON.parse(stdout)));
+  });
+  const alertRuns = await Promise.all([runAlertWorker(), runAlertWorker()]);
+  const firedTotal = (rule) => alertRuns.reduce((sum, run) => sum + (run[rule] || 0), 0);
+  assert(firedTotal('new-error') === 1, 'new_hash fires once across processes');
+  assert(firedTotal('repeating') === 1, 'Cooldowns hold across processes');
+
+  const busyDir = path.join(TEST_LOG_DIR, 'busy-lock');
+  const busyLogger = new ErrorLogger({ logDir: busyDir, exitHooks: false, lock: { timeoutMs: 200 } });
+  fs.writeFileSync(path.join(busyDir, '_occurrences.lock'), `${process.ppid}@${os.hostname()}`); // Held by a live process
+  const captureStart = Date.now();
+  const busyEntry = busyLogger.capture(new Error('lock is busy'), { skill: 'busy-skill' });
+  busyLogger.capture(new Error('lock is busy'), { skill: 'busy-skill' });
+  assert(Date.now() - captureStart < 100 && busyEntry.occurrence_count === 1, 'capture() never waits on the occurrence lock');
+  await busyLogger.flush();
+  fs.unlinkSync(path.join(busyDir, '_occurrences.lock'));
+  await busyLogger.close();
+  const busyReader = new ErrorLogger({ logDir: busyDir, exitHooks: false });
+  assert(busyReader.getRecurringErrors(1)[0].count === 2, 'Counts queued while the lock was busy are appended later');
+
+  const staleLockPath = path.join(busyDir, 'stale.lock');
+  fs.writeFileSync(staleLockPath, `999999999@${os.hostname()}`); // Owner no longer running
+  assert(withLockSync(staleLockPath, () => fs.readFileSync(staleLockPath, 'utf-8')) === `${process.pid}@${os.hostname()}` && !fs.existsSync(staleLockPath),
+    'Stale locks are taken over and released');
+
+  console.log('\n── Storage Adapters ────────────────────────');
+
+  assert(sharedReader.storage instanceof FileStorage && sharedReader.storage.listDays().includes(todayStr), 'Daily files are the default storage');
+  assert(sharedReader.storage.readDay(todayStr, { skill: 'shared-skill' }).length === 75, 'FileStorage reads a day through the index');
+
+  // Any object with the adapter interface works
+  const memoryCounts = new Map();
+  const memoryStorage = {
+    sink: new MemorySink(),
+    readDay: (dateStr, filters) => memoryStorage.sink.find(e => e.timestamp?.startsWith(dateStr) && (!filters.skill || e.skill === filters.skill)),
+    listDays: () => [todayStr],
+    occurrences: {
+      counts: memoryCounts,
+      increment: (hash) => memoryCounts.set(hash, (memoryCounts.get(hash) || 0) + 1).get(hash),
+      reset: (hash) => memoryCounts.delete(hash),
+      merge: () => 0,
+      set: () => {},
+      refresh: () => memoryCounts,
+      compact: () => {}
+    },
+    applyRetention: () => ({ archived: [], deleted: [], totalBytes: 0 }),
+    close: () => {}
+  };
+  const memoryLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'memory-storage'), storage: memoryStorage, exitHooks: false });
+  memoryLogger.capture(new Error('kept in memory'), { skill: 'memory-skill' });
+  const memoryEntry = memoryLogger.capture(new Error('kept in memory'), { skill: 'memory-skill' });
+  assert(memoryEntry.occurrence_count === 2 && memoryLogger.query({ skill: 'memory-skill', days: 1 }).length === 2, 'Custom adapters back capture, counts and query()');
+  assert(!fs.existsSync(path.join(TEST_LOG_DIR, 'memory-storage', `${todayStr}.json`)), 'Nothing is written to daily files with another adapter');
+  await memoryLogger.close();
+
+  if (sqliteAvailable()) {
+    const sqliteDir = path.join(TEST_LOG_DIR, 'sqlite');
+    const sqliteLogger = new ErrorLogger({ logDir: sqliteDir, storage: 'sqlite', exitHooks: false });
+    const rpcError = () => {
+      const err = new Error('RPC node unreachable');
+      err.stack = 'Error: RPC node unreachable\n    at fetchSlot (/app/rpc.js:4:2)';
+      return err;
+    };
+    sqliteLogger.capture(rpcError(), { skill: 'vault-sync' });
+    sqliteLogger.capture(rpcError(), { skill: 'vault-sync' });
+    const rpcEntry = sqliteLogger.capture(rpcError(), { skill: 'vault-sync' });
+    assert(fs.existsSync(path.join(sqliteDir, 'errors.db')) && !fs.existsSync(path.join(sqliteDir, `${todayStr}.json`)), "storage: 'sqlite' writes logDir/errors.db instead of daily files");
+    assert(rpcEntry.occurrence_count === 3 && sqliteLogger.query({ hash: rpcEntry.hash, days: 1 }).length === 3, 'SQLite entries are counted and queryable without a flush');
+
+    const otherProcess = new ErrorLogger({ logDir: sqliteDir, storage: 'sqlite', exitHooks: false });
+    assert(otherProcess.capture(rpcError(), { skill: 'vault-sync' }).occurrence_count === 4, 'Counters are shared by every logger on the database');
+    await otherProcess.close();
+
+    sqliteLogger.recordFix(rpcEntry.hash, { description: 'Rotate RPC endpoints', fixedBy: 'user' });
+    assert(!sqliteLogger.getRecurringErrors().some(e => e.hash === rpcEntry.hash), 'Recording a fix resets the SQLite counter');
+    const bySkill = sqliteLogger.storage.sql("SELECT skill, COUNT(*) AS errors FROM entries WHERE type = 'error' GROUP BY skill");
+    const fixRows = sqliteLogger.storage.sql("SELECT COUNT(*) AS n FROM entries WHERE type = 'fix' AND hash = ?", rpcEntry.hash);
+    assert(bySkill.length === 1 && bySkill[0].skill === 'vault-sync' && bySkill[0].errors === 4 && fixRows[0].n === 1, 'Ad-hoc SQL over entries, fixes indexed by hash');
+
+    sqliteLogger.storage.importDay(daysAgo(40), [{ type: 'error', skill: 'old-skill', hash: 'oldhash00000' }]);
+    sqliteLogger.retention.maxAgeDays = 30;
+    const sqlitePruned = sqliteLogger.applyRetention();
+    assert(sqlitePruned.deleted.includes(daysAgo(40)) && sqliteLogger.storage.listDays().join() === todayStr, 'Retention deletes old days from SQLite');
+    await sqliteLogger.close();
+
+    const { migrateToSqlite } = require('../src/migrate-storage');
+    const migratedPath = path.join(TEST_LOG_DIR, 'migrated', 'errors.db');
+    const migration = migrateToSqlite({ logDir: sharedDir, path: migratedPath });
+    assert(migration.entries === 75 && migration.days === 1 && migration.counts === 1, 'Migration imports daily files and occurrence counts');
+    const rerun = migrateToSqlite({ logDir: sharedDir, path: migratedPath });
+    assert(rerun.entries === 0 && rerun.skipped.includes(todayStr), 'Re-running the migration skips imported days');
+    const lateWriter = new ErrorLogger({ logDir: sharedDir, exitHooks: false });
+    lateWriter.capture(new Error('written after the migration'), { skill: 'late-skill' });
+    lateWriter.capture(new Error('written after the migration'), { skill: 'late-skill' });
+    await lateWriter.close();
+    const lateRun = migrateToSqlite({ logDir: sharedDir, path: migratedPath });
+    assert(lateRun.entries === 2 && lateRun.days === 1 && lateRun.counts === 1, 'A later re-run imports entries appended to an imported day');
+
+    const { SqliteStorage } = require('../src/sqlite-storage');
+    const migratedLogger = new ErrorLogger({ logDir: sharedDir, storage: new SqliteStorage({ path: migratedPath }), exitHooks: false });
+    const migratedTop = migratedLogger.getRecurringErrors(1)[0];
+    assert(migratedTop.count === 75 && migratedTop.latestEntry.skill === 'shared-skill', 'Migrated history answers getRecurringErrors()');
+    await migratedLogger.close();
+  } else {
+    console.log(`  ⏭️  node:sqlite not available on ${process.version} (SQLite storage needs Node 22.5+) — SQLite checks skipped`);
+  }
+
+  console.log('\n── Encryption at Rest ──────────────────────');
+
+  const firstKey = generateKey();
+  const secondKey = generateKey();
+  const keyringV1 = new Keyring({ keys: { k1: firstKey } });
+  const sealedLine = keyringV1.encrypt('{"wallet":"WalletAbc123"}');
+  assert(sealedLine.startsWith('x1enc:1:k1:') && keyringV1.decrypt(sealedLine) === '{"wallet":"WalletAbc123"}' && keyringV1.decrypt('{"plain":true}') === '{"plain":true}',
+    'Lines round-trip through AES-GCM; plain lines pass through');
+  let tamperError = null;
+  try { keyringV1.decrypt(sealedLine.slice(0, -6) + (sealedLine.endsWith('AAAA==') ? 'BBBB==' : 'AAAA==')); } catch (err) { tamperError = err; }
+  assert(tamperError !== null, 'Tampered lines fail authentication');
+  const envKeyring = loadKeyring(true, { X1_ENCRYPTION_KEY: `k2:${secondKey},k1:${firstKey}` });
+  let missingKey = null;
+  try { loadKeyring(true, {}); } catch (err) { missingKey = err; }
+  assert(envKeyring.primary === 'k2' && envKeyring.keys.size === 2 && /X1_ENCRYPTION_KEY/.test(missingKey?.message), 'Keyrings load from the environment; a missing key fails loudly');
+
+  const encryptedDir = path.join(TEST_LOG_DIR, 'encrypted');
+  const sealedLogger = new ErrorLogger({ logDir: encryptedDir, encryption: { keys: { k1: firstKey } }, exitHooks: false });
+  const vaultLocked = () => {
+    const err = new Error('Vault is locked');
+    err.stack = 'Error: Vault is locked\n    at unlock (/app/vault.js:9:3)';
+    return err;
+  };
+  const sealedEntry = sealedLogger.capture(vaultLocked(), { skill: 'vault-unlock', input: { wallet: 'WalletAbc123' } });
+  sealedLogger.capture(vaultLocked(), { skill: 'vault-unlock', input: { wallet: 'WalletAbc123' } });
+  await sealedLogger.flush();
+  const sealedRaw = fs.readFileSync(path.join(encryptedDir, `${todayStr}.json`), 'utf-8');
+  assert(sealedRaw.split('\n').filter(Boolean).every(line => line.startsWith('x1enc:1:k1:')) && !sealedRaw.includes('WalletAbc123') && !sealedRaw.includes('Vault is locked'),
+    'Daily files hold only ciphertext');
+  const unsealed = sealedLogger.query({ hash: sealedEntry.hash, days: 1 });
+  assert(unsealed.length === 2 && unsealed[0].input_summary.includes('WalletAbc123'), 'query() decrypts transparently, index lookups included');
+
+  const keyFile = path.join(TEST_LOG_DIR, 'log-keys.json');
+  fs.writeFileSync(keyFile, JSON.stringify({ primary: 'k2', keys: { k2: secondKey, k1: firstKey } }));
+  const rotatedLogger = new ErrorLogger({ logDir: encryptedDir, encryption: { keyFile }, exitHooks: false });
+  rotatedLogger.capture(vaultLocked(), { skill: 'vault-unlock' });
+  await rotatedLogger.flush();
+  assert(rotatedLogger.query({ skill: 'vault-unlock', days: 1 }).length === 3, 'After rotation old and new lines are both readable');
+  const rekeyed = rekeyDirectory(encryptedDir, rotatedLogger.keyring);
+  assert(rekeyed.rewritten === 2 && rekeyed.failed === 0 && rekeyed.files === 1, 'Rekeying re-encrypts only the lines under old keys');
+  const newKeyOnly = new ErrorLogger({ logDir: encryptedDir, encryption: { key: secondKey, keyId: 'k2' }, exitHooks: false });
+  const noKey = new ErrorLogger({ logDir: encryptedDir, exitHooks: false });
+  assert(newKeyOnly.query({ skill: 'vault-unlock', days: 1 }).length === 3 && noKey.query({ days: 1 }).length === 0, 'The old key can be dropped after a rekey; without a key nothing is readable');
+  await Promise.all([sealedLogger.close(), rotatedLogger.close(), newKeyOnly.close(), noKey.close()]);
+
+  if (sqliteAvailable()) {
+    const sealedDb = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'encrypted-sqlite'), storage: 'sqlite', encryption: { keys: { k1: firstKey } }, exitHooks: false });
+    sealedDb.capture(vaultLocked(), { skill: 'vault-unlock', input: { wallet: 'WalletAbc123' } });
+    const storedJson = sealedDb.storage.sql('SELECT json, skill FROM entries')[0];
+    assert(storedJson.json.startsWith('x1enc:1:k1:') && storedJson.skill === 'vault-unlock' && sealedDb.query({ skill: 'vault-unlock', days: 1 }).length === 1,
+      'SQLite encrypts the entry JSON; indexed columns stay queryable');
+    const dbPath = sealedDb.storage.path;
+    await sealedDb.close();
+    const [dbRekey] = rekeyLogs({ databases: [dbPath], encryption: { keyFile } });
+    assert(dbRekey.rewritten === 1 && dbRekey.failed === 0, 'rekey re-encrypts SQLite rows');
+  }
+
+  console.log('\n── Entry Schema ────────────────────────────');
+
+  const schemaDir = path.join(TEST_LOG_DIR, 'schema');
+  const schemaLogger = new ErrorLogger({ logDir: schemaDir, validateEntries: true, exitHooks: false });
+  const schemaEntry = schemaLogger.capture(new Error('Schema check'), { skill: 'schema-check' });
+  assert(schemaEntry.schema_version === SCHEMA_VERSION && validateEntry(schemaEntry).length === 0, 'Entries are stamped with schema_version and match their schema');
+  const schemaProblems = validateEntry({ ...schemaEntry, userId: 'user-1', hash: undefined, severity: 'catastrophic' });
+  assert(schemaProblems.includes('userId is not allowed') && schemaProblems.includes('hash is required') && schemaProblems.some(p => p.startsWith('severity must be one of')),
+    'validateEntry() reports unknown, missing and out-of-range fields');
+
+  schemaLogger.recordFix(schemaEntry.hash, { description: 'patched', fixedBy: 42 });
+  schemaLogger.recordFix(schemaEntry.hash, { description: 'patched again', fixedBy: 43 });
+  await new Promise(resolve => setImmediate(resolve));
+  const fixWarnings = schemaWarnings.filter(w => w.errors.includes('fixed_by must be string'));
+  await schemaLogger.flush();
+  assert(fixWarnings.length === 1 && fixWarnings[0].name === 'EntrySchemaError' && fs.readFileSync(path.join(schemaDir, `${todayStr}.json`), 'utf-8').includes('"fixed_by":43'),
+    'Invalid entries are reported once as a warning and still written');
+
+  const thrownString = await schemaLogger.wrapSkill('schema-rpc', async () => { throw 'rpc down'; });
+  schemaLogger.breadcrumb('raw breadcrumb data', { data: 'abc' });
+  const loudEntry = schemaLogger.capture(Object.assign(new Error('Loud failure'), { stack: 'Error: Loud failure\n    at alarm (/app/alarm.js:1:1)' }), { severity: 'HIGH' });
+  const unknownSeverity = schemaLogger.capture(new Error('Odd failure'), { severity: 'urgent' });
+  assert(!thrownString.success && thrownString.entry.message === 'rpc down' && thrownString.entry.name === 'NonError', 'Thrown non-errors are logged with a message and name');
+  assert(loudEntry.severity === 'high' && unknownSeverity.severity !== 'urgent' && loudEntry.breadcrumbs.some(b => b.data?.value === 'abc'),
+    'Caller severities and breadcrumb data are normalized before validation');
+  const lenientLogger = new ErrorLogger({ logDir: schemaDir, validateEntries: false, exitHooks: false });
+  assert(lenientLogger.validateEntries === false && schemaLogger.validateEntries === true, 'Validation can be switched on or off explicitly');
+
+  await schemaLogger.flush();
+  fs.appendFileSync(path.join(schemaDir, `${todayStr}.json`), JSON.stringify({
+    type: 'error', timestamp: new Date().toISOString(), hash: 'legacy0001', error_type: 'network', severity: 'medium',
+    skill: 'schema-legacy', agent: null, message: 'Old format', name: 'Error', stack: 'Error: Old format', input_summary: null, metadata: {}, occurrence_count: 1
+  }) + '\n');
+  const [legacyEntry] = schemaLogger.query({ skill: 'schema-legacy', days: 1 });
+  assert(legacyEntry?.schema_version === SCHEMA_VERSION && Array.isArray(legacyEntry.causes) && legacyEntry.release === null && validateEntry(legacyEntry).length === 0,
+    'query() reads version-0 entries in the current shape');
+  const legacyGate = upgradeEntry({ type: 'audit_trail', gate: 'gate2', skill: 'token-audit', status: 'auto_passed', userId: 'user-7', outputSummary: '{}', timestamp: new Date().toISOString() });
+  assert(legacyGate.user_id === 'user-7' && legacyGate.output_summary === '{}' && !('userId' in legacyGate) && validateEntry(legacyGate).length === 0,
+    'Gate entries are migrated to snake_case fields');
+  await Promise.all([schemaLogger.close(), lenientLogger.close()]);
+
+  console.log('\n── Breadcrumbs ─────────────────────────────');
+
+  const crumbLogger = new ErrorLogger({ logDir: TEST_LOG_DIR, breadcrumbs: { max: 5, attach: 3 }, exitHooks: false });
+  crumbLogger.breadcrumb('Loaded holder list', { category: 'token-audit', data: { holders: 412, apiKey: 'sk-abcdefghijklmnopqrstuvwxyz123456' } });
+  crumbLogger.breadcrumb('Price feed slow', { level: 'warning' });
+  const crumbEntry = crumbLogger.capture(new Error('Holder scan failed'), { skill: 'token-audit' });
+  assert(crumbEntry.breadcrumbs.length === 2 && crumbEntry.breadcrumbs[0].message === 'Loaded holder list' && crumbEntry.breadcrumbs[1].category === 'manual',
+    'Captured errors carry the breadcrumbs before them, oldest first');
+  assert(!JSON.stringify(crumbEntry.breadcrumbs).includes('sk-abcdefghijklmnopqrstuvwxyz123456'), 'Breadcrumb data is redacted');
+
+  const followUp = crumbLogger.capture(new Error('Report render failed'), { skill: 'token-audit' });
+  assert(followUp.breadcrumbs.length === 3 && followUp.breadcrumbs[2].category === 'log' && followUp.breadcrumbs[2].message.includes('Holder scan failed'),
+    'Earlier errors join the trail, attach limit respected');
+  for (let i = 0; i < 10; i++) crumbLogger.breadcrumb(`step ${i}`);
+  assert(crumbLogger.getBreadcrumbs().length === 5 && crumbLogger.getBreadcrumbs()[4].message === 'step 9', 'Buffer is bounded to max');
+
+  await Promise.all(['req-a', 'req-b'].map(id => runWithContext({ correlation_id: id }, async () => {
+    crumbLogger.breadcrumb(`handling ${id}`);
+    await new Promise(r => setTimeout(r, 5));
+    const scoped = crumbLogger.capture(new Error(`failed ${id}`), { skill: 'scoped' });
+    assert(scoped.breadcrumbs.some(b => b.message === `handling ${id}`) && !scoped.breadcrumbs.some(b => b.correlation_id && b.correlation_id !== id),
+      `Request ${id} only gets its own breadcrumbs`);
+  })));
+
+  const quietLogger = new ErrorLogger({ logDir: TEST_LOG_DIR, breadcrumbs: false, exitHooks: false });
+  assert(quietLogger.breadcrumb('ignored') === null && quietLogger.capture(new Error('no trail')).breadcrumbs.length === 0, 'breadcrumbs: false disables the trail');
+
+  const crumbRouter = new WorkflowRouter({ logger: new ErrorLogger({ logDir: TEST_LOG_DIR, exitHooks: false }) });
+  crumbRouter.on('error', () => {});
+  crumbRouter.addRoute({ name: 'price', patterns: [/^\/price/], handler: async () => 'ok' });
+  crumbRouter.addRoute({ name: 'audit', patterns: [/^\/audit/], handler: async () => { throw new Error('Audit RPC refused'); } });
+  await crumbRouter.route('/price SOL');
+  const routed = await crumbRouter.route('/audit 7xKX');
+  const routeTrail = routed.entry.breadcrumbs.map(b => b.message);
+  const allRouteCrumbs = crumbRouter.logger.getBreadcrumbs().map(b => b.message);
+  assert(allRouteCrumbs.includes('price succeeded') && allRouteCrumbs.includes('audit failed: Audit RPC refused'), 'Router success and error events become breadcrumbs');
+  assert(routeTrail.length === 1 && routeTrail[0] === 'Matched audit', "A routed error only carries its own request's breadcrumbs");
+  const alertText = formatAlert({ rule: 'critical-error', severity: 'high', message: 'Audit failed', entry: routed.entry });
+  assert(alertText.includes('Before:') && alertText.includes('[route] Matched audit'), 'Telegram alerts include the trail');
+
+  const http = require('http');
+  const crumbServer = http.createServer((req, res) => { res.statusCode = req.url.startsWith('/missing') ? 404 : 200; res.end('{}'); });
+  await new Promise(r => crumbServer.listen(0, '127.0.0.1', r));
+  const crumbPort = crumbServer.address().port;
+  const httpLogger = new ErrorLogger({ logDir: TEST_LOG_DIR, breadcrumbs: { http: true }, exitHooks: false });
+  await fetch(`http://127.0.0.1:${crumbPort}/holders?api_key=secret123`);
+  await new Promise(r => http.get(`http://127.0.0.1:${crumbPort}/missing`, res => { res.resume(); res.on('end', r); }));
+  const httpTrail = httpLogger.getBreadcrumbs().filter(b => b.category === 'http');
+  assert(httpTrail.length === 2 && httpTrail[0].data.status_code === 200 && httpTrail[1].level === 'warning', 'fetch and http.get calls are recorded');
+  assert(!httpTrail[0].message.includes('secret123'), 'Query strings are dropped from recorded URLs');
+  const botApiLogger = new ErrorLogger({ logDir: TEST_LOG_DIR, breadcrumbs: { http: { ignoreHosts: ['127.0.0.1'] } }, exitHooks: false });
+  await fetch(`http://127.0.0.1:${crumbPort}/bot-api`);
+  assert(botApiLogger.getBreadcrumbs().filter(b => b.category === 'http').length === 0 && httpLogger.getBreadcrumbs().filter(b => b.category === 'http').length === 3,
+    'ignoreHosts leaves a host out of that logger\'s trail only');
+  await botApiLogger.close();
+  await httpLogger.close();
+  await fetch(`http://127.0.0.1:${crumbPort}/after-close`);
+  assert(httpLogger.getBreadcrumbs().filter(b => b.category === 'http').length === 3 && !String(globalThis.fetch).includes('emitRequest'),
+    'close() removes the instrumentation');
+  crumbServer.close();
+
+  console.log('\n── Global Handlers ─────────────────────────');
+
+  const crashDir = path.join(TEST_LOG_DIR, 'crashes');
+  const runCrashScript = (body, options = '{ crashReports: true }') => new Promise((resolve) => {
+    const script = `
+      const { ErrorLogger } = require(${JSON.stringify(path.join(__dirname, '../src/error-logger'))});
+      const logger = new ErrorLogger({ logDir: ${JSON.stringify(crashDir)}, release: '2.0.0', flushIntervalMs: 60000 });
+      logger.installGlobalHandlers(${options});
+      ${body}
+    `;
+    execFile(process.execPath, ['-e', script], { timeout: 30000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+  const crashEntries = () => fs.readFileSync(path.join(crashDir, `${todayStr}.json`), 'utf-8')
+    .split('\n').filter(Boolean).map(line => JSON.parse(line)).filter(e => e.type === 'error');
+
+  const uncaught = await runCrashScript(`
+    logger.breadcrumb('Polling started', { category: 'poller' });
+    logger.capture(new Error('RPC warming up'), { skill: 'token-audit' });
+    setTimeout(() => { throw new Error('Polling loop exploded'); }, 5);
+  `);
+  const uncaughtEntry = crashEntries().find(e => e.message === 'Polling loop exploded');
+  assert(uncaught.code === 1 && uncaught.stderr.includes('Polling loop exploded'), 'Uncaught exceptions still crash the process');
+  assert(uncaughtEntry && uncaughtEntry.severity === 'critical' && uncaughtEntry.metadata.origin === 'uncaughtException',
+    'Uncaught exceptions are logged as critical before exit');
+
+  const reports = fs.readdirSync(path.join(crashDir, 'crash-reports'));
+  const crashReport = JSON.parse(fs.readFileSync(path.join(crashDir, 'crash-reports', reports[0]), 'utf-8'));
+  assert(reports.length === 1 && crashReport.origin === 'uncaughtException' && crashReport.error.hash === uncaughtEntry.hash && crashReport.release === '2.0.0',
+    'Crash report written with the error entry');
+  assert(crashReport.breadcrumbs.length === 2 && crashReport.breadcrumbs[0].message === 'Polling started' && crashReport.breadcrumbs[1].message.includes('RPC warming up'), 'Crash report carries the trail leading up to it');
+
+  const rejection = await runCrashScript(`Promise.reject('vault session expired');`, '{}');
+  const rejectionEntry = crashEntries().find(e => e.metadata.origin === 'unhandledRejection');
+  assert(rejection.code === 1 && rejectionEntry && rejectionEntry.message.includes('vault session expired'), 'Unhandled rejections are logged, non-errors wrapped');
+  assert(crashEntries().filter(e => e.metadata.origin === 'unhandledRejection').length === 1, 'A rejection is captured once');
+
+  const runningOn = await runCrashScript(`
+    Promise.reject(new Error('Gate callback failed'));
+    process.emitWarning('Possible EventEmitter memory leak detected', 'MaxListenersExceededWarning');
+    setTimeout(() => { throw new Error('Timer failed'); }, 5);
+    setTimeout(() => { logger.close().then(() => process.stdout.write('alive')); }, 50);
+  `, '{ exit: false, warningSeverity: "medium" }');
+  const keptRunning = crashEntries();
+  assert(runningOn.code === 0 && runningOn.stdout === 'alive', 'exit: false keeps the process running');
+  assert(keptRunning.some(e => e.message === 'Gate callback failed') && keptRunning.some(e => e.message === 'Timer failed'), 'Both kinds of crash captured while running on');
+  const warningEntry = keptRunning.find(e => e.name === 'MaxListenersExceededWarning');
+  assert(warningEntry && warningEntry.severity === 'medium' && warningEntry.metadata.origin === 'warning', 'Process warnings are captured');
+
+  const handlerLogger = new ErrorLogger({ logDir: crashDir, exitHooks: false });
+  const before = process.listenerCount('unhandledRejection');
+  const warningListeners = process.listenerCount('warning');
+  handlerLogger.installGlobalHandlers().installGlobalHandlers();
+  assert(process.listenerCount('unhandledRejection') === before + 1, 'Installing twice adds one set of listeners');
+  await handlerLogger.close();
+  assert(process.listenerCount('unhandledRejection') === before && process.listenerCount('warning') === warningListeners, 'close() removes the listeners');
+
   console.log('\n── Self-Audit Report ───────────────────────');
 
   // Run the self-audit against test data
   await runAudit({ days: 1, output: null });
 
+  await new Promise(resolve => setImmediate(resolve));
+  assert(schemaWarnings.every(w => fixWarnings.includes(w)), 'Every entry written by the suite matches its schema');
+
   // ── Summary ──
   console.log('\n══════════════════════════════════════════════');
   console.log(`  Results: ${passed} passed, ${failed} failed`);
   console.log('══════════════════════════════════════════════\n');
 
   // Show what the log files look like
+  await logger.flush();
   console.log('── Sample Log File ──────────────────────────');
   const dateStr = new Date().toISOString().split('T')[0];
   const logFile = path.join(TEST_LOG_DIR, `${dateStr}.json`);
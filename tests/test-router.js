@@ -161,6 +161,41 @@ async function runTests() {
   assert(postRan, 'Post-middleware ran');
   assert(postOutcome.success === true, 'Post-middleware received outcome');
 
+  // ── Request Context ─────────────────────────────────────────
+  console.log('\n── Request Context ──────────────────────────');
+
+  const ctxRouter = new WorkflowRouter({ logger });
+  async function loadPrice() { throw new Error('Price feed offline'); }
+  ctxRouter.addRoute({
+    name: 'price-check',
+    patterns: [/^\/price\s+(\S+)/i],
+    agent: 'PriceAgent',
+    handler: async () => {
+      // Nested skill failing deep inside a helper
+      const feed = await logger.wrapSkill('price-feed', () => loadPrice());
+      throw feed.error;
+    }
+  });
+  ctxRouter.use('pre', async () => { throw new Error('Middleware exploded'); });
+  ctxRouter.on('error', () => {});
+
+  const ctxResult = await ctxRouter.route('/price SOL', { chatId: 42, userId: 7 });
+  assert(typeof ctxResult.correlationId === 'string', 'route() returns the request correlation ID');
+
+  const requestEntries = logger.query({ correlationId: ctxResult.correlationId, days: 1 });
+  assert(requestEntries.length === 3, 'Every entry of the request is found by correlation ID');
+  const mwEntry = requestEntries.find(e => e.skill === 'middleware-pre');
+  assert(
+    mwEntry?.context.route === 'price-check' && mwEntry.context.chat_id === 42 && mwEntry.context.user_id === 7,
+    'Middleware errors keep route, chatId and userId'
+  );
+  const feedEntry = requestEntries.find(e => e.skill === 'price-feed');
+  assert(feedEntry?.context.parent_skill === 'price-check', 'Nested skill errors record the parent skill');
+  assert(feedEntry?.context.skill_path.join('>') === 'price-check>price-feed', 'Skill chain recorded');
+
+  const nextResult = await ctxRouter.route('/price BTC', { chatId: 42, userId: 7 });
+  assert(nextResult.correlationId !== ctxResult.correlationId, 'Each message gets its own correlation ID');
+
   // ── Parallel Routing ───────────────────────────────────────
   console.log('\n── Parallel Routing ─────────────────────────');
 
@@ -0,0 +1,310 @@
+/**
+ * X1 Vault — Log Sink Tests
+ *
+ * Run: node tests/test-sinks.js
+ */
+
+const { ErrorLogger } = require('../src/error-logger');
+const { Sink, FileSink, StdoutSink, HttpSink, MemorySink } = require('../src/sinks');
+const { FileStorage } = require('../src/storage');
+const { OtlpExporter } = require('../src/otlp-exporter');
+const { WorkflowRouter } = require('../src/workflow-router');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const TEST_LOG_DIR = path.join(__dirname, '../errors-test-sinks');
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) { console.log(`  ✅ ${message}`); passed++; }
+  else { console.log(`  ❌ ${message}`); failed++; }
+}
+
+function cleanup() {
+  if (fs.existsSync(TEST_LOG_DIR)) fs.rmSync(TEST_LOG_DIR, { recursive: true });
+}
+
+async function runTests() {
+  cleanup();
+
+  // ── Fan-out ─────────────────────────────────────────────────
+  console.log('\n── Fan-out ──────────────────────────────────');
+
+  const memory = new MemorySink({ size: 3 });
+  const criticalOnly = new MemorySink({ name: 'critical', filter: { levels: ['critical'] } });
+  const errorsOnly = new MemorySink({ name: 'errors', filter: { types: ['error'] } });
+
+  const logger = new ErrorLogger({ logDir: TEST_LOG_DIR, sinks: [memory, criticalOnly, errorsOnly] });
+  assert(logger.sinks[0] instanceof FileSink, 'File sink installed by default');
+
+  logger.capture(new Error('Field is required'), { skill: 'vault-sync' });
+  logger.capture(new Error('Build failed'), { skill: 'deploy' });
+  await logger.wrapSkill('token-audit', async () => 'ok');
+
+  assert(memory.entries.length === 3, 'Memory sink receives every entry');
+  assert(logger.query({ days: 1 }).length === 3, 'File sink still backs query()');
+  assert(criticalOnly.entries.length === 1 && criticalOnly.entries[0].skill === 'deploy', 'Level filter keeps only critical');
+  assert(errorsOnly.entries.every(e => e.type === 'error') && errorsOnly.entries.length === 2, 'Type filter drops successes');
+
+  logger.capture(new Error('one more'), { skill: 'x' });
+  assert(memory.entries.length === 3 && memory.entries[2].message === 'one more', 'Ring buffer keeps the newest N');
+
+  // ── Isolation ───────────────────────────────────────────────
+  console.log('\n── Failure Isolation ────────────────────────');
+
+  class ThrowingSink extends Sink {
+    write() { throw new Error('disk on fire'); }
+  }
+  class RejectingSink extends Sink {
+    async write() { throw new Error('async boom'); }
+  }
+
+  const sinkErrors = [];
+  const throwing = new ThrowingSink();
+  const rejecting = new RejectingSink();
+  const after = new MemorySink();
+  const isolated = new ErrorLogger({
+    logDir: TEST_LOG_DIR,
+    sinks: [throwing, rejecting, after],
+    onSinkError: (sink, err) => sinkErrors.push(`${sink.name}:${err.message}`)
+  });
+
+  let threw = false;
+  try {
+    isolated.capture(new Error('still captured'), { skill: 'x' });
+  } catch { threw = true; }
+  await new Promise(r => setImmediate(r));
+
+  assert(!threw, 'A throwing sink never breaks capture()');
+  assert(after.entries.length === 1, 'Sinks after a failing one still receive the entry');
+  assert(throwing.errors === 1 && throwing.lastError === 'disk on fire', 'Sync failures recorded on the sink');
+  assert(sinkErrors.includes('RejectingSink:async boom'), 'Async failures reported via onSinkError');
+
+  isolated.removeSink(throwing).removeSink('RejectingSink');
+  assert(isolated.sinks.length === 2, 'removeSink works by instance and name');
+
+  // ── Exit flush ──────────────────────────────────────────────
+  console.log('\n── File Sink Exit Flush ─────────────────────');
+
+  const exitDir = path.join(TEST_LOG_DIR, 'exit-flush');
+  const exitLock = path.join(TEST_LOG_DIR, 'exit-flush.lock');
+  const exitSink = new FileSink({ logDir: exitDir, lockPath: exitLock, lockOptions: { retryMs: 5 } });
+  fs.writeFileSync(exitLock, `${process.ppid}@${os.hostname()}`); // Another writer holds the lock
+  exitSink.write({ type: 'error', message: 'in flight' });
+  const draining = exitSink.flush();
+  exitSink.write({ type: 'error', message: 'queued' });
+  assert(exitSink.pendingEntries().length === 2, 'Batch waiting on the lock is still pending');
+
+  fs.unlinkSync(exitLock);
+  exitSink.flushSync();
+  await draining;
+  const exitFile = fs.readdirSync(exitDir).find(name => name.endsWith('.json'));
+  const exitLines = fs.readFileSync(path.join(exitDir, exitFile), 'utf-8').trim().split('\n').map(line => JSON.parse(line).message);
+  assert(exitLines.join(',') === 'in flight,queued', 'flushSync writes the in-flight batch too, and the drain skips it');
+  assert(exitSink.pendingEntries().length === 0, 'Nothing pending after flushSync');
+
+  // Batches land through the in-memory index; the index file is saved on a debounce
+  const debounceDir = path.join(TEST_LOG_DIR, 'index-debounce');
+  const debounceStorage = new FileStorage({ dir: debounceDir, flushIntervalMs: 1 });
+  const debounceDay = new Date().toISOString().split('T')[0];
+  debounceStorage.sink.write({ type: 'error', hash: 'a1b2c3d4e5f6', skill: 'holder-scan', message: 'rpc down' });
+  await new Promise(r => setTimeout(r, 50));
+  assert(debounceStorage.sink.pendingEntries().length === 0 && !fs.existsSync(path.join(debounceDir, '_index')), 'Batches are appended without saving the index each time');
+  assert(debounceStorage.readDay(debounceDay, { skill: 'holder-scan' }).length === 1, 'Lookups use the unsaved index');
+  await debounceStorage.sink.flush();
+  assert(fs.existsSync(path.join(debounceDir, '_index', `${debounceDay}.json`)), 'flush() saves the index');
+
+  let rebuilds = 0;
+  const readLines = debounceStorage.index.readLines;
+  debounceStorage.index.readLines = (dateStr) => { rebuilds++; return readLines(dateStr); };
+  fs.appendFileSync(path.join(debounceDir, `${debounceDay}.json`), JSON.stringify({ type: 'error', skill: 'other-proc' }) + '\n'); // Another writer
+  debounceStorage.sink.write({ type: 'error', hash: 'a1b2c3d4e5f6', skill: 'holder-scan', message: 'rpc down' });
+  await debounceStorage.sink.flush();
+  assert(rebuilds === 0, 'Appending after another writer leaves the rebuild to the next lookup');
+  assert(debounceStorage.readDay(debounceDay, { skill: 'holder-scan' }).length === 2 && rebuilds === 1, 'The next lookup rebuilds once and sees every line');
+
+  // ── Stdout ──────────────────────────────────────────────────
+  console.log('\n── Stdout Sink ──────────────────────────────');
+
+  const lines = [];
+  const stdout = new StdoutSink({ stream: { write: (s) => lines.push(s) } });
+  stdout.write({ type: 'error', severity: 'high', error_type: 'api', skill: 'token-audit', message: '429', hash: 'abc', occurrence_count: 2, timestamp: new Date().toISOString() });
+  assert(lines[0].includes('HIGH api token-audit: 429 (abc ×2)'), 'Pretty-prints error entries on one line');
+
+  // ── HTTP ────────────────────────────────────────────────────
+  console.log('\n── HTTP Batch Sink ──────────────────────────');
+
+  const received = [];
+  let failNext = true;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      if (failNext) { failNext = false; res.statusCode = 503; return res.end(); }
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const url = `http://127.0.0.1:${server.address().port}/ingest`;
+
+  const httpSink = new HttpSink({ url, batchSize: 2, flushIntervalMs: 60000 });
+  const shipped = new ErrorLogger({ logDir: TEST_LOG_DIR, fileSink: false, sinks: [httpSink] });
+  assert(shipped.sinks.length === 1, 'fileSink: false leaves only the configured sinks');
+
+  shipped.capture(new Error('first'), { skill: 'a' });
+  shipped.capture(new Error('second'), { skill: 'b' }); // Hits batchSize → POST fails (503)
+  await new Promise(r => setTimeout(r, 50));
+  assert(httpSink.errors === 1 && received.length === 0, 'Collector failure recorded, batch kept');
+
+  shipped.capture(new Error('third'), { skill: 'c' });
+  await httpSink.close();
+  assert(received.length === 1 && received[0].entries.length === 3, 'Retried batch delivered with new entries on flush');
+  assert(received[0].entries.map(e => e.message).join(',') === 'first,second,third', 'Entries delivered in order');
+
+  server.close();
+  // Their exit flush would recreate the test dir after cleanup
+  await logger.close();
+  await isolated.close();
+
+  // ── OTLP Export ─────────────────────────────────────────────
+  console.log('\n── OTLP Export ──────────────────────────────');
+
+  // Local stand-in for an OpenTelemetry Collector (OTLP/HTTP JSON)
+  const otlpReceived = {};
+  const collector = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      (otlpReceived[req.url] = otlpReceived[req.url] || []).push(JSON.parse(body));
+      res.setHeader('content-type', 'application/json');
+      res.end('{}');
+    });
+  });
+  await new Promise(r => collector.listen(0, '127.0.0.1', r));
+
+  const otlpFile = path.join(TEST_LOG_DIR, 'otlp', 'export.jsonl');
+  const otlp = new OtlpExporter({
+    url: `http://127.0.0.1:${collector.address().port}`,
+    file: otlpFile,
+    resource: { 'service.name': 'x1-vault-test' }
+  });
+  const otlpLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'otlp-logs'), sinks: [otlp] });
+  const otlpRouter = new WorkflowRouter({ logger: otlpLogger });
+  otlpRouter.on('error', () => {});
+  otlpRouter.addRoute({
+    name: 'token-audit',
+    patterns: [/^\/audit/i],
+    agent: 'TokenAuditAgent',
+    handler: async () => otlpLogger.span('fetch-holders', async () => 42)
+  });
+  otlpRouter.addRoute({
+    name: 'deploy',
+    patterns: [/^\/deploy/i],
+    agent: 'DeployAgent',
+    risk: 'high',
+    handler: async () => { throw new Error('Deploy API returned 503'); }
+  });
+
+  await otlpRouter.route('/audit 0xabc', { chatId: 1, userId: 2 });
+  await otlpRouter.route('/deploy', { chatId: 1, userId: 2 });
+  await otlpRouter.route('unknown command');
+  await otlp.close();
+  await otlp.exportMetrics(otlpRouter);
+
+  const logRequest = otlpReceived['/v1/logs']?.[0];
+  const records = logRequest?.resourceLogs[0].scopeLogs[0].logRecords || [];
+  const serviceName = logRequest?.resourceLogs[0].resource.attributes.find(a => a.key === 'service.name');
+  const attr = (item, key) => item.attributes.find(a => a.key === key)?.value;
+  assert(serviceName?.value.stringValue === 'x1-vault-test', 'Logs carry resource attributes');
+  const errorRecord = records.find(r => attr(r, 'x1.entry.type')?.stringValue === 'error');
+  assert(errorRecord?.severityText === 'ERROR' && errorRecord.severityNumber === 17, 'Severity maps to OTLP severity');
+  assert(attr(errorRecord, 'error.type')?.stringValue === 'api', 'error_type maps to error.type');
+  assert(attr(errorRecord, 'gen_ai.tool.name')?.stringValue === 'deploy' && attr(errorRecord, 'gen_ai.agent.name')?.stringValue === 'DeployAgent', 'Skill and agent map to semantic-convention attributes');
+  assert(attr(errorRecord, 'x1.error.hash')?.stringValue.length === 12, 'Hash exported');
+  assert(errorRecord.traceId.length === 32 && errorRecord.spanId.length === 16, 'Log records link to their trace and span');
+
+  const spans = otlpReceived['/v1/traces']?.[0].resourceSpans[0].scopeSpans[0].spans || [];
+  const auditSpan = spans.find(sp => sp.name === 'token-audit');
+  const childSpan = spans.find(sp => sp.name === 'token-audit › fetch-holders');
+  const deploySpan = spans.find(sp => sp.name === 'deploy');
+  assert(auditSpan?.status.code === 1 && childSpan?.parentSpanId === auditSpan.spanId, 'wrapSkill and span() entries become nested spans');
+  assert(deploySpan?.status.code === 2 && deploySpan.events[0]?.name === 'exception', 'Failed skills become error spans with an exception event');
+  assert(attr(deploySpan.events[0], 'exception.message')?.stringValue === 'Deploy API returned 503', 'Exception event carries the message');
+
+  const metrics = otlpReceived['/v1/metrics']?.[0].resourceMetrics[0].scopeMetrics[0].metrics || [];
+  const hits = metrics.find(m => m.name === 'x1.route.hits');
+  const executions = metrics.find(m => m.name === 'x1.route.executions');
+  assert(hits?.sum.dataPoints.length === 2 && hits.sum.isMonotonic, 'Route hits exported as a cumulative sum');
+  assert(executions?.sum.dataPoints.find(p => attr(p, 'x1.route').stringValue === 'deploy' && attr(p, 'x1.outcome').stringValue === 'failure')?.asInt === '1', 'Executions broken down by outcome');
+  assert(metrics.find(m => m.name === 'x1.route.misses')?.sum.dataPoints[0].asInt === '1', 'Route misses exported');
+
+  const fileLines = fs.readFileSync(otlpFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert(fileLines.length === 3 && fileLines[0].resourceLogs && fileLines[1].resourceSpans && fileLines[2].resourceMetrics, 'File target gets one OTLP/JSON request per line');
+
+  await otlpLogger.close();
+  collector.close();
+
+  // Caller-supplied correlation IDs still give valid trace IDs
+  const taggedOtlp = new OtlpExporter({ file: path.join(TEST_LOG_DIR, 'otlp', 'tagged.jsonl') });
+  const taggedLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'otlp-tagged'), fileSink: false, sinks: [taggedOtlp] });
+  const taggedRouter = new WorkflowRouter({ logger: taggedLogger });
+  taggedRouter.on('error', () => {});
+  taggedRouter.addRoute({ name: 'deploy', patterns: [/^\/deploy/i], agent: 'DeployAgent', handler: async () => { throw new Error('Deploy API returned 503'); } });
+  await taggedRouter.route('/deploy', { chatId: 1, correlationId: 'tg-123' });
+  await taggedLogger.close();
+  const taggedLines = fs.readFileSync(path.join(TEST_LOG_DIR, 'otlp', 'tagged.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  const taggedTraceIds = new Set([
+    ...taggedLines[0].resourceLogs[0].scopeLogs[0].logRecords.map(r => r.traceId),
+    ...taggedLines[1].resourceSpans[0].scopeSpans[0].spans.map(sp => sp.traceId)
+  ]);
+  assert(taggedTraceIds.size === 1 && /^[0-9a-f]{32}$/.test([...taggedTraceIds][0]), 'Non-hex correlation IDs are hashed into one valid trace ID');
+
+  // A failed signal is retried alone — logs the collector accepted are not re-sent
+  const partialReceived = { '/v1/logs': 0, '/v1/traces': 0 };
+  let tracesDown = true;
+  const partialCollector = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      if (req.url === '/v1/traces' && tracesDown) { res.statusCode = 503; return res.end(); }
+      partialReceived[req.url]++;
+      res.end('{}');
+    });
+  });
+  await new Promise(r => partialCollector.listen(0, '127.0.0.1', r));
+  const partialOtlp = new OtlpExporter({ url: `http://127.0.0.1:${partialCollector.address().port}`, flushIntervalMs: 60000 });
+  const partialLogger = new ErrorLogger({ logDir: path.join(TEST_LOG_DIR, 'otlp-partial'), fileSink: false, maxRetries: 0, sinks: [partialOtlp] });
+  await partialLogger.wrapSkill('price-check', async () => { throw new Error('oracle down'); }).catch(() => {});
+  let partialError = null;
+  await partialOtlp.flush().catch(err => { partialError = err; });
+  tracesDown = false;
+  await partialOtlp.flush();
+  assert(partialError !== null && partialReceived['/v1/logs'] === 1 && partialReceived['/v1/traces'] === 1, 'Failed traces retried without re-sending accepted logs');
+  await partialLogger.close();
+  partialCollector.close();
+
+  // A target that stays down keeps only the newest records
+  const downOtlp = new OtlpExporter({ url: 'http://127.0.0.1:9', maxBuffer: 3, batchSize: 1000, flushIntervalMs: 60000, timeoutMs: 500 });
+  for (let i = 0; i < 5; i++) downOtlp.write({ type: 'error', message: `rpc down ${i}`, timestamp: new Date().toISOString() });
+  await downOtlp.flush().catch(() => {});
+  assert(downOtlp._pending.url.logs.length === 3 && downOtlp.dropped === 2, 'Buffers are capped, oldest records dropped and counted');
+  assert(downOtlp._pending.url.logs[2].body.stringValue.includes('rpc down 4'), 'Newest records are kept');
+  clearInterval(downOtlp._timer);
+
+  // ── Summary ─────────────────────────────────────────────────
+  console.log('\n══════════════════════════════════════════════');
+  console.log(`  Results: ${passed} passed, ${failed} failed`);
+  console.log('══════════════════════════════════════════════\n');
+
+  cleanup();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+  console.error('Test runner failed:', err);
+  cleanup();
+  process.exit(1);
+});